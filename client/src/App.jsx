@@ -1,6 +1,7 @@
 import { useEffect, useState } from 'react';
 import { getJSON } from './api.js';
 import DocumentsTable from './components/DocumentsTable.jsx';
+import SearchPanel from './components/SearchPanel.jsx';
 
 function normalizeListResponse(res, { limit, offset }) {
   // Expected: { total, limit, offset, results }
@@ -22,18 +23,21 @@ export default function App() {
   const [error, setError] = useState('');
   const [data, setData] = useState({ total: 0, limit: 20, offset: 0, results: [] });
 
-  async function fetchDocs(nextOffset = offset) {
-    setError('');
-    setLoading(true);
+  // silent: background refresh while documents are being ingested (no loading state)
+  async function fetchDocs(nextOffset = offset, { silent = false } = {}) {
+    if (!silent) {
+      setError('');
+      setLoading(true);
+    }
     try {
       const res = await getJSON(`/api/docs?limit=${limit}&offset=${nextOffset}`);
       const normalized = normalizeListResponse(res, { limit, offset: nextOffset });
       setData(normalized);
       setOffset(nextOffset);
     } catch (err) {
-      setError(err?.message || 'Failed to load documents');
+      if (!silent) setError(err?.message || 'Failed to load documents');
     } finally {
-      setLoading(false);
+      if (!silent) setLoading(false);
     }
   }
 
@@ -42,12 +46,21 @@ export default function App() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
+  // Refresh until every listed document has finished ingestion
+  const ingesting = data.results.some((d) => d.status === 'pending' || d.status === 'processing');
+  useEffect(() => {
+    if (!ingesting) return undefined;
+    const timer = setTimeout(() => fetchDocs(offset, { silent: true }), 2000);
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [ingesting, data, offset]);
+
   return (
     <div className="page">
       <header className="header">
         <div>
           <h1>Smart Docs</h1>
-          <p className="muted">Upload, list, and search PDF/TXT documents.</p>
+          <p className="muted">Upload, list, and search PDF/TXT/DOCX/ODT documents.</p>
         </div>
         <div className="pill mono">API: /api → localhost:3000</div>
       </header>
@@ -64,6 +77,7 @@ export default function App() {
           onPrev={() => fetchDocs(Math.max(0, offset - limit))}
           onNext={() => fetchDocs(offset + limit)}
         />
+        <SearchPanel documents={data.results} />
       </main>
 
       <footer className="footer muted">
@@ -1,31 +1,37 @@
-async function readErrorMessage(res) {
+
+async function readError(res) {
   try {
     const data = await res.json();
     // backend convention: { error: { message, code } }
-    if (data && data.error && typeof data.error.message === 'string') return data.error.message;
+    if (data && data.error && typeof data.error.message === 'string') {
+      return { message: data.error.message, code: data.error.code || null };
+    }
     // alternative: { message: "..." }
-    if (data && typeof data.message === 'string') return data.message;
-    return null;
+    if (data && typeof data.message === 'string') return { message: data.message, code: null };
+    return { message: null, code: null };
   } catch (_) {
-    return null;
+    return { message: null, code: null };
   }
 }
 
+// Error carrying the HTTP status and the backend error code
+async function requestError(res, fallback = 'Request failed') {
+  const { message, code } = await readError(res);
+  const err = new Error(message || `${fallback} (${res.status})`);
+  err.status = res.status;
+  err.code = code;
+  return err;
+}
+
 export async function getJSON(url) {
   const res = await fetch(url, { method: 'GET' });
-  if (!res.ok) {
-    const msg = await readErrorMessage(res);
-    throw new Error(msg || `Request failed (${res.status})`);
-  }
+  if (!res.ok) throw await requestError(res);
   return await res.json();
 }
 
 export async function postFormData(url, formData) {
   const res = await fetch(url, { method: 'POST', body: formData });
-  if (!res.ok) {
-    const msg = await readErrorMessage(res);
-    throw new Error(msg || `Request failed (${res.status})`);
-  }
+  if (!res.ok) throw await requestError(res);
   return await res.json();
 }
 
@@ -35,19 +41,33 @@ export async function postJSON(url, body) {
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify(body)
   });
-  if (!res.ok) {
-    const msg = await readErrorMessage(res);
-    throw new Error(msg || `Request failed (${res.status})`);
-  }
+  if (!res.ok) throw await requestError(res);
+  return await res.json();
+}
+
+export async function putJSON(url, body = {}) {
+  const res = await fetch(url, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  if (!res.ok) throw await requestError(res);
+  return await res.json();
+}
+
+export async function patchBinary(url, body, headers = {}) {
+  const res = await fetch(url, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/offset+octet-stream', ...headers },
+    body
+  });
+  if (!res.ok) throw await requestError(res);
   return await res.json();
 }
 
 export async function deleteJSON(url) {
   const res = await fetch(url, { method: 'DELETE' });
-  if (!res.ok) {
-    const msg = await readErrorMessage(res);
-    throw new Error(msg || `Request failed (${res.status})`);
-  }
+  if (!res.ok) throw await requestError(res);
   // allow empty response bodies
   try {
     return await res.json();
@@ -58,10 +78,7 @@ export async function deleteJSON(url) {
 
 export async function downloadFile(url, filename) {
   const res = await fetch(url);
-  if (!res.ok) {
-    const msg = await readErrorMessage(res);
-    throw new Error(msg || `Download failed (${res.status})`);
-  }
+  if (!res.ok) throw await requestError(res, 'Download failed');
   const blob = await res.blob();
   const downloadUrl = window.URL.createObjectURL(blob);
   const a = document.createElement('a');
@@ -1,19 +1,44 @@
 import { useEffect, useMemo, useRef, useState } from 'react';
 import { getJSON, postJSON, downloadFile } from '../api.js';
+import { describeJobProgress, waitForJob } from '../jobs.js';
+import { LONG_SUMMARY_FORMATS, LONG_SUMMARY_LEVELS, SUMMARY_TITLES, describeSummaryMeta } from '../summaryLabels.js';
+import SummaryHistory from './SummaryHistory.jsx';
 
-export default function DocumentDetail({ docId, onClose }) {
+const EXTRACTION_LABELS = {
+  text: 'Metin katmanı',
+  ocr: 'OCR',
+  mixed: 'Metin katmanı + OCR'
+};
+
+function describeSection(section) {
+  const title = section.title || `Bölüm ${section.position + 1}`;
+  if (!section.pageStart) return title;
+  const pages = section.pageEnd && section.pageEnd !== section.pageStart
+    ? `s. ${section.pageStart}-${section.pageEnd}`
+    : `s. ${section.pageStart}`;
+  return `${title} (${pages})`;
+}
+
+// passage (optional): { startChar, endChar, highlights: [{ startChar, endChar }] } from the passage search,
+// shown marked and scrolled into view once the text is loaded
+export default function DocumentDetail({ docId, passage = null, onClose }) {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [doc, setDoc] = useState(null);
-  const [summaryLoading, setSummaryLoading] = useState(false);
+  const [summaryLoading, setSummaryLoading] = useState(null); // 'short' | 'long' | null
   const [summaryError, setSummaryError] = useState('');
-  const [summary, setSummary] = useState(null);
-  const [summaryMeta, setSummaryMeta] = useState(null); // { model, createdAt }
+  const [summaryProgress, setSummaryProgress] = useState(''); // long documents are summarized in a job
+  const [summaries, setSummaries] = useState({}); // { short?, long? }: { content, level, format, model, createdAt }
+  const [longLevel, setLongLevel] = useState('medium');
+  const [longFormat, setLongFormat] = useState('structured');
+  const [showHistory, setShowHistory] = useState(false);
+  const [historyKey, setHistoryKey] = useState(0); // bumped when a new summary is stored
 
   // In-document find (Ctrl+F behavior)
   const [findQ, setFindQ] = useState('');
   const [activeHit, setActiveHit] = useState(0);
   const findInputRef = useRef(null);
+  const activeDocRef = useRef(docId);
 
   const contentText = (doc?.contentText || '').toString();
 
@@ -38,6 +63,15 @@ export default function DocumentDetail({ docId, onClose }) {
     return out;
   }, [contentText, findQ]);
 
+  // Page of the active find hit (paged formats only)
+  const activeHitPage = useMemo(() => {
+    const pages = Array.isArray(doc?.pages) ? doc.pages : [];
+    const m = matches[activeHit];
+    if (!m || !pages.length) return null;
+    const p = pages.find((pg) => m.start < pg.endChar);
+    return p ? p.page : null;
+  }, [doc, matches, activeHit]);
+
   useEffect(() => {
     function onKeyDown(e) {
       if (e.ctrlKey && (e.key === 'f' || e.key === 'F')) {
@@ -70,9 +104,35 @@ export default function DocumentDetail({ docId, onClose }) {
     setActiveHit((v) => (v - 1 + matches.length) % matches.length);
   }
 
+  useEffect(() => {
+    if (!passage || !contentText) return;
+    document.getElementById('doc-passage')?.scrollIntoView({ block: 'center' });
+  }, [passage, contentText]);
+
+  // Search passage with its hits; find hits take over while there is a find query
+  function renderPassage() {
+    const text = contentText;
+    const start = Math.min(passage.startChar, text.length);
+    const end = Math.min(passage.endChar, text.length);
+    const nodes = [];
+    let last = start;
+    (passage.highlights || []).forEach((h, i) => {
+      if (h.startChar < last || h.endChar > end) return;
+      if (h.startChar > last) nodes.push(<span key={`p-${i}`}>{text.slice(last, h.startChar)}</span>);
+      nodes.push(<mark key={`h-${i}`}>{text.slice(h.startChar, h.endChar)}</mark>);
+      last = h.endChar;
+    });
+    if (last < end) nodes.push(<span key="p-tail">{text.slice(last, end)}</span>);
+    return [
+      <span key="head">{text.slice(0, start)}</span>,
+      <span key="passage" id="doc-passage" className="passage">{nodes}</span>,
+      <span key="tail">{text.slice(end)}</span>
+    ];
+  }
+
   function renderHighlighted() {
     const text = contentText;
-    if (!matches.length) return text;
+    if (!matches.length) return passage ? renderPassage() : text;
 
     const nodes = [];
     let last = 0;
@@ -95,10 +155,15 @@ export default function DocumentDetail({ docId, onClose }) {
   }
 
   useEffect(() => {
+    activeDocRef.current = docId;
     if (!docId) return;
     loadDocument();
   }, [docId]);
 
+  useEffect(() => () => {
+    activeDocRef.current = null;
+  }, []);
+
   async function loadDocument() {
     setLoading(true);
     setError('');
@@ -108,14 +173,8 @@ export default function DocumentDetail({ docId, onClose }) {
       // reset find state on open/change
       setFindQ('');
       setActiveHit(0);
-      // If a previously generated summary exists, show it on open
-      if (data.summary) {
-        setSummary(data.summary);
-        setSummaryMeta({ model: data.summaryModel, createdAt: data.summaryCreatedAt });
-      } else {
-        setSummary(null);
-        setSummaryMeta(null);
-      }
+      // Previously generated summaries (latest of each kind) are shown on open
+      setSummaries(data.summaries || {});
     } catch (err) {
       setError(err?.message || 'Doküman yüklenemedi');
     } finally {
@@ -123,23 +182,45 @@ export default function DocumentDetail({ docId, onClose }) {
     }
   }
 
-  async function generateSummary() {
+  async function generateSummary(kind) {
     if (!docId) return;
-    setSummaryLoading(true);
+    const forDoc = docId;
+    setSummaryLoading(kind);
     setSummaryError('');
-    setSummary(null);
-    setSummaryMeta(null);
+    setSummaryProgress('');
     try {
-      const result = await postJSON(`/api/docs/${docId}/summary`, {});
-      setSummary(result.summary);
-      setSummaryMeta({ model: result.model, createdAt: result.createdAt });
+      const result = kind === 'long'
+        ? await postJSON(`/api/docs/${docId}/summary/long`, { level: longLevel, format: longFormat })
+        : await postJSON(`/api/docs/${docId}/summary/short`, {});
+
+      if (result.jobId) {
+        // Long document: summarized section by section in a background job
+        const job = await waitForJob(result.jobId, {
+          onUpdate: (j) => setSummaryProgress(describeJobProgress(j)),
+          isCancelled: () => activeDocRef.current !== forDoc
+        });
+        if (!job) return;
+        if (job.status === 'failed') {
+          throw new Error(job.error?.message || 'Özet oluşturulamadı');
+        }
+      }
+
+      // A pinned summary stays the current one, so the server decides what to show
+      await reloadSummaries(forDoc);
+      setHistoryKey((k) => k + 1);
     } catch (err) {
       setSummaryError(err?.message || 'Özet oluşturulamadı');
     } finally {
-      setSummaryLoading(false);
+      setSummaryLoading(null);
+      setSummaryProgress('');
     }
   }
 
+  async function reloadSummaries(forDoc = docId) {
+    const data = await getJSON(`/api/docs/${forDoc}`);
+    if (activeDocRef.current === forDoc) setSummaries(data.summaries || {});
+  }
+
   async function handleDownload() {
     if (!docId || !doc) return;
     try {
@@ -185,7 +266,34 @@ export default function DocumentDetail({ docId, onClose }) {
                   <div className="label">Oluşturulma</div>
                   <div className="value mono">{doc.createdAt || '-'}</div>
                 </div>
+                {doc.status && doc.status !== 'ready' ? (
+                  <div>
+                    <div className="label">Durum</div>
+                    <div className="value mono">
+                      {doc.status === 'failed' ? `Başarısız: ${doc.statusError || '-'}` : 'İşleniyor…'}
+                    </div>
+                  </div>
+                ) : null}
+                <div>
+                  <div className="label">Metin Kaynağı</div>
+                  <div className="value mono">
+                    {EXTRACTION_LABELS[doc.extractionMethod] || EXTRACTION_LABELS.text}
+                    {doc.ocrConfidence != null ? ` (ort. güven %${doc.ocrConfidence})` : ''}
+                  </div>
+                </div>
+                {doc.textEncoding ? (
+                  <div>
+                    <div className="label">Karakter Kodlaması</div>
+                    <div className="value mono">{doc.textEncoding}</div>
+                  </div>
+                ) : null}
               </div>
+              {doc.ocrPages && doc.ocrPages.length ? (
+                <div className="muted" style={{ marginTop: '8px', fontSize: '12px' }}>
+                  OCR sayfaları:{' '}
+                  {doc.ocrPages.map((p) => `s.${p.page} %${p.confidence}`).join(', ')}
+                </div>
+              ) : null}
             </div>
 
             <div className="docActions">
@@ -200,10 +308,40 @@ export default function DocumentDetail({ docId, onClose }) {
                 <div className="row">
                   <button
                     className="btn"
-                    onClick={generateSummary}
-                    disabled={summaryLoading}
+                    onClick={() => generateSummary('short')}
+                    disabled={Boolean(summaryLoading)}
+                  >
+                    {summaryLoading === 'short' ? 'Oluşturuluyor…' : 'Kısa Özet'}
+                  </button>
+                  <select
+                    value={longLevel}
+                    onChange={(e) => setLongLevel(e.target.value)}
+                    disabled={Boolean(summaryLoading)}
+                    aria-label="Uzun özet seviyesi"
                   >
-                    {summaryLoading ? 'Oluşturuluyor…' : 'Özet Oluştur'}
+                    {LONG_SUMMARY_LEVELS.map((o) => (
+                      <option key={o.value} value={o.value}>{o.label}</option>
+                    ))}
+                  </select>
+                  <select
+                    value={longFormat}
+                    onChange={(e) => setLongFormat(e.target.value)}
+                    disabled={Boolean(summaryLoading)}
+                    aria-label="Uzun özet biçimi"
+                  >
+                    {LONG_SUMMARY_FORMATS.map((o) => (
+                      <option key={o.value} value={o.value}>{o.label}</option>
+                    ))}
+                  </select>
+                  <button
+                    className="btn"
+                    onClick={() => generateSummary('long')}
+                    disabled={Boolean(summaryLoading)}
+                  >
+                    {summaryLoading === 'long' ? 'Oluşturuluyor…' : 'Uzun Özet'}
+                  </button>
+                  <button className="btn" onClick={() => setShowHistory((v) => !v)}>
+                    {showHistory ? 'Geçmişi gizle' : 'Geçmiş'}
                   </button>
                 </div>
               </div>
@@ -211,20 +349,47 @@ export default function DocumentDetail({ docId, onClose }) {
               {summaryError ? <div className="errorBox">{summaryError}</div> : null}
 
               {summaryLoading ? (
-                <div className="muted">Özet oluşturuluyor…</div>
-              ) : summary ? (
-                <div className="summaryBox">
-                  <div className="summaryContent">{summary}</div>
-                  {summaryMeta && (
-                    <div className="muted" style={{ marginTop: '8px', fontSize: '12px' }}>
-                      {summaryMeta.createdAt ? `Oluşturulma: ${summaryMeta.createdAt}` : null}
-                      {summaryMeta.model ? `${summaryMeta.createdAt ? ' • ' : ''}Model: ${summaryMeta.model}` : null}
-                    </div>
-                  )}
+                <div className="muted">
+                  {SUMMARY_TITLES[summaryLoading]} oluşturuluyor…{summaryProgress ? ` ${summaryProgress}` : ''}
                 </div>
-              ) : (
-                <div className="muted">Henüz özet oluşturulmadı. Yukarıdaki butona basarak özet oluşturabilirsiniz.</div>
-              )}
+              ) : null}
+
+              {['short', 'long'].map((kind) => summaries[kind] && summaryLoading !== kind ? (
+                <div className="summaryBox" key={kind}>
+                  <div className="muted" style={{ marginBottom: '8px', fontSize: '12px' }}>
+                    {SUMMARY_TITLES[kind]}{summaries[kind].pinned ? ' • Sabitlenmiş' : ''}
+                  </div>
+                  <div className="summaryContent">{summaries[kind].content}</div>
+                  <div className="muted" style={{ marginTop: '8px', fontSize: '12px' }}>
+                    {describeSummaryMeta({ ...summaries[kind], kind })}
+                  </div>
+                  {summaries[kind].sections?.length ? (
+                    <details className="summarySections">
+                      <summary>Bölüm özetleri ({summaries[kind].sections.length})</summary>
+                      <ol>
+                        {summaries[kind].sections.map((section) => (
+                          <li key={section.position}>
+                            <div className="summarySectionTitle">{describeSection(section)}</div>
+                            <div className="summaryContent">{section.content}</div>
+                          </li>
+                        ))}
+                      </ol>
+                    </details>
+                  ) : null}
+                </div>
+              ) : null)}
+
+              {!summaryLoading && !summaries.short && !summaries.long ? (
+                <div className="muted">Henüz özet oluşturulmadı. Yukarıdaki butonlarla kısa veya uzun özet oluşturabilirsiniz.</div>
+              ) : null}
+
+              {showHistory ? (
+                <SummaryHistory
+                  docId={docId}
+                  refreshKey={historyKey}
+                  onChanged={() => reloadSummaries().catch(() => {})}
+                />
+              ) : null}
             </div>
 
             <div className="contentSection">
@@ -248,6 +413,9 @@ export default function DocumentDetail({ docId, onClose }) {
                   <div className="muted mono" style={{ minWidth: 80 }}>
                     {matches.length ? `${activeHit + 1}/${matches.length}` : '0/0'}
                   </div>
+                  {activeHitPage ? (
+                    <div className="muted mono">Sayfa {activeHitPage}</div>
+                  ) : null}
                   <button className="btn" onClick={prevHit} disabled={!matches.length}>Prev</button>
                   <button className="btn" onClick={nextHit} disabled={!matches.length}>Next</button>
                   <button
@@ -260,7 +428,9 @@ export default function DocumentDetail({ docId, onClose }) {
                 </div>
               </div>
 
-              {!contentText.trim() ? (
+              {!contentText.trim() && (doc.status === 'pending' || doc.status === 'processing') ? (
+                <div className="muted">Metin henüz çıkarılıyor; doküman hazır olduğunda burada görünecek.</div>
+              ) : !contentText.trim() ? (
                 <div className="muted">
                   Bu doküman için çıkarılmış metin yok. (Scanned PDF olabilir; OCR gerekir.)
                 </div>
@@ -3,12 +3,20 @@ import { deleteJSON, downloadFile } from '../api.js';
 import DocumentDetail from './DocumentDetail.jsx';
 import UploadModal from './UploadModal.jsx';
 import QAModal from './QAModal.jsx';
+import TrashModal from './TrashModal.jsx';
 
 function formatKB(bytes) {
   if (typeof bytes !== 'number') return '-';
   return (bytes / 1024).toFixed(1);
 }
 
+const STATUS_LABELS = {
+  pending: 'Bekliyor',
+  processing: 'İşleniyor',
+  ready: 'Hazır',
+  failed: 'Başarısız'
+};
+
 export default function DocumentsTable({
   loading,
   error,
@@ -27,6 +35,7 @@ export default function DocumentsTable({
   const [deletingId, setDeletingId] = useState(null);
   const [uploadOpen, setUploadOpen] = useState(false);
   const [qaOpen, setQaOpen] = useState(false);
+  const [trashOpen, setTrashOpen] = useState(false);
 
   const canPrev = offset > 0 && !loading;
   const canNext =
@@ -47,7 +56,7 @@ export default function DocumentsTable({
 
   async function handleDelete(doc) {
     if (!doc?.id) return;
-    const ok = window.confirm(`"${doc.originalName || 'Doküman'}" silinsin mi? Bu işlem geri alınamaz.`);
+    const ok = window.confirm(`"${doc.originalName || 'Doküman'}" çöp kutusuna taşınsın mı?`);
     if (!ok) return;
 
     setDeletingId(doc.id);
@@ -81,6 +90,9 @@ export default function DocumentsTable({
             <button className="btn" onClick={() => setQaOpen(true)} disabled={loading}>
               Soru-Cevap
             </button>
+            <button className="btn" onClick={() => setTrashOpen(true)} disabled={loading}>
+              Çöp Kutusu
+            </button>
             <button className="btn" onClick={onRefresh} disabled={loading}>
               {loading ? 'Loading…' : 'Refresh'}
             </button>
@@ -94,6 +106,7 @@ export default function DocumentsTable({
             <thead>
               <tr>
                 <th>originalName</th>
+                <th>status</th>
                 <th>mimeType</th>
                 <th className="right">size (KB)</th>
                 <th>createdAt</th>
@@ -105,7 +118,22 @@ export default function DocumentsTable({
                 results.map((d) => (
                   <tr key={d.id || `${d.storedName}-${d.createdAt}`}>
                     <td className="mono">{d.originalName || '-'}</td>
-                    <td className="mono">{d.mimeType || '-'}</td>
+                    <td>
+                      <span
+                        className={`pill statusBadge ${d.status || 'ready'}`}
+                        title={d.status === 'failed' ? d.statusError || '' : undefined}
+                      >
+                        {STATUS_LABELS[d.status || 'ready'] || d.status}
+                      </span>
+                    </td>
+                    <td className="mono">
+                      {d.mimeType || '-'}
+                      {d.extractionMethod === 'ocr' || d.extractionMethod === 'mixed' ? (
+                        <span className="pill ocrBadge" title="Metin OCR ile çıkarıldı">
+                          OCR
+                        </span>
+                      ) : null}
+                    </td>
                     <td className="right mono">{formatKB(d.size)}</td>
                     <td className="mono">{d.createdAt || '-'}</td>
                     <td>
@@ -139,7 +167,7 @@ export default function DocumentsTable({
                 ))
               ) : (
                 <tr>
-                  <td colSpan="5" className="muted">
+                  <td colSpan="6" className="muted">
                     {loading ? 'Loading…' : 'No documents'}
                   </td>
                 </tr>
@@ -178,6 +206,10 @@ export default function DocumentsTable({
       )}
 
       {qaOpen && <QAModal onClose={() => setQaOpen(false)} />}
+
+      {trashOpen && (
+        <TrashModal onClose={() => setTrashOpen(false)} onRestored={() => onRefresh?.()} />
+      )}
     </>
   );
 }
@@ -88,6 +88,10 @@ export default function QAModal({ onClose }) {
                   {result.based_on_docs.map((cite, idx) => (
                     <div key={idx} className="citationItem">
                       <div className="citationDoc">{cite.docName || cite.docId || '-'}</div>
+                      {cite.section?.path?.length ? (
+                        <div className="muted">Bölüm: {cite.section.path.join(' › ')}</div>
+                      ) : null}
+                      {cite.page ? <div className="muted">Sayfa {cite.page}</div> : null}
                       {cite.quote ? (
                         <div className="citationQuote">"{cite.quote}"</div>
                       ) : null}
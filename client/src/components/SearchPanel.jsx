@@ -1,18 +1,65 @@
 import { useEffect, useState } from 'react';
 import { getJSON } from '../api.js';
+import DocumentDetail from './DocumentDetail.jsx';
+
+const EMPTY_FILTERS = { mimeTypes: [], createdFrom: '', createdTo: '', minSizeKB: '', maxSizeKB: '' };
+const EMPTY_FACETS = { mimeType: [], month: [] };
+
+// First and last day of a YYYY-MM facet value
+function monthRange(month) {
+  const [year, m] = month.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year, m, 0)).getUTCDate();
+  return { createdFrom: `${month}-01`, createdTo: `${month}-${String(lastDay).padStart(2, '0')}` };
+}
+
+function filterParams(filters) {
+  const params = new URLSearchParams();
+  for (const type of filters.mimeTypes) params.append('mimeType', type);
+  if (filters.createdFrom) params.set('createdFrom', filters.createdFrom);
+  if (filters.createdTo) params.set('createdTo', filters.createdTo);
+  if (filters.minSizeKB !== '') params.set('minSize', String(Math.round(Number(filters.minSizeKB) * 1024)));
+  if (filters.maxSizeKB !== '') params.set('maxSize', String(Math.round(Number(filters.maxSizeKB) * 1024)));
+  return params;
+}
+
+// Text with its highlight ranges ({ startChar, endChar } into text) as <mark>s
+function renderMarked(text, ranges = []) {
+  const nodes = [];
+  let last = 0;
+  ranges.forEach((r, i) => {
+    if (r.startChar < last || r.endChar > text.length) return;
+    if (r.startChar > last) nodes.push(<span key={`t-${i}`}>{text.slice(last, r.startChar)}</span>);
+    nodes.push(<mark key={`m-${i}`}>{text.slice(r.startChar, r.endChar)}</mark>);
+    last = r.endChar;
+  });
+  if (last < text.length) nodes.push(<span key="tail">{text.slice(last)}</span>);
+  return nodes;
+}
+
+// Passage highlights are offsets into the document text
+function renderPassageText(passage) {
+  const ranges = (passage.highlights || []).map((h) => ({
+    startChar: h.startChar - passage.startChar,
+    endChar: h.endChar - passage.startChar
+  }));
+  return renderMarked(passage.text, ranges);
+}
 
 export default function SearchPanel({ documents = [] }) {
   const [q, setQ] = useState('');
   const [selectedDocId, setSelectedDocId] = useState('');
   const [mode, setMode] = useState('');
+  const [unit, setUnit] = useState('documents'); // 'documents' | 'passages'
+  const [openPassage, setOpenPassage] = useState(null);
   const [limit] = useState(20);
   const [offset, setOffset] = useState(0);
 
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [data, setData] = useState({ total: 0, results: [], query: '', mode: '' });
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
 
-  async function runSearch(nextOffset = offset, nextQ = q) {
+  async function runSearch(nextOffset = offset, nextQ = q, nextFilters = filters, nextUnit = unit) {
     setError('');
     const trimmed = (nextQ || '').trim();
     if (!trimmed) {
@@ -21,10 +68,13 @@ export default function SearchPanel({ documents = [] }) {
     }
     setLoading(true);
     try {
-      let url = `/api/docs/search?q=${encodeURIComponent(trimmed)}&limit=${limit}&offset=${nextOffset}`;
+      const path = nextUnit === 'passages' ? '/api/docs/search/passages' : '/api/docs/search';
+      let url = `${path}?q=${encodeURIComponent(trimmed)}&limit=${limit}&offset=${nextOffset}`;
       if (selectedDocId) {
         url += `&docId=${encodeURIComponent(selectedDocId)}`;
       }
+      const extra = filterParams(nextFilters).toString();
+      if (extra) url += `&${extra}`;
       const res = await getJSON(url);
       setData(res);
       setMode(res?.mode || '');
@@ -41,8 +91,39 @@ export default function SearchPanel({ documents = [] }) {
     runSearch(0, q);
   }
 
+  function changeUnit(nextUnit) {
+    setUnit(nextUnit);
+    setData({ total: 0, results: [], query: '', mode: '' });
+    if (q.trim()) runSearch(0, q, filters, nextUnit);
+  }
+
+  function searchSuggestion(suggestion) {
+    setQ(suggestion);
+    runSearch(0, suggestion);
+  }
+
+  // Checkboxes and months apply right away (when there is a search to narrow); inputs on "Uygula"
+  function applyFilters(nextFilters) {
+    setFilters(nextFilters);
+    if (data?.query) runSearch(0, q, nextFilters);
+  }
+
+  function toggleType(type) {
+    const mimeTypes = filters.mimeTypes.includes(type)
+      ? filters.mimeTypes.filter((t) => t !== type)
+      : [...filters.mimeTypes, type];
+    applyFilters({ ...filters, mimeTypes });
+  }
+
+  function toggleMonth(month) {
+    const range = monthRange(month);
+    const selected = filters.createdFrom === range.createdFrom && filters.createdTo === range.createdTo;
+    applyFilters({ ...filters, ...(selected ? { createdFrom: '', createdTo: '' } : range) });
+  }
+
   function handleClear() {
     setQ('');
+    setFilters(EMPTY_FILTERS);
     setSelectedDocId('');
     setMode('');
     setOffset(0);
@@ -51,6 +132,12 @@ export default function SearchPanel({ documents = [] }) {
   }
 
   const results = data?.results || [];
+  const facets = data?.facets || EMPTY_FACETS;
+  // Selected types stay listed even when nothing matches them
+  const typeOptions = [
+    ...facets.mimeType,
+    ...filters.mimeTypes.filter((t) => !facets.mimeType.some((f) => f.value === t)).map((t) => ({ value: t, count: 0 }))
+  ];
   const total = typeof data?.total === 'number' ? data.total : results.length;
   const canPrev = offset > 0 && !loading;
   const canNext = !loading && offset + limit < total;
@@ -91,7 +178,7 @@ export default function SearchPanel({ documents = [] }) {
       <form className="row" onSubmit={handleSubmit}>
         <input
           type="text"
-          placeholder="keyword…"
+          placeholder='keyword, "tam ifade", -hariç, önek*…'
           value={q}
           onChange={(e) => setQ(e.target.value)}
           disabled={loading}
@@ -102,10 +189,24 @@ export default function SearchPanel({ documents = [] }) {
         <button className="btn" type="button" onClick={handleClear} disabled={loading}>
           Clear
         </button>
+        <select value={unit} onChange={(e) => changeUnit(e.target.value)} disabled={loading}>
+          <option value="documents">Dokümanlar</option>
+          <option value="passages">Pasajlar</option>
+        </select>
       </form>
 
       {error ? <div className="errorBox">{error}</div> : null}
 
+      {data?.didYouMean ? (
+        <div className="suggestionBox">
+          {mode === 'fuzzy' ? <span className="muted">Tam eşleşme bulunamadı, yakın sonuçlar gösteriliyor. </span> : null}
+          Bunu mu demek istediniz:{' '}
+          <button type="button" className="linkButton mono" onClick={() => searchSuggestion(data.didYouMean)} disabled={loading}>
+            {data.didYouMean}
+          </button>
+        </div>
+      ) : null}
+
       <div className="row between">
         <div className="muted">
           {data?.query ? (
@@ -126,21 +227,151 @@ export default function SearchPanel({ documents = [] }) {
         </div>
       </div>
 
-      <div className="list">
-        {results.length ? (
-          results.map((d) => (
-            <div key={d.id || `${d.storedName}-${d.createdAt}`} className="listItem">
-              <div className="row between">
-                <div className="mono">{d.originalName || '-'}</div>
-                <div className="muted mono">{d.createdAt || '-'}</div>
-              </div>
-              <div className="muted mono">{d.mimeType || '-'}</div>
+      <div className="searchLayout">
+        <aside className="filterSidebar">
+          <div className="filterGroup">
+            <div className="label">Tür</div>
+            {typeOptions.length ? (
+              typeOptions.map((f) => (
+                <label key={f.value} className="filterOption">
+                  <input
+                    type="checkbox"
+                    checked={filters.mimeTypes.includes(f.value)}
+                    onChange={() => toggleType(f.value)}
+                    disabled={loading}
+                  />
+                  <span className="mono">{f.value}</span>
+                  <span className="muted">{f.count}</span>
+                </label>
+              ))
+            ) : (
+              <div className="muted">-</div>
+            )}
+          </div>
+
+          <div className="filterGroup">
+            <div className="label">Yükleme ayı</div>
+            {facets.month.length ? (
+              facets.month.map((f) => {
+                const range = monthRange(f.value);
+                const selected = filters.createdFrom === range.createdFrom && filters.createdTo === range.createdTo;
+                return (
+                  <button
+                    key={f.value}
+                    type="button"
+                    className={`filterOption link${selected ? ' selected' : ''}`}
+                    onClick={() => toggleMonth(f.value)}
+                    disabled={loading}
+                  >
+                    <span className="mono">{f.value}</span>
+                    <span className="muted">{f.count}</span>
+                  </button>
+                );
+              })
+            ) : (
+              <div className="muted">-</div>
+            )}
+          </div>
+
+          <form
+            className="filterGroup"
+            onSubmit={(e) => {
+              e.preventDefault();
+              applyFilters(filters);
+            }}
+          >
+            <div className="label">Tarih</div>
+            <input
+              type="date"
+              value={filters.createdFrom}
+              onChange={(e) => setFilters({ ...filters, createdFrom: e.target.value })}
+              disabled={loading}
+            />
+            <input
+              type="date"
+              value={filters.createdTo}
+              onChange={(e) => setFilters({ ...filters, createdTo: e.target.value })}
+              disabled={loading}
+            />
+            <div className="label">Boyut (KB)</div>
+            <div className="row">
+              <input
+                type="number"
+                min="0"
+                placeholder="min"
+                value={filters.minSizeKB}
+                onChange={(e) => setFilters({ ...filters, minSizeKB: e.target.value })}
+                disabled={loading}
+              />
+              <input
+                type="number"
+                min="0"
+                placeholder="max"
+                value={filters.maxSizeKB}
+                onChange={(e) => setFilters({ ...filters, maxSizeKB: e.target.value })}
+                disabled={loading}
+              />
+            </div>
+            <div className="row">
+              <button className="btn" type="submit" disabled={loading}>
+                Uygula
+              </button>
+              <button className="btn" type="button" onClick={() => applyFilters(EMPTY_FILTERS)} disabled={loading}>
+                Sıfırla
+              </button>
             </div>
-          ))
-        ) : (
-          <div className="muted">{loading ? 'Searching…' : 'No results'}</div>
-        )}
+          </form>
+        </aside>
+
+        <div className="list">
+          {results.length && unit === 'passages' ? (
+            results.map((p) => (
+              <div key={`${p.docId}-${p.startChar}`} className="listItem">
+                <div className="row between">
+                  <div className="mono">{p.originalName || '-'}</div>
+                  <button className="btn" type="button" onClick={() => setOpenPassage(p)}>
+                    Aç
+                  </button>
+                </div>
+                <div className="muted mono">
+                  {p.page ? `Sayfa ${p.page} • ` : ''}karakter {p.startChar}–{p.endChar}
+                </div>
+                {p.section?.path?.length ? (
+                  <div className="muted">Bölüm: {p.section.path.join(' › ')}</div>
+                ) : null}
+                <div className="passageText">{renderPassageText(p)}</div>
+              </div>
+            ))
+          ) : results.length ? (
+            results.map((d) => {
+              const nameHit = (d.highlights || []).find((h) => h.field === 'originalName');
+              const contentHit = (d.highlights || []).find((h) => h.field === 'contentText');
+              return (
+                <div key={d.id || `${d.storedName}-${d.createdAt}`} className="listItem">
+                  <div className="row between">
+                    <div className="mono markedName">
+                      {nameHit ? renderMarked(nameHit.text, nameHit.ranges) : d.originalName || '-'}
+                    </div>
+                    <div className="muted mono">{d.createdAt || '-'}</div>
+                  </div>
+                  <div className="muted mono">{d.mimeType || '-'}</div>
+                  {d.section?.path?.length ? (
+                    <div className="muted">Bölüm: {d.section.path.join(' › ')}</div>
+                  ) : null}
+                  {d.page ? <div className="muted">Sayfa {d.page}</div> : null}
+                  {contentHit ? <div className="passageText">{renderMarked(contentHit.text, contentHit.ranges)}</div> : null}
+                </div>
+              );
+            })
+          ) : (
+            <div className="muted">{loading ? 'Searching…' : 'No results'}</div>
+          )}
+        </div>
       </div>
+
+      {openPassage ? (
+        <DocumentDetail docId={openPassage.docId} passage={openPassage} onClose={() => setOpenPassage(null)} />
+      ) : null}
     </section>
   );
 }
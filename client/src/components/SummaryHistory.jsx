@@ -0,0 +1,161 @@
+import { useEffect, useState } from 'react';
+import { deleteJSON, getJSON, putJSON } from '../api.js';
+import { SUMMARY_TITLES, describeSummaryMeta } from '../summaryLabels.js';
+import { diffWords } from '../wordDiff.js';
+
+const PAGE_SIZE = 10;
+
+const KIND_FILTERS = [
+  { value: '', label: 'Tümü' },
+  { value: 'short', label: 'Kısa' },
+  { value: 'long', label: 'Uzun' }
+];
+
+/**
+ * Previous summaries of a document: pin, delete and compare two versions word by word
+ * @param {{ docId: string, refreshKey: number, onChanged: () => void }} props
+ *   refreshKey changes when a new summary was generated; onChanged runs after a pin or delete
+ */
+export default function SummaryHistory({ docId, refreshKey, onChanged }) {
+  const [kind, setKind] = useState('');
+  const [items, setItems] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [busyId, setBusyId] = useState(null);
+  const [selected, setSelected] = useState([]); // up to two summary ids to compare
+
+  async function load({ append = false, size = PAGE_SIZE } = {}) {
+    setLoading(true);
+    setError('');
+    try {
+      const params = new URLSearchParams({ limit: String(size), offset: String(append ? items.length : 0) });
+      if (kind) params.set('kind', kind);
+      const data = await getJSON(`/api/docs/${docId}/summaries?${params}`);
+      setItems((prev) => (append ? [...prev, ...data.results] : data.results));
+      setTotal(data.total);
+    } catch (err) {
+      setError(err?.message || 'Özet geçmişi yüklenemedi');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    setSelected([]);
+    load();
+  }, [docId, kind, refreshKey]);
+
+  // Reload what is on screen after a change
+  async function reload() {
+    await load({ size: Math.max(PAGE_SIZE, items.length) });
+    onChanged?.();
+  }
+
+  async function togglePin(item) {
+    setBusyId(item.id);
+    setError('');
+    try {
+      const url = `/api/docs/${docId}/summaries/${item.id}/pin`;
+      if (item.pinned) await deleteJSON(url);
+      else await putJSON(url);
+      await reload();
+    } catch (err) {
+      setError(err?.message || 'İşlem başarısız');
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  async function remove(item) {
+    if (!window.confirm('Bu özet geçmişten silinsin mi?')) return;
+    setBusyId(item.id);
+    setError('');
+    try {
+      await deleteJSON(`/api/docs/${docId}/summaries/${item.id}`);
+      setSelected((prev) => prev.filter((id) => id !== item.id));
+      await reload();
+    } catch (err) {
+      setError(err?.message || 'Silme başarısız');
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  function toggleSelected(id) {
+    setSelected((prev) => {
+      if (prev.includes(id)) return prev.filter((x) => x !== id);
+      return [...prev, id].slice(-2);
+    });
+  }
+
+  // Older version on the left of the diff, newer on the right
+  const compared = items
+    .filter((item) => selected.includes(item.id))
+    .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+  const diff = compared.length === 2 ? diffWords(compared[0].content, compared[1].content) : null;
+
+  return (
+    <div className="summaryHistory">
+      <div className="row between">
+        <div className="muted">{total} özet • karşılaştırmak için iki özet seçin</div>
+        <select value={kind} onChange={(e) => setKind(e.target.value)} aria-label="Özet türü">
+          {KIND_FILTERS.map((o) => (
+            <option key={o.value} value={o.value}>{o.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {error ? <div className="errorBox">{error}</div> : null}
+
+      {diff ? (
+        <div className="summaryBox">
+          <div className="muted" style={{ marginBottom: '8px', fontSize: '12px' }}>
+            {compared[0].createdAt} → {compared[1].createdAt}
+          </div>
+          <div className="summaryContent">
+            {diff.map((run, i) => (
+              <span key={i} className={run.type === 'same' ? undefined : `diff-${run.type}`}>
+                {i > 0 ? ' ' : ''}{run.text}
+              </span>
+            ))}
+          </div>
+        </div>
+      ) : null}
+
+      <ul className="summaryHistoryList">
+        {items.map((item) => (
+          <li key={item.id} className={selected.includes(item.id) ? 'selected' : undefined}>
+            <div className="row between">
+              <label className="row">
+                <input
+                  type="checkbox"
+                  checked={selected.includes(item.id)}
+                  onChange={() => toggleSelected(item.id)}
+                />
+                <strong>{SUMMARY_TITLES[item.kind] || item.kind}</strong>
+                {item.pinned ? <span className="pill statusBadge ready">Sabit</span> : null}
+              </label>
+              <div className="row">
+                <button className="btn" onClick={() => togglePin(item)} disabled={busyId === item.id}>
+                  {item.pinned ? 'Sabitlemeyi kaldır' : 'Sabitle'}
+                </button>
+                <button className="btn" onClick={() => remove(item)} disabled={busyId === item.id}>
+                  Sil
+                </button>
+              </div>
+            </div>
+            <div className="muted" style={{ fontSize: '12px', margin: '6px 0' }}>{describeSummaryMeta(item)}</div>
+            <div className="summaryContent summaryHistoryContent">{item.content}</div>
+          </li>
+        ))}
+      </ul>
+
+      {!loading && items.length === 0 ? <div className="muted">Geçmişte özet yok.</div> : null}
+      {loading ? <div className="muted">Yükleniyor…</div> : null}
+      {!loading && items.length < total ? (
+        <button className="btn" onClick={() => load({ append: true })}>Daha fazla</button>
+      ) : null}
+    </div>
+  );
+}
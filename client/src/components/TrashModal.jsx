@@ -0,0 +1,185 @@
+import { useEffect, useState } from 'react';
+import { deleteJSON, getJSON, postJSON } from '../api.js';
+
+const PAGE_SIZE = 20;
+
+function formatDate(iso) {
+  if (!iso) return '-';
+  return new Date(iso).toLocaleString('tr-TR');
+}
+
+export default function TrashModal({ onClose, onRestored }) {
+  const [data, setData] = useState({ total: 0, retentionDays: 0, results: [] });
+  const [offset, setOffset] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [busyId, setBusyId] = useState(null);
+
+  async function load(nextOffset = offset) {
+    setError('');
+    setLoading(true);
+    try {
+      const res = await getJSON(`/api/trash?limit=${PAGE_SIZE}&offset=${nextOffset}`);
+      setData(res);
+      setOffset(nextOffset);
+    } catch (err) {
+      setError(err?.message || 'Çöp kutusu yüklenemedi');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    load(0);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  // Back one page when the last entry of a page went away
+  function reloadAfterRemoval() {
+    const nextOffset = data.results.length === 1 && offset > 0 ? offset - PAGE_SIZE : offset;
+    return load(nextOffset);
+  }
+
+  async function handleRestore(doc) {
+    setBusyId(doc.id);
+    try {
+      await postJSON(`/api/trash/${doc.id}/restore`, {});
+      await reloadAfterRemoval();
+      await onRestored?.();
+    } catch (err) {
+      setError(err?.message || 'Geri yükleme başarısız');
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  async function handlePurge(doc) {
+    const ok = window.confirm(`"${doc.originalName || 'Doküman'}" kalıcı olarak silinsin mi? Bu işlem geri alınamaz.`);
+    if (!ok) return;
+
+    setBusyId(doc.id);
+    try {
+      await deleteJSON(`/api/trash/${doc.id}`);
+      await reloadAfterRemoval();
+    } catch (err) {
+      setError(err?.message || 'Silme başarısız');
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  async function handleEmpty() {
+    const ok = window.confirm('Çöp kutusundaki tüm dokümanlar kalıcı olarak silinsin mi? Bu işlem geri alınamaz.');
+    if (!ok) return;
+
+    setBusyId('all');
+    try {
+      await deleteJSON('/api/trash');
+      await load(0);
+    } catch (err) {
+      setError(err?.message || 'Çöp kutusu boşaltılamadı');
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  const results = data.results || [];
+
+  return (
+    <div className="modalOverlay" onClick={onClose}>
+      <div className="modalContent" onClick={(e) => e.stopPropagation()}>
+        <div className="modalHeader">
+          <h2>Çöp Kutusu</h2>
+          <button className="btn" onClick={onClose}>✕</button>
+        </div>
+
+        <div className="row between" style={{ marginBottom: '14px' }}>
+          <p className="muted">
+            {data.retentionDays
+              ? `Silinen dokümanlar ${data.retentionDays} gün sonra kalıcı olarak silinir.`
+              : 'Silinen dokümanlar elle silinene kadar saklanır.'}
+          </p>
+          <button
+            className="btn"
+            onClick={handleEmpty}
+            disabled={loading || busyId !== null || data.total === 0}
+          >
+            {busyId === 'all' ? 'Boşaltılıyor…' : 'Çöpü boşalt'}
+          </button>
+        </div>
+
+        {error ? <div className="errorBox">{error}</div> : null}
+
+        <div className="tableWrap">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>originalName</th>
+                <th>Silinme</th>
+                <th>Kalıcı silinme</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {results.length ? (
+                results.map((d) => (
+                  <tr key={d.id}>
+                    <td className="mono">{d.originalName || '-'}</td>
+                    <td className="mono">{formatDate(d.deletedAt)}</td>
+                    <td className="mono">{formatDate(d.purgeAt)}</td>
+                    <td>
+                      <div className="row" style={{ gap: '6px' }}>
+                        <button
+                          className="btn"
+                          onClick={() => handleRestore(d)}
+                          disabled={busyId !== null}
+                          style={{ fontSize: '12px', padding: '6px 10px' }}
+                        >
+                          {busyId === d.id ? 'Bekleyin…' : 'Geri yükle'}
+                        </button>
+                        <button
+                          className="btn"
+                          onClick={() => handlePurge(d)}
+                          disabled={busyId !== null}
+                          style={{ fontSize: '12px', padding: '6px 10px' }}
+                        >
+                          Kalıcı sil
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))
+              ) : (
+                <tr>
+                  <td colSpan="4" className="muted">
+                    {loading ? 'Loading…' : 'Çöp kutusu boş'}
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="row between">
+          <div className="muted">Toplam: {data.total}</div>
+          <div className="row">
+            <button
+              className="btn"
+              onClick={() => load(Math.max(0, offset - PAGE_SIZE))}
+              disabled={loading || offset === 0}
+            >
+              Prev
+            </button>
+            <button
+              className="btn"
+              onClick={() => load(offset + PAGE_SIZE)}
+              disabled={loading || offset + PAGE_SIZE >= data.total}
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,5 +1,6 @@
-import { useMemo, useState } from 'react';
+import { useState } from 'react';
 import { postFormData } from '../api.js';
+import useSupportedFormats, { formatMaxSize } from '../useSupportedFormats.js';
 
 function formatKB(bytes) {
   if (typeof bytes !== 'number') return '-';
@@ -12,7 +13,8 @@ export default function UploadCard({ onUploaded }) {
   const [error, setError] = useState('');
   const [uploaded, setUploaded] = useState(null);
 
-  const accept = useMemo(() => '.pdf,.txt', []);
+  const supported = useSupportedFormats();
+  const accept = supported.accept;
 
   async function handleUpload(e) {
     e.preventDefault();
@@ -42,7 +44,7 @@ export default function UploadCard({ onUploaded }) {
     <section className="card">
       <div className="cardHeader">
         <h2>Upload</h2>
-        <p className="muted">PDF or TXT (max 10MB)</p>
+        <p className="muted">{supported.description} (max {formatMaxSize(supported.maxFileSizeBytes)})</p>
       </div>
 
       <form className="row" onSubmit={handleUpload}>
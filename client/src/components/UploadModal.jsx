@@ -1,38 +1,189 @@
-import { useMemo, useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import { postFormData } from '../api.js';
+import useSupportedFormats, { formatMaxSize } from '../useSupportedFormats.js';
+import { uploadResumable } from '../resumableUpload.js';
+import { describeJobProgress, waitForJob } from '../jobs.js';
 
 function formatKB(bytes) {
   if (typeof bytes !== 'number') return '-';
   return `${Math.max(1, Math.round(bytes / 1024))} KB`;
 }
 
+const STATUS_LABELS = {
+  pending: 'Bekliyor',
+  uploading: 'Yükleniyor…',
+  queued: 'Kuyrukta',
+  processing: 'İşleniyor…',
+  ready: 'Hazır',
+  duplicate: 'Zaten var',
+  unsupported: 'Desteklenmiyor',
+  failed: 'Başarısız',
+  tooLarge: 'Çok büyük'
+};
+
+// Batch result status of a failed resumable upload
+function statusFromError(err) {
+  if (err?.code === 'DUPLICATE_DOC') return 'duplicate';
+  if (err?.code === 'UNSUPPORTED_MEDIA_TYPE') return 'unsupported';
+  if (err?.code === 'FILE_TOO_LARGE') return 'tooLarge';
+  return 'failed';
+}
+
 export default function UploadModal({ onClose, onUploaded }) {
-  const [file, setFile] = useState(null);
+  // [{ file, status, message }]
+  const [items, setItems] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
-  const [uploaded, setUploaded] = useState(null);
+  const [dragOver, setDragOver] = useState(false);
+  const [summary, setSummary] = useState(null);
+  // Stops job polling once the modal is closed
+  const closedRef = useRef(false);
+
+  useEffect(() => () => {
+    closedRef.current = true;
+  }, []);
+
+  const supported = useSupportedFormats();
+  const accept = supported.accept;
 
-  const accept = useMemo(() => '.pdf,.txt', []);
+  // Limit of the resumable upload API for the file's format (0 = unknown format)
+  function resumableLimit(file) {
+    const ext = `.${(file.name.split('.').pop() || '').toLowerCase()}`;
+    const format = (supported.formats || []).find((f) => (f.extensions || []).includes(ext));
+    return format?.resumableMaxBytes || 0;
+  }
+
+  function addFiles(fileList) {
+    const files = Array.from(fileList || []);
+    if (!files.length) return;
+    setError('');
+    setSummary(null);
+    setItems((prev) => [
+      // Keep earlier selections unless they were already uploaded
+      ...prev.filter((it) => it.status === 'pending' || it.status === 'tooLarge'),
+      ...files.map((file) => {
+        // Files above the multipart limit go through the resumable upload API
+        const resumable = file.size > supported.maxFileSizeBytes;
+        const tooLarge = resumable && file.size > resumableLimit(file);
+        return { file, resumable, status: tooLarge ? 'tooLarge' : 'pending', message: '' };
+      })
+    ]);
+  }
+
+  function updateItem(file, patch) {
+    setItems((prev) => prev.map((it) => (it.file === file ? { ...it, ...patch } : it)));
+  }
+
+  // Follow the ingest job of an accepted file until its document is ready or failed
+  async function trackJob(file, jobId) {
+    try {
+      const job = await waitForJob(jobId, {
+        isCancelled: () => closedRef.current,
+        onUpdate: (j) => {
+          if (j.status === 'queued' || j.status === 'running') {
+            updateItem(file, { status: j.status === 'running' ? 'processing' : 'queued', message: describeJobProgress(j) });
+          }
+        }
+      });
+      if (!job) return;
+      if (job.status === 'succeeded') {
+        updateItem(file, { status: 'ready', message: `${job.result?.charCount ?? 0} karakter` });
+      } else {
+        updateItem(file, { status: 'failed', message: job.error?.message || '' });
+      }
+    } catch (err) {
+      updateItem(file, { message: err?.message || 'İş durumu alınamadı' });
+    }
+  }
+
+  async function uploadBatch(queue) {
+    const fd = new FormData();
+    for (const it of queue) fd.append('files', it.file);
+    const result = await postFormData('/api/docs/upload/batch', fd);
+
+    // results[].index follows the order files were appended
+    const byFile = new Map(queue.map((it, i) => [it.file, result.results?.find((r) => r.index === i)]));
+    setItems((prev) =>
+      prev.map((it) => {
+        if (!byFile.has(it.file)) return it;
+        const r = byFile.get(it.file);
+        // Files rejected on their own (too large) are labelled like failed resumable uploads
+        const status = r ? (r.status === 'rejected' ? statusFromError(r.error) : r.status) : 'failed';
+        return { ...it, status, message: r?.error?.message || '' };
+      })
+    );
+    for (const [file, r] of byFile) {
+      if (r?.jobId) trackJob(file, r.jobId);
+    }
+    return { ...result, failed: (result.failed || 0) + (result.rejected || 0) };
+  }
+
+  async function uploadLarge(queue) {
+    const counts = { queued: 0, duplicates: 0, unsupported: 0, failed: 0 };
+    // One at a time: each file already streams in parts
+    for (const it of queue) {
+      try {
+        const accepted = await uploadResumable(it.file, {
+          onProgress: (ratio) => updateItem(it.file, { message: `%${Math.round(ratio * 100)}` })
+        });
+        counts.queued++;
+        updateItem(it.file, { status: 'queued', message: '' });
+        trackJob(it.file, accepted.jobId);
+      } catch (err) {
+        const status = statusFromError(err);
+        if (status === 'duplicate') counts.duplicates++;
+        else if (status === 'unsupported') counts.unsupported++;
+        else counts.failed++;
+        updateItem(it.file, { status, message: err?.message || '' });
+      }
+    }
+    return counts;
+  }
+
+  function removeItem(idx) {
+    setItems((prev) => prev.filter((_, i) => i !== idx));
+  }
+
+  function handleDrop(e) {
+    e.preventDefault();
+    setDragOver(false);
+    if (loading) return;
+    addFiles(e.dataTransfer?.files);
+  }
 
   async function handleUpload(e) {
     e.preventDefault();
     setError('');
-    setUploaded(null);
+    setSummary(null);
 
-    if (!file) {
-      setError('Please select a file');
+    // Files over the size limit stay behind
+    const queue = items.filter((it) => it.status === 'pending');
+    if (!queue.length) {
+      setError('Please select at least one file');
       return;
     }
 
     setLoading(true);
+    setItems((prev) => prev.map((it) => (it.status === 'pending' ? { ...it, status: 'uploading' } : it)));
     try {
-      const fd = new FormData();
-      fd.append('file', file);
-      const result = await postFormData('/api/docs/upload', fd);
-      setUploaded(result);
-      onUploaded?.(result);
+      const small = queue.filter((it) => !it.resumable);
+      const large = queue.filter((it) => it.resumable);
+
+      const totals = { queued: 0, duplicates: 0, unsupported: 0, failed: 0 };
+      for (const result of [
+        small.length ? await uploadBatch(small) : null,
+        large.length ? await uploadLarge(large) : null
+      ]) {
+        if (!result) continue;
+        for (const key of Object.keys(totals)) totals[key] += result[key] || 0;
+      }
+
+      setSummary(totals);
+      // Accepted documents are listed right away as pending
+      if (totals.queued > 0) onUploaded?.(totals);
     } catch (err) {
       setError(err?.message || 'Upload failed');
+      setItems((prev) => prev.map((it) => (it.status === 'uploading' ? { ...it, status: 'pending' } : it)));
     } finally {
       setLoading(false);
     }
@@ -46,60 +197,91 @@ export default function UploadModal({ onClose, onUploaded }) {
           <button className="btn" onClick={onClose}>✕</button>
         </div>
 
-        <p className="muted" style={{ marginBottom: '14px' }}>PDF or TXT (max 10MB)</p>
-
-        <form className="row" onSubmit={handleUpload}>
-          <input
-            type="file"
-            accept={accept}
-            onChange={(e) => setFile(e.target.files?.[0] || null)}
-            disabled={loading}
-          />
-          <button className="btn primary" type="submit" disabled={loading}>
-            {loading ? 'Uploading…' : 'Upload'}
-          </button>
+        <p className="muted" style={{ marginBottom: '14px' }}>
+          {supported.description} (max {formatMaxSize(supported.maxFileSizeBytes)}; daha büyük dosyalar parça parça yüklenir)
+        </p>
+
+        <form onSubmit={handleUpload}>
+          <label
+            className={`dropZone${dragOver ? ' active' : ''}`}
+            onDragOver={(e) => {
+              e.preventDefault();
+              setDragOver(true);
+            }}
+            onDragLeave={() => setDragOver(false)}
+            onDrop={handleDrop}
+          >
+            <input
+              type="file"
+              multiple
+              accept={accept}
+              onChange={(e) => {
+                addFiles(e.target.files);
+                e.target.value = '';
+              }}
+              disabled={loading}
+            />
+            <span className="muted">Dosyaları buraya sürükleyin veya seçmek için tıklayın</span>
+          </label>
+
+          <div className="row" style={{ marginTop: '12px' }}>
+            <button className="btn primary" type="submit" disabled={loading || !items.some((it) => it.status === 'pending')}>
+              {loading ? 'Uploading…' : 'Upload'}
+            </button>
+            {items.length ? (
+              <button className="btn" type="button" onClick={() => setItems([])} disabled={loading}>
+                Clear
+              </button>
+            ) : null}
+          </div>
         </form>
 
         {error ? <div className="errorBox">{error}</div> : null}
 
-        {uploaded ? (
+        {summary ? (
           <div className="successBox">
-            <div className="successTitle">Uploaded</div>
-            <div className="grid2">
-              <div>
-                <div className="label">originalName</div>
-                <div className="value">{uploaded.originalName || '-'}</div>
-              </div>
-              <div>
-                <div className="label">mimeType</div>
-                <div className="value">{uploaded.mimeType || '-'}</div>
-              </div>
-              <div>
-                <div className="label">size</div>
-                <div className="value">{formatKB(uploaded.size)}</div>
-              </div>
-              <div>
-                <div className="label">createdAt</div>
-                <div className="value">{uploaded.createdAt || uploaded.uploadedAt || '-'}</div>
-              </div>
+            <div className="successTitle">
+              {summary.queued} dosya işleme kuyruğuna alındı
+              {summary.duplicates ? `, ${summary.duplicates} zaten var` : ''}
+              {summary.unsupported + summary.failed ? `, ${summary.unsupported + summary.failed} başarısız` : ''}
             </div>
+          </div>
+        ) : null}
 
-            {uploaded.extractedText ? (
-              <div className="previewBox">
-                <div className="label">extractedText</div>
-                <div className="muted">
-                  charCount: {uploaded.extractedText.charCount ?? 0}
-                </div>
-                <pre className="preview">{uploaded.extractedText.preview || ''}</pre>
-              </div>
-            ) : (
-              <div className="muted">No extractedText in response.</div>
-            )}
+        {items.length ? (
+          <div className="tableWrap" style={{ marginTop: '16px' }}>
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Dosya</th>
+                  <th className="right">Boyut</th>
+                  <th>Durum</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {items.map((it, idx) => (
+                  <tr key={`${it.file.name}-${it.file.lastModified}-${idx}`}>
+                    <td className="mono">{it.file.name}</td>
+                    <td className="right mono">{formatKB(it.file.size)}</td>
+                    <td>
+                      <span className={`uploadStatus ${it.status}`}>{STATUS_LABELS[it.status] || it.status}</span>
+                      {it.message ? <div className="muted" style={{ fontSize: '12px' }}>{it.message}</div> : null}
+                    </td>
+                    <td className="right">
+                      {it.status === 'pending' || it.status === 'tooLarge' ? (
+                        <button className="btn" type="button" onClick={() => removeItem(idx)} disabled={loading}>
+                          ✕
+                        </button>
+                      ) : null}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
           </div>
         ) : null}
       </div>
     </div>
   );
 }
-
-
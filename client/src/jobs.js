@@ -0,0 +1,45 @@
+import { getJSON } from './api.js';
+
+const POLL_INTERVAL_MS = 1500;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Poll GET /api/jobs/:id until the job succeeded or failed for good
+ * @param {string} jobId
+ * @param {{ onUpdate?: (job: Object) => void, isCancelled?: () => boolean }} [options]
+ * @returns {Promise<Object|null>} - Finished job, null when cancelled
+ */
+export async function waitForJob(jobId, { onUpdate, isCancelled } = {}) {
+  for (;;) {
+    if (isCancelled?.()) return null;
+    const job = await getJSON(`/api/jobs/${jobId}`);
+    onUpdate?.(job);
+    if (job.status === 'succeeded' || job.status === 'failed') return job;
+    await sleep(POLL_INTERVAL_MS);
+  }
+}
+
+const STEP_LABELS = {
+  extract: 'Metin çıkarılıyor',
+  store: 'Kaydediliyor',
+  index: 'İndeksleniyor',
+  summary: 'Özet oluşturuluyor',
+  map: 'Bölümler özetleniyor',
+  reduce: 'Bölüm özetleri birleştiriliyor'
+};
+
+/**
+ * Short progress text of a running or retrying job
+ * @param {Object} job
+ * @returns {string}
+ */
+export function describeJobProgress(job) {
+  if (job.status === 'queued') {
+    return job.attempts > 0 ? `Yeniden denenecek (${job.attempts}/${job.maxAttempts})` : 'Sırada';
+  }
+  const step = STEP_LABELS[job.step] || job.step || '';
+  return `${step} %${job.progress ?? 0}`.trim();
+}
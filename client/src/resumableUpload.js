@@ -0,0 +1,49 @@
+import { getJSON, postJSON, patchBinary } from './api.js';
+
+// Size of each PATCH request; a dropped connection only loses the current part
+const PART_SIZE = 5 * 1024 * 1024;
+const MAX_RETRIES = 5;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Network errors have no status; 5xx and offset conflicts are worth resuming from the server offset
+function isRetryable(err) {
+  return !err.status || err.status >= 500 || err.code === 'OFFSET_MISMATCH' || err.code === 'UPLOAD_LOCKED';
+}
+
+/**
+ * Upload a file through /api/uploads (init -> PATCH parts -> complete)
+ * @param {File} file
+ * @param {{ onProgress?: (ratio: number) => void }} [options]
+ * @returns {Promise<Object>} - Accepted upload: { jobId, job, document } (same shape as POST /api/docs/upload)
+ */
+export async function uploadResumable(file, { onProgress } = {}) {
+  const session = await postJSON('/api/uploads', {
+    fileName: file.name,
+    mimeType: file.type,
+    size: file.size
+  });
+  const url = `/api/uploads/${session.uploadId}`;
+
+  let offset = session.offset || 0;
+  let retries = 0;
+  while (offset < file.size) {
+    try {
+      const part = file.slice(offset, Math.min(offset + PART_SIZE, file.size));
+      const res = await patchBinary(url, part, { 'Upload-Offset': String(offset) });
+      offset = res.offset;
+      retries = 0;
+      onProgress?.(offset / file.size);
+    } catch (err) {
+      if (!isRetryable(err) || ++retries > MAX_RETRIES) throw err;
+      await sleep(1000 * retries);
+      // Resume from whatever reached the server
+      const status = await getJSON(url);
+      offset = status.offset;
+    }
+  }
+
+  return await postJSON(`${url}/complete`, {});
+}
@@ -0,0 +1,36 @@
+// Display labels of summary kinds and long-summary options (shared by the detail view and history)
+
+export const LONG_SUMMARY_LEVELS = [
+  { value: 'medium', label: 'Orta' },
+  { value: 'long', label: 'Uzun' }
+];
+
+export const LONG_SUMMARY_FORMATS = [
+  { value: 'structured', label: 'Başlıklı' },
+  { value: 'bullets', label: 'Madde işaretli' }
+];
+
+export const SUMMARY_TITLES = {
+  short: 'Kısa Özet',
+  long: 'Uzun Özet'
+};
+
+export function labelOf(options, value) {
+  return options.find((o) => o.value === value)?.label || value;
+}
+
+/**
+ * One-line description of a stored summary: level/format (long), date and model
+ * @param {Object} summary - { kind, level, format, createdAt, model }
+ * @returns {string}
+ */
+export function describeSummaryMeta(summary) {
+  const parts = [];
+  if (summary.kind === 'long') {
+    if (summary.level) parts.push(`Seviye: ${labelOf(LONG_SUMMARY_LEVELS, summary.level)}`);
+    if (summary.format) parts.push(`Biçim: ${labelOf(LONG_SUMMARY_FORMATS, summary.format)}`);
+  }
+  if (summary.createdAt) parts.push(`Oluşturulma: ${summary.createdAt}`);
+  if (summary.model) parts.push(`Model: ${summary.model}`);
+  return parts.join(' • ');
+}
@@ -0,0 +1,48 @@
+import { useEffect, useState } from 'react';
+import { getJSON } from './api.js';
+
+// Used until /api/formats answers (or if it fails)
+const FALLBACK = {
+  formats: [],
+  accept: '.pdf,.txt',
+  description: 'PDF and TXT',
+  maxFileSizeBytes: 10 * 1024 * 1024
+};
+
+// One request per page load; every upload form shares the result
+let pending = null;
+
+function loadFormats() {
+  if (!pending) {
+    pending = getJSON('/api/formats').catch((err) => {
+      pending = null;
+      throw err;
+    });
+  }
+  return pending;
+}
+
+export function formatMaxSize(bytes) {
+  if (typeof bytes !== 'number') return '-';
+  return `${Math.round(bytes / (1024 * 1024))}MB`;
+}
+
+export default function useSupportedFormats() {
+  const [formats, setFormats] = useState(FALLBACK);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadFormats()
+      .then((res) => {
+        if (!cancelled && res && typeof res.accept === 'string') setFormats(res);
+      })
+      .catch(() => {
+        // keep fallback
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return formats;
+}
@@ -0,0 +1,73 @@
+// Word-level diff of two texts (longest common subsequence over whitespace-separated words)
+
+// Above this many LCS cells the changed middle is shown as one removal plus one addition
+const MAX_CELLS = 4000000;
+
+function push(out, type, word) {
+  const last = out[out.length - 1];
+  if (last && last.type === type) last.words.push(word);
+  else out.push({ type, words: [word] });
+}
+
+/**
+ * Diff two texts word by word
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array<{ type: 'same'|'removed'|'added', text: string }>} runs in reading order
+ */
+export function diffWords(before, after) {
+  const a = String(before || '').split(/\s+/).filter(Boolean);
+  const b = String(after || '').split(/\s+/).filter(Boolean);
+
+  // Common prefix and suffix need no table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const out = [];
+  a.slice(0, start).forEach((w) => push(out, 'same', w));
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const n = midA.length;
+  const m = midB.length;
+
+  if ((n + 1) * (m + 1) > MAX_CELLS) {
+    midA.forEach((w) => push(out, 'removed', w));
+    midB.forEach((w) => push(out, 'added', w));
+  } else {
+    // lcs[i * (m + 1) + j] = LCS length of midA[i..] and midB[j..]
+    const lcs = new Uint32Array((n + 1) * (m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * (m + 1) + j] = midA[i] === midB[j]
+          ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+          : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (midA[i] === midB[j]) {
+        push(out, 'same', midA[i]);
+        i++;
+        j++;
+      } else if (lcs[(i + 1) * (m + 1) + j] >= lcs[i * (m + 1) + j + 1]) {
+        push(out, 'removed', midA[i++]);
+      } else {
+        push(out, 'added', midB[j++]);
+      }
+    }
+    while (i < n) push(out, 'removed', midA[i++]);
+    while (j < m) push(out, 'added', midB[j++]);
+  }
+
+  a.slice(endA).forEach((w) => push(out, 'same', w));
+  return out.map((run) => ({ type: run.type, text: run.words.join(' ') }));
+}
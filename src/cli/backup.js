@@ -0,0 +1,100 @@
+/**
+ * Backup CLI
+ *   node src/cli/backup.js export [file]            write a backup archive (default backups/backup-<time>.tar.gz)
+ *   node src/cli/backup.js import <file> [--merge]  restore an archive into this instance
+ * The archive holds an online backup of the database, the original files and a manifest with their
+ * hashes (see src/services/backupService.js); exporting is safe while the server runs.
+ * Import refuses an instance that has documents unless --merge is given; documents whose SHA-256
+ * is already here are skipped then.
+ * Exit code: 0 done, 1 failed, 2 archive written but files of documents are missing from it
+ * (listed as skipped; documents whose ingestion failed have no file and do not count).
+ * Uses the same database and storage as the server (DB_PATH, STORAGE_DRIVER, ...).
+ */
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const db = require('../db');
+const { getMigrationStatus } = require('../db/migrate');
+
+// Exit code of an export that left out files it should have archived
+const INCOMPLETE = 2;
+
+function usage() {
+  console.log('Usage: node src/cli/backup.js export [file]');
+  console.log('       node src/cli/backup.js import <file> [--merge]');
+}
+
+function defaultArchivePath() {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return path.join(process.cwd(), 'backups', `backup-${stamp}.tar.gz`);
+}
+
+async function runExport(backupService, args) {
+  const target = path.resolve(args[0] || defaultArchivePath());
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+
+  const output = fs.createWriteStream(target);
+  try {
+    const manifest = await backupService.exportBackup(output);
+    console.log(`Wrote ${target}`);
+    console.log(`${manifest.documents} documents, ${manifest.files.length} files, schema version ${manifest.schemaVersion}`);
+    for (const skip of manifest.skipped) {
+      console.log(`  skipped ${skip.docId} (${skip.originalName}): ${skip.reason}`);
+    }
+    if (!manifest.complete) {
+      console.error('Warning: the archive is incomplete, files of some documents are missing');
+      return INCOMPLETE;
+    }
+    return 0;
+  } catch (error) {
+    output.destroy();
+    fs.rmSync(target, { force: true });
+    throw error;
+  }
+}
+
+async function runImport(backupService, args) {
+  const file = args.find((arg) => !arg.startsWith('--'));
+  if (!file) {
+    usage();
+    return 1;
+  }
+
+  const report = await backupService.importBackup(path.resolve(file), { merge: args.includes('--merge') });
+  console.log(`Backup of ${report.backup.createdAt} (schema version ${report.backup.schemaVersion})`);
+  console.log(`Imported ${report.imported} documents with ${report.summaries} summaries`);
+  for (const r of report.renamed) console.log(`  ${r.docId} imported as ${r.newDocId} (id taken)`);
+  for (const d of report.duplicates) {
+    console.log(`  duplicate ${d.docId} (${d.originalName}): same file as ${d.existingDocumentId}`);
+  }
+  for (const q of report.queued) console.log(`  ${q.docId} queued for ingestion (job ${q.jobId})`);
+  for (const s of report.skipped) console.log(`  skipped ${s.docId} (${s.originalName}): ${s.reason}`);
+  return 0;
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  if (command !== 'export' && command !== 'import') {
+    usage();
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    if (getMigrationStatus(db).pending.length > 0) {
+      throw new Error('Database has pending migrations; run npm run migrate first');
+    }
+
+    // Loaded after the schema check: the service reads from the documents table
+    const backupService = require('../services/backupService');
+    const run = command === 'export' ? runExport : runImport;
+    process.exitCode = await run(backupService, args);
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  } finally {
+    db.close();
+  }
+}
+
+main();
@@ -0,0 +1,92 @@
+/**
+ * Storage consistency check CLI
+ *   node src/cli/fsck.js [--repair] [--skip-hashes] [--min-age <minutes>] [--json]
+ * Reports orphan uploads and blobs, missing files, hash mismatches and full-text index drift
+ * (see src/services/storageCheckService.js). Dry run unless --repair is given.
+ * Exit code: 0 consistent (or everything repaired), 1 issues left, 2 the check itself failed.
+ * Uses the same database and storage as the server (DB_PATH, STORAGE_DRIVER, ...).
+ */
+require('dotenv').config();
+const db = require('../db');
+const { getMigrationStatus } = require('../db/migrate');
+
+function usage() {
+  console.log('Usage: node src/cli/fsck.js [--repair] [--skip-hashes] [--min-age <minutes>] [--json]');
+}
+
+function parseArgs(args) {
+  const options = { repair: false, verifyHashes: true, json: false };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--repair') options.repair = true;
+    else if (arg === '--skip-hashes') options.verifyHashes = false;
+    else if (arg === '--json') options.json = true;
+    else if (arg === '--min-age') {
+      options.minUploadAgeMinutes = Number(args[++i]);
+      if (!Number.isFinite(options.minUploadAgeMinutes) || options.minUploadAgeMinutes < 0) {
+        throw new Error('--min-age needs a number of minutes');
+      }
+    } else {
+      return null;
+    }
+  }
+  return options;
+}
+
+function describeIssue(issue) {
+  const subject = issue.docId
+    ? `${issue.docId}${issue.originalName ? ` (${issue.originalName})` : ''}`
+    : issue.location;
+  const repair = issue.repair || 'no automatic repair';
+  let outcome = '';
+  if (issue.repaired === true) outcome = issue.quarantinedTo ? ` -> ${issue.quarantinedTo}` : ' -> done';
+  if (issue.repaired === false) outcome = ` -> FAILED: ${issue.error}`;
+  return `  ${issue.type.padEnd(14)} ${subject} [${repair}]${outcome}`;
+}
+
+function printReport(report) {
+  const { checked } = report;
+  console.log(`${report.dryRun ? 'Dry run' : 'Repair run'} at ${report.checkedAt}`);
+  console.log(`Checked ${checked.documents} documents, ${checked.blobs} blobs, ${checked.uploads} uploads`
+    + `${checked.index ? '' : ' (no full-text index)'}${report.verifyHashes ? '' : ', hashes not verified'}`);
+
+  if (report.issues.length === 0) {
+    console.log('No issues found.');
+    return;
+  }
+  for (const issue of report.issues) console.log(describeIssue(issue));
+  if (report.dryRun) console.log(`${report.issues.length} issue(s). Run with --repair to apply the repairs.`);
+  else console.log(`${report.summary.repaired} of ${report.issues.length} issue(s) repaired.`);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options) {
+    usage();
+    process.exitCode = 2;
+    return;
+  }
+
+  try {
+    if (getMigrationStatus(db).pending.length > 0) {
+      throw new Error('Database has pending migrations; run npm run migrate first');
+    }
+
+    // Loaded after the schema check: the service reads from the documents table
+    const { checkStorage } = require('../services/storageCheckService');
+    const report = await checkStorage(options);
+
+    if (options.json) console.log(JSON.stringify(report, null, 2));
+    else printReport(report);
+
+    const unresolved = report.issues.filter((i) => !i.repaired).length;
+    process.exitCode = unresolved > 0 ? 1 : 0;
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 2;
+  } finally {
+    db.close();
+  }
+}
+
+main();
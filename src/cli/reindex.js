@@ -0,0 +1,82 @@
+/**
+ * Full-text index rebuild CLI
+ *   node src/cli/reindex.js [--check] [--json]
+ * Rebuilds documents_fts with the current search normalization settings (SEARCH_FOLD_DIACRITICS,
+ * SEARCH_TURKISH_CASE, SEARCH_STEMMER; see src/utils/searchText.js). Run it after changing them.
+ * With --check only reports whether the index matches the settings.
+ * Exit code: 0 rebuilt (or up to date), 1 --check found the index out of date, 2 failure.
+ * Uses the same database as the server (DB_PATH).
+ */
+require('dotenv').config();
+const db = require('../db');
+const { getMigrationStatus } = require('../db/migrate');
+
+function usage() {
+  console.log('Usage: node src/cli/reindex.js [--check] [--json]');
+}
+
+function parseArgs(args) {
+  const options = { check: false, json: false };
+  for (const arg of args) {
+    if (arg === '--check') options.check = true;
+    else if (arg === '--json') options.json = true;
+    else return null;
+  }
+  return options;
+}
+
+function describeSettings(settings) {
+  if (!settings) return 'unknown';
+  return `${settings.tokenize}, turkishCase=${settings.turkishCase}, stemmer=${settings.stemmer}`;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options) {
+    usage();
+    process.exitCode = 2;
+    return;
+  }
+
+  try {
+    if (getMigrationStatus(db).pending.length > 0) {
+      throw new Error('Database has pending migrations; run npm run migrate first');
+    }
+
+    // Loaded after the schema check: the service reads search_index_settings
+    const { getSearchIndexStatus, rebuildSearchIndex } = require('../services/searchIndexService');
+
+    if (options.check) {
+      const status = getSearchIndexStatus();
+      if (options.json) {
+        console.log(JSON.stringify(status, null, 2));
+      } else if (!status.available) {
+        console.log('No full-text index (SQLite without FTS5); search uses the LIKE fallback.');
+      } else {
+        console.log(`Settings:     ${describeSettings(status.settings)}`);
+        console.log(`Indexed with: ${describeSettings(status.indexedWith)}`);
+        console.log(status.upToDate
+          ? `Index is up to date (${status.documents} documents, ${status.passages} passages).`
+          : 'Index is out of date. Run npm run reindex to rebuild it.');
+      }
+      process.exitCode = status.available && !status.upToDate ? 1 : 0;
+      return;
+    }
+
+    const result = rebuildSearchIndex();
+    if (options.json) {
+      console.log(JSON.stringify(result, null, 2));
+    } else {
+      console.log(`Rebuilt the full-text index: ${result.documents} documents, ${result.passages} passages in ${result.durationMs} ms`);
+      console.log(`Settings: ${describeSettings(result.settings)}`);
+    }
+    process.exitCode = 0;
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 2;
+  } finally {
+    db.close();
+  }
+}
+
+main();
@@ -0,0 +1,95 @@
+/**
+ * Admin controller
+ * GET  /api/admin/fsck   -> storage consistency report (dry run)
+ * POST /api/admin/fsck   -> same check; repairs only with { "repair": true }
+ * GET  /api/admin/export -> backup archive (.tar.gz, see services/backupService)
+ * GET  /api/admin/search-index         -> whether the full-text index matches the search settings
+ * POST /api/admin/search-index/rebuild -> rebuild it with the current settings
+ */
+const AppError = require('../errors/AppError');
+const storageCheckService = require('../services/storageCheckService');
+const backupService = require('../services/backupService');
+const searchIndexService = require('../services/searchIndexService');
+
+function parseBoolean(value, name, defaultValue) {
+  if (value === undefined || value === null || value === '') return defaultValue;
+  if (value === true || value === 'true' || value === '1') return true;
+  if (value === false || value === 'false' || value === '0') return false;
+  throw new AppError({ statusCode: 400, code: 'BAD_REQUEST', message: `${name} must be true or false` });
+}
+
+function parseMinutes(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const minutes = Number(value);
+  if (!Number.isFinite(minutes) || minutes < 0) {
+    throw new AppError({ statusCode: 400, code: 'BAD_REQUEST', message: 'minUploadAgeMinutes must be a non-negative number' });
+  }
+  return minutes;
+}
+
+async function runCheck(options, res, next) {
+  try {
+    const report = await storageCheckService.checkStorage({
+      repair: parseBoolean(options.repair, 'repair', false),
+      verifyHashes: parseBoolean(options.verifyHashes, 'verifyHashes', true),
+      minUploadAgeMinutes: parseMinutes(options.minUploadAgeMinutes)
+    });
+    res.setHeader('Cache-Control', 'no-store');
+    return res.json(report);
+  } catch (error) {
+    if (error.statusCode && error.code) return next(error);
+    return next(new AppError({ statusCode: 500, code: 'INTERNAL_ERROR', message: 'Storage check failed', cause: error }));
+  }
+}
+
+/**
+ * Storage consistency report; never repairs
+ */
+exports.getStorageCheck = (req, res, next) => runCheck({ ...req.query, repair: false }, res, next);
+
+/**
+ * Storage consistency check with optional repair (dry run unless body.repair is true)
+ */
+exports.runStorageCheck = (req, res, next) => runCheck(req.body || {}, res, next);
+
+/**
+ * Download a backup archive of the database and all original files
+ */
+exports.exportBackup = async (req, res, next) => {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  res.attachment(`backup-${stamp}.tar.gz`);
+  res.setHeader('Content-Type', 'application/gzip');
+  res.setHeader('Cache-Control', 'no-store');
+  try {
+    await backupService.exportBackup(res);
+  } catch (error) {
+    // Headers (and maybe part of the archive) are out: a cut connection is the only signal left
+    if (res.headersSent) return res.destroy(error);
+    if (error.statusCode && error.code) return next(error);
+    return next(new AppError({ statusCode: 500, code: 'INTERNAL_ERROR', message: 'Backup failed', cause: error }));
+  }
+};
+
+/**
+ * Full-text index status: settings it was built with and whether they are the current ones
+ */
+exports.getSearchIndex = (req, res, next) => {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+    return res.json(searchIndexService.getSearchIndexStatus());
+  } catch (error) {
+    return next(new AppError({ statusCode: 500, code: 'INTERNAL_ERROR', message: 'Search index status failed', cause: error }));
+  }
+};
+
+/**
+ * Rebuild the full-text index with the current settings
+ */
+exports.rebuildSearchIndex = (req, res, next) => {
+  try {
+    return res.json(searchIndexService.rebuildSearchIndex());
+  } catch (error) {
+    if (error.statusCode && error.code) return next(error);
+    return next(new AppError({ statusCode: 500, code: 'INTERNAL_ERROR', message: 'Search index rebuild failed', cause: error }));
+  }
+};
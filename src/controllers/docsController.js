@@ -1,39 +1,18 @@
-const path = require('path');
-const fs = require('fs');
-const db = require('../db');
-const hashFile = require('../utils/hashFile');
+const AppError = require('../errors/AppError');
 const documentsRepo = require('../repositories/documentsRepo');
 const summariesRepo = require('../repositories/summariesRepo');
-const textExtractor = require('../services/textExtractor');
-const { generateSummary } = require('../services/summaryService');
-const AppError = require('../errors/AppError');
-
-function resolveStoredFilePath({ storedPath, storedName }) {
-  const candidates = [];
-  if (storedPath) {
-    candidates.push(path.normalize(storedPath));
-    if (!path.isAbsolute(storedPath)) {
-      candidates.push(path.resolve(process.cwd(), storedPath));
-    }
-  }
-
-  const uploadsDirs = [
-    process.env.UPLOADS_DIR,
-    path.join(process.cwd(), 'uploads'),
-    path.join(process.cwd(), 'uploads-test')
-  ].filter(Boolean);
-
-  if (storedName) {
-    for (const dir of uploadsDirs) {
-      candidates.push(path.join(dir, storedName));
-    }
-  }
-
-  return candidates.find((p) => p && fs.existsSync(p)) || null;
-}
+const ingestionService = require('../services/ingestionService');
+const trashService = require('../services/trashService');
+const blobStore = require('../services/blobStore');
+const documentSummaryService = require('../services/documentSummaryService');
+const jobQueue = require('../services/jobQueue');
+const { describeMaxFileSize } = require('../middleware/upload');
+const { LONG_SUMMARY_LEVELS, LONG_SUMMARY_FORMATS } = require('../services/summaryService');
 
 /**
  * Upload a document
+ * The file is validated and stored right away; extraction and indexing run as a background job.
+ * Responds 202 with the job id (poll GET /api/jobs/:id) and the pending document.
  */
 exports.uploadDocument = async (req, res, next) => {
   if (!req.file) {
@@ -44,70 +23,9 @@ exports.uploadDocument = async (req, res, next) => {
   }
 
   try {
-    const { filename, originalname, mimetype, size, path: storedPath } = req.file;
-
-    // Extra safety: validate MIME here too (multer should already filter)
-    if (mimetype !== 'application/pdf' && mimetype !== 'text/plain') {
-      try { fs.unlinkSync(storedPath); } catch (_) {}
-      throw new AppError({ statusCode: 415, code: 'UNSUPPORTED_MEDIA_TYPE', message: 'Unsupported file type' });
-    }
-
-    // Calculate SHA256 hash
-    const sha256 = await hashFile(storedPath);
-
-    // Check for duplicate
-    const existingDoc = documentsRepo.getDocumentBySha256(sha256);
-    if (existingDoc) {
-      // Delete the uploaded file since it's a duplicate
-      try { fs.unlinkSync(storedPath); } catch (_) {}
-      
-      const error = new Error('Duplicate document');
-      error.statusCode = 409;
-      error.code = 'DUPLICATE_DOC';
-      return next(error);
-    }
-
-    // Extract text (PDF/TXT)
-    let extracted = null;
-    try {
-      extracted = await textExtractor.extractTextFromFile({ path: storedPath, mimeType: mimetype });
-    } catch (err) {
-      // On extraction failures, remove the uploaded file to avoid storing unusable content
-      try { fs.unlinkSync(storedPath); } catch (_) {}
-      throw err;
-    }
-
-    // Read original file bytes to store in DB (so download works without local uploads folder)
-    let contentBlob = null;
-    try {
-      contentBlob = await fs.promises.readFile(storedPath);
-    } catch (cause) {
-      // If we can't read the uploaded file, treat as unprocessable and remove it
-      try { fs.unlinkSync(storedPath); } catch (_) {}
-      const e = new AppError({ statusCode: 422, code: 'UNPROCESSABLE', message: 'File could not be stored', cause });
-      throw e;
-    }
-
-    // Create document record in database
-    const doc = documentsRepo.createDocument({
-      originalName: originalname,
-      storedName: filename,
-      storedPath: storedPath,
-      mimeType: mimetype,
-      size: size,
-      sha256: sha256,
-      contentText: extracted ? extracted.text : null,
-      contentBlob
-    });
-
-    const preview = extracted && extracted.text ? extracted.text.slice(0, 200) : '';
-    res.status(201).json({
-      ...doc,
-      extractedText: {
-        charCount: extracted ? extracted.charCount : 0,
-        preview
-      }
-    });
+    const accepted = await ingestionService.acceptUploadedFile(req.file);
+    res.setHeader('Location', `/api/jobs/${accepted.job.id}`);
+    res.status(202).json(ingestionService.toAcceptedResponse(accepted));
   } catch (error) {
     // If it's already a formatted error, pass it through
     if (error.statusCode && error.code) {
@@ -122,6 +40,89 @@ exports.uploadDocument = async (req, res, next) => {
   }
 };
 
+// Batch result status per error code (anything else is reported as 'failed')
+const BATCH_STATUS_BY_CODE = {
+  UNSUPPORTED_MEDIA_TYPE: 'unsupported',
+  FILE_TOO_LARGE: 'rejected',
+  DUPLICATE_DOC: 'duplicate'
+};
+
+function batchFailure(index, fileName, error) {
+  const formatted = error && error.statusCode && error.code;
+  const result = {
+    index,
+    fileName,
+    status: (formatted && BATCH_STATUS_BY_CODE[error.code]) || 'failed',
+    error: formatted
+      ? { code: error.code, message: error.message }
+      : { code: 'DB_ERROR', message: 'Database error' }
+  };
+  if (error && error.existingDocumentId) {
+    result.existingDocumentId = error.existingDocumentId;
+  }
+  if (error && error.inTrash) {
+    result.inTrash = true;
+  }
+  return result;
+}
+
+/**
+ * Upload many documents in one multipart request (field: files)
+ * Every file is accepted independently and gets its own ingest job; the response lists a result
+ * per file in upload order.
+ */
+exports.uploadDocumentsBatch = async (req, res, next) => {
+  // Files skipped by the upload middleware are listed in req.rejectedFiles
+  const accepted = Array.isArray(req.files) ? req.files.filter((f) => !f.rejected) : [];
+  const rejected = Array.isArray(req.rejectedFiles) ? req.rejectedFiles : [];
+
+  if (accepted.length === 0 && rejected.length === 0) {
+    const error = new Error('No file uploaded');
+    error.statusCode = 400;
+    error.code = 'NO_FILE';
+    return next(error);
+  }
+
+  const results = rejected.map((f) => batchFailure(f.uploadIndex, f.originalname, f.code === 'FILE_TOO_LARGE'
+    ? { statusCode: 413, code: 'FILE_TOO_LARGE', message: `File size too large. Max ${describeMaxFileSize()}.` }
+    : { statusCode: 415, code: 'UNSUPPORTED_MEDIA_TYPE', message: 'Unsupported file type' }));
+
+  for (const file of accepted) {
+    try {
+      const { document, job } = await ingestionService.acceptUploadedFile(file);
+      results.push({
+        index: file.uploadIndex,
+        fileName: file.originalname,
+        status: 'queued',
+        jobId: job.id,
+        document: {
+          id: document.id,
+          originalName: document.originalName,
+          mimeType: document.mimeType,
+          size: document.size,
+          createdAt: document.createdAt,
+          status: document.status
+        }
+      });
+    } catch (error) {
+      results.push(batchFailure(file.uploadIndex, file.originalname, error));
+    }
+  }
+
+  results.sort((a, b) => a.index - b.index);
+
+  const count = (status) => results.filter((r) => r.status === status).length;
+  res.status(200).json({
+    total: results.length,
+    queued: count('queued'),
+    duplicates: count('duplicate'),
+    unsupported: count('unsupported'),
+    rejected: count('rejected'),
+    failed: count('failed'),
+    results
+  });
+};
+
 /**
  * List all uploaded documents
  */
@@ -155,13 +156,15 @@ exports.getDocument = (req, res, next) => {
       return next(error);
     }
 
-    // Attach latest generated summary (if exists) from history table
+    // Attach current summaries (pinned, else latest) from the history table, keyed by kind;
+    // summary/summaryModel/summaryCreatedAt keep pointing at the current short summary
     try {
-      const latest = summariesRepo.getLatestSummaryByDocId(document.id);
-      if (latest && latest.summary) {
-        document.summary = latest.summary;
-        document.summaryModel = latest.model || null;
-        document.summaryCreatedAt = latest.createdAt || null;
+      const current = summariesRepo.getCurrentSummariesByDocId(document.id);
+      document.summaries = current;
+      if (current.short) {
+        document.summary = current.short.content;
+        document.summaryModel = current.short.model;
+        document.summaryCreatedAt = current.short.createdAt;
       }
     } catch (_) {
       // Non-fatal: return document without summary enrichment
@@ -176,296 +179,350 @@ exports.getDocument = (req, res, next) => {
   }
 };
 
-/**
- * Search documents by keyword
- */
-exports.searchDocuments = (req, res, next) => {
-  try {
-    const q = req.query.q || '';
-    const docId = req.query.docId || null;
+function badFilter(message) {
+  return new AppError({ statusCode: 400, code: 'BAD_REQUEST', message });
+}
 
-    if (!q || !q.trim()) {
-      const error = new Error('Missing query');
-      error.statusCode = 400;
-      error.code = 'BAD_REQUEST';
-      return next(error);
-    }
+// Repeated (?mimeType=a&mimeType=b) or comma separated
+function parseList(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values.flatMap((v) => String(v).split(',')).map((v) => v.trim()).filter(Boolean);
+}
 
-    const limit = parseInt(req.query.limit) || 20;
-    const offset = parseInt(req.query.offset) || 0;
+// YYYY-MM-DD or an ISO timestamp; a date alone means its first (from) or last (to) millisecond in UTC
+function parseDateFilter(value, name, endOfDay) {
+  if (value === undefined || value === '') return null;
+  const text = String(value).trim();
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(text);
+  const date = new Date(dateOnly ? `${text}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z` : text);
+  if (Number.isNaN(date.getTime())) throw badFilter(`${name} must be a date (YYYY-MM-DD) or an ISO timestamp`);
+  return date.toISOString();
+}
 
-    // If docId is provided, validate it exists
-    if (docId && docId.trim()) {
-      const doc = documentsRepo.getDocumentById(docId.trim());
-      if (!doc) {
-        const error = new Error('Document not found');
-        error.statusCode = 404;
-        error.code = 'NOT_FOUND';
-        return next(error);
-      }
-    }
+function parseSizeFilter(value, name) {
+  if (value === undefined || value === '') return null;
+  const size = Number(value);
+  if (!Number.isInteger(size) || size < 0) throw badFilter(`${name} must be a non-negative number of bytes`);
+  return size;
+}
 
-    const result = documentsRepo.searchDocumentsByKeyword(q.trim(), { limit, offset, docId: docId ? docId.trim() : null });
-    res.json(result);
-  } catch (error) {
-    // If it's already a formatted error, pass it through
-    if (error.statusCode && error.code) {
-      return next(error);
-    }
+function parseFuzzy(value) {
+  if (value === undefined || value === '') return true;
+  if (value === 'true' || value === '1') return true;
+  if (value === 'false' || value === '0') return false;
+  throw badFilter('fuzzy must be true or false');
+}
 
-    const dbError = new Error('Database error');
-    dbError.statusCode = 500;
-    dbError.code = 'DB_ERROR';
-    return next(dbError);
+const HIGHLIGHT_FORMATS = ['ranges', 'html'];
+
+function parseHighlightFormat(value) {
+  if (value === undefined || value === '') return 'ranges';
+  if (HIGHLIGHT_FORMATS.includes(value)) return value;
+  throw badFilter(`highlightFormat must be one of: ${HIGHLIGHT_FORMATS.join(', ')}`);
+}
+
+/**
+ * Search filters of the query string (see documentsRepo.searchDocumentsByKeyword)
+ * @throws {AppError} - BAD_REQUEST
+ */
+function parseSearchFilters(query) {
+  const filters = {
+    mimeTypes: query.mimeType === undefined ? [] : parseList(query.mimeType),
+    createdFrom: parseDateFilter(query.createdFrom, 'createdFrom', false),
+    createdTo: parseDateFilter(query.createdTo, 'createdTo', true),
+    minSize: parseSizeFilter(query.minSize, 'minSize'),
+    maxSize: parseSizeFilter(query.maxSize, 'maxSize')
+  };
+  if (filters.createdFrom && filters.createdTo && filters.createdFrom > filters.createdTo) {
+    throw badFilter('createdFrom must not be after createdTo');
   }
-};
+  if (filters.minSize !== null && filters.maxSize !== null && filters.minSize > filters.maxSize) {
+    throw badFilter('minSize must not be larger than maxSize');
+  }
+  return filters;
+}
 
 /**
- * Download a document by ID
+ * Query and options of a search request
+ * @param {Object} query - req.query
+ * @returns {{ q: string, options: Object }} options for documentsRepo.searchDocumentsByKeyword / searchPassages
+ * @throws {Error} - BAD_REQUEST (400), NOT_FOUND (404) for an unknown docId
  */
-exports.downloadDocument = (req, res, next) => {
-  try {
-    const { id } = req.params;
+function parseSearchRequest(query) {
+  const q = query.q || '';
+  const docId = query.docId || null;
 
-    // Get document from database
-    const document = documentsRepo.getDocumentFileById(id);
+  if (!q || !q.trim()) {
+    const error = new Error('Missing query');
+    error.statusCode = 400;
+    error.code = 'BAD_REQUEST';
+    throw error;
+  }
 
-    if (!document) {
-      const error = new Error('File not found');
+  // If docId is provided, validate it exists
+  if (docId && docId.trim()) {
+    const doc = documentsRepo.getDocumentById(docId.trim());
+    if (!doc) {
+      const error = new Error('Document not found');
       error.statusCode = 404;
       error.code = 'NOT_FOUND';
-      return next(error);
+      throw error;
+    }
+  }
+
+  return {
+    q: q.trim(),
+    options: {
+      limit: parseInt(query.limit) || 20,
+      offset: parseInt(query.offset) || 0,
+      docId: docId ? docId.trim() : null,
+      fuzzy: parseFuzzy(query.fuzzy),
+      filters: parseSearchFilters(query)
     }
+  };
+}
 
-    // Resolve stored path robustly (support moved workspaces / env changes)
-    const existingPath = resolveStoredFilePath({ storedPath: document.storedPath, storedName: document.storedName });
+function searchError(error, next) {
+  // If it's already a formatted error, pass it through
+  if (error.statusCode && error.code) {
+    return next(error);
+  }
 
-    // If file is not on disk, fall back to DB BLOB
-    if (!existingPath) {
-      if (document.contentBlob && Buffer.isBuffer(document.contentBlob)) {
-        const safeName = document.originalName || 'download';
-        res.setHeader('Content-Type', document.mimeType || 'application/octet-stream');
-        res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(safeName)}"`);
-        return res.status(200).send(document.contentBlob);
-      }
+  const dbError = new Error('Database error');
+  dbError.statusCode = 500;
+  dbError.code = 'DB_ERROR';
+  return next(dbError);
+}
 
-      const error = new Error('File not found on disk');
-      error.statusCode = 404;
-      error.code = 'NOT_FOUND';
-      return next(error);
-    }
+/**
+ * Search documents by keyword
+ * GET /api/docs/search?q=...&limit=20&offset=0&docId=...
+ *   filters: mimeType (repeat or comma separated), createdFrom, createdTo (YYYY-MM-DD or ISO), minSize, maxSize (bytes)
+ *   fuzzy=false: no near matches when nothing matches exactly (didYouMean is still suggested)
+ *   highlightFormat=html: highlights as <mark> strings instead of { field, text, ranges }
+ * Response has facet counts of the matches per type and upload month.
+ */
+exports.searchDocuments = (req, res, next) => {
+  try {
+    const { q, options } = parseSearchRequest(req.query);
+    const highlightFormat = parseHighlightFormat(req.query.highlightFormat);
+    const result = documentsRepo.searchDocumentsByKeyword(q, { ...options, highlightFormat });
+    res.json({ ...result, filters: options.filters });
+  } catch (error) {
+    return searchError(error, next);
+  }
+};
 
-    // Download with original filename
-    res.download(existingPath, document.originalName);
+/**
+ * Search passages across documents, best first
+ * GET /api/docs/search/passages?q=...&limit=20&offset=0 (same parameters as /search)
+ * Each result is a passage with its document, char offsets, page, score and highlight ranges.
+ */
+exports.searchPassages = (req, res, next) => {
+  try {
+    const { q, options } = parseSearchRequest(req.query);
+    const result = documentsRepo.searchPassages(q, options);
+    res.json({ ...result, filters: options.filters });
   } catch (error) {
-    const dbError = new Error('Database error');
-    dbError.statusCode = 500;
-    dbError.code = 'DB_ERROR';
-    return next(dbError);
+    return searchError(error, next);
   }
 };
 
 /**
- * Delete a document by ID (and all related data)
- * DELETE /api/docs/:id
+ * Download a document by ID
  */
-exports.deleteDocument = (req, res, next) => {
+exports.downloadDocument = async (req, res, next) => {
+  let file;
+  let document;
   try {
     const { id } = req.params;
 
-    const document = documentsRepo.getDocumentFileById(id);
+    // Get document from database
+    document = documentsRepo.getDocumentFileById(id);
+
     if (!document) {
-      const error = new Error('Document not found');
+      const error = new Error('File not found');
       error.statusCode = 404;
       error.code = 'NOT_FOUND';
       return next(error);
     }
 
-    // Best-effort remove file from disk (uploads)
-    try {
-      const existingPath = resolveStoredFilePath({ storedPath: document.storedPath, storedName: document.storedName });
-      if (existingPath) {
-        try { fs.unlinkSync(existingPath); } catch (_) {}
-      }
-    } catch (_) {}
+    // Ingested documents are read from the blob store; pending ones from their upload
+    file = await blobStore.openDocumentFile(document);
+  } catch (error) {
+    if (error.statusCode && error.code) return next(error);
+    const storageError = new Error('Storage error');
+    storageError.statusCode = 500;
+    storageError.code = 'STORAGE_ERROR';
+    return next(storageError);
+  }
 
-    // Delete DB records in a transaction
-    const tx = db.transaction(() => {
-      summariesRepo.deleteSummariesByDocId(document.id);
-      // If FTS triggers are missing, also try delete from documents_fts (non-fatal if table doesn't exist)
-      try {
-        db.prepare('DELETE FROM documents_fts WHERE doc_id = ?').run(document.id);
-      } catch (_) {}
-      const deleted = documentsRepo.deleteDocumentById(document.id);
-      if (!deleted) {
-        const e = new Error('Document not found');
-        e.statusCode = 404;
-        e.code = 'NOT_FOUND';
-        throw e;
-      }
-    });
+  if (!file) {
+    const error = new Error('File not found in storage');
+    error.statusCode = 404;
+    error.code = 'NOT_FOUND';
+    return next(error);
+  }
 
-    try {
-      tx();
-    } catch (err) {
-      if (err && err.statusCode && err.code) return next(err);
-      const dbError = new Error('Database error');
-      dbError.statusCode = 500;
-      dbError.code = 'DB_ERROR';
-      dbError.cause = err;
-      return next(dbError);
-    }
+  // Streamed with the original filename (blobs have no extension to derive the type from)
+  res.attachment(document.originalName || 'download');
+  res.setHeader('Content-Type', document.mimeType || 'application/octet-stream');
+  if (file.size !== null) res.setHeader('Content-Length', file.size);
+  file.stream.on('error', (error) => {
+    if (!res.headersSent) return next(error);
+    res.destroy(error);
+  });
+  file.stream.pipe(res);
+};
 
-    return res.status(200).json({ ok: true, docId: document.id });
+/**
+ * Move a document to the trash (restore or purge via /api/trash)
+ * DELETE /api/docs/:id
+ */
+exports.deleteDocument = (req, res, next) => {
+  try {
+    const trashed = trashService.trashDocument(req.params.id);
+    return res.status(200).json({ ok: true, ...trashed });
   } catch (error) {
     if (error.statusCode && error.code) return next(error);
-    const internalError = new Error('Internal server error');
-    internalError.statusCode = 500;
-    internalError.code = 'INTERNAL_ERROR';
-    return next(internalError);
+    return next(new AppError({ statusCode: 500, code: 'DB_ERROR', message: 'Database error', cause: error }));
   }
 };
 
 /**
- * Generate summary for a document
- * POST /api/docs/:id/summary
+ * Load a ready document and its text for summarization
+ * @param {string} id
+ * @returns {Promise<{ document: Object, text: string }>}
+ * @throws {Error} - Formatted error (404 NOT_FOUND, 409 DOCUMENT_NOT_READY, 422 EXTRACTION_FAILED)
  */
-exports.generateSummary = async (req, res, next) => {
-  try {
-    const { id } = req.params;
-
-    // Get document from database
-    const document = documentsRepo.getDocumentById(id);
+async function loadSummarySource(id) {
+  const document = documentsRepo.getDocumentById(id);
 
-    if (!document) {
-      const error = new Error('Document not found');
-      error.statusCode = 404;
-      error.code = 'NOT_FOUND';
-      return next(error);
-    }
+  if (!document) {
+    throw new AppError({ statusCode: 404, code: 'NOT_FOUND', message: 'Document not found' });
+  }
 
-    // Get text content
-    let text = '';
-
-    // Try to get from DB first
-    if (document.contentText && document.contentText.trim().length > 0) {
-      text = document.contentText;
-    } else {
-      // Extract from file
-      try {
-        const extracted = await textExtractor.extractTextFromFile({
-          path: document.storedPath,
-          mimeType: document.mimeType
-        });
-        text = extracted.text;
-      } catch (extractError) {
-        const error = new Error('Text extraction failed');
-        error.statusCode = 422;
-        error.code = 'EXTRACTION_FAILED';
-        error.cause = extractError;
-        return next(error);
-      }
-    }
+  // Content is only there once the ingest job has finished
+  if (document.status !== 'ready') {
+    throw new AppError({
+      statusCode: 409,
+      code: 'DOCUMENT_NOT_READY',
+      message: `Document is not ready (status: ${document.status})`
+    });
+  }
 
-    // Validate text
-    if (!text || text.trim().length === 0) {
-      const error = new Error('Text extraction failed');
-      error.statusCode = 422;
-      error.code = 'EXTRACTION_FAILED';
-      return next(error);
-    }
+  const text = await documentSummaryService.getSummaryText(document);
+  return { document, text };
+}
 
-    // Generate summary using Gemini
-    let summaryResult;
-    try {
-      summaryResult = await generateSummary({
-        docId: document.id,
-        text: text,
-        docName: document.originalName
-      });
-    } catch (error) {
-      // Check if it's an API key error
-      if (error.message.includes('GEMINI_API_KEY')) {
-        const apiError = new Error('GEMINI_API_KEY is not configured');
-        apiError.statusCode = 500;
-        apiError.code = 'CONFIG_ERROR';
-        return next(apiError);
-      }
+/**
+ * Map a Gemini failure to a formatted error (sets Retry-After on rate limits)
+ * @param {Error} error
+ * @param {Object} res
+ * @returns {Error}
+ */
+function toLlmError(error, res) {
+  // Check if it's an API key error
+  if (error.message.includes('GEMINI_API_KEY')) {
+    return new AppError({
+      statusCode: 500,
+      code: 'CONFIG_ERROR',
+      message: 'GEMINI_API_KEY is not configured'
+    });
+  }
 
-      const status = error && (error.status || error.statusCode);
+  const status = error && (error.status || error.statusCode);
 
-      // Model not available / not supported
-      if (status === 404) {
-        const modelError = new Error('Configured Gemini model is not available for this API key.');
-        modelError.statusCode = 500;
-        modelError.code = 'MODEL_NOT_AVAILABLE';
-        modelError.cause = error;
-        return next(modelError);
-      }
+  // Model not available / not supported
+  if (status === 404) {
+    return new AppError({
+      statusCode: 500,
+      code: 'MODEL_NOT_AVAILABLE',
+      message: 'Configured Gemini model is not available for this API key.',
+      cause: error
+    });
+  }
 
-      // Rate limit / quota exceeded
-      if (status === 429) {
-        // Try to surface retry-after if present in errorDetails/message
-        let retryAfterSec = null;
-        try {
-          const details = error.errorDetails;
-          if (Array.isArray(details)) {
-            for (const d of details) {
-              if (!d) continue;
-              const t = d['@type'] || d.type || '';
-              if (String(t).includes('RetryInfo') && d.retryDelay) {
-                const m = String(d.retryDelay).trim().match(/^(\d+(?:\.\d+)?)s$/i);
-                if (m) retryAfterSec = Math.max(0, Math.ceil(parseFloat(m[1])));
-              }
-            }
-          }
-          if (retryAfterSec == null && error.message) {
-            const m2 = String(error.message).match(/Please retry in\s+(\d+(?:\.\d+)?)s/i);
-            if (m2) retryAfterSec = Math.max(0, Math.ceil(parseFloat(m2[1])));
+  // Rate limit / quota exceeded
+  if (status === 429) {
+    // Try to surface retry-after if present in errorDetails/message
+    let retryAfterSec = null;
+    try {
+      const details = error.errorDetails;
+      if (Array.isArray(details)) {
+        for (const d of details) {
+          if (!d) continue;
+          const t = d['@type'] || d.type || '';
+          if (String(t).includes('RetryInfo') && d.retryDelay) {
+            const m = String(d.retryDelay).trim().match(/^(\d+(?:\.\d+)?)s$/i);
+            if (m) retryAfterSec = Math.max(0, Math.ceil(parseFloat(m[1])));
           }
-        } catch (_) {}
-
-        if (retryAfterSec != null) {
-          res.set('Retry-After', String(retryAfterSec));
         }
-
-        const rateError = new Error('LLM rate limit exceeded. Please retry shortly.');
-        rateError.statusCode = 429;
-        rateError.code = 'RATE_LIMIT';
-        rateError.cause = error;
-        return next(rateError);
       }
+      if (retryAfterSec == null && error.message) {
+        const m2 = String(error.message).match(/Please retry in\s+(\d+(?:\.\d+)?)s/i);
+        if (m2) retryAfterSec = Math.max(0, Math.ceil(parseFloat(m2[1])));
+      }
+    } catch (_) {}
 
-      // Other Gemini errors
-      const llmError = new Error('LLM error');
-      llmError.statusCode = 502;
-      llmError.code = 'LLM_ERROR';
-      llmError.cause = error;
-      return next(llmError);
+    if (retryAfterSec != null) {
+      res.set('Retry-After', String(retryAfterSec));
     }
 
-    const createdAt = new Date().toISOString();
+    return new AppError({
+      statusCode: 429,
+      code: 'RATE_LIMIT',
+      message: 'LLM rate limit exceeded. Please retry shortly.',
+      cause: error
+    });
+  }
+
+  // Other Gemini errors
+  return new AppError({ statusCode: 502, code: 'LLM_ERROR', message: 'LLM error', cause: error });
+}
+
+/**
+ * Summarize a document and respond with the stored summary
+ * Documents too long for one prompt are summarized section by section in a 'summary' job
+ * instead: 202 with the job (poll GET /api/jobs/:id, the result carries the summaryId).
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Function} next
+ * @param {{ kind: 'short'|'long', level: string|null, format: string }} variant
+ */
+async function respondWithSummary(req, res, next, variant) {
+  try {
+    const { document, text } = await loadSummarySource(req.params.id);
+
+    if (documentSummaryService.isLongRunning(text, variant)) {
+      const job = documentSummaryService.enqueueSummaryJob(document, variant);
+      res.setHeader('Location', `/api/jobs/${job.id}`);
+      return res.status(202).json({ docId: document.id, jobId: job.id, job: jobQueue.toPublicJob(job) });
+    }
 
-    // Persist as history (append-only; do not overwrite)
+    // Generate summary using Gemini
+    let summary;
     try {
-      summariesRepo.createSummary({
-        docId: document.id,
-        summary: summaryResult.summary,
-        model: summaryResult.model,
-        createdAt
-      });
-    } catch (dbErr) {
-      // If persistence fails, still return generated summary (best-effort)
-      console.warn('Failed to persist summary (non-fatal):', dbErr.message || dbErr);
+      summary = await documentSummaryService.createDocumentSummary(document, text, variant);
+    } catch (error) {
+      return next(toLlmError(error, res));
     }
 
     // Response (keep current UX; summary shown immediately)
     return res.status(200).json({
+      id: summary.id,
       docId: document.id,
       docName: document.originalName,
-      summary: summaryResult.summary,
-      model: summaryResult.model,
-      createdAt
+      kind: summary.kind,
+      level: summary.level,
+      format: summary.format,
+      language: summary.language,
+      model: summary.model,
+      promptVersion: summary.promptVersion,
+      usage: summary.usage,
+      summary: summary.content,
+      sections: summary.sections,
+      createdAt: summary.createdAt
     });
   } catch (error) {
     // If it's already a formatted error, pass it through
@@ -474,9 +531,161 @@ exports.generateSummary = async (req, res, next) => {
     }
 
     // Unexpected error
-    const internalError = new Error('Internal server error');
-    internalError.statusCode = 500;
-    internalError.code = 'INTERNAL_ERROR';
-    return next(internalError);
+    return next(new AppError({ statusCode: 500, code: 'INTERNAL_ERROR', message: 'Internal server error' }));
+  }
+}
+
+/**
+ * Generate a short (3-4 sentence) summary for a document
+ * POST /api/docs/:id/summary
+ * POST /api/docs/:id/summary/short
+ */
+exports.generateSummary = (req, res, next) => respondWithSummary(req, res, next, {
+  kind: 'short',
+  level: null,
+  format: 'paragraph'
+});
+
+/**
+ * Generate a long summary for a document
+ * POST /api/docs/:id/summary/long
+ * Body: { level?: 'medium'|'long' (default medium), format?: 'structured'|'bullets' (default structured) }
+ */
+exports.generateLongSummary = (req, res, next) => {
+  const { level = 'medium', format = 'structured' } = req.body || {};
+
+  if (!Object.prototype.hasOwnProperty.call(LONG_SUMMARY_LEVELS, level)) {
+    return next(new AppError({
+      statusCode: 400,
+      code: 'BAD_REQUEST',
+      message: `Invalid level. Use one of: ${Object.keys(LONG_SUMMARY_LEVELS).join(', ')}`
+    }));
+  }
+  if (!Object.prototype.hasOwnProperty.call(LONG_SUMMARY_FORMATS, format)) {
+    return next(new AppError({
+      statusCode: 400,
+      code: 'BAD_REQUEST',
+      message: `Invalid format. Use one of: ${Object.keys(LONG_SUMMARY_FORMATS).join(', ')}`
+    }));
+  }
+
+  return respondWithSummary(req, res, next, { kind: 'long', level, format });
+};
+
+/**
+ * Document of a summary history request
+ * @param {string} id
+ * @returns {Object}
+ * @throws {AppError} - NOT_FOUND (404)
+ */
+function requireDocument(id) {
+  const document = documentsRepo.getDocumentById(id);
+  if (!document) {
+    throw new AppError({ statusCode: 404, code: 'NOT_FOUND', message: 'Document not found' });
+  }
+  return document;
+}
+
+function parseSummaryId(value) {
+  const id = Number(value);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw new AppError({ statusCode: 404, code: 'NOT_FOUND', message: 'Summary not found' });
+  }
+  return id;
+}
+
+function summaryNotFound() {
+  return new AppError({ statusCode: 404, code: 'NOT_FOUND', message: 'Summary not found' });
+}
+
+// History handlers are synchronous; formatted errors pass through, anything else is a DB error
+function passSummaryError(error, next) {
+  if (error.statusCode && error.code) return next(error);
+  return next(new AppError({ statusCode: 500, code: 'DB_ERROR', message: 'Database error', cause: error }));
+}
+
+/**
+ * Summary history of a document, newest first
+ * GET /api/docs/:id/summaries?kind=short|long&limit=20&offset=0
+ */
+exports.listSummaries = (req, res, next) => {
+  try {
+    const document = requireDocument(req.params.id);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+    const kind = req.query.kind ? String(req.query.kind) : null;
+
+    if (kind && !summariesRepo.SUMMARY_KINDS.includes(kind)) {
+      return next(new AppError({
+        statusCode: 400,
+        code: 'BAD_REQUEST',
+        message: `Invalid kind. Use one of: ${summariesRepo.SUMMARY_KINDS.join(', ')}`
+      }));
+    }
+
+    const { total, results } = summariesRepo.listSummariesByDocId(document.id, { kind, limit, offset });
+    res.json({ docId: document.id, total, limit, offset, results });
+  } catch (error) {
+    return passSummaryError(error, next);
+  }
+};
+
+/**
+ * One summary with its section summaries
+ * GET /api/docs/:id/summaries/:summaryId
+ */
+exports.getSummary = (req, res, next) => {
+  try {
+    const document = requireDocument(req.params.id);
+    const summary = summariesRepo.getSummaryById(document.id, parseSummaryId(req.params.summaryId));
+    if (!summary) return next(summaryNotFound());
+    res.json(summary);
+  } catch (error) {
+    return passSummaryError(error, next);
+  }
+};
+
+/**
+ * Pin a summary as the preferred one of its kind
+ * PUT /api/docs/:id/summaries/:summaryId/pin
+ */
+exports.pinSummary = (req, res, next) => {
+  try {
+    const document = requireDocument(req.params.id);
+    const summary = summariesRepo.pinSummary(document.id, parseSummaryId(req.params.summaryId));
+    if (!summary) return next(summaryNotFound());
+    res.json(summary);
+  } catch (error) {
+    return passSummaryError(error, next);
+  }
+};
+
+/**
+ * Remove the pin of a summary (the latest summary of the kind is shown again)
+ * DELETE /api/docs/:id/summaries/:summaryId/pin
+ */
+exports.unpinSummary = (req, res, next) => {
+  try {
+    const document = requireDocument(req.params.id);
+    const summary = summariesRepo.unpinSummary(document.id, parseSummaryId(req.params.summaryId));
+    if (!summary) return next(summaryNotFound());
+    res.json(summary);
+  } catch (error) {
+    return passSummaryError(error, next);
+  }
+};
+
+/**
+ * Delete one summary from the history
+ * DELETE /api/docs/:id/summaries/:summaryId
+ */
+exports.deleteSummary = (req, res, next) => {
+  try {
+    const document = requireDocument(req.params.id);
+    const summaryId = parseSummaryId(req.params.summaryId);
+    if (!summariesRepo.deleteSummary(document.id, summaryId)) return next(summaryNotFound());
+    res.json({ ok: true, docId: document.id, summaryId });
+  } catch (error) {
+    return passSummaryError(error, next);
   }
 };
@@ -0,0 +1,29 @@
+/**
+ * Jobs controller
+ * GET /api/jobs/:id -> status, progress, failures and retries of a background job
+ */
+const jobsRepo = require('../repositories/jobsRepo');
+const jobQueue = require('../services/jobQueue');
+
+/**
+ * Get job by ID
+ */
+exports.getJob = (req, res, next) => {
+  try {
+    const job = jobsRepo.getJobById(req.params.id);
+    if (!job) {
+      const error = new Error('Job not found');
+      error.statusCode = 404;
+      error.code = 'NOT_FOUND';
+      return next(error);
+    }
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.json(jobQueue.toPublicJob(job));
+  } catch (error) {
+    const dbError = new Error('Database error');
+    dbError.statusCode = 500;
+    dbError.code = 'DB_ERROR';
+    return next(dbError);
+  }
+};
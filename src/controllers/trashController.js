@@ -0,0 +1,66 @@
+/**
+ * Trash controller
+ * GET    /api/trash              -> trashed documents (with purgeAt)
+ * POST   /api/trash/:id/restore  -> take a document out of the trash
+ * DELETE /api/trash/:id          -> purge one document for good
+ * DELETE /api/trash              -> empty the trash
+ */
+const AppError = require('../errors/AppError');
+const trashService = require('../services/trashService');
+
+function passError(error, next) {
+  if (error.statusCode && error.code) return next(error);
+  return next(new AppError({ statusCode: 500, code: 'DB_ERROR', message: 'Database error', cause: error }));
+}
+
+/**
+ * List trashed documents, most recently deleted first
+ * GET /api/trash?limit=50&offset=0
+ */
+exports.listTrash = (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const offset = parseInt(req.query.offset) || 0;
+    res.json({ limit, offset, ...trashService.listTrash({ limit, offset }) });
+  } catch (error) {
+    return passError(error, next);
+  }
+};
+
+/**
+ * Restore a trashed document
+ * POST /api/trash/:id/restore
+ */
+exports.restoreDocument = (req, res, next) => {
+  try {
+    res.json(trashService.restoreDocument(req.params.id));
+  } catch (error) {
+    return passError(error, next);
+  }
+};
+
+/**
+ * Delete a trashed document for good (file, summaries, index rows)
+ * DELETE /api/trash/:id
+ */
+exports.purgeDocument = async (req, res, next) => {
+  try {
+    await trashService.purgeDocument(req.params.id);
+    res.json({ ok: true, docId: req.params.id });
+  } catch (error) {
+    return passError(error, next);
+  }
+};
+
+/**
+ * Delete every trashed document for good
+ * DELETE /api/trash
+ */
+exports.emptyTrash = async (req, res, next) => {
+  try {
+    const purged = await trashService.purgeTrash();
+    res.json({ ok: true, purged: purged.length, docIds: purged });
+  } catch (error) {
+    return passError(error, next);
+  }
+};
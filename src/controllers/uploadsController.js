@@ -0,0 +1,106 @@
+/**
+ * Resumable uploads controller
+ * POST /api/uploads -> PATCH /api/uploads/:id (Upload-Offset header, raw bytes) -> POST /api/uploads/:id/complete
+ */
+const resumableUploadService = require('../services/resumableUploadService');
+const ingestionService = require('../services/ingestionService');
+
+// Raw part bodies (tus uses application/offset+octet-stream)
+const PART_CONTENT_TYPES = ['application/offset+octet-stream', 'application/octet-stream'];
+
+function passError(error, next) {
+  // If it's already a formatted error, pass it through
+  if (error.statusCode && error.code) {
+    return next(error);
+  }
+
+  const dbError = new Error('Database error');
+  dbError.statusCode = 500;
+  dbError.code = 'DB_ERROR';
+  return next(dbError);
+}
+
+/**
+ * Start a resumable upload
+ * Body: { fileName, mimeType, size }
+ */
+exports.initUpload = (req, res, next) => {
+  try {
+    const { fileName, mimeType, size } = req.body || {};
+    const session = resumableUploadService.initUpload({ fileName, mimeType, size });
+    res.setHeader('Upload-Offset', String(session.offset));
+    res.status(201).json(session);
+  } catch (error) {
+    return passError(error, next);
+  }
+};
+
+/**
+ * Upload state; offset is where the next part must start
+ */
+exports.getUpload = (req, res, next) => {
+  try {
+    const session = resumableUploadService.getUploadStatus(req.params.id);
+    res.setHeader('Upload-Offset', String(session.offset));
+    res.setHeader('Upload-Length', String(session.size));
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(200).json(session);
+  } catch (error) {
+    return passError(error, next);
+  }
+};
+
+/**
+ * Append a part at Upload-Offset
+ */
+exports.appendPart = async (req, res, next) => {
+  try {
+    const contentType = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (!PART_CONTENT_TYPES.includes(contentType)) {
+      const error = new Error(`Content-Type must be ${PART_CONTENT_TYPES.join(' or ')}`);
+      error.statusCode = 415;
+      error.code = 'UNSUPPORTED_MEDIA_TYPE';
+      return next(error);
+    }
+
+    const rawOffset = req.headers['upload-offset'];
+    const offset = /^\d+$/.test(String(rawOffset || '')) ? Number(rawOffset) : NaN;
+    if (!Number.isInteger(offset)) {
+      const error = new Error('Missing or invalid Upload-Offset header');
+      error.statusCode = 400;
+      error.code = 'BAD_REQUEST';
+      return next(error);
+    }
+
+    const session = await resumableUploadService.appendPart(req.params.id, offset, req);
+    res.setHeader('Upload-Offset', String(session.offset));
+    res.status(200).json(session);
+  } catch (error) {
+    return passError(error, next);
+  }
+};
+
+/**
+ * Assemble the upload and queue its ingestion like a regular upload (202 + job id)
+ */
+exports.completeUpload = async (req, res, next) => {
+  try {
+    const accepted = await resumableUploadService.completeUpload(req.params.id);
+    res.setHeader('Location', `/api/jobs/${accepted.job.id}`);
+    res.status(202).json(ingestionService.toAcceptedResponse(accepted));
+  } catch (error) {
+    return passError(error, next);
+  }
+};
+
+/**
+ * Abort an upload and discard received data
+ */
+exports.abortUpload = (req, res, next) => {
+  try {
+    resumableUploadService.abortUpload(req.params.id);
+    res.status(200).json({ ok: true, uploadId: req.params.id });
+  } catch (error) {
+    return passError(error, next);
+  }
+};
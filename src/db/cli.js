@@ -0,0 +1,77 @@
+/**
+ * Migration CLI
+ *   node src/db/cli.js status              applied / pending migrations
+ *   node src/db/cli.js up [--dry-run] [--to N]
+ * Uses the same database as the server (DB_PATH, default data/app.db).
+ */
+require('dotenv').config();
+const db = require('./index');
+const { getMigrationStatus, migrate } = require('./migrate');
+const { moveLegacyBlobs } = require('../services/legacyBlobService');
+
+function usage() {
+  console.log('Usage: node src/db/cli.js <status|up> [--dry-run] [--to <version>]');
+}
+
+function printStatus() {
+  const status = getMigrationStatus(db);
+  console.log(`Database: ${db.name}`);
+  console.log(`Current version: ${status.currentVersion}`);
+  for (const m of status.applied) {
+    console.log(`  [x] ${String(m.version).padStart(3, '0')} ${m.name} (applied ${m.appliedAt})`);
+  }
+  for (const m of status.pending) {
+    console.log(`  [ ] ${String(m.version).padStart(3, '0')} ${m.name}`);
+  }
+  for (const m of status.unknown) {
+    console.log(`  [?] ${String(m.version).padStart(3, '0')} ${m.name} (no migration file)`);
+  }
+  if (status.pending.length === 0) console.log('Up to date.');
+}
+
+async function runUp(args) {
+  const dryRun = args.includes('--dry-run');
+  const toIndex = args.indexOf('--to');
+  const to = toIndex >= 0 ? parseInt(args[toIndex + 1], 10) : Infinity;
+  if (toIndex >= 0 && !Number.isInteger(to)) {
+    throw new Error('--to needs a migration version number');
+  }
+
+  const result = migrate(db, { dryRun, to });
+  if (result.applied.length === 0) {
+    console.log('Nothing to migrate.');
+  }
+  for (const m of result.applied) {
+    console.log(`${dryRun ? 'Would apply' : 'Applied'} ${String(m.version).padStart(3, '0')} ${m.name}`);
+  }
+  if (dryRun) {
+    console.log(`Dry run OK, rolled back (database stays at version ${result.currentVersion})`);
+    return;
+  }
+  if (result.applied.length > 0) console.log(`Database at version ${result.currentVersion}`);
+
+  // File work of committed migrations (also finishes a run that was interrupted)
+  const legacy = await moveLegacyBlobs(db);
+  if (legacy.moved > 0) {
+    console.log(`Moved ${legacy.moved} files into the blob store (${legacy.removedUploads} upload copies removed)`);
+  }
+}
+
+async function main() {
+  const [command = 'status', ...args] = process.argv.slice(2);
+  try {
+    if (command === 'status') printStatus();
+    else if (command === 'up') await runUp(args);
+    else {
+      usage();
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  } finally {
+    db.close();
+  }
+}
+
+main();
@@ -4,6 +4,8 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
+const { getSearchTextSettings } = require('../utils/searchText');
+const { registerSearchFunctions } = require('./searchIndex');
 
 // Database file path - use test DB in test environment
 const isTest = process.env.NODE_ENV === 'test';
@@ -26,5 +28,8 @@ const db = new Database(dbPath);
 db.pragma('foreign_keys = ON');
 db.pragma('journal_mode = WAL');
 
+// Used by the index triggers of schemas before migration 011, until it drops them (see ./searchIndex.js)
+registerSearchFunctions(db, getSearchTextSettings());
+
 module.exports = db;
 
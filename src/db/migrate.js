@@ -0,0 +1,140 @@
+/**
+ * Migration runner
+ * Migrations live in src/db/migrations as NNN_name.js ({ name, up(db) }); the number is the
+ * schema version. Applied versions are recorded in schema_migrations. Each migration runs in its
+ * own transaction together with its schema_migrations row, so a failing migration leaves the
+ * database at the previous version and the error is raised (never swallowed).
+ */
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.js$/i;
+
+// Thrown inside a dry-run transaction to roll it back
+class DryRunRollback extends Error {}
+
+/**
+ * Load migration modules sorted by version
+ * @param {string} [dir]
+ * @returns {Array<{ version: number, name: string, file: string, up: Function }>}
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .map((file) => ({ file, match: file.match(FILE_PATTERN) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const mod = require(path.join(dir, file));
+      if (typeof mod.up !== 'function') {
+        throw new Error(`Migration ${file} does not export an up(db) function`);
+      }
+      return { version: parseInt(match[1], 10), name: mod.name || match[2], file, up: mod.up };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}: ${migrations[i - 1].file}, ${migrations[i].file}`);
+    }
+  }
+  return migrations;
+}
+
+function ensureMigrationsTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+}
+
+/**
+ * Applied and pending migrations
+ * @param {Database} db
+ * @param {{ migrations?: Array<Object> }} [options]
+ * @returns {{ currentVersion: number, applied: Array<Object>, pending: Array<Object>, unknown: Array<Object> }}
+ *   unknown = versions recorded in the database without a migration file (database is newer than the code)
+ */
+function getMigrationStatus(db, { migrations = loadMigrations() } = {}) {
+  ensureMigrationsTable(db);
+  const rows = db.prepare('SELECT version, name, applied_at FROM schema_migrations ORDER BY version').all();
+  const appliedVersions = new Set(rows.map((r) => r.version));
+  const known = new Set(migrations.map((m) => m.version));
+
+  return {
+    currentVersion: rows.length > 0 ? rows[rows.length - 1].version : 0,
+    applied: rows.map((r) => ({ version: r.version, name: r.name, appliedAt: r.applied_at })),
+    pending: migrations
+      .filter((m) => !appliedVersions.has(m.version))
+      .map((m) => ({ version: m.version, name: m.name })),
+    unknown: rows
+      .filter((r) => !known.has(r.version))
+      .map((r) => ({ version: r.version, name: r.name }))
+  };
+}
+
+/**
+ * Apply pending migrations in order
+ * @param {Database} db
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Run every pending migration, then roll all of them back
+ * @param {number} [options.to] - Stop after this version
+ * @param {Array<Object>} [options.migrations] - Defaults to the files in src/db/migrations
+ * @returns {{ dryRun: boolean, applied: Array<{ version: number, name: string }>, currentVersion: number }}
+ * @throws {Error} - The first failing migration (message names the version); earlier ones stay applied
+ */
+function migrate(db, { dryRun = false, to = Infinity, migrations = loadMigrations() } = {}) {
+  const status = getMigrationStatus(db, { migrations });
+  if (status.unknown.length > 0) {
+    const versions = status.unknown.map((m) => m.version).join(', ');
+    throw new Error(`Database has migrations this code does not know about (${versions}); refusing to migrate`);
+  }
+
+  const pendingVersions = new Set(status.pending.map((m) => m.version));
+  const toApply = migrations.filter((m) => pendingVersions.has(m.version) && m.version <= to);
+  const record = db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)');
+
+  const applyOne = (migration) => {
+    try {
+      migration.up(db);
+    } catch (cause) {
+      const error = new Error(`Migration ${migration.version} (${migration.name}) failed: ${cause.message}`);
+      error.cause = cause;
+      throw error;
+    }
+    record.run(migration.version, migration.name, new Date().toISOString());
+  };
+
+  if (dryRun) {
+    // One transaction for all of them: later migrations see the effect of earlier ones
+    try {
+      db.transaction(() => {
+        toApply.forEach(applyOne);
+        throw new DryRunRollback();
+      })();
+    } catch (error) {
+      if (!(error instanceof DryRunRollback)) throw error;
+    }
+    return {
+      dryRun: true,
+      applied: toApply.map((m) => ({ version: m.version, name: m.name })),
+      currentVersion: status.currentVersion
+    };
+  }
+
+  const applied = [];
+  for (const migration of toApply) {
+    db.transaction(() => applyOne(migration))();
+    applied.push({ version: migration.version, name: migration.name });
+  }
+
+  return {
+    dryRun: false,
+    applied,
+    currentVersion: applied.length > 0 ? applied[applied.length - 1].version : status.currentVersion
+  };
+}
+
+module.exports = { MIGRATIONS_DIR, loadMigrations, getMigrationStatus, migrate };
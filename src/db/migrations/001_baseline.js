@@ -0,0 +1,181 @@
+/**
+ * Baseline schema
+ * Everything the former initSchema() built with CREATE ... IF NOT EXISTS and ensureColumn().
+ * Databases created before migrations existed can be at any of those intermediate states, so
+ * this migration (and only this one) is idempotent: missing tables are created and missing
+ * columns are added. Later migrations assume the baseline is in place.
+ */
+
+// Columns added to documents after its first release, in the order they appeared
+const LATER_DOCUMENT_COLUMNS = [
+  ['content_text', 'TEXT'],
+  ['content_blob', 'BLOB'],
+  ['outline_json', 'TEXT'],
+  ['pages_json', 'TEXT'],
+  ['extraction_method', 'TEXT'],
+  ['ocr_pages_json', 'TEXT'],
+  ['text_encoding', 'TEXT'],
+  ['status', "TEXT NOT NULL DEFAULT 'ready'"],
+  ['status_error', 'TEXT'],
+  ['summary', 'TEXT'],
+  ['summary_created_at', 'TEXT'],
+  ['summary_model', 'TEXT'],
+  ['summary_short', 'TEXT'],
+  ['summary_short_created_at', 'TEXT'],
+  ['summary_short_model', 'TEXT'],
+  ['summary_long', 'TEXT'],
+  ['summary_long_created_at', 'TEXT'],
+  ['summary_long_model', 'TEXT'],
+  ['summary_long_level', 'TEXT']
+];
+
+function columnNames(db, tableName) {
+  return new Set(db.prepare(`PRAGMA table_info(${tableName})`).all().map((r) => r.name));
+}
+
+function hasFts5(db) {
+  return db.prepare("SELECT sqlite_compileoption_used('ENABLE_FTS5') AS enabled").get().enabled === 1;
+}
+
+module.exports = {
+  name: 'baseline',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS documents (
+        id TEXT PRIMARY KEY,
+        original_name TEXT NOT NULL,
+        stored_name TEXT NOT NULL,
+        stored_path TEXT NOT NULL,
+        mime_type TEXT NOT NULL,
+        size INTEGER NOT NULL,
+        sha256 TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        content_text TEXT,
+        content_blob BLOB,
+        outline_json TEXT,
+        pages_json TEXT,
+        extraction_method TEXT,
+        ocr_pages_json TEXT,
+        text_encoding TEXT,
+        status TEXT NOT NULL DEFAULT 'ready',
+        status_error TEXT,
+        summary TEXT,
+        summary_created_at TEXT,
+        summary_model TEXT,
+        summary_short TEXT,
+        summary_short_created_at TEXT,
+        summary_short_model TEXT,
+        summary_long TEXT,
+        summary_long_created_at TEXT,
+        summary_long_model TEXT,
+        summary_long_level TEXT
+      )
+    `);
+
+    const existing = columnNames(db, 'documents');
+    for (const [name, type] of LATER_DOCUMENT_COLUMNS) {
+      if (!existing.has(name)) {
+        db.exec(`ALTER TABLE documents ADD COLUMN ${name} ${type}`);
+      }
+    }
+
+    // Generated summaries as history (do not overwrite)
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS document_summaries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        doc_id TEXT NOT NULL,
+        summary TEXT NOT NULL,
+        model TEXT,
+        created_at TEXT NOT NULL
+      )
+    `);
+
+    // Resumable upload sessions (parts are appended to temp_path until complete)
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS upload_sessions (
+        id TEXT PRIMARY KEY,
+        original_name TEXT NOT NULL,
+        mime_type TEXT NOT NULL,
+        format_id TEXT NOT NULL,
+        size INTEGER NOT NULL,
+        received_bytes INTEGER NOT NULL DEFAULT 0,
+        temp_path TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL
+      )
+    `);
+
+    // Persistent background jobs (ingestion runs here, see src/services/jobQueue.js)
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id TEXT PRIMARY KEY,
+        type TEXT NOT NULL,
+        doc_id TEXT,
+        status TEXT NOT NULL,
+        step TEXT,
+        progress INTEGER NOT NULL DEFAULT 0,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL,
+        payload_json TEXT,
+        result_json TEXT,
+        error_code TEXT,
+        error_message TEXT,
+        failures_json TEXT,
+        run_after TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        started_at TEXT,
+        finished_at TEXT
+      )
+    `);
+
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_documents_created_at ON documents(created_at);
+      CREATE INDEX IF NOT EXISTS idx_document_summaries_doc_id_created_at ON document_summaries(doc_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_upload_sessions_expires_at ON upload_sessions(expires_at);
+      CREATE INDEX IF NOT EXISTS idx_jobs_status_run_after ON jobs(status, run_after);
+      CREATE INDEX IF NOT EXISTS idx_jobs_doc_id ON jobs(doc_id);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_documents_sha256 ON documents(sha256);
+    `);
+
+    // Full-text search; without FTS5 the search falls back to LIKE queries
+    if (!hasFts5(db)) {
+      console.warn('FTS5 not available, search will use the LIKE fallback');
+      return;
+    }
+
+    db.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS documents_fts USING fts5(
+        doc_id UNINDEXED,
+        original_name,
+        content_text
+      );
+
+      CREATE TRIGGER IF NOT EXISTS documents_fts_insert AFTER INSERT ON documents BEGIN
+        INSERT INTO documents_fts(doc_id, original_name, content_text)
+        VALUES (new.id, new.original_name, COALESCE(new.content_text, ''));
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS documents_fts_update AFTER UPDATE ON documents BEGIN
+        UPDATE documents_fts SET
+          doc_id = new.id,
+          original_name = new.original_name,
+          content_text = COALESCE(new.content_text, '')
+        WHERE doc_id = old.id;
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS documents_fts_delete AFTER DELETE ON documents BEGIN
+        DELETE FROM documents_fts WHERE doc_id = old.id;
+      END;
+    `);
+
+    // Documents stored before the index existed
+    db.exec(`
+      INSERT INTO documents_fts(doc_id, original_name, content_text)
+      SELECT id, original_name, COALESCE(content_text, '') FROM documents
+      WHERE id NOT IN (SELECT doc_id FROM documents_fts)
+    `);
+  }
+};
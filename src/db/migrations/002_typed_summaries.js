@@ -0,0 +1,88 @@
+/**
+ * Typed summaries
+ * One `summaries` table for every summary variant (kind: short, long, bullets, custom), with
+ * level, format, language, model, prompt version and token usage. Moves the rows of
+ * document_summaries and the summary columns of documents over, then drops both.
+ */
+
+// documents columns replaced by the summaries table
+const SUMMARY_COLUMNS = [
+  'summary',
+  'summary_created_at',
+  'summary_model',
+  'summary_short',
+  'summary_short_created_at',
+  'summary_short_model',
+  'summary_long',
+  'summary_long_created_at',
+  'summary_long_model',
+  'summary_long_level'
+];
+
+module.exports = {
+  name: 'typed_summaries',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE summaries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        doc_id TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        level TEXT,
+        format TEXT,
+        language TEXT,
+        content TEXT NOT NULL,
+        model TEXT,
+        prompt_version TEXT,
+        input_tokens INTEGER,
+        output_tokens INTEGER,
+        total_tokens INTEGER,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_summaries_doc_id_kind_created_at ON summaries(doc_id, kind, created_at);
+    `);
+
+    // History rows were all generated by the 3-4 sentence endpoint
+    db.exec(`
+      INSERT INTO summaries (doc_id, kind, format, language, content, model, created_at)
+      SELECT doc_id, 'short', 'paragraph', 'tr', summary, model, created_at
+      FROM document_summaries
+      ORDER BY created_at, id
+    `);
+
+    // Column copies are skipped when the same text is already in the history
+    db.exec(`
+      INSERT INTO summaries (doc_id, kind, format, language, content, model, created_at)
+      SELECT id, 'short', 'paragraph', 'tr', summary, summary_model, COALESCE(summary_created_at, created_at)
+      FROM documents d
+      WHERE summary IS NOT NULL AND summary <> ''
+        AND NOT EXISTS (
+          SELECT 1 FROM summaries s WHERE s.doc_id = d.id AND s.kind = 'short' AND s.content = d.summary
+        );
+
+      INSERT INTO summaries (doc_id, kind, format, language, content, model, created_at)
+      SELECT id, 'short', 'paragraph', 'tr', summary_short, summary_short_model,
+             COALESCE(summary_short_created_at, created_at)
+      FROM documents d
+      WHERE summary_short IS NOT NULL AND summary_short <> ''
+        AND NOT EXISTS (
+          SELECT 1 FROM summaries s WHERE s.doc_id = d.id AND s.kind = 'short' AND s.content = d.summary_short
+        );
+
+      INSERT INTO summaries (doc_id, kind, level, format, language, content, model, created_at)
+      SELECT id, 'long', summary_long_level, 'paragraph', 'tr', summary_long, summary_long_model,
+             COALESCE(summary_long_created_at, created_at)
+      FROM documents
+      WHERE summary_long IS NOT NULL AND summary_long <> '';
+    `);
+
+    db.exec(`
+      DROP INDEX IF EXISTS idx_document_summaries_doc_id_created_at;
+      DROP TABLE document_summaries;
+    `);
+    for (const column of SUMMARY_COLUMNS) {
+      db.exec(`ALTER TABLE documents DROP COLUMN ${column}`);
+    }
+  }
+};
@@ -0,0 +1,26 @@
+/**
+ * Summary sections
+ * Per-section summaries of a map-reduce summary (long documents are summarized section by
+ * section first), in document order. Shown as an outline next to the summary.
+ */
+module.exports = {
+  name: 'summary_sections',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE summary_sections (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        summary_id INTEGER NOT NULL,
+        position INTEGER NOT NULL,
+        title TEXT,
+        start_char INTEGER NOT NULL,
+        end_char INTEGER NOT NULL,
+        page_start INTEGER,
+        page_end INTEGER,
+        content TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_summary_sections_summary_id ON summary_sections(summary_id, position);
+    `);
+  }
+};
@@ -0,0 +1,16 @@
+/**
+ * Pinned summaries
+ * A document can pin one summary per kind as its preferred version; the pinned summary is shown
+ * instead of the latest one. The partial unique index keeps it to one pin per document and kind.
+ */
+module.exports = {
+  name: 'summary_pins',
+
+  up(db) {
+    db.exec(`
+      ALTER TABLE summaries ADD COLUMN pinned_at TEXT;
+
+      CREATE UNIQUE INDEX idx_summaries_pinned ON summaries(doc_id, kind) WHERE pinned_at IS NOT NULL;
+    `);
+  }
+};
@@ -0,0 +1,44 @@
+/**
+ * Blob store
+ * Original file bytes move out of documents.content_blob into the content-addressed blob store
+ * (see src/services/blobStore.js); the row keeps only the hash in blob_sha256 and stored_path
+ * points at the blob. The migration itself touches no files, so a rollback (dry run, a later
+ * migration failing) leaves nothing behind: the bytes are staged in legacy_blobs and written to
+ * the store after the commit by src/services/legacyBlobService.js, which also removes upload
+ * copies holding the same bytes. Blobs go to the configured storage driver (STORAGE_DRIVER), so
+ * stored_path is the driver's location of the blob.
+ */
+const crypto = require('crypto');
+const { blobLocation } = require('../../services/blobStore');
+
+module.exports = {
+  name: 'blob_store',
+
+  up(db) {
+    db.exec('ALTER TABLE documents ADD COLUMN blob_sha256 TEXT');
+    db.exec(`
+      CREATE TABLE legacy_blobs (
+        doc_id TEXT PRIMARY KEY,
+        sha256 TEXT NOT NULL,
+        content BLOB NOT NULL,
+        upload_path TEXT
+      )
+    `);
+
+    // One row at a time: BLOBs can be large
+    const ids = db.prepare('SELECT id FROM documents WHERE content_blob IS NOT NULL').pluck().all();
+    const select = db.prepare('SELECT stored_path, content_blob FROM documents WHERE id = ?');
+    const stage = db.prepare('INSERT INTO legacy_blobs (doc_id, sha256, content, upload_path) VALUES (?, ?, ?, ?)');
+    const update = db.prepare('UPDATE documents SET blob_sha256 = ?, stored_path = ? WHERE id = ?');
+
+    for (const id of ids) {
+      const row = select.get(id);
+      const sha256 = crypto.createHash('sha256').update(row.content_blob).digest('hex');
+      const target = blobLocation(sha256);
+      stage.run(id, sha256, row.content_blob, row.stored_path !== target ? row.stored_path : null);
+      update.run(sha256, target, id);
+    }
+
+    db.exec('ALTER TABLE documents DROP COLUMN content_blob');
+  }
+};
@@ -0,0 +1,16 @@
+/**
+ * Document trash
+ * Deleting a document sets deleted_at instead of removing the row; trashed documents are hidden
+ * everywhere except the trash until they are restored or purged.
+ */
+module.exports = {
+  name: 'document_trash',
+
+  up(db) {
+    db.exec(`
+      ALTER TABLE documents ADD COLUMN deleted_at TEXT;
+
+      CREATE INDEX idx_documents_deleted_at ON documents(deleted_at) WHERE deleted_at IS NOT NULL;
+    `);
+  }
+};
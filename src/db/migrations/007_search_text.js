@@ -0,0 +1,28 @@
+/**
+ * Search text normalization
+ * documents_fts is rebuilt to hold normalized words (Turkish case folding, diacritic folding and
+ * optional stemming, see src/utils/searchText.js) instead of the raw text, and
+ * search_index_settings records which normalization the index was built with.
+ */
+const { getSearchTextSettings } = require('../../utils/searchText');
+const { hasFts5, registerSearchFunctions, createSearchIndex } = require('../searchIndex');
+
+module.exports = {
+  name: 'search_text',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE search_index_settings (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+      )
+    `);
+
+    // Without FTS5 the search keeps using the LIKE fallback
+    if (!hasFts5(db)) return;
+
+    const settings = getSearchTextSettings();
+    registerSearchFunctions(db, settings);
+    createSearchIndex(db, settings);
+  }
+};
@@ -0,0 +1,16 @@
+/**
+ * Search vocabulary
+ * Trigram index of the terms of documents_fts for the typo-tolerant search
+ * (see src/db/searchIndex.js).
+ */
+const { hasFts5, createVocabulary } = require('../searchIndex');
+
+module.exports = {
+  name: 'search_vocabulary',
+
+  up(db) {
+    // Without FTS5 there is no vocabulary; search uses the LIKE fallback
+    if (!hasFts5(db)) return;
+    createVocabulary(db);
+  }
+};
@@ -0,0 +1,20 @@
+/**
+ * Search passages
+ * Passage index of the passage search: document_passages and passages_fts
+ * (see src/db/searchIndex.js).
+ */
+const { getSearchTextSettings } = require('../../utils/searchText');
+const { hasFts5, registerSearchFunctions, createPassageIndex } = require('../searchIndex');
+
+module.exports = {
+  name: 'search_passages',
+
+  up(db) {
+    // Without FTS5 there is no passage search
+    if (!hasFts5(db)) return;
+
+    const settings = getSearchTextSettings();
+    registerSearchFunctions(db, settings);
+    createPassageIndex(db, settings);
+  }
+};
@@ -0,0 +1,12 @@
+/**
+ * Upload session status
+ * 'uploading' until a complete request claims the session ('completing'), so that only one of
+ * two concurrent complete requests moves the file into place.
+ */
+module.exports = {
+  name: 'upload_session_status',
+
+  up(db) {
+    db.exec("ALTER TABLE upload_sessions ADD COLUMN status TEXT NOT NULL DEFAULT 'uploading'");
+  }
+};
@@ -0,0 +1,15 @@
+/**
+ * Index without triggers
+ * The index triggers on documents called search_text() and search_passages(), JavaScript functions
+ * only the app registers, so no other connection could write documents. The index rows are written
+ * by the app now (see src/db/searchIndex.js).
+ */
+const { dropIndexTriggers } = require('../searchIndex');
+
+module.exports = {
+  name: 'index_without_triggers',
+
+  up(db) {
+    dropIndexTriggers(db);
+  }
+};
@@ -0,0 +1,12 @@
+/**
+ * Upload session stored name
+ * The name the file gets in the uploads directory, recorded when a complete request claims the session,
+ * so that a completion interrupted after the file was moved can be finished on the next start.
+ */
+module.exports = {
+  name: 'upload_session_stored_name',
+
+  up(db) {
+    db.exec('ALTER TABLE upload_sessions ADD COLUMN stored_name TEXT');
+  }
+};
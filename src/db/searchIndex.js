@@ -0,0 +1,260 @@
+/**
+ * Full-text index schema (documents_fts, passages_fts)
+ * The index holds the normalized words of each document (src/utils/searchText.js). Normalization
+ * runs in JavaScript, so the index rows are written by the application (indexDocument, called by
+ * src/repositories/documentsRepo.js in the transaction that writes the document) and not by
+ * triggers: a connection without the app's code (the sqlite3 shell, a maintenance script) can still
+ * write documents; their index rows are then out of date until npm run fsck or npm run reindex.
+ * The passage search indexes the passages of each document (src/utils/passages.js) the same way:
+ * document_passages keeps their offsets and normalized words, passages_fts indexes them.
+ * search_index_settings records the normalization the index was built with, so a change of
+ * settings can be detected and the index rebuilt.
+ *
+ * The typo-tolerant search matches misspelled words against the vocabulary of the index:
+ * documents_fts_vocab lists its terms, search_terms holds them again with a trigram tokenizer so near
+ * matches can be found. search_terms is brought up to date when the fuzzy search needs it; triggers only
+ * mark it stale when documents change (search_index_settings 'vocabulary').
+ */
+const { ftsTokenizeOption, settingsSignature, indexText } = require('../utils/searchText');
+const { splitPassages } = require('../utils/passages');
+
+const SIGNATURE_KEY = 'signature';
+const VOCABULARY_KEY = 'vocabulary';
+
+function hasFts5(db) {
+  return db.prepare("SELECT sqlite_compileoption_used('ENABLE_FTS5') AS enabled").get().enabled === 1;
+}
+
+/**
+ * Register search_text(text) and search_passages(text) on a connection
+ * Schemas before migration 011 (index_without_triggers) have index triggers calling them, so every
+ * connection that may write documents of such a database (running the migrations) registers them.
+ * @param {import('better-sqlite3').Database} db
+ * @param {Object} settings - from getSearchTextSettings()
+ */
+function registerSearchFunctions(db, settings) {
+  db.function('search_text', { deterministic: true }, (text) => indexText(text, settings));
+  db.table('search_passages', {
+    columns: ['start_char', 'end_char', 'content_text'],
+    parameters: ['text'],
+    *rows(text) {
+      for (const passage of splitPassages(text)) {
+        yield [passage.startChar, passage.endChar, indexText(text.slice(passage.startChar, passage.endChar), settings)];
+      }
+    }
+  });
+}
+
+/**
+ * Settings signature the index was built with
+ * @param {import('better-sqlite3').Database} db
+ * @returns {string|null} null when unknown (no index, or built before the settings were recorded)
+ */
+function getIndexedSignature(db) {
+  const table = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'search_index_settings'").get();
+  if (!table) return null;
+  return db.prepare('SELECT value FROM search_index_settings WHERE key = ?').pluck().get(SIGNATURE_KEY) || null;
+}
+
+function hasTable(db, name) {
+  return Boolean(db.prepare("SELECT name FROM sqlite_master WHERE name = ?").get(name));
+}
+
+// Call fn with every documents row, one at a time (content can be large)
+function eachDocument(db, fn) {
+  const ids = db.prepare('SELECT id FROM documents ORDER BY id').pluck().all();
+  const select = db.prepare('SELECT id, original_name, content_text FROM documents WHERE id = ?');
+  for (const id of ids) fn(select.get(id));
+  return ids.length;
+}
+
+function writeDocumentRow(db, doc, settings) {
+  db.prepare('INSERT INTO documents_fts(doc_id, original_name, content_text) VALUES (?, ?, ?)')
+    .run(doc.id, indexText(doc.original_name, settings), indexText(doc.content_text, settings));
+}
+
+function writePassageRows(db, doc, settings) {
+  const insert = db.prepare(`
+    INSERT INTO document_passages (doc_id, start_char, end_char, content_text) VALUES (?, ?, ?, ?)
+  `);
+  const text = doc.content_text || '';
+  for (const passage of splitPassages(text)) {
+    insert.run(doc.id, passage.startChar, passage.endChar, indexText(text.slice(passage.startChar, passage.endChar), settings));
+  }
+}
+
+/**
+ * Remove the index rows of a document (full-text row and passages)
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} id
+ */
+function unindexDocument(db, id) {
+  if (hasTable(db, 'documents_fts')) db.prepare('DELETE FROM documents_fts WHERE doc_id = ?').run(id);
+  if (hasTable(db, 'document_passages')) db.prepare('DELETE FROM document_passages WHERE doc_id = ?').run(id);
+}
+
+/**
+ * Write the index rows of a document, replacing the ones it had
+ * Run in the transaction that writes the document. Without FTS5 there is nothing to write.
+ * @param {import('better-sqlite3').Database} db
+ * @param {{ id: string, original_name: string, content_text: string|null }} doc - documents row
+ * @param {Object} settings - from getSearchTextSettings()
+ */
+function indexDocument(db, doc, settings) {
+  unindexDocument(db, doc.id);
+  if (hasTable(db, 'documents_fts')) writeDocumentRow(db, doc, settings);
+  if (hasTable(db, 'document_passages')) writePassageRows(db, doc, settings);
+}
+
+/**
+ * (Re)create documents_fts for the settings and index every document
+ * Run inside a transaction.
+ * @param {import('better-sqlite3').Database} db
+ * @param {Object} settings - from getSearchTextSettings()
+ * @returns {number} number of indexed documents
+ */
+function createSearchIndex(db, settings) {
+  db.exec(`
+    DROP TRIGGER IF EXISTS documents_fts_insert;
+    DROP TRIGGER IF EXISTS documents_fts_update;
+    DROP TRIGGER IF EXISTS documents_fts_delete;
+    DROP TABLE IF EXISTS documents_fts;
+
+    CREATE VIRTUAL TABLE documents_fts USING fts5(
+      doc_id UNINDEXED,
+      original_name,
+      content_text,
+      tokenize = '${ftsTokenizeOption(settings)}'
+    );
+  `);
+
+  const indexed = eachDocument(db, (doc) => writeDocumentRow(db, doc, settings));
+
+  setValue(db, SIGNATURE_KEY, settingsSignature(settings));
+  // Other settings, other terms
+  setValue(db, VOCABULARY_KEY, 'stale');
+  return indexed;
+}
+
+/**
+ * (Re)create the passage index for the settings and index every document
+ * Run inside a transaction.
+ * @param {import('better-sqlite3').Database} db
+ * @param {Object} settings - from getSearchTextSettings()
+ * @returns {number} number of indexed passages
+ */
+function createPassageIndex(db, settings) {
+  db.exec(`
+    DROP TRIGGER IF EXISTS document_passages_insert;
+    DROP TRIGGER IF EXISTS document_passages_update;
+    DROP TRIGGER IF EXISTS document_passages_delete;
+    DROP TABLE IF EXISTS passages_fts;
+    DROP TABLE IF EXISTS document_passages;
+
+    CREATE TABLE document_passages (
+      id INTEGER PRIMARY KEY,
+      doc_id TEXT NOT NULL,
+      start_char INTEGER NOT NULL,
+      end_char INTEGER NOT NULL,
+      content_text TEXT NOT NULL
+    );
+    CREATE INDEX idx_document_passages_doc_id ON document_passages(doc_id);
+
+    CREATE VIRTUAL TABLE passages_fts USING fts5(
+      content_text,
+      content = 'document_passages',
+      content_rowid = 'id',
+      tokenize = '${ftsTokenizeOption(settings)}'
+    );
+
+    CREATE TRIGGER passages_fts_insert AFTER INSERT ON document_passages BEGIN
+      INSERT INTO passages_fts(rowid, content_text) VALUES (new.id, new.content_text);
+    END;
+
+    CREATE TRIGGER passages_fts_delete AFTER DELETE ON document_passages BEGIN
+      INSERT INTO passages_fts(passages_fts, rowid, content_text) VALUES ('delete', old.id, old.content_text);
+    END;
+  `);
+
+  eachDocument(db, (doc) => writePassageRows(db, doc, settings));
+  return db.prepare('SELECT COUNT(*) FROM document_passages').pluck().get();
+}
+
+/**
+ * Drop the index triggers of older schemas, which called search_text() and search_passages()
+ * @param {import('better-sqlite3').Database} db
+ */
+function dropIndexTriggers(db) {
+  db.exec(`
+    DROP TRIGGER IF EXISTS documents_fts_insert;
+    DROP TRIGGER IF EXISTS documents_fts_update;
+    DROP TRIGGER IF EXISTS documents_fts_delete;
+    DROP TRIGGER IF EXISTS document_passages_insert;
+    DROP TRIGGER IF EXISTS document_passages_update;
+    DROP TRIGGER IF EXISTS document_passages_delete;
+  `);
+}
+
+function setValue(db, key, value) {
+  db.prepare(`
+    INSERT INTO search_index_settings (key, value) VALUES (?, ?)
+    ON CONFLICT(key) DO UPDATE SET value = excluded.value
+  `).run(key, value);
+}
+
+/**
+ * Create the vocabulary tables of the typo-tolerant search (documents_fts has to exist)
+ * @param {import('better-sqlite3').Database} db
+ */
+function createVocabulary(db) {
+  db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS documents_fts_vocab USING fts5vocab(documents_fts, 'row');
+
+    CREATE VIRTUAL TABLE IF NOT EXISTS search_terms USING fts5(term, tokenize = 'trigram');
+
+    CREATE TRIGGER IF NOT EXISTS search_terms_stale_insert AFTER INSERT ON documents BEGIN
+      INSERT OR REPLACE INTO search_index_settings (key, value) VALUES ('${VOCABULARY_KEY}', 'stale');
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS search_terms_stale_update AFTER UPDATE OF original_name, content_text ON documents BEGIN
+      INSERT OR REPLACE INTO search_index_settings (key, value) VALUES ('${VOCABULARY_KEY}', 'stale');
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS search_terms_stale_delete AFTER DELETE ON documents BEGIN
+      INSERT OR REPLACE INTO search_index_settings (key, value) VALUES ('${VOCABULARY_KEY}', 'stale');
+    END;
+  `);
+  setValue(db, VOCABULARY_KEY, 'stale');
+}
+
+/**
+ * Bring search_terms up to date with the index vocabulary (no-op unless marked stale)
+ * @param {import('better-sqlite3').Database} db
+ * @returns {boolean} whether it had to be refreshed
+ */
+function refreshVocabulary(db) {
+  const state = db.prepare('SELECT value FROM search_index_settings WHERE key = ?').pluck().get(VOCABULARY_KEY);
+  if (state === 'fresh') return false;
+  db.transaction(() => {
+    db.exec(`
+      DELETE FROM search_terms WHERE term NOT IN (SELECT term FROM documents_fts_vocab);
+      INSERT INTO search_terms (term)
+        SELECT term FROM documents_fts_vocab WHERE term NOT IN (SELECT term FROM search_terms);
+    `);
+    setValue(db, VOCABULARY_KEY, 'fresh');
+  })();
+  return true;
+}
+
+module.exports = {
+  hasFts5,
+  registerSearchFunctions,
+  getIndexedSignature,
+  indexDocument,
+  unindexDocument,
+  createSearchIndex,
+  createPassageIndex,
+  dropIndexTriggers,
+  createVocabulary,
+  refreshVocabulary
+};
@@ -1,7 +1,20 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const { Transform } = require('stream');
 const sanitizeFilename = require('../utils/sanitizeFilename');
+const extractors = require('../services/extractors');
+
+const MAX_FILE_SIZE_BYTES = 10 * 1024 * 1024; // 10MB
+const MAX_BATCH_FILES = 200; // files per batch upload request
+
+/**
+ * Per-file size limit for messages, e.g. "10MB"
+ * @returns {string}
+ */
+function describeMaxFileSize() {
+  return `${Number((MAX_FILE_SIZE_BYTES / (1024 * 1024)).toFixed(2))}MB`;
+}
 
 // Ensure uploads directory exists
 // Use test directory in test environment
@@ -18,34 +31,99 @@ if (!fs.existsSync(uploadDir)) {
   }
 }
 
+/**
+ * Name of a stored upload
+ * Format: <timestamp>-<random>-<safeOriginalName>
+ * @param {string} originalName
+ * @returns {string}
+ */
+function buildStoredName(originalName) {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  const safeName = sanitizeFilename(originalName);
+  return `${uniqueSuffix}-${safeName}`;
+}
+
 // Configure storage
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
     cb(null, uploadDir);
   },
   filename: (req, file, cb) => {
-    // Format: <timestamp>-<random>-<safeOriginalName>
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const safeName = sanitizeFilename(file.originalname);
-    cb(null, `${uniqueSuffix}-${safeName}`);
+    cb(null, buildStoredName(file.originalname));
   }
 });
 
+/**
+ * Storage that skips files above maxBytes instead of failing the request
+ * (multer's fileSize limit aborts the whole request, which would fail every file of a batch).
+ * The file is still read to the end so that the files after it arrive; what was written is removed
+ * and the file is listed in req.rejectedFiles with code FILE_TOO_LARGE.
+ * @param {Object} inner - multer storage engine
+ * @param {number} maxBytes
+ * @returns {Object} multer storage engine
+ */
+function sizeLimitedStorage(inner, maxBytes) {
+  return {
+    _handleFile(req, file, cb) {
+      let size = 0;
+      const limited = new Transform({
+        transform(chunk, encoding, done) {
+          size += chunk.length;
+          done(null, size > maxBytes ? undefined : chunk);
+        }
+      });
+      file.stream.on('error', (err) => limited.destroy(err));
+      file.stream.pipe(limited);
+
+      inner._handleFile(req, { ...file, stream: limited }, (err, info) => {
+        if (err || size <= maxBytes) return cb(err, info);
+        inner._removeFile(req, { ...file, ...info }, (removeErr) => {
+          if (removeErr) return cb(removeErr);
+          req.rejectedFiles = req.rejectedFiles || [];
+          req.rejectedFiles.push({
+            originalname: file.originalname,
+            mimetype: file.mimetype,
+            uploadIndex: file.uploadIndex,
+            code: 'FILE_TOO_LARGE'
+          });
+          cb(null, { rejected: 'FILE_TOO_LARGE', size });
+        });
+      });
+    },
+
+    _removeFile(req, file, cb) {
+      // Skipped files have nothing left on disk
+      if (file.rejected) return cb(null);
+      inner._removeFile(req, file, cb);
+    }
+  };
+}
+
 // File filter for security
 const fileFilter = (req, file, cb) => {
-  const allowedMimeTypes = ['application/pdf', 'text/plain'];
-  const allowedExtensions = ['.pdf', '.txt'];
-
-  const ext = path.extname(file.originalname).toLowerCase();
+  // Position of the file within the request (batch results are reported in upload order)
+  file.uploadIndex = req.uploadFileCount || 0;
+  req.uploadFileCount = file.uploadIndex + 1;
 
-  // Check both MIME type and extension
-  if (allowedMimeTypes.includes(file.mimetype) && allowedExtensions.includes(ext)) {
+  // Check both MIME type and extension against the extractor registry
+  const format = extractors.resolveFormat({ mimeType: file.mimetype, fileName: file.originalname });
+  if (format) {
+    // Remember the resolved format; the controller sniffs the stored bytes against it
+    file.formatId = format.id;
     cb(null, true);
   } else {
     // IMPORTANT:
     // Do NOT throw from fileFilter; it can abort the request stream and cause ECONNRESET in tests/clients.
     // Instead, mark a validation flag on req and tell multer to skip this file while still consuming the stream.
     req.fileValidationError = 'UNSUPPORTED_MEDIA_TYPE';
+    // Batch uploads report skipped files individually
+    req.rejectedFiles = req.rejectedFiles || [];
+    req.rejectedFiles.push({
+      originalname: file.originalname,
+      mimetype: file.mimetype,
+      uploadIndex: file.uploadIndex,
+      code: 'UNSUPPORTED_MEDIA_TYPE'
+    });
     cb(null, false);
   }
 };
@@ -54,9 +132,25 @@ const upload = multer({
   storage: storage,
   fileFilter: fileFilter,
   limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB
+    fileSize: MAX_FILE_SIZE_BYTES
+  }
+});
+
+// Batch uploads: same rules, bounded number of files per request; a file that is too large is
+// reported on its own instead of failing the batch
+const batchUpload = multer({
+  storage: sizeLimitedStorage(storage, MAX_FILE_SIZE_BYTES),
+  fileFilter: fileFilter,
+  limits: {
+    files: MAX_BATCH_FILES
   }
 });
 
 module.exports = upload;
+module.exports.batch = batchUpload;
+module.exports.MAX_FILE_SIZE_BYTES = MAX_FILE_SIZE_BYTES;
+module.exports.MAX_BATCH_FILES = MAX_BATCH_FILES;
+module.exports.describeMaxFileSize = describeMaxFileSize;
+module.exports.UPLOAD_DIR = uploadDir;
+module.exports.buildStoredName = buildStoredName;
 
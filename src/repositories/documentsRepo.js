@@ -4,6 +4,45 @@
  */
 const db = require('../db');
 const { v4: uuidv4 } = require('uuid');
+const AppError = require('../errors/AppError');
+const { findSectionAt, parseOutline } = require('../utils/sections');
+const { findPageAt } = require('../utils/pages');
+const { parseSearchQuery, toFtsQuery, toQueryString, positiveTerms } = require('../utils/searchQuery');
+const { getSearchTextSettings, normalizeWords, indexText } = require('../utils/searchText');
+const { indexDocument, unindexDocument } = require('../db/searchIndex');
+const { buildMatchers, analyzeText, snippetRanges, snippetOf } = require('../utils/searchHighlight');
+const searchTermsRepo = require('./searchTermsRepo');
+
+function parseJsonArray(json) {
+  if (!json) return [];
+  try {
+    const parsed = JSON.parse(json);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+function toJsonArray(value) {
+  return Array.isArray(value) && value.length > 0 ? JSON.stringify(value) : null;
+}
+
+/**
+ * OCR info of a documents row
+ * @param {Object} row
+ * @returns {{ extractionMethod: string, ocrPages: Array<{page:number, confidence:number}>, ocrConfidence: number|null }}
+ */
+function mapExtractionInfo(row) {
+  const ocrPages = parseJsonArray(row.ocr_pages_json);
+  const ocrConfidence = ocrPages.length > 0
+    ? Math.round((ocrPages.reduce((sum, p) => sum + (Number(p.confidence) || 0), 0) / ocrPages.length) * 10) / 10
+    : null;
+  return {
+    extractionMethod: row.extraction_method || 'text',
+    ocrPages,
+    ocrConfidence
+  };
+}
 
 /**
  * Create a new document record
@@ -15,6 +54,12 @@ const { v4: uuidv4 } = require('uuid');
  * @param {number} doc.size - File size in bytes
  * @param {string} doc.sha256 - SHA256 hash
  * @param {string} [doc.contentText] - Extracted text content
+ * @param {Array<Object>} [doc.outline] - Heading outline ({ level, title, startChar, endChar })
+ * @param {Array<Object>} [doc.pages] - Page offsets of paged formats ({ page, startChar, endChar })
+ * @param {string} [doc.extractionMethod] - 'text', 'ocr' or 'mixed'
+ * @param {Array<Object>} [doc.ocrPages] - Per-page OCR confidence ({ page, confidence })
+ * @param {string} [doc.textEncoding] - Detected source encoding of text formats
+ * @param {string} [doc.status] - 'pending' while ingestion runs in the background, default 'ready'
  * @returns {Object} - Created document record
  */
 function createDocument(doc) {
@@ -24,39 +69,33 @@ function createDocument(doc) {
   const stmt = db.prepare(`
     INSERT INTO documents (
       id, original_name, stored_name, stored_path, 
-      mime_type, size, sha256, created_at, content_text, content_blob
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      mime_type, size, sha256, created_at, content_text, outline_json, pages_json,
+      extraction_method, ocr_pages_json, text_encoding, status
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
 
   try {
-    stmt.run(
-      id,
-      doc.originalName,
-      doc.storedName,
-      doc.storedPath,
-      doc.mimeType,
-      doc.size,
-      doc.sha256,
-      createdAt,
-      doc.contentText || null,
-      doc.contentBlob || null
-    );
-
-    // FTS5 triggers should handle the sync automatically, but we can also manually insert
-    // if triggers didn't work (for existing documents without triggers)
-    try {
-      const ftsStmt = db.prepare(`
-        INSERT INTO documents_fts(doc_id, original_name, content_text)
-        SELECT id, original_name, COALESCE(content_text, '')
-        FROM documents WHERE id = ?
-      `);
-      ftsStmt.run(id);
-    } catch (ftsError) {
-      // FTS5 table might not exist, ignore
-      if (!ftsError.message.includes('no such table')) {
-        console.warn('FTS5 insert failed (non-critical):', ftsError.message);
-      }
-    }
+    db.transaction(() => {
+      stmt.run(
+        id,
+        doc.originalName,
+        doc.storedName,
+        doc.storedPath,
+        doc.mimeType,
+        doc.size,
+        doc.sha256,
+        createdAt,
+        doc.contentText || null,
+        toJsonArray(doc.outline),
+        toJsonArray(doc.pages),
+        doc.extractionMethod || 'text',
+        toJsonArray(doc.ocrPages),
+        doc.textEncoding || null,
+        doc.status || 'ready'
+      );
+      // Index rows are written with the document (see src/db/searchIndex.js)
+      reindexDocument(id);
+    })();
 
     return getDocumentById(id);
   } catch (error) {
@@ -71,13 +110,20 @@ function createDocument(doc) {
   }
 }
 
+// Trashed documents are invisible unless asked for (see trashService)
+function trashFilter(includeTrashed) {
+  return includeTrashed ? '' : 'AND deleted_at IS NULL';
+}
+
 /**
  * Get document by ID
  * @param {string} id - Document ID
+ * @param {Object} [options]
+ * @param {boolean} [options.includeTrashed=false] - Also return a document that is in the trash
  * @returns {Object|null} - Document record or null
  */
-function getDocumentById(id) {
-  const stmt = db.prepare('SELECT * FROM documents WHERE id = ?');
+function getDocumentById(id, { includeTrashed = false } = {}) {
+  const stmt = db.prepare(`SELECT * FROM documents WHERE id = ? ${trashFilter(includeTrashed)}`);
   const row = stmt.get(id);
 
   if (!row) {
@@ -93,11 +139,16 @@ function getDocumentById(id) {
     mimeType: row.mime_type,
     size: row.size,
     sha256: row.sha256,
+    blobSha256: row.blob_sha256 || null,
     createdAt: row.created_at,
     contentText: row.content_text || null,
-    summary: row.summary || null,
-    summaryCreatedAt: row.summary_created_at || null,
-    summaryModel: row.summary_model || null
+    outline: parseOutline(row.outline_json),
+    pages: parseJsonArray(row.pages_json),
+    ...mapExtractionInfo(row),
+    textEncoding: row.text_encoding || null,
+    status: row.status || 'ready',
+    statusError: row.status_error || null,
+    deletedAt: row.deleted_at || null
   };
 }
 
@@ -106,11 +157,15 @@ function getDocumentById(id) {
  * @param {Object} options - Query options
  * @param {number} options.limit - Maximum number of results
  * @param {number} options.offset - Number of results to skip
- * @returns {Array} - Array of document records
+ * @returns {Array} - Array of document metadata (trashed documents excluded); the content text,
+ *   outline and pages are left out, getDocumentById() returns them
  */
 function listDocuments({ limit = 50, offset = 0 } = {}) {
   const stmt = db.prepare(`
-    SELECT * FROM documents 
+    SELECT id, original_name, stored_name, stored_path, mime_type, size, sha256, blob_sha256,
+           created_at, extraction_method, ocr_pages_json, status, status_error
+    FROM documents
+    WHERE deleted_at IS NULL
     ORDER BY created_at DESC 
     LIMIT ? OFFSET ?
   `);
@@ -125,22 +180,28 @@ function listDocuments({ limit = 50, offset = 0 } = {}) {
     mimeType: row.mime_type,
     size: row.size,
     sha256: row.sha256,
+    blobSha256: row.blob_sha256 || null,
     createdAt: row.created_at,
-    contentText: row.content_text || null
+    ...mapExtractionInfo(row),
+    status: row.status || 'ready',
+    statusError: row.status_error || null
   }));
 }
 
 /**
- * Get document file info (including optional BLOB) by ID
+ * Get document file info by ID
  * Used for download endpoint.
  * @param {string} id
- * @returns {{id:string, originalName:string, storedName:string, storedPath:string, mimeType:string, contentBlob:Buffer|null}|null}
+ * @param {Object} [options]
+ * @param {boolean} [options.includeTrashed=false] - Also return a document that is in the trash
+ * @returns {{id:string, originalName:string, storedName:string, storedPath:string, mimeType:string, blobSha256:string|null, deletedAt:string|null}|null}
+ *   blobSha256 is null until ingestion moved the file into the blob store
  */
-function getDocumentFileById(id) {
+function getDocumentFileById(id, { includeTrashed = false } = {}) {
   const stmt = db.prepare(`
-    SELECT id, original_name, stored_name, stored_path, mime_type, content_blob
+    SELECT id, original_name, stored_name, stored_path, mime_type, blob_sha256, deleted_at
     FROM documents
-    WHERE id = ?
+    WHERE id = ? ${trashFilter(includeTrashed)}
   `);
   const row = stmt.get(id);
   if (!row) return null;
@@ -150,7 +211,8 @@ function getDocumentFileById(id) {
     storedName: row.stored_name,
     storedPath: row.stored_path,
     mimeType: row.mime_type,
-    contentBlob: row.content_blob || null
+    blobSha256: row.blob_sha256 || null,
+    deletedAt: row.deleted_at || null
   };
 }
 
@@ -160,172 +222,661 @@ function getDocumentFileById(id) {
  * @returns {number} number of deleted rows
  */
 function deleteDocumentById(id) {
-  const stmt = db.prepare(`DELETE FROM documents WHERE id = ?`);
-  const info = stmt.run(id);
+  return db.transaction(() => {
+    const info = db.prepare('DELETE FROM documents WHERE id = ?').run(id);
+    unindexDocument(db, id);
+    return info.changes || 0;
+  })();
+}
+
+/**
+ * Insert a documents row as read from another database with the same schema (backup import)
+ * Columns this database does not have are ignored; the full-text index row is rebuilt.
+ * @param {Object} row - Raw documents row (snake_case columns)
+ * @returns {number} number of inserted rows
+ */
+function insertDocumentRow(row) {
+  const columns = db.prepare('PRAGMA table_info(documents)').all()
+    .map((c) => c.name)
+    .filter((name) => Object.prototype.hasOwnProperty.call(row, name));
+  const info = db.prepare(`
+    INSERT INTO documents (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})
+  `).run(...columns.map((name) => row[name]));
+  reindexDocument(row.id);
   return info.changes || 0;
 }
+
 /**
- * Search documents by keyword using FTS5 or LIKE fallback
- * @param {string} q - Search query
- * @param {Object} options - Query options
- * @param {number} options.limit - Maximum number of results
- * @param {number} options.offset - Number of results to skip
- * @param {string} [options.docId] - Optional document ID to filter by
- * @returns {Object} - Search result with mode, total, and results
+ * Move a document to the trash
+ * @param {string} id
+ * @param {string} deletedAt - ISO timestamp
+ * @returns {number} number of updated rows (0 when missing or already trashed)
  */
-function searchDocumentsByKeyword(q, { limit = 50, offset = 0, docId = null } = {}) {
-  // Validate and sanitize limit/offset
-  const safeLimit = Math.min(Math.max(parseInt(limit) || 50, 1), 50);
-  const safeOffset = Math.max(parseInt(offset) || 0, 0);
+function trashDocumentById(id, deletedAt) {
+  const info = db.prepare('UPDATE documents SET deleted_at = ? WHERE id = ? AND deleted_at IS NULL')
+    .run(deletedAt, id);
+  return info.changes || 0;
+}
 
-  // Try FTS5 search first
-  try {
-    // Escape special FTS5 characters and build query
-    // FTS5 uses a simple syntax: words are ANDed by default, use OR for multiple terms
-    const ftsQuery = q.trim().split(/\s+/).map(term => {
-      // Escape special characters for FTS5
-      return term.replace(/["'*]/g, '');
-    }).filter(term => term.length > 0).join(' OR ');
-
-    if (!ftsQuery) {
-      // Empty query after processing
+/**
+ * Take a document out of the trash
+ * @param {string} id
+ * @returns {number} number of updated rows (0 when missing or not trashed)
+ */
+function restoreDocumentById(id) {
+  const info = db.prepare('UPDATE documents SET deleted_at = NULL WHERE id = ? AND deleted_at IS NOT NULL').run(id);
+  return info.changes || 0;
+}
+
+/**
+ * List trashed documents, most recently deleted first
+ * @param {Object} options
+ * @param {number} options.limit
+ * @param {number} options.offset
+ * @returns {{ total: number, results: Array<Object> }}
+ */
+function listTrashedDocuments({ limit = 50, offset = 0 } = {}) {
+  const total = db.prepare('SELECT COUNT(*) FROM documents WHERE deleted_at IS NOT NULL').pluck().get();
+  const rows = db.prepare(`
+    SELECT id, original_name, mime_type, size, created_at, status, deleted_at
+    FROM documents
+    WHERE deleted_at IS NOT NULL
+    ORDER BY deleted_at DESC, id
+    LIMIT ? OFFSET ?
+  `).all(limit, offset);
+
+  return {
+    total,
+    results: rows.map((row) => ({
+      id: row.id,
+      originalName: row.original_name,
+      mimeType: row.mime_type,
+      size: row.size,
+      createdAt: row.created_at,
+      status: row.status || 'ready',
+      deletedAt: row.deleted_at
+    }))
+  };
+}
+
+/**
+ * Ids of documents trashed at or before a point in time
+ * @param {string|null} [before] - ISO timestamp; null for every trashed document
+ * @returns {string[]}
+ */
+function listTrashedDocumentIds(before = null) {
+  if (before === null) {
+    return db.prepare('SELECT id FROM documents WHERE deleted_at IS NOT NULL ORDER BY deleted_at').pluck().all();
+  }
+  return db.prepare('SELECT id FROM documents WHERE deleted_at <= ? ORDER BY deleted_at').pluck().all(before);
+}
+
+function escapeRegExp(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Offset of the earliest case-insensitive occurrence of any term
+ * @param {string} text
+ * @param {Array<string>} terms
+ * @returns {number} -1 if none found
+ */
+function findFirstMatchOffset(text, terms) {
+  const parts = (terms || []).filter((t) => t && t.length > 0).map(escapeRegExp);
+  if (!text || parts.length === 0) return -1;
+  return text.search(new RegExp(parts.join('|'), 'iu'));
+}
+
+/**
+ * Section and page of a search hit
+ * @param {Object} row - documents row with outline_json and pages_json
+ * @param {number} offset - Char offset of the hit in content_text (-1 if none)
+ * @returns {{ section: { title: string, level: number, path: string[] }|undefined, page: number|undefined }}
+ */
+function locateHit(row, offset) {
+  const outline = parseOutline(row.outline_json);
+  const pages = parseJsonArray(row.pages_json);
+  if (outline.length === 0 && pages.length === 0) return { section: undefined, page: undefined };
+
+  const section = findSectionAt(outline, offset);
+  return {
+    section: section ? { title: section.title, level: section.level, path: section.path } : undefined,
+    page: findPageAt(pages, offset) || undefined
+  };
+}
+
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, '\\$&');
+}
+
+/**
+ * LIKE fallback of a parsed query (substring matches: a prefix term behaves like a plain one)
+ * @param {Object} node - from parseSearchQuery
+ * @returns {{ sql: string, params: Array<string> }}
+ */
+function likeCondition(node) {
+  switch (node.type) {
+    case 'term':
+    case 'phrase': {
+      const pattern = `%${escapeLike(node.value)}%`;
+      return {
+        sql: `(original_name LIKE ? ESCAPE '\\' OR stored_path LIKE ? ESCAPE '\\' OR COALESCE(content_text, '') LIKE ? ESCAPE '\\')`,
+        params: [pattern, pattern, pattern]
+      };
+    }
+    case 'not': {
+      const inner = likeCondition(node.child);
+      return { sql: `NOT ${inner.sql}`, params: inner.params };
+    }
+    default: {
+      const parts = node.children.map(likeCondition);
       return {
-        mode: 'fts5',
-        query: q,
-        limit: safeLimit,
-        offset: safeOffset,
-        total: 0,
-        results: []
+        sql: `(${parts.map((part) => part.sql).join(node.type === 'and' ? ' AND ' : ' OR ')})`,
+        params: parts.flatMap((part) => part.params)
       };
     }
+  }
+}
+
+/**
+ * Search filters as SQL (ANDed onto the match condition)
+ * @param {Object} filters - see searchDocumentsByKeyword
+ * @param {string} prefix - Column prefix of the documents table ('d.' or '')
+ * @returns {{ sql: string, params: Array }} sql is empty or starts with AND
+ */
+function searchFilterCondition(filters, prefix) {
+  const clauses = [];
+  const params = [];
+  if (filters.docId) {
+    clauses.push(`${prefix}id = ?`);
+    params.push(filters.docId);
+  }
+  if (filters.mimeTypes && filters.mimeTypes.length > 0) {
+    clauses.push(`${prefix}mime_type IN (${filters.mimeTypes.map(() => '?').join(', ')})`);
+    params.push(...filters.mimeTypes);
+  }
+  if (filters.createdFrom) {
+    clauses.push(`${prefix}created_at >= ?`);
+    params.push(filters.createdFrom);
+  }
+  if (filters.createdTo) {
+    clauses.push(`${prefix}created_at <= ?`);
+    params.push(filters.createdTo);
+  }
+  if (typeof filters.minSize === 'number') {
+    clauses.push(`${prefix}size >= ?`);
+    params.push(filters.minSize);
+  }
+  if (typeof filters.maxSize === 'number') {
+    clauses.push(`${prefix}size <= ?`);
+    params.push(filters.maxSize);
+  }
+  return { sql: clauses.map((clause) => `AND ${clause}`).join(' '), params };
+}
+
+/**
+ * Facet counts of the documents a search matches
+ * A facet ignores its own filter, so the other values stay visible while one is selected.
+ * @param {{ from: string, where: string, params: Array, prefix: string }} source - the search's match
+ * @param {Object} filters
+ * @returns {{ mimeType: Array<{ value: string, count: number }>, month: Array<{ value: string, count: number }> }}
+ *   month is YYYY-MM (UTC) of the upload, newest first; types by count
+ */
+function searchFacets(source, filters) {
+  const count = (expression, facetFilters, order) => {
+    const filter = searchFilterCondition(facetFilters, source.prefix);
+    return db.prepare(`
+      SELECT ${expression} AS value, COUNT(*) AS count
+      FROM ${source.from}
+      WHERE ${source.where} ${filter.sql}
+      GROUP BY value
+      ORDER BY ${order}
+    `).all(...source.params, ...filter.params);
+  };
+  return {
+    mimeType: count(`${source.prefix}mime_type`, { ...filters, mimeTypes: null }, 'count DESC, value'),
+    month: count(`substr(${source.prefix}created_at, 1, 7)`, { ...filters, createdFrom: null, createdTo: null }, 'value DESC')
+  };
+}
+
+// Text of a result searched for highlights when no single passage matches (or there is no passage index)
+const HIGHLIGHT_SCAN_CHARS = 20000;
+
+function hasTable(name) {
+  return Boolean(db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?").get(name));
+}
+
+function hasPassageIndex() {
+  return hasTable('passages_fts');
+}
+
+/**
+ * Part of a result's text to cut the highlight from
+ * Analysing the whole text of every result would tokenize and stem megabytes per search: the best
+ * matching passage (src/utils/passages.js) is used instead, or the beginning of the text when the
+ * match spans passages. (Passage offsets are JavaScript string offsets, so the text is sliced here
+ * rather than with SQL substr(), which counts code points.)
+ * @param {string} docId
+ * @param {string} ftsQuery
+ * @param {boolean} usePassages - whether the passage index exists
+ * @returns {{ text: string, offset: number, cutBefore: boolean, cutAfter: boolean }} offset of text in
+ *   the document's content text; cutBefore / cutAfter when there is more text around it
+ */
+function highlightWindow(docId, ftsQuery, usePassages) {
+  const contentText = db.prepare('SELECT content_text FROM documents WHERE id = ?').pluck().get(docId) || '';
+  const passage = usePassages
+    ? db.prepare(`
+      SELECT p.start_char, p.end_char,
+        (SELECT MIN(start_char) FROM document_passages WHERE doc_id = p.doc_id) AS first_start,
+        (SELECT MAX(end_char) FROM document_passages WHERE doc_id = p.doc_id) AS last_end
+      FROM passages_fts JOIN document_passages p ON p.id = passages_fts.rowid
+      WHERE passages_fts MATCH ? AND p.doc_id = ?
+      ORDER BY bm25(passages_fts), p.start_char
+      LIMIT 1
+    `).get(ftsQuery, docId)
+    : null;
 
-    // Check if FTS5 table exists
-    const tableCheck = db.prepare(`
-      SELECT name FROM sqlite_master 
-      WHERE type='table' AND name='documents_fts'
-    `).get();
+  if (passage) {
+    // Passages run from word to word: keep the text around the first and last one, and the
+    // punctuation after a passage's last word
+    const cutBefore = passage.start_char > passage.first_start;
+    const cutAfter = passage.end_char < passage.last_end;
+    const start = cutBefore ? passage.start_char : 0;
+    const end = cutAfter
+      ? passage.end_char + contentText.slice(passage.end_char, passage.end_char + 16).match(/^[^\s\p{L}\p{N}]*/u)[0].length
+      : contentText.length;
+    return { text: contentText.slice(start, end), offset: start, cutBefore, cutAfter };
+  }
+  return {
+    text: contentText.slice(0, HIGHLIGHT_SCAN_CHARS),
+    offset: 0,
+    cutBefore: false,
+    cutAfter: contentText.length > HIGHLIGHT_SCAN_CHARS
+  };
+}
 
-    if (!tableCheck) {
-      throw new Error('FTS5 table not found');
+/**
+ * Highlights of a search result
+ * @param {Array<{ field: string, text: string, analysis: Object, excerpt?: Object }>} sources - fields
+ *   as named in the API, with analyzeText of their text (excerpt: see snippetRanges)
+ * @param {string} format - 'ranges' or 'html' (see searchDocumentsByKeyword)
+ * @returns {Array<Object|string>|undefined} undefined without hits
+ */
+function rowHighlights(sources, format) {
+  const highlights = [];
+  for (const { field, text, analysis, excerpt } of sources) {
+    if (format === 'html') {
+      const snippet = snippetOf(text, analysis, undefined, excerpt);
+      if (snippet) highlights.push(snippet);
+    } else {
+      const snippet = snippetRanges(text, analysis, undefined, excerpt);
+      if (snippet) highlights.push({ field, ...snippet });
     }
+  }
+  return highlights.length > 0 ? highlights : undefined;
+}
 
-    // FTS5 search query
-    // Note: snippet() column indices: 0=doc_id, 1=original_name, 2=content_text
-    const docIdFilter = docId ? 'AND d.id = ?' : '';
-    const ftsStmt = db.prepare(`
-      SELECT 
-        d.id,
-        d.original_name,
-        d.stored_name,
-        d.stored_path,
-        d.mime_type,
-        d.size,
-        d.sha256,
-        d.created_at,
-        d.content_text,
-        bm25(documents_fts) as score,
-        snippet(documents_fts, 1, '<mark>', '</mark>', '...', 32) as highlight_original_name,
-        snippet(documents_fts, 2, '<mark>', '</mark>', '...', 32) as highlight_content_text
-      FROM documents_fts
-      JOIN documents d ON d.id = documents_fts.doc_id
-      WHERE documents_fts MATCH ? ${docIdFilter}
-      ORDER BY score ASC, d.created_at DESC
-      LIMIT ? OFFSET ?
-    `);
-
-    const queryParams = docId 
-      ? [ftsQuery, docId, safeLimit, safeOffset]
-      : [ftsQuery, safeLimit, safeOffset];
-    const rows = ftsStmt.all(...queryParams);
-
-    // Get total count
-    const countStmt = db.prepare(`
-      SELECT COUNT(*) as total
-      FROM documents_fts
-      JOIN documents d ON d.id = documents_fts.doc_id
-      WHERE documents_fts MATCH ? ${docIdFilter}
-    `);
-    const countParams = docId ? [ftsQuery, docId] : [ftsQuery];
-    const countResult = countStmt.get(...countParams);
-    const total = countResult ? countResult.total : 0;
-
-    const results = rows.map(row => {
-      const highlights = [];
-      if (row.highlight_original_name) highlights.push(row.highlight_original_name);
-      if (row.highlight_content_text) highlights.push(row.highlight_content_text);
+/**
+ * Run a parsed query against the full-text index
+ * @param {Object} tree - from parseSearchQuery (or correctQuery)
+ * @param {Object} options
+ * @returns {{ total: number, results: Array<Object>, facets: Object }}
+ */
+function searchFullText(tree, { settings, filters, limit, offset, highlightFormat }) {
+  // The index holds normalized words (src/utils/searchText.js): normalize the query the same way
+  const ftsQuery = toFtsQuery(tree, (value) => normalizeWords(value, settings));
+  const source = {
+    from: 'documents_fts JOIN documents d ON d.id = documents_fts.doc_id',
+    where: "documents_fts MATCH ? AND d.status = 'ready' AND d.deleted_at IS NULL",
+    params: [ftsQuery],
+    prefix: 'd.'
+  };
+  const filter = searchFilterCondition(filters, source.prefix);
 
-      return {
-        id: row.id,
-        originalName: row.original_name,
-        mimeType: row.mime_type,
-        size: row.size,
-        createdAt: row.created_at,
-        score: row.score || null,
-        highlights: highlights.length > 0 ? highlights : undefined
-      };
-    });
+  // FTS5 search query (no snippet(): the index text is normalized, highlights come from the original;
+  // the content text is read per result, see highlightWindow)
+  const ftsStmt = db.prepare(`
+    SELECT 
+      d.id,
+      d.original_name,
+      d.stored_name,
+      d.stored_path,
+      d.mime_type,
+      d.size,
+      d.sha256,
+      d.created_at,
+      d.outline_json,
+      d.pages_json,
+      bm25(documents_fts) as score
+    FROM ${source.from}
+    WHERE ${source.where} ${filter.sql}
+    ORDER BY score ASC, d.created_at DESC
+    LIMIT ? OFFSET ?
+  `);
+  const rows = ftsStmt.all(...source.params, ...filter.params, limit, offset);
+
+  // Get total count
+  const countStmt = db.prepare(`
+    SELECT COUNT(*) as total
+    FROM ${source.from}
+    WHERE ${source.where} ${filter.sql}
+  `);
+  const countResult = countStmt.get(...source.params, ...filter.params);
+  const total = countResult ? countResult.total : 0;
+
+  const matchers = buildMatchers(tree, settings);
+  const usePassages = rows.length > 0 && hasPassageIndex();
+  const results = rows.map(row => {
+    const window = highlightWindow(row.id, ftsQuery, usePassages);
+    const content = analyzeText(window.text, matchers, settings);
+    const highlights = rowHighlights([
+      { field: 'originalName', text: row.original_name, analysis: analyzeText(row.original_name, matchers, settings) },
+      { field: 'contentText', text: window.text, analysis: content, excerpt: window }
+    ], highlightFormat);
 
     return {
-      mode: 'fts5',
-      query: q,
-      limit: safeLimit,
-      offset: safeOffset,
-      total: total,
-      results: results
-    };
-  } catch (ftsError) {
-    // FTS5 not available or query failed, fallback to LIKE
-    console.warn('FTS5 search failed, using LIKE fallback:', ftsError.message);
-
-    const searchTerm = `%${q}%`;
-    const docIdFilter = docId ? 'AND id = ?' : '';
-    const likeStmt = db.prepare(`
-      SELECT * FROM documents 
-      WHERE (original_name LIKE ? OR stored_path LIKE ? OR COALESCE(content_text, '') LIKE ?) ${docIdFilter}
-      ORDER BY created_at DESC 
-      LIMIT ? OFFSET ?
-    `);
-
-    const likeParams = docId 
-      ? [searchTerm, searchTerm, searchTerm, docId, safeLimit, safeOffset]
-      : [searchTerm, searchTerm, searchTerm, safeLimit, safeOffset];
-    const rows = likeStmt.all(...likeParams);
-
-    // Get total count for LIKE search
-    const countStmt = db.prepare(`
-      SELECT COUNT(*) as total
-      FROM documents 
-      WHERE (original_name LIKE ? OR stored_path LIKE ? OR COALESCE(content_text, '') LIKE ?) ${docIdFilter}
-    `);
-    const countParams = docId ? [searchTerm, searchTerm, searchTerm, docId] : [searchTerm, searchTerm, searchTerm];
-    const countResult = countStmt.get(...countParams);
-    const total = countResult ? countResult.total : 0;
-
-    const results = rows.map(row => ({
       id: row.id,
       originalName: row.original_name,
       mimeType: row.mime_type,
       size: row.size,
       createdAt: row.created_at,
-      score: null,
-      highlights: undefined
-    }));
+      score: row.score || null,
+      highlights,
+      ...locateHit(row, content.hits.length > 0 ? window.offset + content.hits[0].start : -1)
+    };
+  });
+
+  return { total, results, facets: searchFacets(source, filters) };
+}
+
+/**
+ * Near matches of the misspelled words of a query (typo-tolerant search)
+ * A positive word that is not in the index becomes an OR of the index terms close to it; phrases,
+ * prefixes and negated words are kept as written.
+ * @param {Object} parsed - from parseSearchQuery
+ * @param {Object} settings - from getSearchTextSettings()
+ * @returns {{ tree: Object, didYouMean: string, suggestions: Array<{ term: string, words: string[] }> }|null}
+ *   tree with the near matches, the query with the closest words, and the alternatives per word;
+ *   null when every word is in the index or nothing is close
+ */
+function correctQuery(parsed, settings) {
+  const suggestions = [];
+
+  // [node of the fuzzy search, node of the suggested query]
+  const correct = (node) => {
+    if (node.type === 'term' && !node.prefix) {
+      const words = normalizeWords(node.value, settings);
+      if (words.length !== 1 || searchTermsRepo.hasTerm(words[0])) return [node, node];
+      const similar = searchTermsRepo.findSimilarTerms(words[0]);
+      if (similar.length === 0) return [node, node];
+      suggestions.push({ term: node.value, words: similar.map((s) => s.word) });
+      const near = similar.map((s) => ({ type: 'term', value: s.term, prefix: false, normalized: true }));
+      return [
+        near.length === 1 ? near[0] : { type: 'or', children: near },
+        { type: 'term', value: similar[0].word, prefix: false }
+      ];
+    }
+    if (node.type === 'and' || node.type === 'or') {
+      const corrected = node.children.map(correct);
+      return [
+        { ...node, children: corrected.map(([fuzzy]) => fuzzy) },
+        { ...node, children: corrected.map(([, suggested]) => suggested) }
+      ];
+    }
+    return [node, node];
+  };
+
+  const [tree, suggested] = correct(parsed);
+  if (suggestions.length === 0) return null;
+  return { tree, didYouMean: toQueryString(suggested), suggestions };
+}
+
+/**
+ * Search documents by keyword using FTS5 or LIKE fallback
+ * When the index has no match and a word of the query is not in it, near matches of the misspelled
+ * words are searched instead (mode 'fuzzy') and suggested as didYouMean.
+ * @param {string} q - Search query (syntax: src/utils/searchQuery.js)
+ * @param {Object} options - Query options
+ * @param {number} options.limit - Maximum number of results
+ * @param {number} options.offset - Number of results to skip
+ * @param {string} [options.docId] - Optional document ID to filter by
+ * @param {boolean} [options.fuzzy=true] - Fall back to near matches; false only suggests them
+ * @param {string} [options.highlightFormat='ranges'] - 'ranges': highlights are { field, text, ranges }
+ *   (snippet of originalName or contentText, hits as { startChar, endChar } into text);
+ *   'html': snippet strings with the hits wrapped in <mark>...</mark> (the earlier form)
+ * @param {Object} [options.filters] - Narrow the results (all optional, combined with AND)
+ * @param {Array<string>} [options.filters.mimeTypes] - Any of these types
+ * @param {string} [options.filters.createdFrom] - Uploaded at or after (ISO timestamp)
+ * @param {string} [options.filters.createdTo] - Uploaded at or before (ISO timestamp)
+ * @param {number} [options.filters.minSize] - At least this many bytes
+ * @param {number} [options.filters.maxSize] - At most this many bytes
+ * @returns {Object} - Search result with mode ('fts5', 'fuzzy' or 'like'), total, results, facets,
+ *   didYouMean (corrected query or null) and suggestions ({ term, words } per misspelled word); only
+ *   documents with status 'ready' that are not in the trash
+ * @throws {AppError} - BAD_QUERY (400) when q is not a valid query
+ */
+function searchDocumentsByKeyword(q, {
+  limit = 50, offset = 0, docId = null, fuzzy = true, highlightFormat = 'ranges', filters = {}
+} = {}) {
+  // Validate and sanitize limit/offset
+  const safeLimit = Math.min(Math.max(parseInt(limit) || 50, 1), 50);
+  const safeOffset = Math.max(parseInt(offset) || 0, 0);
+  const allFilters = { ...filters, docId };
+
+  // Syntax errors are the caller's; they never fall back to LIKE
+  const parsed = parseSearchQuery(q);
+  const settings = getSearchTextSettings();
+
+  // Without FTS5 (SQLite built without it) the LIKE scan stands in
+  if (!hasTable('documents_fts')) {
+    return searchByLike(q, parsed, { limit: safeLimit, offset: safeOffset, filters: allFilters });
+  }
+
+  try {
+    const options = { settings, filters: allFilters, limit: safeLimit, offset: safeOffset, highlightFormat };
+    let mode = 'fts5';
+    let search = searchFullText(parsed, options);
+    const correction = search.total === 0 && searchTermsRepo.hasVocabulary()
+      ? correctQuery(parsed, settings)
+      : null;
+    if (correction && fuzzy) {
+      mode = 'fuzzy';
+      search = searchFullText(correction.tree, options);
+    }
 
     return {
-      mode: 'like',
+      mode,
       query: q,
       limit: safeLimit,
       offset: safeOffset,
-      total: total,
-      results: results
+      total: search.total,
+      results: search.results,
+      facets: search.facets,
+      didYouMean: correction ? correction.didYouMean : null,
+      suggestions: correction ? correction.suggestions : []
     };
+  } catch (ftsError) {
+    // Index dropped while running (e.g. by a rebuild on another connection)
+    if (/no such table: documents_fts\b/.test(ftsError.message || '')) {
+      console.warn('FTS5 index missing, using LIKE fallback:', ftsError.message);
+      return searchByLike(q, parsed, { limit: safeLimit, offset: safeOffset, filters: allFilters });
+    }
+    // A query the parser let through but FTS5 refuses is still the caller's
+    if (isFtsQueryError(ftsError)) {
+      throw new AppError({
+        statusCode: 400,
+        code: 'BAD_QUERY',
+        message: `Invalid search query: ${ftsError.message}`,
+        cause: ftsError
+      });
+    }
+    throw ftsError;
   }
 }
 
+function isFtsQueryError(error) {
+  return error.code === 'SQLITE_ERROR'
+    && /fts5: syntax error|unterminated string|unknown special query/.test(error.message || '');
+}
+
+/**
+ * Keyword search without the full-text index: LIKE scan over the content text
+ * @param {string} q
+ * @param {Object} parsed - Parsed query
+ * @param {{ limit: number, offset: number, filters: Object }} options - Validated paging and filters
+ * @returns {Object} - Search result as in searchDocumentsByKeyword, mode 'like'
+ */
+function searchByLike(q, parsed, { limit, offset, filters }) {
+  const terms = positiveTerms(parsed);
+  const condition = likeCondition(parsed);
+  const source = {
+    from: 'documents',
+    where: `${condition.sql} AND status = 'ready' AND deleted_at IS NULL`,
+    params: condition.params,
+    prefix: ''
+  };
+  const filter = searchFilterCondition(filters, source.prefix);
+
+  const likeStmt = db.prepare(`
+    SELECT * FROM ${source.from}
+    WHERE ${source.where} ${filter.sql}
+    ORDER BY created_at DESC 
+    LIMIT ? OFFSET ?
+  `);
+  const rows = likeStmt.all(...source.params, ...filter.params, limit, offset);
+
+  // Get total count for LIKE search
+  const countStmt = db.prepare(`
+    SELECT COUNT(*) as total
+    FROM ${source.from}
+    WHERE ${source.where} ${filter.sql}
+  `);
+  const countResult = countStmt.get(...source.params, ...filter.params);
+  const total = countResult ? countResult.total : 0;
+
+  const results = rows.map(row => ({
+    id: row.id,
+    originalName: row.original_name,
+    mimeType: row.mime_type,
+    size: row.size,
+    createdAt: row.created_at,
+    score: null,
+    highlights: undefined,
+    ...locateHit(row, findFirstMatchOffset(row.content_text || '', terms))
+  }));
+
+  return {
+    mode: 'like',
+    query: q,
+    limit,
+    offset,
+    total: total,
+    results: results,
+    facets: searchFacets(source, filters),
+    didYouMean: null,
+    suggestions: []
+  };
+}
+
+/**
+ * Search the passages of all documents (passage search)
+ * Passages (src/utils/passages.js) are ranked across documents, so a long document can contribute
+ * several. Misspelled words are handled like in searchDocumentsByKeyword.
+ * @param {string} q - Search query (syntax: src/utils/searchQuery.js)
+ * @param {Object} options - limit, offset, docId, fuzzy and filters as in searchDocumentsByKeyword
+ * @returns {Object} - { mode ('fts5' or 'fuzzy'), query, limit, offset, total, results, didYouMean, suggestions };
+ *   results: { docId, originalName, mimeType, startChar, endChar, page, section, score, text,
+ *   highlights: [{ startChar, endChar }] } with offsets into the document's content text
+ * @throws {AppError} - BAD_QUERY (400), SEARCH_INDEX_UNAVAILABLE (409) without the passage index
+ */
+function searchPassages(q, { limit = 20, offset = 0, docId = null, fuzzy = true, filters = {} } = {}) {
+  const safeLimit = Math.min(Math.max(parseInt(limit) || 20, 1), 50);
+  const safeOffset = Math.max(parseInt(offset) || 0, 0);
+  const allFilters = { ...filters, docId };
+
+  const parsed = parseSearchQuery(q);
+  const settings = getSearchTextSettings();
+
+  if (!hasPassageIndex()) {
+    throw new AppError({
+      statusCode: 409,
+      code: 'SEARCH_INDEX_UNAVAILABLE',
+      message: 'Passage search needs SQLite with FTS5'
+    });
+  }
+
+  const options = { settings, filters: allFilters, limit: safeLimit, offset: safeOffset };
+  let mode = 'fts5';
+  let search = searchPassageIndex(parsed, options);
+  const correction = search.total === 0 && searchTermsRepo.hasVocabulary()
+    ? correctQuery(parsed, settings)
+    : null;
+  if (correction && fuzzy) {
+    mode = 'fuzzy';
+    search = searchPassageIndex(correction.tree, options);
+  }
+
+  return {
+    mode,
+    query: q,
+    limit: safeLimit,
+    offset: safeOffset,
+    total: search.total,
+    results: search.results,
+    didYouMean: correction ? correction.didYouMean : null,
+    suggestions: correction ? correction.suggestions : []
+  };
+}
+
+function searchPassageIndex(tree, { settings, filters, limit, offset }) {
+  const ftsQuery = toFtsQuery(tree, (value) => normalizeWords(value, settings));
+  const from = `passages_fts
+    JOIN document_passages p ON p.id = passages_fts.rowid
+    JOIN documents d ON d.id = p.doc_id`;
+  const where = "passages_fts MATCH ? AND d.status = 'ready' AND d.deleted_at IS NULL";
+  const filter = searchFilterCondition(filters, 'd.');
+
+  const rows = db.prepare(`
+    SELECT p.doc_id, p.start_char, p.end_char, d.original_name, d.mime_type, bm25(passages_fts) AS score
+    FROM ${from}
+    WHERE ${where} ${filter.sql}
+    ORDER BY score ASC, d.created_at DESC, p.start_char
+    LIMIT ? OFFSET ?
+  `).all(ftsQuery, ...filter.params, limit, offset);
+  const total = db.prepare(`SELECT COUNT(*) FROM ${from} WHERE ${where} ${filter.sql}`)
+    .pluck().get(ftsQuery, ...filter.params);
+
+  // Passage text, page and section come from the document (read once per document)
+  const documentStmt = db.prepare('SELECT content_text, outline_json, pages_json FROM documents WHERE id = ?');
+  const documents = new Map();
+  const matchers = buildMatchers(tree, settings);
+  const results = rows.map((row) => {
+    if (!documents.has(row.doc_id)) documents.set(row.doc_id, documentStmt.get(row.doc_id));
+    const doc = documents.get(row.doc_id);
+    const text = (doc.content_text || '').slice(row.start_char, row.end_char);
+    const { hits } = analyzeText(text, matchers, settings);
+    // A passage can run over a page break: locate its first hit
+    const hitOffset = row.start_char + (hits.length > 0 ? hits[0].start : 0);
+    return {
+      docId: row.doc_id,
+      originalName: row.original_name,
+      mimeType: row.mime_type,
+      startChar: row.start_char,
+      endChar: row.end_char,
+      ...locateHit(doc, hitOffset),
+      score: row.score,
+      text,
+      highlights: hits.map((hit) => ({ startChar: row.start_char + hit.start, endChar: row.start_char + hit.end }))
+    };
+  });
+
+  return { total, results };
+}
+
 /**
  * Check if document with given SHA256 exists
  * @param {string} sha256 - SHA256 hash
- * @returns {Object|null} - Existing document or null
+ * @returns {Object|null} - Existing document or null (trashed documents too: deletedAt is set)
  */
 function getDocumentBySha256(sha256) {
   const stmt = db.prepare('SELECT * FROM documents WHERE sha256 = ?');
@@ -343,40 +894,160 @@ function getDocumentBySha256(sha256) {
     mimeType: row.mime_type,
     size: row.size,
     sha256: row.sha256,
+    blobSha256: row.blob_sha256 || null,
     createdAt: row.created_at,
     contentText: row.content_text || null,
-    summary: row.summary || null,
-    summaryCreatedAt: row.summary_created_at || null,
-    summaryModel: row.summary_model || null
+    status: row.status || 'ready',
+    statusError: row.status_error || null,
+    deletedAt: row.deleted_at || null
   };
 }
 
 /**
- * Update summary for a document
- * @param {string} docId - Document ID
- * @param {Object} summaryData - Summary data
- * @param {string} summaryData.summary - Summary text
- * @param {string} summaryData.model - Model used to generate summary
- * @param {string} [summaryData.createdAt] - Creation timestamp (ISO), defaults to now
- * @returns {Object} - Updated document record
+ * Id of the document whose upload has the given stored name
+ * @param {string} storedName
+ * @returns {string|null}
  */
-function updateSummary(docId, { summary, model, createdAt }) {
-  const summaryCreatedAt = createdAt || new Date().toISOString();
+function getDocumentIdByStoredName(storedName) {
+  const row = db.prepare('SELECT id FROM documents WHERE stored_name = ?').get(storedName);
+  return row ? row.id : null;
+}
 
-  const stmt = db.prepare(`
-    UPDATE documents 
-    SET summary = ?,
-        summary_created_at = ?,
-        summary_model = ?
+/**
+ * Store the extraction result of a document ingested in the background
+ * @param {string} id
+ * @param {Object} extracted
+ * @param {string} extracted.contentText
+ * @param {Array<Object>} [extracted.outline]
+ * @param {Array<Object>} [extracted.pages]
+ * @param {string} [extracted.extractionMethod]
+ * @param {Array<Object>} [extracted.ocrPages]
+ * @param {string} [extracted.textEncoding]
+ * @returns {number} number of updated rows (0 when the document was deleted meanwhile)
+ */
+function saveExtractedContent(id, extracted) {
+  return db.transaction(() => {
+    const changes = updateExtractedContent(id, extracted);
+    if (changes) reindexDocument(id);
+    return changes;
+  })();
+}
+
+function updateExtractedContent(id, extracted) {
+  const info = db.prepare(`
+    UPDATE documents
+    SET content_text = ?, outline_json = ?, pages_json = ?,
+        extraction_method = ?, ocr_pages_json = ?, text_encoding = ?
     WHERE id = ?
+  `).run(
+    extracted.contentText || null,
+    toJsonArray(extracted.outline),
+    toJsonArray(extracted.pages),
+    extracted.extractionMethod || 'text',
+    toJsonArray(extracted.ocrPages),
+    extracted.textEncoding || null,
+    id
+  );
+  return info.changes || 0;
+}
+
+/**
+ * Record that the file of a document is in the blob store
+ * @param {string} id
+ * @param {{ blobSha256: string, storedPath: string }} blob - Hash and path of the blob
+ * @returns {number} number of updated rows (0 when the document was deleted meanwhile)
+ */
+function saveDocumentBlob(id, { blobSha256, storedPath }) {
+  const info = db.prepare('UPDATE documents SET blob_sha256 = ?, stored_path = ? WHERE id = ?')
+    .run(blobSha256, storedPath, id);
+  return info.changes || 0;
+}
+
+/**
+ * File references of all documents (storage consistency check)
+ * @returns {Array<{ id: string, originalName: string, storedPath: string, sha256: string, blobSha256: string|null, status: string }>}
+ */
+function listDocumentFiles() {
+  return db.prepare(`
+    SELECT id, original_name, stored_path, sha256, blob_sha256, status FROM documents ORDER BY created_at
+  `).all().map((row) => ({
+    id: row.id,
+    originalName: row.original_name,
+    storedPath: row.stored_path,
+    sha256: row.sha256,
+    blobSha256: row.blob_sha256 || null,
+    status: row.status || 'ready'
+  }));
+}
+
+/**
+ * Differences between documents and the full-text index
+ * @returns {{ orphans: string[], missing: string[], stale: string[] }|null} doc ids: index rows without
+ *   a document, documents without an index row, and documents whose index rows are duplicated or out of
+ *   date; null when the index does not exist
+ */
+function getIndexDrift() {
+  const table = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'documents_fts'").get();
+  if (!table) return null;
+
+  const orphans = db.prepare(`
+    SELECT DISTINCT doc_id FROM documents_fts WHERE doc_id NOT IN (SELECT id FROM documents) ORDER BY doc_id
+  `).pluck().all();
+  const missing = db.prepare(`
+    SELECT id FROM documents WHERE id NOT IN (SELECT doc_id FROM documents_fts) ORDER BY id
+  `).pluck().all();
+  const settings = getSearchTextSettings();
+  const duplicated = new Set(db.prepare(`
+    SELECT doc_id FROM documents_fts GROUP BY doc_id HAVING COUNT(*) > 1
+  `).pluck().all());
+  // One document at a time: content can be large
+  const indexed = db.prepare(`
+    SELECT id FROM documents WHERE id IN (SELECT doc_id FROM documents_fts) ORDER BY id
+  `).pluck().all();
+  const compare = db.prepare(`
+    SELECT d.original_name, d.content_text, f.original_name AS indexed_name, f.content_text AS indexed_text
+    FROM documents d JOIN documents_fts f ON f.doc_id = d.id
+    WHERE d.id = ?
   `);
+  const stale = indexed.filter((id) => {
+    if (duplicated.has(id)) return true;
+    const row = compare.get(id);
+    return row.indexed_name !== indexText(row.original_name, settings)
+      || row.indexed_text !== indexText(row.content_text, settings);
+  });
+  return { orphans, missing, stale };
+}
 
-  try {
-    stmt.run(summary, summaryCreatedAt, model, docId);
-    return getDocumentById(docId);
-  } catch (error) {
-    throw error;
-  }
+/**
+ * Remove the full-text index rows of a document id (rows left behind by a deleted document)
+ * @param {string} id
+ * @returns {number} number of deleted rows
+ */
+function deleteIndexRows(id) {
+  return db.prepare('DELETE FROM documents_fts WHERE doc_id = ?').run(id).changes || 0;
+}
+
+/**
+ * Rebuild the full-text index row and the passages of a document
+ * @param {string} id
+ */
+function reindexDocument(id) {
+  const row = db.prepare('SELECT id, original_name, content_text FROM documents WHERE id = ?').get(id);
+  if (!row) return;
+  indexDocument(db, row, getSearchTextSettings());
+}
+
+/**
+ * Set the ingestion status of a document
+ * @param {string} id
+ * @param {string} status - 'pending', 'processing', 'ready' or 'failed'
+ * @param {string|null} [statusError] - Reason of a failure
+ * @returns {number} number of updated rows
+ */
+function updateDocumentStatus(id, status, statusError = null) {
+  const info = db.prepare('UPDATE documents SET status = ?, status_error = ? WHERE id = ?')
+    .run(status, statusError, id);
+  return info.changes || 0;
 }
 
 module.exports = {
@@ -384,9 +1055,22 @@ module.exports = {
   getDocumentById,
   getDocumentFileById,
   deleteDocumentById,
+  insertDocumentRow,
+  trashDocumentById,
+  restoreDocumentById,
+  listTrashedDocuments,
+  listTrashedDocumentIds,
   listDocuments,
   searchDocumentsByKeyword,
+  searchPassages,
   getDocumentBySha256,
-  updateSummary
+  getDocumentIdByStoredName,
+  saveExtractedContent,
+  saveDocumentBlob,
+  listDocumentFiles,
+  getIndexDrift,
+  deleteIndexRows,
+  reindexDocument,
+  updateDocumentStatus
 };
 
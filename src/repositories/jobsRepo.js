@@ -0,0 +1,176 @@
+/**
+ * Jobs repository
+ * Persistent queue rows for background work (see src/services/jobQueue.js)
+ */
+const db = require('../db');
+const { v4: uuidv4 } = require('uuid');
+
+function parseJson(json, fallback) {
+  if (!json) return fallback;
+  try {
+    return JSON.parse(json);
+  } catch (_) {
+    return fallback;
+  }
+}
+
+function mapJob(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    docId: row.doc_id || null,
+    status: row.status,
+    step: row.step || null,
+    progress: row.progress,
+    attempts: row.attempts,
+    maxAttempts: row.max_attempts,
+    payload: parseJson(row.payload_json, {}),
+    result: parseJson(row.result_json, null),
+    errorCode: row.error_code || null,
+    errorMessage: row.error_message || null,
+    failures: parseJson(row.failures_json, []),
+    runAfter: row.run_after,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    startedAt: row.started_at || null,
+    finishedAt: row.finished_at || null
+  };
+}
+
+/**
+ * Create a queued job
+ * @param {Object} params
+ * @param {string} params.type - Handler name
+ * @param {string} [params.docId] - Document the job works on
+ * @param {Object} [params.payload]
+ * @param {number} params.maxAttempts
+ * @returns {Object} - Created job
+ */
+function createJob({ type, docId = null, payload = {}, maxAttempts }) {
+  const id = uuidv4();
+  const now = new Date().toISOString();
+
+  db.prepare(`
+    INSERT INTO jobs (
+      id, type, doc_id, status, progress, attempts, max_attempts, payload_json,
+      run_after, created_at, updated_at
+    ) VALUES (?, ?, ?, 'queued', 0, 0, ?, ?, ?, ?, ?)
+  `).run(id, type, docId, maxAttempts, JSON.stringify(payload || {}), now, now, now);
+
+  return getJobById(id);
+}
+
+/**
+ * @param {string} id
+ * @returns {Object|null}
+ */
+function getJobById(id) {
+  const row = db.prepare('SELECT * FROM jobs WHERE id = ?').get(id);
+  return row ? mapJob(row) : null;
+}
+
+/**
+ * Most recent job of a document
+ * @param {string} docId
+ * @returns {Object|null}
+ */
+function getLatestJobByDocId(docId) {
+  const row = db.prepare(`
+    SELECT * FROM jobs WHERE doc_id = ? ORDER BY created_at DESC LIMIT 1
+  `).get(docId);
+  return row ? mapJob(row) : null;
+}
+
+/**
+ * Take the oldest due job and mark it running (counts as an attempt)
+ * @param {string} now - ISO string
+ * @returns {Object|null}
+ */
+function claimNextJob(now) {
+  const row = db.prepare(`
+    UPDATE jobs
+    SET status = 'running', attempts = attempts + 1, started_at = ?, updated_at = ?
+    WHERE id = (
+      SELECT id FROM jobs
+      WHERE status = 'queued' AND run_after <= ?
+      ORDER BY run_after ASC, created_at ASC
+      LIMIT 1
+    )
+    RETURNING *
+  `).get(now, now, now);
+  return row ? mapJob(row) : null;
+}
+
+/**
+ * @param {string} id
+ * @param {{ step: string, progress: number }} params
+ */
+function updateProgress(id, { step, progress }) {
+  db.prepare(`
+    UPDATE jobs SET step = ?, progress = ?, updated_at = ? WHERE id = ?
+  `).run(step, progress, new Date().toISOString(), id);
+}
+
+/**
+ * @param {string} id
+ * @param {Object} [result]
+ */
+function markSucceeded(id, result = null) {
+  const now = new Date().toISOString();
+  db.prepare(`
+    UPDATE jobs
+    SET status = 'succeeded', step = NULL, progress = 100, result_json = ?,
+        error_code = NULL, error_message = NULL, updated_at = ?, finished_at = ?
+    WHERE id = ?
+  `).run(result ? JSON.stringify(result) : null, now, now, id);
+}
+
+/**
+ * Record a failed attempt; the job is either queued again at retryAt or failed for good
+ * @param {string} id
+ * @param {Object} params
+ * @param {{ code: string, message: string }} params.error
+ * @param {Array<Object>} params.failures - Failure history including this attempt
+ * @param {string|null} params.retryAt - ISO string, null when no retry is left
+ */
+function markAttemptFailed(id, { error, failures, retryAt }) {
+  const now = new Date().toISOString();
+  db.prepare(`
+    UPDATE jobs
+    SET status = ?, error_code = ?, error_message = ?, failures_json = ?,
+        run_after = COALESCE(?, run_after), updated_at = ?, finished_at = ?
+    WHERE id = ?
+  `).run(
+    retryAt ? 'queued' : 'failed',
+    error.code,
+    error.message,
+    JSON.stringify(failures),
+    retryAt,
+    now,
+    retryAt ? null : now,
+    id
+  );
+}
+
+/**
+ * Put jobs left running by a stopped process back in the queue
+ * @returns {number} number of requeued jobs
+ */
+function requeueRunningJobs() {
+  const now = new Date().toISOString();
+  const info = db.prepare(`
+    UPDATE jobs SET status = 'queued', run_after = ?, updated_at = ? WHERE status = 'running'
+  `).run(now, now);
+  return info.changes || 0;
+}
+
+module.exports = {
+  createJob,
+  getJobById,
+  getLatestJobByDocId,
+  claimNextJob,
+  updateProgress,
+  markSucceeded,
+  markAttemptFailed,
+  requeueRunningJobs
+};
@@ -0,0 +1,101 @@
+/**
+ * Search terms repository
+ * Vocabulary of the full-text index for the typo-tolerant search (tables: src/db/searchIndex.js).
+ * Terms are normalized words (src/utils/searchText.js); findSimilarTerms also returns a word as it is
+ * written in a document, to show in a "did you mean" suggestion.
+ */
+const db = require('../db');
+const { refreshVocabulary } = require('../db/searchIndex');
+const { analyzeText } = require('../utils/searchHighlight');
+const { maxEditsFor, trigrams, editDistance } = require('../utils/fuzzy');
+
+// Trigram matches looked at per word, and terms checked for a visible document per suggestion
+const MAX_CANDIDATES = 200;
+const MAX_CHECKED = 10;
+// Shorter words have too few trigrams to survive a typo: compare them with every term of similar length
+const SCAN_BELOW_LENGTH = 5;
+
+/**
+ * Whether the vocabulary tables exist (FTS5 builds only)
+ * @returns {boolean}
+ */
+function hasVocabulary() {
+  return Boolean(db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'search_terms'").get());
+}
+
+/**
+ * Whether a term is in the index
+ * @param {string} term - normalized
+ * @returns {boolean}
+ */
+function hasTerm(term) {
+  return Boolean(db.prepare('SELECT 1 FROM documents_fts_vocab WHERE term = ?').get(term));
+}
+
+function candidateTerms(word, maxEdits) {
+  const length = Array.from(word).length;
+  if (length < SCAN_BELOW_LENGTH) {
+    return db.prepare('SELECT term FROM search_terms WHERE length(term) BETWEEN ? AND ?')
+      .pluck().all(length - maxEdits, length + maxEdits);
+  }
+  const match = trigrams(word).map((gram) => `"${gram.replace(/"/g, '""')}"`).join(' OR ');
+  return db.prepare('SELECT term FROM search_terms WHERE search_terms MATCH ? ORDER BY rank LIMIT ?')
+    .pluck().all(match, MAX_CANDIDATES);
+}
+
+/**
+ * A word of a visible document that normalizes to the term, lower case (null if no such document)
+ * @param {string} term
+ * @returns {string|null}
+ */
+function findWrittenForm(term) {
+  const row = db.prepare(`
+    SELECT d.original_name, d.content_text
+    FROM documents_fts JOIN documents d ON d.id = documents_fts.doc_id
+    WHERE documents_fts MATCH ? AND d.status = 'ready' AND d.deleted_at IS NULL
+    LIMIT 1
+  `).get(`"${term}"`);
+  if (!row) return null;
+
+  const matchers = [{ words: [term], prefix: false }];
+  for (const text of [row.original_name, row.content_text]) {
+    const [hit] = analyzeText(text, matchers).hits;
+    if (hit) return text.slice(hit.start, hit.end).toLocaleLowerCase('tr');
+  }
+  return null;
+}
+
+/**
+ * Index terms near a (misspelled) word, closest and most common first
+ * @param {string} word - normalized
+ * @param {Object} [options]
+ * @param {number} [options.limit=3]
+ * @returns {Array<{ term: string, word: string, distance: number, documents: number }>} word is the term as
+ *   written in a document; only terms of visible (ready, not trashed) documents
+ */
+function findSimilarTerms(word, { limit = 3 } = {}) {
+  const maxEdits = maxEditsFor(word);
+  if (maxEdits === 0) return [];
+  refreshVocabulary(db);
+
+  const near = candidateTerms(word, maxEdits)
+    .filter((term) => term !== word)
+    .map((term) => ({ term, distance: editDistance(word, term, maxEdits) }))
+    .filter((candidate) => candidate.distance <= maxEdits);
+  if (near.length === 0) return [];
+
+  const documentsStmt = db.prepare('SELECT doc FROM documents_fts_vocab WHERE term = ?').pluck();
+  const ranked = near
+    .map((candidate) => ({ ...candidate, documents: documentsStmt.get(candidate.term) || 0 }))
+    .sort((a, b) => a.distance - b.distance || b.documents - a.documents || a.term.localeCompare(b.term));
+
+  const similar = [];
+  for (const candidate of ranked.slice(0, MAX_CHECKED)) {
+    const written = findWrittenForm(candidate.term);
+    if (written) similar.push({ term: candidate.term, word: written, distance: candidate.distance, documents: candidate.documents });
+    if (similar.length === limit) break;
+  }
+  return similar;
+}
+
+module.exports = { hasVocabulary, hasTerm, findSimilarTerms };
@@ -1,56 +1,277 @@
 /**
  * Summaries repository
- * Stores generated summaries as history records (append-only)
+ * Stores generated summaries as history records (append-only), one row per summary of any
+ * kind (short, long, bullets, custom). Map-reduce summaries keep their per-section summaries
+ * in summary_sections. One summary per document and kind can be pinned as the preferred one.
  */
 const db = require('../db');
 
+const SUMMARY_KINDS = ['short', 'long', 'bullets', 'custom'];
+
+function toCount(value) {
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Map database row to summary object
+ * @param {Object} row
+ * @returns {Object}
+ */
+function mapSummary(row) {
+  return {
+    id: row.id,
+    docId: row.doc_id,
+    kind: row.kind,
+    level: row.level || null,
+    format: row.format || null,
+    language: row.language || null,
+    content: row.content,
+    model: row.model || null,
+    promptVersion: row.prompt_version || null,
+    usage: {
+      inputTokens: row.input_tokens ?? null,
+      outputTokens: row.output_tokens ?? null,
+      totalTokens: row.total_tokens ?? null
+    },
+    pinned: Boolean(row.pinned_at),
+    pinnedAt: row.pinned_at || null,
+    createdAt: row.created_at
+  };
+}
+
+function mapSection(row) {
+  return {
+    position: row.position,
+    title: row.title || null,
+    startChar: row.start_char,
+    endChar: row.end_char,
+    pageStart: row.page_start ?? null,
+    pageEnd: row.page_end ?? null,
+    content: row.content
+  };
+}
+
+/**
+ * Per-section summaries of a summary, in document order
+ * @param {number} summaryId
+ * @returns {Array<Object>} empty for summaries made in a single pass
+ */
+function getSummarySections(summaryId) {
+  return db.prepare(`
+    SELECT * FROM summary_sections WHERE summary_id = ? ORDER BY position
+  `).all(summaryId).map(mapSection);
+}
+
+function withSections(summary) {
+  return summary ? { ...summary, sections: getSummarySections(summary.id) } : null;
+}
+
 /**
  * Insert a new summary record for a document
  * @param {Object} params
  * @param {string} params.docId
- * @param {string} params.summary
+ * @param {string} params.kind - One of SUMMARY_KINDS
+ * @param {string|null} [params.level] - Detail level (long summaries)
+ * @param {string|null} [params.format] - e.g. 'paragraph', 'bullets'
+ * @param {string|null} [params.language] - e.g. 'tr'
+ * @param {string} params.content
  * @param {string|null} [params.model]
- * @param {string} params.createdAt ISO string
- * @returns {{id: number, docId: string, summary: string, model: string|null, createdAt: string}}
+ * @param {string|null} [params.promptVersion]
+ * @param {{ inputTokens?: number, outputTokens?: number, totalTokens?: number }|null} [params.usage]
+ * @param {Array<{ title?: string|null, startChar: number, endChar: number, pageStart?: number|null,
+ *   pageEnd?: number|null, content: string }>} [params.sections] - Section summaries of a map-reduce summary
+ * @param {string} [params.createdAt] - ISO string, defaults to now
+ * @param {string|null} [params.pinnedAt] - Pin the summary (restoring a backup; use pinSummary otherwise)
+ * @returns {Object} Created summary (with sections)
  */
-function createSummary({ docId, summary, model, createdAt }) {
+function createSummary({
+  docId,
+  kind,
+  level = null,
+  format = null,
+  language = null,
+  content,
+  model = null,
+  promptVersion = null,
+  usage = null,
+  sections = [],
+  createdAt = new Date().toISOString(),
+  pinnedAt = null
+}) {
+  if (!SUMMARY_KINDS.includes(kind)) {
+    throw new Error(`Unknown summary kind: ${kind}`);
+  }
+
   const stmt = db.prepare(`
-    INSERT INTO document_summaries (doc_id, summary, model, created_at)
-    VALUES (?, ?, ?, ?)
+    INSERT INTO summaries (
+      doc_id, kind, level, format, language, content, model, prompt_version,
+      input_tokens, output_tokens, total_tokens, created_at, pinned_at
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    RETURNING *
   `);
 
-  const info = stmt.run(docId, summary, model || null, createdAt);
-  return {
-    id: Number(info.lastInsertRowid),
-    docId,
-    summary,
-    model: model || null,
-    createdAt
-  };
+  const insertSection = db.prepare(`
+    INSERT INTO summary_sections (summary_id, position, title, start_char, end_char, page_start, page_end, content)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  return db.transaction(() => {
+    const row = stmt.get(
+      docId,
+      kind,
+      level || null,
+      format || null,
+      language || null,
+      content,
+      model || null,
+      promptVersion || null,
+      toCount(usage && usage.inputTokens),
+      toCount(usage && usage.outputTokens),
+      toCount(usage && usage.totalTokens),
+      createdAt,
+      pinnedAt || null
+    );
+
+    (sections || []).forEach((section, position) => {
+      insertSection.run(
+        row.id,
+        position,
+        section.title || null,
+        section.startChar,
+        section.endChar,
+        section.pageStart ?? null,
+        section.pageEnd ?? null,
+        section.content
+      );
+    });
+    return withSections(mapSummary(row));
+  })();
 }
 
 /**
- * Get latest summary for a document (most recent by created_at)
+ * Get the latest summary of a kind for a document (most recent by created_at)
  * @param {string} docId
- * @returns {{id:number, docId:string, summary:string, model:string|null, createdAt:string} | null}
+ * @param {{ kind: string, level?: string }} filter - level narrows long summaries to one detail level
+ * @returns {Object|null} with sections
  */
-function getLatestSummaryByDocId(docId) {
-  const stmt = db.prepare(`
-    SELECT id, doc_id, summary, model, created_at
-    FROM document_summaries
-    WHERE doc_id = ?
+function getLatestSummary(docId, { kind, level } = {}) {
+  const conditions = ['doc_id = ?', 'kind = ?'];
+  const params = [docId, kind];
+  if (level) {
+    conditions.push('level = ?');
+    params.push(level);
+  }
+
+  const row = db.prepare(`
+    SELECT * FROM summaries
+    WHERE ${conditions.join(' AND ')}
     ORDER BY created_at DESC, id DESC
     LIMIT 1
-  `);
-  const row = stmt.get(docId);
-  if (!row) return null;
-  return {
-    id: row.id,
-    docId: row.doc_id,
-    summary: row.summary,
-    model: row.model || null,
-    createdAt: row.created_at
-  };
+  `).get(...params);
+  return row ? withSections(mapSummary(row)) : null;
+}
+
+/**
+ * Current summary of every kind a document has: the pinned one, otherwise the latest
+ * @param {string} docId
+ * @returns {Object<string, Object>} keyed by kind, with sections
+ */
+function getCurrentSummariesByDocId(docId) {
+  const rows = db.prepare(`
+    SELECT * FROM summaries s
+    WHERE s.doc_id = ?
+      AND s.id = (
+        SELECT id FROM summaries
+        WHERE doc_id = s.doc_id AND kind = s.kind
+        ORDER BY pinned_at IS NOT NULL DESC, created_at DESC, id DESC
+        LIMIT 1
+      )
+  `).all(docId);
+
+  const current = {};
+  for (const row of rows) {
+    current[row.kind] = withSections(mapSummary(row));
+  }
+  return current;
+}
+
+/**
+ * Summary history of a document, newest first
+ * @param {string} docId
+ * @param {{ kind?: string, limit?: number, offset?: number }} [options]
+ * @returns {{ total: number, results: Array<Object> }} results without sections (see getSummaryById)
+ */
+function listSummariesByDocId(docId, { kind, limit = -1, offset = 0 } = {}) {
+  const where = kind ? 'doc_id = ? AND kind = ?' : 'doc_id = ?';
+  const params = kind ? [docId, kind] : [docId];
+
+  const { total } = db.prepare(`SELECT COUNT(*) AS total FROM summaries WHERE ${where}`).get(...params);
+  const rows = db.prepare(`
+    SELECT * FROM summaries WHERE ${where}
+    ORDER BY created_at DESC, id DESC
+    LIMIT ? OFFSET ?
+  `).all(...params, limit, offset);
+
+  return { total, results: rows.map(mapSummary) };
+}
+
+/**
+ * Get one summary of a document
+ * @param {string} docId
+ * @param {number} id
+ * @returns {Object|null} with sections
+ */
+function getSummaryById(docId, id) {
+  const row = db.prepare('SELECT * FROM summaries WHERE doc_id = ? AND id = ?').get(docId, id);
+  return row ? withSections(mapSummary(row)) : null;
+}
+
+/**
+ * Pin a summary as the preferred one of its kind (unpins the previous pin of that kind)
+ * @param {string} docId
+ * @param {number} id
+ * @returns {Object|null} Pinned summary, null when it does not exist
+ */
+function pinSummary(docId, id) {
+  return db.transaction(() => {
+    const summary = getSummaryById(docId, id);
+    if (!summary) return null;
+    if (summary.pinned) return summary;
+
+    db.prepare(`
+      UPDATE summaries SET pinned_at = NULL WHERE doc_id = ? AND kind = ? AND pinned_at IS NOT NULL
+    `).run(docId, summary.kind);
+    db.prepare('UPDATE summaries SET pinned_at = ? WHERE id = ?').run(new Date().toISOString(), id);
+    return getSummaryById(docId, id);
+  })();
+}
+
+/**
+ * Remove the pin of a summary
+ * @param {string} docId
+ * @param {number} id
+ * @returns {Object|null} Summary, null when it does not exist
+ */
+function unpinSummary(docId, id) {
+  db.prepare('UPDATE summaries SET pinned_at = NULL WHERE doc_id = ? AND id = ?').run(docId, id);
+  return getSummaryById(docId, id);
+}
+
+/**
+ * Delete one summary (with its section summaries)
+ * @param {string} docId
+ * @param {number} id
+ * @returns {number} number of deleted summaries (0 or 1)
+ */
+function deleteSummary(docId, id) {
+  return db.transaction(() => {
+    const info = db.prepare('DELETE FROM summaries WHERE doc_id = ? AND id = ?').run(docId, id);
+    if (info.changes) {
+      db.prepare('DELETE FROM summary_sections WHERE summary_id = ?').run(id);
+    }
+    return info.changes || 0;
+  })();
 }
 
 /**
@@ -59,11 +280,25 @@ function getLatestSummaryByDocId(docId) {
  * @returns {number} number of deleted rows
  */
 function deleteSummariesByDocId(docId) {
-  const stmt = db.prepare(`DELETE FROM document_summaries WHERE doc_id = ?`);
-  const info = stmt.run(docId);
-  return info.changes || 0;
+  return db.transaction(() => {
+    db.prepare(`
+      DELETE FROM summary_sections WHERE summary_id IN (SELECT id FROM summaries WHERE doc_id = ?)
+    `).run(docId);
+    const info = db.prepare(`DELETE FROM summaries WHERE doc_id = ?`).run(docId);
+    return info.changes || 0;
+  })();
 }
 
-module.exports = { createSummary, getLatestSummaryByDocId, deleteSummariesByDocId };
-
-
+module.exports = {
+  SUMMARY_KINDS,
+  createSummary,
+  getLatestSummary,
+  getCurrentSummariesByDocId,
+  listSummariesByDocId,
+  getSummaryById,
+  getSummarySections,
+  pinSummary,
+  unpinSummary,
+  deleteSummary,
+  deleteSummariesByDocId
+};
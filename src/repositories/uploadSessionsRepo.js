@@ -0,0 +1,136 @@
+/**
+ * Upload sessions repository
+ * Bookkeeping for resumable uploads (see src/services/resumableUploadService.js)
+ */
+const db = require('../db');
+const { v4: uuidv4 } = require('uuid');
+
+function mapSession(row) {
+  return {
+    id: row.id,
+    originalName: row.original_name,
+    mimeType: row.mime_type,
+    formatId: row.format_id,
+    size: row.size,
+    receivedBytes: row.received_bytes,
+    status: row.status,
+    storedName: row.stored_name || null,
+    tempPath: row.temp_path,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    expiresAt: row.expires_at
+  };
+}
+
+/**
+ * Create a new upload session
+ * @param {Object} params
+ * @param {string} params.originalName
+ * @param {string} params.mimeType
+ * @param {string} params.formatId
+ * @param {number} params.size - Declared total size in bytes
+ * @param {Function} params.tempPathFor - Builds the part file path from the session id
+ * @param {string} params.expiresAt - ISO string
+ * @returns {Object} - Created session
+ */
+function createSession({ originalName, mimeType, formatId, size, tempPathFor, expiresAt }) {
+  const id = uuidv4();
+  const now = new Date().toISOString();
+
+  db.prepare(`
+    INSERT INTO upload_sessions (
+      id, original_name, mime_type, format_id, size, received_bytes, temp_path,
+      created_at, updated_at, expires_at
+    ) VALUES (?, ?, ?, ?, ?, 0, ?, ?, ?, ?)
+  `).run(id, originalName, mimeType, formatId, size, tempPathFor(id), now, now, expiresAt);
+
+  return getSessionById(id);
+}
+
+/**
+ * @param {string} id
+ * @returns {Object|null}
+ */
+function getSessionById(id) {
+  const row = db.prepare('SELECT * FROM upload_sessions WHERE id = ?').get(id);
+  return row ? mapSession(row) : null;
+}
+
+/**
+ * Record how many bytes are on disk and push the expiry forward
+ * @param {string} id
+ * @param {{ receivedBytes: number, expiresAt: string }} params
+ */
+function updateProgress(id, { receivedBytes, expiresAt }) {
+  db.prepare(`
+    UPDATE upload_sessions
+    SET received_bytes = ?, updated_at = ?, expires_at = ?
+    WHERE id = ?
+  `).run(receivedBytes, new Date().toISOString(), expiresAt, id);
+}
+
+/**
+ * Claim a session for completion: only one caller gets it
+ * @param {string} id
+ * @param {string} storedName - Name the file gets in the uploads directory
+ * @returns {Object|null} - The claimed session, null when it is gone or claimed already
+ */
+function claimSession(id, storedName) {
+  const row = db.prepare(`
+    UPDATE upload_sessions
+    SET status = 'completing', stored_name = ?, updated_at = ?
+    WHERE id = ? AND status = 'uploading'
+    RETURNING *
+  `).get(storedName, new Date().toISOString(), id);
+  return row ? mapSession(row) : null;
+}
+
+/**
+ * Give a claimed session back (completion failed before the file was moved)
+ * @param {string} id
+ */
+function releaseSession(id) {
+  db.prepare(`
+    UPDATE upload_sessions
+    SET status = 'uploading', stored_name = NULL, updated_at = ?
+    WHERE id = ? AND status = 'completing'
+  `).run(new Date().toISOString(), id);
+}
+
+/**
+ * Claimed sessions (on startup: completions interrupted by a restart)
+ * @returns {Array<Object>}
+ */
+function listClaimedSessions() {
+  return db.prepare("SELECT * FROM upload_sessions WHERE status = 'completing' ORDER BY created_at")
+    .all().map(mapSession);
+}
+
+/**
+ * @param {string} id
+ * @returns {number} number of deleted rows
+ */
+function deleteSession(id) {
+  const info = db.prepare('DELETE FROM upload_sessions WHERE id = ?').run(id);
+  return info.changes || 0;
+}
+
+/**
+ * Sessions whose expiry lies before the given time
+ * @param {string} now - ISO string
+ * @returns {Array<Object>}
+ */
+function listExpiredSessions(now) {
+  return db.prepare('SELECT * FROM upload_sessions WHERE expires_at < ?').all(now).map(mapSession);
+}
+
+module.exports = {
+  createSession,
+  getSessionById,
+  updateProgress,
+  claimSession,
+  releaseSession,
+  listClaimedSessions,
+  deleteSession,
+  listExpiredSessions
+};
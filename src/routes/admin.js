@@ -0,0 +1,14 @@
+/**
+ * Admin routes (maintenance)
+ */
+const express = require('express');
+const router = express.Router();
+const controller = require('../controllers/adminController');
+
+router.get('/fsck', controller.getStorageCheck);
+router.post('/fsck', controller.runStorageCheck);
+router.get('/export', controller.exportBackup);
+router.get('/search-index', controller.getSearchIndex);
+router.post('/search-index/rebuild', controller.rebuildSearchIndex);
+
+module.exports = router;
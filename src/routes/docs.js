@@ -2,42 +2,66 @@ const express = require('express');
 const router = express.Router();
 const upload = require('../middleware/upload');
 const controller = require('../controllers/docsController');
+const { describeSupportedFormats } = require('../services/extractors');
 
-// Wrapper middleware to catch Multer errors and format them
-const uploadMiddleware = (req, res, next) => {
-  const uploadSingle = upload.single('file');
+/**
+ * Wrap a multer middleware to format its errors
+ * @param {Function} multerMiddleware - e.g. upload.single('file')
+ * @param {Object} [options]
+ * @param {boolean} [options.rejectUnsupported=true] - Fail with 415 when the file filter skipped a file
+ *   (batch uploads report skipped files per file instead)
+ * @returns {Function}
+ */
+function handleUpload(multerMiddleware, { rejectUnsupported = true } = {}) {
+  return (req, res, next) => {
+    multerMiddleware(req, res, (err) => {
+      if (err) {
+        // Handle Multer-specific errors
+        if (err.code === 'LIMIT_FILE_SIZE') {
+          err.statusCode = 413;
+          err.message = `File size too large. Max ${upload.describeMaxFileSize()}.`;
+        } else if (err.code === 'LIMIT_FILE_COUNT') {
+          err.statusCode = 413;
+          err.message = `Too many files. Max ${upload.MAX_BATCH_FILES} per request.`;
+        } else if (!err.statusCode) {
+          err.statusCode = 400; // Default to bad request for upload errors
+        }
 
-  uploadSingle(req, res, (err) => {
-    if (err) {
-      // Handle Multer-specific errors
-      if (err.code === 'LIMIT_FILE_SIZE') {
-        err.statusCode = 413;
-        err.message = 'File size too large. Max 10MB.';
-      } else if (!err.statusCode) {
-        err.statusCode = 400; // Default to bad request for upload errors
+        return next(err);
       }
-      
-      return next(err);
-    }
 
-    // File type validation from fileFilter (see src/middleware/upload.js)
-    if (req.fileValidationError === 'UNSUPPORTED_MEDIA_TYPE') {
-      const e = new Error('Unsupported file type. Only PDF and TXT are allowed.');
-      e.statusCode = 415;
-      e.code = 'UNSUPPORTED_MEDIA_TYPE';
-      return next(e);
-    }
-    next();
-  });
-};
+      // File type validation from fileFilter (see src/middleware/upload.js)
+      if (rejectUnsupported && req.fileValidationError === 'UNSUPPORTED_MEDIA_TYPE') {
+        const e = new Error(`Unsupported file type. Only ${describeSupportedFormats()} are allowed.`);
+        e.statusCode = 415;
+        e.code = 'UNSUPPORTED_MEDIA_TYPE';
+        return next(e);
+      }
+      next();
+    });
+  };
+}
 
 // Routes
-router.post('/upload', uploadMiddleware, controller.uploadDocument);
+router.post('/upload', handleUpload(upload.single('file')), controller.uploadDocument);
+router.post(
+  '/upload/batch',
+  handleUpload(upload.batch.array('files'), { rejectUnsupported: false }),
+  controller.uploadDocumentsBatch
+);
 router.get('/', controller.listDocuments);
 router.get('/search', controller.searchDocuments);
+router.get('/search/passages', controller.searchPassages);
 router.get('/:id', controller.getDocument);
 router.get('/:id/download', controller.downloadDocument);
 router.post('/:id/summary', controller.generateSummary);
+router.post('/:id/summary/short', controller.generateSummary);
+router.post('/:id/summary/long', controller.generateLongSummary);
+router.get('/:id/summaries', controller.listSummaries);
+router.get('/:id/summaries/:summaryId', controller.getSummary);
+router.put('/:id/summaries/:summaryId/pin', controller.pinSummary);
+router.delete('/:id/summaries/:summaryId/pin', controller.unpinSummary);
+router.delete('/:id/summaries/:summaryId', controller.deleteSummary);
 router.delete('/:id', controller.deleteDocument);
 
 module.exports = router;
@@ -0,0 +1,30 @@
+/**
+ * Supported formats route
+ * GET /api/formats -> accepted upload formats from the extractor registry
+ */
+const express = require('express');
+const router = express.Router();
+const extractors = require('../services/extractors');
+const { MAX_FILE_SIZE_BYTES } = require('../middleware/upload');
+const { getMaxUploadBytes } = require('../services/resumableUploadService');
+
+router.get('/', (req, res) => {
+  // Larger files go through the resumable upload API (/api/uploads), limited per format
+  const formats = extractors.listFormats().map((f) => ({
+    ...extractors.toPublicFormat(f),
+    resumableMaxBytes: getMaxUploadBytes(f.id)
+  }));
+  // Ready-made value for <input type="file" accept="...">
+  const accept = formats
+    .reduce((all, f) => all.concat(f.extensions), [])
+    .join(',');
+
+  res.status(200).json({
+    formats,
+    accept,
+    description: extractors.describeSupportedFormats(),
+    maxFileSizeBytes: MAX_FILE_SIZE_BYTES
+  });
+});
+
+module.exports = router;
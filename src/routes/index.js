@@ -7,6 +7,11 @@ const router = express.Router();
 const healthRouter = require('./health');
 const docsRouter = require('./docs');
 const qaRouter = require('./qa');
+const formatsRouter = require('./formats');
+const uploadsRouter = require('./uploads');
+const jobsRouter = require('./jobs');
+const adminRouter = require('./admin');
+const trashRouter = require('./trash');
 
 // Health check route'unu ekle
 router.use('/', healthRouter);
@@ -17,6 +22,21 @@ router.use('/api/docs', docsRouter);
 // Q&A routes
 router.use('/api/qa', qaRouter);
 
+// Supported upload formats
+router.use('/api/formats', formatsRouter);
+
+// Resumable uploads
+router.use('/api/uploads', uploadsRouter);
+
+// Background jobs (ingestion)
+router.use('/api/jobs', jobsRouter);
+
+// Deleted documents (restore, purge)
+router.use('/api/trash', trashRouter);
+
+// Maintenance (storage consistency check, backup)
+router.use('/api/admin', adminRouter);
+
 // 404 handler (bu route'a ulaşılırsa)
 router.use('*', (req, res, next) => {
   const err = new Error('Not Found');
@@ -0,0 +1,10 @@
+/**
+ * Background job routes
+ */
+const express = require('express');
+const router = express.Router();
+const controller = require('../controllers/jobsController');
+
+router.get('/:id', controller.getJob);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+/**
+ * Trash routes (deleted documents)
+ */
+const express = require('express');
+const router = express.Router();
+const controller = require('../controllers/trashController');
+
+router.get('/', controller.listTrash);
+router.delete('/', controller.emptyTrash);
+router.post('/:id/restore', controller.restoreDocument);
+router.delete('/:id', controller.purgeDocument);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+/**
+ * Resumable upload routes
+ */
+const express = require('express');
+const router = express.Router();
+const controller = require('../controllers/uploadsController');
+
+router.post('/', controller.initUpload);
+router.get('/:id', controller.getUpload);
+router.head('/:id', controller.getUpload);
+router.patch('/:id', controller.appendPart);
+router.post('/:id/complete', controller.completeUpload);
+router.delete('/:id', controller.abortUpload);
+
+module.exports = router;
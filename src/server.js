@@ -3,21 +3,56 @@
  */
 require('dotenv').config();
 const { initSchema } = require('./db/init');
+const db = require('./db');
 const app = require('./app');
+const jobQueue = require('./services/jobQueue');
+const trashService = require('./services/trashService');
+const searchIndexService = require('./services/searchIndexService');
+const legacyBlobService = require('./services/legacyBlobService');
+const resumableUploadService = require('./services/resumableUploadService');
 
 // Initialize database schema
 initSchema();
 
+// Queries are normalized with the current settings; an index built with others misses words
+const searchIndex = searchIndexService.getSearchIndexStatus();
+if (searchIndex.available && !searchIndex.upToDate) {
+  console.warn('[SEARCH] Full-text index was built with other SEARCH_* settings; run npm run reindex');
+}
+
 const PORT = process.env.PORT || 3000;
 const NODE_ENV = process.env.NODE_ENV || 'development';
 
-const server = app.listen(PORT, () => {
-  console.log(`Server is running on port ${PORT}`);
-  console.log(`Environment: ${NODE_ENV}`);
-  console.log(`Health check: http://localhost:${PORT}/health`);
-});
+let server = null;
+
+async function start() {
+  // Files staged in the database by the blob store migration; written only after it is committed
+  const legacy = await legacyBlobService.moveLegacyBlobs(db);
+  if (legacy.moved > 0) {
+    console.log(`[STORAGE] Moved ${legacy.moved} migrated files into the blob store`);
+  }
+
+  // Resumable uploads whose completion was interrupted: completed again, or finished from the moved file
+  const uploads = await resumableUploadService.releaseInterruptedCompletions();
+  if (uploads.completed > 0 || uploads.discarded > 0) {
+    console.log(`[UPLOAD] Interrupted uploads: ${uploads.completed} finished, ${uploads.discarded} discarded`);
+  }
+
+  // Background worker for queued jobs (ingestion); resumes jobs a previous run left behind
+  jobQueue.start();
 
-server.on('error', (err) => {
+  // Purges documents that stayed in the trash longer than TRASH_RETENTION_DAYS
+  trashService.startAutoPurge();
+
+  server = app.listen(PORT, () => {
+    console.log(`Server is running on port ${PORT}`);
+    console.log(`Environment: ${NODE_ENV}`);
+    console.log(`Health check: http://localhost:${PORT}/health`);
+  });
+  server.on('error', onServerError);
+}
+
+function onServerError(err) {
   if (err && err.code === 'EADDRINUSE') {
     console.error(`[SERVER] Port ${PORT} is already in use.`);
     console.error(`[SERVER] Stop the other process using the port, or start with a different port:`);
@@ -26,20 +61,34 @@ server.on('error', (err) => {
   }
   console.error('[SERVER] Failed to start server:', err);
   process.exit(1);
+}
+
+start().catch((err) => {
+  console.error('[SERVER] Failed to start server:', err);
+  process.exit(1);
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM signal received: closing HTTP server');
+  // Still starting: nothing to drain yet
+  if (!server) process.exit(0);
   server.close(() => {
     console.log('HTTP server closed');
   });
+  trashService.stopAutoPurge();
+  jobQueue.stop();
 });
 
 process.on('SIGINT', () => {
   console.log('SIGINT signal received: closing HTTP server');
-  server.close(() => {
+  // Still starting: nothing to drain yet
+  if (!server) process.exit(0);
+  server.close(async () => {
     console.log('HTTP server closed');
+    trashService.stopAutoPurge();
+    // Let the running job finish; an interrupted one would be retried on the next start anyway
+    await jobQueue.stop();
     process.exit(0);
   });
 });
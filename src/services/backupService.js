@@ -0,0 +1,378 @@
+/**
+ * Backup service
+ * A backup is a gzip-compressed tar archive:
+ *   database.sqlite      online backup of the database (a consistent snapshot, taken while the server runs)
+ *   files/ab/cd/<sha256> original file of every document in the snapshot that has one
+ *   manifest.json        format version, schema version, size and SHA-256 of every entry, and the
+ *                        documents whose file is not in the archive (written last: the file hashes are
+ *                        computed while the files are copied); complete is false when a file that
+ *                        should be there is missing
+ * Blobs are content-addressed and never change, so files read after the snapshot still belong to it;
+ * a blob deleted in between is listed as skipped. Documents still being ingested have no blob yet:
+ * their uploaded file is archived instead (or the blob, if ingestion stored it in the meantime).
+ *
+ * Import verifies every entry against the manifest before touching anything, then copies the
+ * documents (with their files and summaries) into this instance in one transaction. Into an empty
+ * instance by default; with merge, documents whose SHA-256 is already here are skipped like a
+ * duplicate upload (a failed copy is replaced).
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { finished, pipeline } = require('stream/promises');
+const Database = require('better-sqlite3');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../db');
+const { getMigrationStatus, migrate } = require('../db/migrate');
+const { registerSearchFunctions } = require('../db/searchIndex');
+const AppError = require('../errors/AppError');
+const documentsRepo = require('../repositories/documentsRepo');
+const summariesRepo = require('../repositories/summariesRepo');
+const blobStore = require('./blobStore');
+const jobQueue = require('./jobQueue');
+const { INGEST_JOB } = require('./ingestionService');
+const { createTarWriter, extractTar } = require('../utils/tar');
+const { getSearchTextSettings } = require('../utils/searchText');
+
+const BACKUP_FORMAT = 'smart-document-search-backup';
+const BACKUP_VERSION = 1;
+const DATABASE_ENTRY = 'database.sqlite';
+const MANIFEST_ENTRY = 'manifest.json';
+
+function fileEntryName(sha256) {
+  return `files/${blobStore.blobKey(sha256)}`;
+}
+
+function invalidBackup(message, cause) {
+  return new AppError({ statusCode: 400, code: 'INVALID_BACKUP', message: `Invalid backup: ${message}`, cause });
+}
+
+function makeWorkDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'docs-backup-'));
+}
+
+
+/**
+ * Copy a blob into the archive
+ * @returns {Promise<{ size: number, sha256: string }|null>} null when the blob is gone
+ */
+async function addBlob(writer, sha256) {
+  const name = fileEntryName(sha256);
+  const blob = await blobStore.openBlob(sha256);
+  if (!blob) return null;
+  if (blob.size !== null) {
+    return { size: blob.size, sha256: await writer.addStream(name, blob.stream, blob.size) };
+  }
+  // Size unknown up front (tar headers need it): go through a local copy
+  blob.stream.destroy();
+  return blobStore.withBlobFile(sha256, async (filePath) => {
+    const { size } = fs.statSync(filePath);
+    return { size, sha256: await writer.addStream(name, fs.createReadStream(filePath), size) };
+  });
+}
+
+/**
+ * Copy the uploaded file of a document that is not ingested yet into the archive
+ * @param {{ sha256: string, stored_path: string }} row
+ * @returns {Promise<{ size: number, sha256: string }|null>} null when neither the upload nor a blob is there
+ */
+async function addUploadedFile(writer, row) {
+  let fd;
+  try {
+    fd = fs.openSync(row.stored_path, 'r');
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    // Ingested since the snapshot: the file moved into the blob store
+    return addBlob(writer, row.sha256);
+  }
+  // Read through the open descriptor: ingestion may remove the upload meanwhile
+  const { size } = fs.fstatSync(fd);
+  return { size, sha256: await writer.addStream(fileEntryName(row.sha256), fs.createReadStream(null, { fd }), size) };
+}
+
+/**
+ * Write a backup archive (.tar.gz) to a stream
+ * @param {import('stream').Writable} output - Ended when the archive is complete
+ * @returns {Promise<Object>} the manifest
+ */
+async function exportBackup(output) {
+  const workDir = makeWorkDir();
+  const gzip = zlib.createGzip();
+  gzip.pipe(output);
+
+  try {
+    const snapshotPath = path.join(workDir, DATABASE_ENTRY);
+    await db.backup(snapshotPath);
+
+    const snapshot = new Database(snapshotPath, { readonly: true });
+    let documents;
+    let schemaVersion;
+    try {
+      documents = snapshot.prepare(`
+        SELECT id, original_name, status, sha256, blob_sha256, stored_path FROM documents ORDER BY created_at, id
+      `).all();
+      schemaVersion = snapshot.prepare('SELECT MAX(version) FROM schema_migrations').pluck().get() || 0;
+    } finally {
+      snapshot.close();
+    }
+
+    const writer = createTarWriter(gzip);
+    const databaseSize = fs.statSync(snapshotPath).size;
+    const database = {
+      path: DATABASE_ENTRY,
+      size: databaseSize,
+      sha256: await writer.addStream(DATABASE_ENTRY, fs.createReadStream(snapshotPath), databaseSize)
+    };
+
+    const files = [];
+    const skipped = [];
+    for (const row of documents) {
+      const skip = (reason) => skipped.push({ docId: row.id, originalName: row.original_name, reason });
+      // A failed ingestion removed the file
+      if (!row.blob_sha256 && row.status === 'failed') {
+        skip('failed');
+        continue;
+      }
+      const file = row.blob_sha256 ? await addBlob(writer, row.blob_sha256) : await addUploadedFile(writer, row);
+      if (!file) {
+        skip('missing_file');
+        continue;
+      }
+      const entry = fileEntryName(row.blob_sha256 || row.sha256);
+      files.push({ path: entry, size: file.size, sha256: file.sha256, docId: row.id });
+      if (file.sha256 !== row.sha256) skip('hash_mismatch');
+    }
+
+    const manifest = {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      createdAt: new Date().toISOString(),
+      schemaVersion,
+      database,
+      documents: documents.length,
+      files,
+      skipped,
+      complete: skipped.every((s) => s.reason === 'failed')
+    };
+    await writer.addBuffer(MANIFEST_ENTRY, Buffer.from(JSON.stringify(manifest, null, 2)));
+    await writer.finish();
+    gzip.end();
+    await finished(output);
+    return manifest;
+  } catch (error) {
+    gzip.destroy(error);
+    throw error;
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Extract an archive and check every entry against its manifest
+ * @param {string} archivePath
+ * @param {string} workDir
+ * @returns {Promise<{ manifest: Object, entries: Map<string, Object> }>} entries by name
+ * @throws {AppError} - INVALID_BACKUP (400)
+ */
+async function readArchive(archivePath, workDir) {
+  let extracted;
+  try {
+    await pipeline(fs.createReadStream(archivePath), zlib.createGunzip(), async (source) => {
+      extracted = await extractTar(source, workDir);
+    });
+  } catch (error) {
+    if (error.code === 'ENOENT') throw error;
+    throw invalidBackup(error.message, error);
+  }
+  const entries = new Map(extracted.map((entry) => [entry.name, entry]));
+
+  const manifestEntry = entries.get(MANIFEST_ENTRY);
+  if (!manifestEntry) throw invalidBackup(`${MANIFEST_ENTRY} is missing`);
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(manifestEntry.path, 'utf8'));
+  } catch (error) {
+    throw invalidBackup(`${MANIFEST_ENTRY} is not valid JSON`, error);
+  }
+  if (manifest.format !== BACKUP_FORMAT) throw invalidBackup('not a document backup');
+  if (manifest.version > BACKUP_VERSION) {
+    throw invalidBackup(`archive format ${manifest.version} is newer than this version supports (${BACKUP_VERSION})`);
+  }
+
+  for (const expected of [manifest.database, ...(manifest.files || [])]) {
+    const entry = expected && entries.get(expected.path);
+    if (!entry) throw invalidBackup(`${expected ? expected.path : DATABASE_ENTRY} is missing`);
+    if (entry.size !== expected.size || entry.sha256 !== expected.sha256) {
+      throw invalidBackup(`${expected.path} does not match the hash in the manifest`);
+    }
+  }
+  return { manifest, entries };
+}
+
+/**
+ * Open the database of a backup, migrated to the schema of this version
+ * @param {string} snapshotPath
+ * @returns {Database}
+ */
+function openSnapshot(snapshotPath) {
+  const snapshot = new Database(snapshotPath);
+  // Migrations may write documents, whose index triggers call search_text() in older schemas
+  registerSearchFunctions(snapshot, getSearchTextSettings());
+  try {
+    const status = getMigrationStatus(snapshot);
+    if (status.unknown.length > 0) {
+      throw invalidBackup(`made by a newer version (schema ${status.unknown.map((m) => m.version).join(', ')})`);
+    }
+    migrate(snapshot);
+    return snapshot;
+  } catch (error) {
+    snapshot.close();
+    throw error;
+  }
+}
+
+// Summaries of a document in the snapshot, as createSummary params
+function readSnapshotSummaries(snapshot, docId) {
+  const sectionsStmt = snapshot.prepare('SELECT * FROM summary_sections WHERE summary_id = ? ORDER BY position');
+  return snapshot.prepare('SELECT * FROM summaries WHERE doc_id = ? ORDER BY id').all(docId).map((row) => ({
+    kind: row.kind,
+    level: row.level,
+    format: row.format,
+    language: row.language,
+    content: row.content,
+    model: row.model,
+    promptVersion: row.prompt_version,
+    usage: { inputTokens: row.input_tokens, outputTokens: row.output_tokens, totalTokens: row.total_tokens },
+    sections: sectionsStmt.all(row.id).map((section) => ({
+      title: section.title,
+      startChar: section.start_char,
+      endChar: section.end_char,
+      pageStart: section.page_start,
+      pageEnd: section.page_end,
+      content: section.content
+    })),
+    createdAt: row.created_at,
+    pinnedAt: row.pinned_at
+  }));
+}
+
+// Statuses of a document whose ingestion had not finished when the backup was taken
+const UNFINISHED_STATUSES = new Set(['pending', 'processing']);
+
+/**
+ * Restore a backup archive into this instance
+ * All or nothing: the files are stored first, then every document is written in one transaction. If
+ * that fails, the blobs stored by this import are removed again (blobs that were here already stay),
+ * so a failed import can simply be retried. Documents whose ingestion had not finished are imported
+ * as pending with a new ingest job.
+ * @param {string} archivePath - .tar.gz made by exportBackup
+ * @param {Object} [options]
+ * @param {boolean} [options.merge=false] - Allow documents here already; same SHA-256 is skipped
+ * @returns {Promise<Object>} report: { merge, backup: { createdAt, schemaVersion }, imported, summaries,
+ *   renamed: [{ docId, newDocId }], duplicates: [{ docId, originalName, existingDocumentId }],
+ *   queued: [{ docId, jobId }], skipped: [{ docId, originalName, reason }] } - imported documents keep
+ *   their id unless it is taken here; queued lists the documents sent to ingestion again (by their id here)
+ * @throws {AppError} - INVALID_BACKUP (400), NOT_EMPTY (409) without merge
+ */
+async function importBackup(archivePath, { merge = false } = {}) {
+  const workDir = makeWorkDir();
+  let snapshot = null;
+  try {
+    const { manifest, entries } = await readArchive(archivePath, workDir);
+
+    if (!merge && db.prepare('SELECT COUNT(*) FROM documents').pluck().get() > 0) {
+      throw new AppError({
+        statusCode: 409,
+        code: 'NOT_EMPTY',
+        message: 'This instance already has documents; merge the backup instead'
+      });
+    }
+
+    snapshot = openSnapshot(entries.get(DATABASE_ENTRY).path);
+    const filesByDocId = new Map((manifest.files || []).map((file) => [file.docId, entries.get(file.path)]));
+    const exportSkips = new Map((manifest.skipped || []).map((s) => [s.docId, s.reason]));
+
+    const report = {
+      merge,
+      backup: { createdAt: manifest.createdAt, schemaVersion: manifest.schemaVersion },
+      imported: 0,
+      summaries: 0,
+      renamed: [],
+      duplicates: [],
+      queued: [],
+      skipped: []
+    };
+
+    // Decide what happens to every document before writing anything
+    const plan = [];
+    const rows = snapshot.prepare('SELECT * FROM documents ORDER BY created_at, id').all();
+    for (const row of rows) {
+      const file = filesByDocId.get(row.id);
+      const skipReason = exportSkips.get(row.id) || (file && file.sha256 === row.sha256 ? null : 'no_file');
+      if (skipReason) {
+        report.skipped.push({ docId: row.id, originalName: row.original_name, reason: skipReason });
+        continue;
+      }
+
+      // Same rule as uploads: an existing copy wins unless its ingestion failed
+      const existing = documentsRepo.getDocumentBySha256(row.sha256);
+      if (existing && existing.status !== 'failed') {
+        report.duplicates.push({ docId: row.id, originalName: row.original_name, existingDocumentId: existing.id });
+        continue;
+      }
+
+      // The failed copy is replaced, so its id is free
+      const taken = documentsRepo.getDocumentById(row.id, { includeTrashed: true });
+      const id = taken && (!existing || taken.id !== existing.id) ? uuidv4() : row.id;
+      plan.push({ row, file, existing, id, summaries: readSnapshotSummaries(snapshot, row.id) });
+    }
+
+    // Only blobs stored by this import are removed when it fails
+    const storedBlobs = [];
+    try {
+      for (const item of plan) {
+        const hadBlob = await blobStore.hasBlob(item.row.sha256);
+        item.location = await blobStore.putFile(item.file.path, item.row.sha256);
+        if (!hadBlob) storedBlobs.push(item.row.sha256);
+      }
+
+      db.transaction(() => {
+        for (const { row, existing, id, location, summaries } of plan) {
+          if (existing) {
+            summariesRepo.deleteSummariesByDocId(existing.id);
+            documentsRepo.deleteDocumentById(existing.id);
+          }
+          const unfinished = UNFINISHED_STATUSES.has(row.status);
+          documentsRepo.insertDocumentRow({
+            ...row,
+            id,
+            status: unfinished ? 'pending' : row.status,
+            stored_path: location,
+            blob_sha256: row.sha256
+          });
+          for (const summary of summaries) summariesRepo.createSummary({ ...summary, docId: id });
+          if (unfinished) {
+            const job = jobQueue.enqueue(INGEST_JOB, { docId: id });
+            report.queued.push({ docId: id, jobId: job.id });
+          }
+        }
+      })();
+    } catch (error) {
+      for (const sha256 of storedBlobs) await blobStore.removeBlob(sha256);
+      throw error;
+    }
+
+    for (const { row, id, summaries } of plan) {
+      report.imported += 1;
+      report.summaries += summaries.length;
+      if (id !== row.id) report.renamed.push({ docId: row.id, newDocId: id });
+    }
+    return report;
+  } finally {
+    if (snapshot) snapshot.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = { exportBackup, importBackup, BACKUP_FORMAT, BACKUP_VERSION };
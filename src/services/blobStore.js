@@ -0,0 +1,150 @@
+/**
+ * Blob store
+ * Original file bytes, content-addressed by SHA-256: key ab/cd/abcd...ef in the configured storage
+ * backend (local disk or S3-compatible, see ./storage). Documents only reference the hash
+ * (documents.blob_sha256); the same bytes are stored once however often they are written.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const { getStorage } = require('./storage');
+
+const SHA256_PATTERN = /^[a-f0-9]{64}$/;
+
+/**
+ * Storage key of a blob
+ * @param {string} sha256 - Lowercase hex digest
+ * @returns {string}
+ * @throws {Error} - When sha256 is not a hex SHA-256 digest
+ */
+function blobKey(sha256) {
+  if (!SHA256_PATTERN.test(String(sha256))) {
+    throw new Error(`Invalid blob hash: ${sha256}`);
+  }
+  return `${sha256.slice(0, 2)}/${sha256.slice(2, 4)}/${sha256}`;
+}
+
+/**
+ * Human-readable location of a blob (file path or s3:// URL)
+ * @param {string} sha256
+ * @returns {string}
+ */
+function blobLocation(sha256) {
+  return getStorage().locate(blobKey(sha256));
+}
+
+/**
+ * @param {string} sha256
+ * @returns {Promise<boolean>}
+ */
+async function hasBlob(sha256) {
+  return getStorage().exists(blobKey(sha256));
+}
+
+/**
+ * Move a file into the store under its hash (the source file is gone afterwards)
+ * @param {string} filePath
+ * @param {string} sha256 - Hash of the file (see utils/hashFile)
+ * @returns {Promise<string>} Blob location
+ */
+async function putFile(filePath, sha256) {
+  const storage = getStorage();
+  const key = blobKey(sha256);
+  await storage.put(key, filePath, { sha256 });
+  return storage.locate(key);
+}
+
+/**
+ * Streaming read of a blob
+ * @param {string} sha256
+ * @returns {Promise<{ stream: import('stream').Readable, size: number|null }|null>} null when missing
+ */
+async function openBlob(sha256) {
+  return getStorage().open(blobKey(sha256));
+}
+
+/**
+ * SHA-256 of the stored bytes of a blob (reads the whole blob)
+ * @param {string} sha256 - Blob key hash
+ * @returns {Promise<string|null>} actual hash, null when the blob is missing
+ */
+async function hashBlob(sha256) {
+  const blob = await openBlob(sha256);
+  if (!blob) return null;
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of blob.stream) hash.update(chunk);
+  return hash.digest('hex');
+}
+
+/**
+ * Every object in the blob store
+ * @returns {Promise<Array<{ key: string, sha256: string|null }>>} sha256 is null for keys that are not
+ *   blob keys (left there by something else)
+ */
+async function listBlobs() {
+  const keys = await getStorage().list();
+  return keys.map((key) => {
+    const name = key.split('/').pop();
+    return { key, sha256: SHA256_PATTERN.test(name) && key === blobKey(name) ? name : null };
+  });
+}
+
+/**
+ * Remove a blob (missing blobs are ignored)
+ * @param {string} sha256
+ * @returns {Promise<void>}
+ */
+async function removeBlob(sha256) {
+  return getStorage().remove(blobKey(sha256));
+}
+
+/**
+ * Run fn with the blob as a file on local disk (remote blobs are downloaded to a temp file)
+ * @param {string} sha256
+ * @param {(filePath: string) => Promise<*>} fn
+ * @returns {Promise<*>} result of fn
+ */
+async function withBlobFile(sha256, fn) {
+  return getStorage().withLocalFile(blobKey(sha256), fn);
+}
+
+/**
+ * Run fn with the original file of a document on local disk: its blob once ingestion stored it,
+ * otherwise the upload waiting for ingestion
+ * @param {{ storedPath: string, blobSha256?: string|null }} document
+ * @param {(filePath: string) => Promise<*>} fn
+ * @returns {Promise<*>} result of fn
+ */
+async function withDocumentFile(document, fn) {
+  if (document.blobSha256) return withBlobFile(document.blobSha256, fn);
+  return fn(document.storedPath);
+}
+
+/**
+ * Streaming read of the original file of a document (blob, or the upload waiting for ingestion)
+ * @param {{ storedPath: string, blobSha256?: string|null }} document
+ * @returns {Promise<{ stream: import('stream').Readable, size: number|null }|null>} null when missing
+ */
+async function openDocumentFile(document) {
+  if (document.blobSha256) return openBlob(document.blobSha256);
+  try {
+    const { size } = fs.statSync(document.storedPath);
+    return { stream: fs.createReadStream(document.storedPath), size };
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+module.exports = {
+  blobKey,
+  blobLocation,
+  hasBlob,
+  putFile,
+  openBlob,
+  hashBlob,
+  listBlobs,
+  removeBlob,
+  withBlobFile,
+  withDocumentFile,
+  openDocumentFile
+};
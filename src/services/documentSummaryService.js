@@ -0,0 +1,153 @@
+/**
+ * Document summary service
+ * Summarizes a ready document and stores the result as summary history; shared by the summary
+ * endpoints, the optional summary step of ingestion and the 'summary' job. Documents too long
+ * for one prompt are summarized section by section (map-reduce, see summaryService); the
+ * endpoints hand those to a 'summary' job so the client can follow the progress.
+ */
+const documentsRepo = require('../repositories/documentsRepo');
+const summariesRepo = require('../repositories/summariesRepo');
+const textExtractor = require('./textExtractor');
+const blobStore = require('./blobStore');
+const summaryService = require('./summaryService');
+const jobQueue = require('./jobQueue');
+const AppError = require('../errors/AppError');
+
+const SUMMARY_JOB = 'summary';
+
+/**
+ * Text to summarize: the stored content, or a fresh extraction when it is missing
+ * @param {Object} document
+ * @returns {Promise<string>}
+ * @throws {AppError} - EXTRACTION_FAILED (422)
+ */
+async function getSummaryText(document) {
+  if (document.contentText && document.contentText.trim().length > 0) {
+    return document.contentText;
+  }
+
+  let text = '';
+  try {
+    const extracted = await blobStore.withDocumentFile(document, (filePath) => (
+      textExtractor.extractTextFromFile({ path: filePath, mimeType: document.mimeType })
+    ));
+    text = extracted.text;
+  } catch (cause) {
+    throw new AppError({ statusCode: 422, code: 'EXTRACTION_FAILED', message: 'Text extraction failed', cause });
+  }
+
+  if (!text || text.trim().length === 0) {
+    throw new AppError({ statusCode: 422, code: 'EXTRACTION_FAILED', message: 'Text extraction failed' });
+  }
+  return text;
+}
+
+/**
+ * Whether summarizing this text takes one model call per section (and should run as a job)
+ * @param {string} text
+ * @param {{ kind: string }} variant
+ * @returns {boolean}
+ */
+function isLongRunning(text, { kind }) {
+  return summaryService.needsMapReduce({ text, kind });
+}
+
+/**
+ * Generate a summary and store it as history (append-only; never overwrites earlier summaries)
+ * @param {Object} document - With outline and pages (used to split long documents)
+ * @param {string} text
+ * @param {{ kind: 'short'|'long', level?: string|null, format?: string }} variant
+ * @param {{ onProgress?: Function }} [options] - Map-reduce progress ({ step, done, total })
+ * @returns {Promise<Object>} Stored summary (see summariesRepo); id is null when storing failed
+ * @throws {Error} - Errors of the summary service (Gemini errors, missing API key)
+ */
+async function createDocumentSummary(document, text, { kind, level = null, format }, { onProgress } = {}) {
+  const params = {
+    docId: document.id,
+    text,
+    docName: document.originalName,
+    outline: document.outline,
+    pages: document.pages,
+    onProgress
+  };
+  const result = kind === 'long'
+    ? await summaryService.generateLongSummary({ ...params, level, format })
+    : await summaryService.generateSummary(params);
+
+  const record = {
+    docId: document.id,
+    kind,
+    level: kind === 'long' ? level : null,
+    format: result.format || format || 'paragraph',
+    language: result.language || 'tr',
+    content: result.summary,
+    model: result.model,
+    promptVersion: result.promptVersion || null,
+    usage: result.usage || null,
+    sections: result.sections || [],
+    createdAt: new Date().toISOString()
+  };
+
+  try {
+    return summariesRepo.createSummary(record);
+  } catch (dbErr) {
+    // If persistence fails, still return generated summary (best-effort)
+    console.warn('Failed to persist summary (non-fatal):', dbErr.message || dbErr);
+    return { id: null, ...record };
+  }
+}
+
+/**
+ * Queue a 'summary' job for a document
+ * @param {Object} document
+ * @param {{ kind: string, level?: string|null, format?: string }} variant
+ * @returns {Object} Job record
+ */
+function enqueueSummaryJob(document, { kind, level = null, format = null }) {
+  return jobQueue.enqueue(SUMMARY_JOB, { docId: document.id, payload: { kind, level, format } });
+}
+
+// Map takes most of a long run; the reduce call is the last stretch
+function mapReducePercent({ step, done, total }) {
+  if (step === 'map') return 5 + Math.floor((85 * done) / Math.max(1, total));
+  return done >= total ? 99 : 90;
+}
+
+/**
+ * Summary job: summarize the document of the job with the variant in its payload
+ * @param {Object} job
+ * @param {{ progress: Function }} context
+ * @returns {Promise<Object>} - Job result
+ */
+async function runSummaryJob(job, context) {
+  // Finished for a trashed document too: the summary is there once it is restored
+  const document = documentsRepo.getDocumentById(job.docId, { includeTrashed: true });
+  if (!document) {
+    throw new AppError({ statusCode: 410, code: 'DOCUMENT_DELETED', message: 'Document was deleted before the summary was made' });
+  }
+
+  context.progress('map', 0);
+  const text = await getSummaryText(document);
+  const summary = await createDocumentSummary(document, text, job.payload, {
+    onProgress: (p) => context.progress(p.step, mapReducePercent(p))
+  });
+
+  return {
+    documentId: document.id,
+    summaryId: summary.id,
+    kind: summary.kind,
+    level: summary.level,
+    format: summary.format,
+    sectionCount: summary.sections.length
+  };
+}
+
+jobQueue.registerHandler(SUMMARY_JOB, { run: runSummaryJob });
+
+module.exports = {
+  SUMMARY_JOB,
+  getSummaryText,
+  isLongRunning,
+  createDocumentSummary,
+  enqueueSummaryJob
+};
@@ -0,0 +1,138 @@
+/**
+ * DOCX (Office Open XML) format
+ * Body paragraphs (incl. tables and text boxes) first, then footnotes and endnotes.
+ */
+const fs = require('fs');
+const AppError = require('../../errors/AppError');
+const { openZip, readZipEntry, walkXml, isZipSignature } = require('../../utils/zipXml');
+
+/**
+ * Heading level from a DOCX paragraph style id (Heading1..Heading9, Title)
+ * @param {string} styleId
+ * @returns {number|null}
+ */
+function docxHeadingLevel(styleId) {
+  if (!styleId) return null;
+  const s = String(styleId).toLowerCase();
+  if (s === 'title') return 1;
+  const m = s.match(/^heading\s*([1-9])$/);
+  return m ? parseInt(m[1], 10) : null;
+}
+
+/**
+ * Collect paragraphs from a WordprocessingML part (document.xml, footnotes.xml, ...)
+ * @param {string} xml
+ * @param {{ skipNoteTypes?: boolean }} [options]
+ * @returns {Array<{ text: string, level: number|null }>}
+ */
+function collectDocxParagraphs(xml, { skipNoteTypes = false } = {}) {
+  const paragraphs = [];
+  // Paragraphs can nest (text boxes inside a paragraph), so keep a stack
+  const stack = [];
+  let inText = false;
+  let skipDepth = 0;
+
+  const isNote = (name) => name === 'w:footnote' || name === 'w:endnote';
+
+  walkXml(xml, {
+    onOpen(name, attrs) {
+      // Separator footnotes/endnotes only hold the horizontal rule
+      if (skipDepth > 0) {
+        if (isNote(name)) skipDepth++;
+        return;
+      }
+      if (skipNoteTypes && isNote(name)) {
+        const type = attrs['w:type'];
+        if (type === 'separator' || type === 'continuationSeparator' || type === 'continuationNotice') {
+          skipDepth++;
+          return;
+        }
+      }
+
+      const top = stack.length ? stack[stack.length - 1] : null;
+      if (name === 'w:p') {
+        stack.push({ text: '', level: null });
+      } else if (name === 'w:pStyle' && top) {
+        top.level = docxHeadingLevel(attrs['w:val']);
+      } else if (name === 'w:t') {
+        inText = true;
+      } else if ((name === 'w:tab' || name === 'w:br' || name === 'w:cr') && top) {
+        top.text += ' ';
+      }
+    },
+    onText(text) {
+      if (skipDepth > 0 || !inText || !stack.length) return;
+      stack[stack.length - 1].text += text;
+    },
+    onClose(name) {
+      if (skipDepth > 0) {
+        if (isNote(name)) skipDepth--;
+        return;
+      }
+
+      if (name === 'w:t') {
+        inText = false;
+      } else if (name === 'w:p' && stack.length) {
+        const p = stack.pop();
+        if (p.text.trim()) paragraphs.push(p);
+      }
+    }
+  });
+
+  return paragraphs;
+}
+
+/**
+ * Extract paragraphs from a DOCX buffer
+ * Body (incl. tables) first, then footnotes and endnotes.
+ * @param {Buffer} buffer
+ * @returns {Array<{ text: string, level: number|null }>}
+ */
+function extractDocxParagraphs(buffer) {
+  const zip = openZip(buffer);
+  const documentXml = readZipEntry(zip, 'word/document.xml');
+  if (!documentXml) {
+    throw new Error('word/document.xml not found');
+  }
+
+  const paragraphs = collectDocxParagraphs(documentXml);
+
+  for (const part of ['word/footnotes.xml', 'word/endnotes.xml']) {
+    const xml = readZipEntry(zip, part);
+    if (xml) paragraphs.push(...collectDocxParagraphs(xml, { skipNoteTypes: true }));
+  }
+
+  return paragraphs;
+}
+
+module.exports = {
+  id: 'docx',
+  label: 'DOCX',
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  extensions: ['.docx'],
+
+  /**
+   * ZIP container whose first entries belong to an OOXML package
+   * @param {Buffer} head
+   * @returns {boolean}
+   */
+  sniff(head) {
+    if (!isZipSignature(head)) return false;
+    return head.indexOf('[Content_Types].xml') !== -1 || head.indexOf('word/') !== -1 || head.indexOf('_rels/') !== -1;
+  },
+
+  /**
+   * @param {string} filePath
+   * @returns {Promise<{ blocks: Array<{ text: string, level: number|null }> }>}
+   */
+  async extract(filePath) {
+    try {
+      const buffer = await fs.promises.readFile(filePath);
+      return { blocks: extractDocxParagraphs(buffer) };
+    } catch (cause) {
+      // e.g. ZIP_ENTRY_TOO_LARGE
+      if (cause instanceof AppError) throw cause;
+      throw new AppError({ statusCode: 422, code: 'UNPROCESSABLE', message: 'DOCX could not be parsed', cause });
+    }
+  }
+};
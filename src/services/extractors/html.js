@@ -0,0 +1,38 @@
+/**
+ * HTML format
+ * Markup is stripped (script/style content dropped); h1-h6 become section boundaries.
+ */
+const fs = require('fs');
+const AppError = require('../../errors/AppError');
+const { htmlToBlocks } = require('../../utils/htmlText');
+
+module.exports = {
+  id: 'html',
+  label: 'HTML',
+  mimeTypes: ['text/html', 'application/xhtml+xml'],
+  extensions: ['.html', '.htm'],
+
+  /**
+   * Text (no NUL bytes) that starts with markup
+   * @param {Buffer} head
+   * @returns {boolean}
+   */
+  sniff(head) {
+    if (head.indexOf(0x00) !== -1) return false;
+    const start = head.toString('utf8').replace(/^\uFEFF/, '').trimStart();
+    return start.startsWith('<');
+  },
+
+  /**
+   * @param {string} filePath
+   * @returns {Promise<{ blocks: Array<{ text: string, level: number|null }> }>}
+   */
+  async extract(filePath) {
+    try {
+      const html = await fs.promises.readFile(filePath, 'utf8');
+      return { blocks: htmlToBlocks(html) };
+    } catch (cause) {
+      throw new AppError({ statusCode: 422, code: 'UNPROCESSABLE', message: 'HTML could not be parsed', cause });
+    }
+  }
+};
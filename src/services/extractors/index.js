@@ -0,0 +1,150 @@
+/**
+ * Extractor registry
+ * Every supported file format is declared once, in its own module:
+ *   { id, label, mimeTypes, extensions, sniff(head), extract(filePath) }
+ * extract() resolves to { text } or, for formats with structure, { blocks: [{ text, level }] }
+ * where headings carry a level (see src/utils/sections.js), or for paged formats
+ * { pages: [{ page, text }] } (see src/utils/pages.js). Formats that OCR scanned content
+ * also return ocr: { method: 'ocr'|'mixed', pages: [{ page, confidence }] }; formats that decode
+ * raw bytes report the detected encoding ('utf-8', 'windows-1254', ...).
+ * Upload filtering, content sniffing, extraction and GET /api/formats all read from here.
+ */
+const fs = require('fs');
+const nodePath = require('path');
+
+// Number of leading bytes handed to sniff()
+const SNIFF_BYTES = 4096;
+
+// MIME types clients send when they don't know better; the extension decides then
+const GENERIC_MIME_TYPES = new Set([
+  '',
+  'application/octet-stream',
+  'application/zip',
+  'application/x-zip-compressed',
+  'binary/octet-stream'
+]);
+
+const formats = [];
+
+/**
+ * Register a format module
+ * @param {{ id: string, label: string, mimeTypes: string[], extensions: string[], sniff?: Function, extract: Function }} format
+ */
+function registerFormat(format) {
+  if (!format || !format.id || typeof format.extract !== 'function') {
+    throw new Error('Format must declare an id and an extract() function');
+  }
+  if (!Array.isArray(format.mimeTypes) || format.mimeTypes.length === 0) {
+    throw new Error(`Format "${format.id}" must declare at least one MIME type`);
+  }
+  if (!Array.isArray(format.extensions) || format.extensions.length === 0) {
+    throw new Error(`Format "${format.id}" must declare at least one extension`);
+  }
+  if (formats.some((f) => f.id === format.id)) {
+    throw new Error(`Format "${format.id}" is already registered`);
+  }
+  formats.push({
+    ...format,
+    mimeTypes: format.mimeTypes.map((m) => m.toLowerCase()),
+    extensions: format.extensions.map((e) => e.toLowerCase())
+  });
+}
+
+function listFormats() {
+  return formats.slice();
+}
+
+function getFormatById(id) {
+  return formats.find((f) => f.id === id) || null;
+}
+
+function findFormatByMimeType(mimeType) {
+  const m = String(mimeType || '').toLowerCase();
+  return formats.find((f) => f.mimeTypes.includes(m)) || null;
+}
+
+function findFormatByExtension(fileName) {
+  const ext = nodePath.extname(fileName || '').toLowerCase();
+  if (!ext) return null;
+  return formats.find((f) => f.extensions.includes(ext)) || null;
+}
+
+/**
+ * Resolve the format of an upload from its declared MIME type and file name.
+ * The extension must belong to the same format as the MIME type; generic MIME types
+ * (application/octet-stream, ...) are resolved by extension alone.
+ * @param {{ mimeType: string, fileName: string }} params
+ * @returns {Object|null}
+ */
+function resolveFormat({ mimeType, fileName }) {
+  const byExtension = findFormatByExtension(fileName);
+  if (!byExtension) return null;
+
+  const m = String(mimeType || '').toLowerCase();
+  if (GENERIC_MIME_TYPES.has(m)) return byExtension;
+
+  return byExtension.mimeTypes.includes(m) ? byExtension : null;
+}
+
+/**
+ * Check a stored file's leading bytes against its format's magic bytes
+ * @param {Object} format
+ * @param {string} filePath
+ * @returns {Promise<boolean>}
+ */
+async function sniffFile(format, filePath) {
+  if (!format || typeof format.sniff !== 'function') return true;
+
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(SNIFF_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, SNIFF_BYTES, 0);
+    return Boolean(format.sniff(buffer.subarray(0, bytesRead)));
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Human readable list of supported formats, e.g. "PDF, TXT, DOCX and ODT"
+ * @returns {string}
+ */
+function describeSupportedFormats() {
+  const labels = formats.map((f) => f.label);
+  if (labels.length <= 1) return labels.join('');
+  return `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}`;
+}
+
+/**
+ * Public (JSON-safe) view of a format
+ * @param {Object} format
+ * @returns {{ id: string, label: string, mimeTypes: string[], extensions: string[] }}
+ */
+function toPublicFormat(format) {
+  return {
+    id: format.id,
+    label: format.label,
+    mimeTypes: format.mimeTypes.slice(),
+    extensions: format.extensions.slice()
+  };
+}
+
+// Built-in formats
+registerFormat(require('./pdf'));
+registerFormat(require('./txt'));
+registerFormat(require('./docx'));
+registerFormat(require('./odt'));
+registerFormat(require('./markdown'));
+registerFormat(require('./html'));
+
+module.exports = {
+  registerFormat,
+  listFormats,
+  getFormatById,
+  findFormatByMimeType,
+  findFormatByExtension,
+  resolveFormat,
+  sniffFile,
+  describeSupportedFormats,
+  toPublicFormat
+};
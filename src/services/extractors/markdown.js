@@ -0,0 +1,39 @@
+/**
+ * Markdown format
+ * Rendered to HTML with marked, then reduced to text blocks like HTML uploads,
+ * so raw HTML inside Markdown is sanitized the same way.
+ */
+const fs = require('fs');
+const { marked } = require('marked');
+const AppError = require('../../errors/AppError');
+const { htmlToBlocks } = require('../../utils/htmlText');
+
+module.exports = {
+  id: 'markdown',
+  label: 'Markdown',
+  mimeTypes: ['text/markdown', 'text/x-markdown'],
+  extensions: ['.md', '.markdown'],
+
+  /**
+   * Markdown is plain text: no NUL bytes
+   * @param {Buffer} head
+   * @returns {boolean}
+   */
+  sniff(head) {
+    return head.indexOf(0x00) === -1;
+  },
+
+  /**
+   * @param {string} filePath
+   * @returns {Promise<{ blocks: Array<{ text: string, level: number|null }> }>}
+   */
+  async extract(filePath) {
+    try {
+      const markdown = await fs.promises.readFile(filePath, 'utf8');
+      const html = marked.parse(markdown, { gfm: true, async: false });
+      return { blocks: htmlToBlocks(html) };
+    } catch (cause) {
+      throw new AppError({ statusCode: 422, code: 'UNPROCESSABLE', message: 'Markdown could not be parsed', cause });
+    }
+  }
+};
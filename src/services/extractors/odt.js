@@ -0,0 +1,111 @@
+/**
+ * ODT (OpenDocument Text) format
+ */
+const fs = require('fs');
+const AppError = require('../../errors/AppError');
+const { openZip, readZipEntry, walkXml, isZipSignature } = require('../../utils/zipXml');
+
+const ODT_MIME_TYPE = 'application/vnd.oasis.opendocument.text';
+
+/**
+ * Extract paragraphs from an ODT buffer
+ * Notes are inlined in content.xml; their bodies are collected separately
+ * and appended after the main text (like DOCX footnotes).
+ * @param {Buffer} buffer
+ * @returns {Array<{ text: string, level: number|null }>}
+ */
+function extractOdtParagraphs(buffer) {
+  const zip = openZip(buffer);
+  const contentXml = readZipEntry(zip, 'content.xml');
+  if (!contentXml) {
+    throw new Error('content.xml not found');
+  }
+
+  const paragraphs = [];
+  const notes = [];
+  // Paragraphs can nest (a note body inside a paragraph), so keep a stack
+  const stack = [];
+  let noteDepth = 0;
+  let skipDepth = 0;
+
+  const SKIPPED = new Set(['text:note-citation', 'text:tracked-changes', 'office:annotation']);
+
+  walkXml(contentXml, {
+    onOpen(name, attrs) {
+      if (SKIPPED.has(name)) {
+        skipDepth++;
+        return;
+      }
+      if (skipDepth > 0) return;
+
+      if (name === 'text:note-body') {
+        noteDepth++;
+      } else if (name === 'text:p' || name === 'text:h') {
+        const level = name === 'text:h' ? (parseInt(attrs['text:outline-level'], 10) || 1) : null;
+        stack.push({ text: '', level, inNote: noteDepth > 0 });
+      } else if (stack.length) {
+        const top = stack[stack.length - 1];
+        if (name === 'text:s') {
+          top.text += ' '.repeat(Math.max(1, parseInt(attrs['text:c'], 10) || 1));
+        } else if (name === 'text:tab' || name === 'text:line-break') {
+          top.text += ' ';
+        }
+      }
+    },
+    onText(text) {
+      if (skipDepth > 0 || !stack.length) return;
+      stack[stack.length - 1].text += text;
+    },
+    onClose(name) {
+      if (SKIPPED.has(name)) {
+        skipDepth--;
+        return;
+      }
+      if (skipDepth > 0) return;
+
+      if (name === 'text:note-body') {
+        noteDepth--;
+      } else if ((name === 'text:p' || name === 'text:h') && stack.length) {
+        const p = stack.pop();
+        if (!p.text.trim()) return;
+        const target = p.inNote ? notes : paragraphs;
+        target.push({ text: p.text, level: p.level });
+      }
+    }
+  });
+
+  return paragraphs.concat(notes);
+}
+
+module.exports = {
+  id: 'odt',
+  label: 'ODT',
+  mimeTypes: [ODT_MIME_TYPE],
+  extensions: ['.odt'],
+
+  /**
+   * ZIP container with ODF package entries; conforming writers put an uncompressed
+   * "mimetype" entry holding the media type first
+   * @param {Buffer} head
+   * @returns {boolean}
+   */
+  sniff(head) {
+    if (!isZipSignature(head)) return false;
+    return head.indexOf(ODT_MIME_TYPE) !== -1 || head.indexOf('mimetype') !== -1 || head.indexOf('content.xml') !== -1;
+  },
+
+  /**
+   * @param {string} filePath
+   * @returns {Promise<{ blocks: Array<{ text: string, level: number|null }> }>}
+   */
+  async extract(filePath) {
+    try {
+      const buffer = await fs.promises.readFile(filePath);
+      return { blocks: extractOdtParagraphs(buffer) };
+    } catch (cause) {
+      // e.g. ZIP_ENTRY_TOO_LARGE
+      if (cause instanceof AppError) throw cause;
+      throw new AppError({ statusCode: 422, code: 'UNPROCESSABLE', message: 'ODT could not be parsed', cause });
+    }
+  }
+};
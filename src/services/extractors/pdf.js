@@ -0,0 +1,90 @@
+/**
+ * PDF format
+ * Text layer via pdf-parse; image-only (scanned) pages fall back to OCR when enabled.
+ */
+const fs = require('fs');
+const AppError = require('../../errors/AppError');
+const ocrService = require('../ocrService');
+const { normalizeText } = require('../../utils/textNormalize');
+
+/**
+ * Read the text layer page by page
+ * @param {Buffer} buffer
+ * @returns {Promise<Array<{ page: number, text: string }>>}
+ */
+async function readPdfPages(buffer) {
+  const { PDFParse } = require('pdf-parse');
+  const parser = new PDFParse({ data: buffer });
+  try {
+    const result = await parser.getText();
+    return (result.pages || []).map((p) => ({ page: p.num, text: typeof p.text === 'string' ? p.text : '' }));
+  } finally {
+    await parser.destroy();
+  }
+}
+
+/**
+ * OCR pages without a usable text layer (mutates page texts in place)
+ * @param {Buffer} buffer
+ * @param {Array<{ page: number, text: string }>} pages
+ * @returns {Promise<{ method: string, pages: Array<{ page: number, confidence: number }> }|null>}
+ */
+async function ocrScannedPages(buffer, pages) {
+  const { minPageChars } = ocrService.getOcrConfig();
+  const scanned = pages.filter((p) => normalizeText(p.text).length < minPageChars).map((p) => p.page);
+  if (scanned.length === 0 || !ocrService.isOcrAvailable()) return null;
+
+  let results;
+  try {
+    results = await ocrService.recognizePdfPages(buffer, scanned);
+  } catch (err) {
+    // OCR is best effort; without it the document is judged on its text layer alone
+    console.warn('OCR failed (non-fatal):', err.message || err);
+    return null;
+  }
+  if (!Array.isArray(results) || results.length === 0) return null;
+
+  for (const r of results) {
+    const page = pages.find((p) => p.page === r.page);
+    if (page) page.text = r.text || '';
+  }
+
+  return {
+    method: results.length >= pages.length ? 'ocr' : 'mixed',
+    pages: results.map((r) => ({ page: r.page, confidence: r.confidence })).sort((a, b) => a.page - b.page)
+  };
+}
+
+module.exports = {
+  id: 'pdf',
+  label: 'PDF',
+  mimeTypes: ['application/pdf'],
+  extensions: ['.pdf'],
+
+  /**
+   * "%PDF-" must appear within the first 1024 bytes
+   * @param {Buffer} head
+   * @returns {boolean}
+   */
+  sniff(head) {
+    return head.subarray(0, 1024).indexOf('%PDF-') !== -1;
+  },
+
+  /**
+   * @param {string} filePath
+   * @returns {Promise<{ pages: Array<{ page: number, text: string }>, ocr: Object|null }>}
+   */
+  async extract(filePath) {
+    let buffer;
+    let pages;
+    try {
+      buffer = await fs.promises.readFile(filePath);
+      pages = await readPdfPages(buffer);
+    } catch (cause) {
+      throw new AppError({ statusCode: 422, code: 'UNPROCESSABLE', message: 'PDF could not be parsed', cause });
+    }
+
+    const ocr = await ocrScannedPages(buffer, pages);
+    return { pages, ocr };
+  }
+};
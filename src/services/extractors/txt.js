@@ -0,0 +1,45 @@
+/**
+ * Plain text format
+ */
+const fs = require('fs');
+const AppError = require('../../errors/AppError');
+const { detectEncoding, decodeText } = require('../../utils/textEncoding');
+
+/**
+ * Read a text file and decode it with its detected encoding
+ * @param {string} filePath
+ * @returns {Promise<{ text: string, encoding: string }>}
+ */
+async function readTextFile(filePath) {
+  const buffer = await fs.promises.readFile(filePath);
+  return decodeText(buffer);
+}
+
+module.exports = {
+  id: 'txt',
+  label: 'TXT',
+  mimeTypes: ['text/plain'],
+  extensions: ['.txt'],
+
+  /**
+   * Text files must not contain NUL bytes, unless they are UTF-16
+   * @param {Buffer} head
+   * @returns {boolean}
+   */
+  sniff(head) {
+    if (detectEncoding(head).encoding.startsWith('utf-16')) return true;
+    return head.indexOf(0x00) === -1;
+  },
+
+  /**
+   * @param {string} filePath
+   * @returns {Promise<{ text: string, encoding: string }>}
+   */
+  async extract(filePath) {
+    try {
+      return await readTextFile(filePath);
+    } catch (cause) {
+      throw new AppError({ statusCode: 422, code: 'UNPROCESSABLE', message: 'TXT could not be processed', cause });
+    }
+  }
+};
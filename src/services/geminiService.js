@@ -208,7 +208,9 @@ async function generateAnswer(question, chunks) {
 
     // Build context from chunks
     const contextParts = chunks.map((chunk, index) => {
-      return `[Chunk ${index + 1} - Document: ${chunk.docName}]\n${chunk.text}`;
+      const section = chunk.section && chunk.section.title ? ` - Section: ${chunk.section.title}` : '';
+      const page = chunk.page ? ` - Page: ${chunk.page}` : '';
+      return `[Chunk ${index + 1} - Document: ${chunk.docName}${section}${page}]\n${chunk.text}`;
     }).join('\n\n---\n\n');
 
     const userPrompt = `Soru: ${question}\n\nBağlam:\n${contextParts}\n\nLütfen aşağıdaki JSON formatında cevap ver:\n{\n  "answer": "cevabın buraya",\n  "citations": [\n    {\n      "docId": "doküman-id",\n      "docName": "doküman-adı",\n      "chunkId": "chunk-id",\n      "startChar": 0,\n      "endChar": 100,\n      "quote": "alıntı metni (max 200 karakter)"\n    }\n  ],\n  "confidence": "low|medium|high"\n}`;
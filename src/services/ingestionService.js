@@ -0,0 +1,249 @@
+/**
+ * Ingestion service
+ * Turns an uploaded file on disk into a document record in two phases, shared by the single,
+ * batch and resumable uploads:
+ *   accept (in the request): format check, magic-byte sniff, duplicate check, insert as 'pending'
+ *     and queue an 'ingest' job
+ *   ingest job (background worker): text extraction, storing the content, indexing and optionally
+ *     a first summary; the document becomes 'ready' or 'failed'
+ * The upload is moved into the blob store in the 'store' step; the stored file (upload or blob)
+ * is removed whenever ingestion fails.
+ *
+ * Env:
+ *   INGEST_AUTO_SUMMARY=true   generate a summary as the last step of every ingest job
+ */
+const fs = require('fs');
+const hashFile = require('../utils/hashFile');
+const blobStore = require('./blobStore');
+const documentsRepo = require('../repositories/documentsRepo');
+const textExtractor = require('./textExtractor');
+const extractors = require('./extractors');
+const jobQueue = require('./jobQueue');
+const documentSummaryService = require('./documentSummaryService');
+const AppError = require('../errors/AppError');
+
+const INGEST_JOB = 'ingest';
+
+function removeStoredFile(storedPath) {
+  try { fs.unlinkSync(storedPath); } catch (_) {}
+}
+
+/**
+ * Remove the file of a document (best effort): its blob once stored, otherwise the upload
+ * @param {{ storedPath: string, blobSha256?: string|null }} document
+ * @returns {Promise<void>}
+ */
+async function removeDocumentFile(document) {
+  if (document.blobSha256) {
+    try {
+      await blobStore.removeBlob(document.blobSha256);
+    } catch (error) {
+      console.warn(`Failed to remove blob of document ${document.id}:`, error.message);
+    }
+    return;
+  }
+  removeStoredFile(document.storedPath);
+}
+
+function duplicateError(existingDocumentId, { inTrash = false } = {}) {
+  const error = new Error(inTrash ? 'Duplicate document (in trash, restore it instead)' : 'Duplicate document');
+  error.statusCode = 409;
+  error.code = 'DUPLICATE_DOC';
+  if (existingDocumentId) error.existingDocumentId = existingDocumentId;
+  if (inTrash) error.inTrash = true;
+  return error;
+}
+
+/**
+ * Accept one uploaded file: validate it, insert the document as 'pending' and queue its ingest job
+ * @param {Object} file - multer file ({ filename, originalname, mimetype, size, path, formatId }),
+ *   optionally with a precomputed sha256
+ * @returns {Promise<{ document: Object, job: Object }>}
+ * @throws {AppError|Error} - UNSUPPORTED_MEDIA_TYPE (415), DUPLICATE_DOC (409, with existingDocumentId,
+ *   and inTrash when that copy is in the trash) or database errors
+ */
+async function acceptUploadedFile(file) {
+  const { filename, originalname, size, path: storedPath } = file;
+
+  // Extra safety: validate MIME + extension here too (multer should already filter)
+  const format = file.formatId
+    ? extractors.getFormatById(file.formatId)
+    : extractors.resolveFormat({ mimeType: file.mimetype, fileName: originalname });
+  if (!format) {
+    removeStoredFile(storedPath);
+    throw new AppError({ statusCode: 415, code: 'UNSUPPORTED_MEDIA_TYPE', message: 'Unsupported file type' });
+  }
+
+  // Magic-byte check: the content must look like the declared format
+  let contentMatches = false;
+  try {
+    contentMatches = await extractors.sniffFile(format, storedPath);
+  } catch (_) {
+    contentMatches = false;
+  }
+  if (!contentMatches) {
+    removeStoredFile(storedPath);
+    throw new AppError({
+      statusCode: 415,
+      code: 'UNSUPPORTED_MEDIA_TYPE',
+      message: `File content does not match the ${format.label} format`
+    });
+  }
+
+  // Generic client MIME types (application/octet-stream, ...) are stored as the format's canonical type
+  const declaredMimeType = String(file.mimetype || '').toLowerCase();
+  const mimetype = format.mimeTypes.includes(declaredMimeType) ? declaredMimeType : format.mimeTypes[0];
+
+  // Calculate SHA256 hash (resumable uploads hash while receiving and pass it along)
+  const sha256 = file.sha256 || await hashFile(storedPath);
+
+  // Check for duplicate; a copy whose ingestion failed is replaced by the new upload
+  const existingDoc = documentsRepo.getDocumentBySha256(sha256);
+  if (existingDoc && existingDoc.status !== 'failed') {
+    // Delete the uploaded file since it's a duplicate
+    removeStoredFile(storedPath);
+    throw duplicateError(existingDoc.id, { inTrash: Boolean(existingDoc.deletedAt) });
+  }
+  if (existingDoc) {
+    documentsRepo.deleteDocumentById(existingDoc.id);
+  }
+
+  let document;
+  try {
+    document = documentsRepo.createDocument({
+      originalName: originalname,
+      storedName: filename,
+      storedPath: storedPath,
+      mimeType: mimetype,
+      size: size,
+      sha256: sha256,
+      status: 'pending'
+    });
+  } catch (error) {
+    removeStoredFile(storedPath);
+    // Same file accepted by a concurrent request
+    if (error.code === 'DUPLICATE_DOC') {
+      const winner = documentsRepo.getDocumentBySha256(sha256);
+      throw duplicateError(winner ? winner.id : null);
+    }
+    throw error;
+  }
+
+  const job = jobQueue.enqueue(INGEST_JOB, { docId: document.id });
+  return { document, job };
+}
+
+function documentGone() {
+  return new AppError({ statusCode: 410, code: 'DOCUMENT_DELETED', message: 'Document was deleted before ingestion finished' });
+}
+
+/**
+ * Ingest job: extract, store, index (and summarize) the document of the job
+ * @param {Object} job
+ * @param {{ progress: Function }} context
+ * @returns {Promise<Object>} - Job result
+ */
+async function runIngestJob(job, context) {
+  // A document trashed while queued is still ingested, so that it is complete once restored
+  const document = documentsRepo.getDocumentById(job.docId, { includeTrashed: true });
+  if (!document) throw documentGone();
+
+  documentsRepo.updateDocumentStatus(document.id, 'processing');
+  try {
+    context.progress('extract', 10);
+    // A retried job may find the file in the blob store already
+    const extracted = await blobStore.withDocumentFile(document, (filePath) => (
+      textExtractor.extractTextFromFile({ path: filePath, mimeType: document.mimeType })
+    ));
+
+    // Original file bytes go to the blob store (a retried job finds them there already)
+    context.progress('store', 60);
+    if (!document.blobSha256) {
+      let storedPath;
+      try {
+        storedPath = await blobStore.putFile(document.storedPath, document.sha256);
+      } catch (cause) {
+        // Remote storage may be down for a moment: worth a retry
+        if (cause.code === 'STORAGE_ERROR') throw cause;
+        throw new AppError({ statusCode: 422, code: 'UNPROCESSABLE', message: 'File could not be stored', cause });
+      }
+      if (!documentsRepo.saveDocumentBlob(document.id, { blobSha256: document.sha256, storedPath })) {
+        await blobStore.removeBlob(document.sha256);
+        throw documentGone();
+      }
+    }
+
+    // Indexed together with the text
+    context.progress('index', 80);
+    const saved = documentsRepo.saveExtractedContent(document.id, {
+      contentText: extracted.text,
+      outline: extracted.outline,
+      pages: extracted.pages,
+      extractionMethod: extracted.extractionMethod,
+      ocrPages: extracted.ocrPages,
+      textEncoding: extracted.textEncoding
+    });
+    if (!saved) throw documentGone();
+
+    documentsRepo.updateDocumentStatus(document.id, 'ready');
+
+    const result = {
+      documentId: document.id,
+      charCount: extracted.charCount,
+      preview: extracted.text ? extracted.text.slice(0, 200) : '',
+      extractionMethod: extracted.extractionMethod
+    };
+
+    // The document is usable already; a failed summary only shows up in the job result
+    if (process.env.INGEST_AUTO_SUMMARY === 'true') {
+      context.progress('summary', 90);
+      try {
+        const withStructure = { ...document, outline: extracted.outline, pages: extracted.pages };
+        await documentSummaryService.createDocumentSummary(withStructure, extracted.text, { kind: 'short' }, {
+          onProgress: ({ done, total }) => {
+            context.progress('summary', 90 + Math.floor((9 * done) / Math.max(1, total)));
+          }
+        });
+        result.summary = 'created';
+      } catch (error) {
+        result.summary = 'failed';
+        result.summaryError = error.message;
+      }
+    }
+
+    return result;
+  } catch (error) {
+    // Back to the queue (or failed for good, see onIngestFailed)
+    documentsRepo.updateDocumentStatus(document.id, 'pending');
+    throw error;
+  }
+}
+
+/**
+ * Ingest job failed for good: mark the document and drop the unusable file
+ * @param {Object} job
+ * @param {{ code: string, message: string }} error
+ */
+async function onIngestFailed(job, error) {
+  const document = documentsRepo.getDocumentById(job.docId, { includeTrashed: true });
+  if (!document) return;
+  documentsRepo.updateDocumentStatus(document.id, 'failed', error.message);
+  await removeDocumentFile(document);
+}
+
+jobQueue.registerHandler(INGEST_JOB, { run: runIngestJob, onFailed: onIngestFailed });
+
+/**
+ * Response body of an accepted upload (202): the queued job and the pending document
+ * @param {{ document: Object, job: Object }} accepted
+ * @returns {Object}
+ */
+function toAcceptedResponse({ document, job }) {
+  return {
+    jobId: job.id,
+    job: jobQueue.toPublicJob(job),
+    document
+  };
+}
+
+module.exports = { acceptUploadedFile, toAcceptedResponse, removeDocumentFile, INGEST_JOB };
@@ -0,0 +1,217 @@
+/**
+ * Job queue
+ * Background work persisted in the jobs table. Handlers are registered per job type; a single
+ * in-process worker polls for due jobs and runs them one at a time (extraction is CPU bound and
+ * SQLite writes are serialized anyway). Failed attempts are retried with exponential backoff,
+ * and jobs left running by a stopped process are picked up again on start.
+ *
+ * Env:
+ *   JOB_MAX_ATTEMPTS=3          attempts per job before it fails for good
+ *   JOB_RETRY_DELAY_MS=5000     delay before the first retry (doubles on each further retry)
+ *   JOB_POLL_INTERVAL_MS=1000   how often the worker looks for due jobs
+ */
+const jobsRepo = require('../repositories/jobsRepo');
+
+// type -> { run(job, context), onFailed?(job, error) }
+const handlers = new Map();
+
+const worker = {
+  started: false,
+  timer: null,
+  running: null
+};
+
+function readPositiveInt(value, fallback) {
+  const n = parseInt(value, 10);
+  return Number.isInteger(n) && n > 0 ? n : fallback;
+}
+
+function getMaxAttempts() {
+  return readPositiveInt(process.env.JOB_MAX_ATTEMPTS, 3);
+}
+
+function getRetryDelayMs(attempt) {
+  const base = readPositiveInt(process.env.JOB_RETRY_DELAY_MS, 5000);
+  return base * 2 ** Math.max(0, attempt - 1);
+}
+
+/**
+ * Register the handler of a job type
+ * @param {string} type
+ * @param {{ run: Function, onFailed?: Function }} handler - run(job, { progress(step, percent) })
+ *   returns the job result; onFailed(job, error) runs once the job has failed for good
+ */
+function registerHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Client errors (4xx with a code) will fail again the same way; anything else is worth a retry
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+  const status = error && error.statusCode;
+  return !(error && error.code && status >= 400 && status < 500);
+}
+
+/**
+ * Public view of a job
+ * @param {Object} job
+ * @returns {Object}
+ */
+function toPublicJob(job) {
+  const retrying = job.status === 'queued' && job.attempts > 0;
+  return {
+    id: job.id,
+    type: job.type,
+    documentId: job.docId,
+    status: job.status,
+    step: job.step,
+    progress: job.progress,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    nextAttemptAt: retrying ? job.runAfter : null,
+    error: job.errorCode ? { code: job.errorCode, message: job.errorMessage } : null,
+    failures: job.failures,
+    result: job.result,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  };
+}
+
+/**
+ * Add a job to the queue
+ * @param {string} type
+ * @param {{ docId?: string, payload?: Object }} [params]
+ * @returns {Object} - Created job
+ */
+function enqueue(type, { docId = null, payload = {} } = {}) {
+  if (!handlers.has(type)) {
+    throw new Error(`No handler registered for job type "${type}"`);
+  }
+  const job = jobsRepo.createJob({ type, docId, payload, maxAttempts: getMaxAttempts() });
+  if (worker.started) schedule(0);
+  return job;
+}
+
+async function failJob(job, error) {
+  const failures = [
+    ...job.failures,
+    { attempt: job.attempts, code: error.code, message: error.message, at: new Date().toISOString() }
+  ];
+  const retry = isRetryable(error) && job.attempts < job.maxAttempts;
+  const retryAt = retry ? new Date(Date.now() + getRetryDelayMs(job.attempts)).toISOString() : null;
+
+  jobsRepo.markAttemptFailed(job.id, { error, failures, retryAt });
+  if (retry) return;
+
+  const handler = handlers.get(job.type);
+  if (handler && handler.onFailed) {
+    try {
+      await handler.onFailed(job, error);
+    } catch (hookError) {
+      console.warn(`[JOBS] onFailed hook of job ${job.id} failed:`, hookError.message);
+    }
+  }
+}
+
+/**
+ * Run one due job, if any
+ * @returns {Promise<boolean>} - Whether a job was run
+ */
+async function runNextJob() {
+  const job = jobsRepo.claimNextJob(new Date().toISOString());
+  if (!job) return false;
+
+  const handler = handlers.get(job.type);
+  if (!handler) {
+    await failJob(job, { code: 'UNKNOWN_JOB_TYPE', statusCode: 400, message: `No handler for job type "${job.type}"` });
+    return true;
+  }
+
+  // Requeued after a crash on its last attempt
+  if (job.attempts > job.maxAttempts) {
+    await failJob(job, { code: 'INTERRUPTED', statusCode: 400, message: 'Job was interrupted on its last attempt' });
+    return true;
+  }
+
+  const context = {
+    progress(step, percent) {
+      jobsRepo.updateProgress(job.id, { step, progress: Math.max(0, Math.min(99, Math.round(percent))) });
+    }
+  };
+
+  try {
+    const result = await handler.run(job, context);
+    jobsRepo.markSucceeded(job.id, result || null);
+  } catch (error) {
+    await failJob(job, {
+      code: (error && error.code) || 'JOB_FAILED',
+      statusCode: error && error.statusCode,
+      message: (error && error.message) || 'Job failed'
+    });
+  }
+  return true;
+}
+
+/**
+ * Run due jobs until none is left (retries scheduled for later are not waited for)
+ * @returns {Promise<number>} - Number of jobs run
+ */
+async function runPendingJobs() {
+  let count = 0;
+  while (await runNextJob()) count++;
+  return count;
+}
+
+function schedule(delayMs) {
+  if (!worker.started || worker.running) return;
+  clearTimeout(worker.timer);
+  worker.timer = setTimeout(tick, delayMs);
+}
+
+async function tick() {
+  worker.timer = null;
+  worker.running = runPendingJobs()
+    .catch((error) => console.error('[JOBS] Worker error:', error))
+    .finally(() => {
+      worker.running = null;
+      schedule(readPositiveInt(process.env.JOB_POLL_INTERVAL_MS, 1000));
+    });
+}
+
+/**
+ * Start the background worker (requeues jobs interrupted by a previous stop)
+ */
+function start() {
+  if (worker.started) return;
+  const requeued = jobsRepo.requeueRunningJobs();
+  if (requeued > 0) console.log(`[JOBS] Requeued ${requeued} interrupted job(s)`);
+  worker.started = true;
+  schedule(0);
+}
+
+/**
+ * Stop polling; resolves once the job in progress (if any) has finished
+ * @returns {Promise<void>}
+ */
+async function stop() {
+  worker.started = false;
+  clearTimeout(worker.timer);
+  worker.timer = null;
+  if (worker.running) await worker.running;
+}
+
+module.exports = {
+  registerHandler,
+  enqueue,
+  runNextJob,
+  runPendingJobs,
+  toPublicJob,
+  isRetryable,
+  start,
+  stop
+};
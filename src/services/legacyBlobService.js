@@ -0,0 +1,62 @@
+/**
+ * Legacy blob service
+ * Finishes migration 005 (blob_store) after it is committed: the bytes it staged in legacy_blobs are
+ * written to the blob store and the upload copies holding the same bytes are removed. A row is
+ * deleted only once its blob is stored, so an interrupted run is completed by the next one (the
+ * server and npm run migrate run it after migrating). Blobs go through the configured storage driver.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { hasBlob, putFile } = require('./blobStore');
+
+function sameBytes(filePath, sha256) {
+  try {
+    return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex') === sha256;
+  } catch (_) {
+    return false;
+  }
+}
+
+function hasLegacyBlobs(db) {
+  return Boolean(db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'legacy_blobs'").get());
+}
+
+/**
+ * Move the staged bytes of migration 005 into the blob store
+ * @param {Database} db
+ * @returns {Promise<{ moved: number, removedUploads: number }>}
+ */
+async function moveLegacyBlobs(db) {
+  if (!hasLegacyBlobs(db)) return { moved: 0, removedUploads: 0 };
+
+  // One row at a time: BLOBs can be large
+  const ids = db.prepare('SELECT doc_id FROM legacy_blobs ORDER BY doc_id').pluck().all();
+  const select = db.prepare('SELECT sha256, content, upload_path FROM legacy_blobs WHERE doc_id = ?');
+  const remove = db.prepare('DELETE FROM legacy_blobs WHERE doc_id = ?');
+
+  let removedUploads = 0;
+  for (const id of ids) {
+    const row = select.get(id);
+    if (!(await hasBlob(row.sha256))) {
+      // Drivers store files: write the bytes to a temp file the driver moves into place
+      const tempPath = path.join(os.tmpdir(), `legacy-blob-${process.pid}-${row.sha256}`);
+      fs.writeFileSync(tempPath, row.content);
+      try {
+        await putFile(tempPath, row.sha256);
+      } finally {
+        fs.rmSync(tempPath, { force: true });
+      }
+    }
+
+    if (row.upload_path && sameBytes(row.upload_path, row.sha256)) {
+      fs.unlinkSync(row.upload_path);
+      removedUploads++;
+    }
+    remove.run(id);
+  }
+  return { moved: ids.length, removedUploads };
+}
+
+module.exports = { moveLegacyBlobs };
@@ -0,0 +1,131 @@
+/**
+ * OCR service
+ * Optional offline OCR for image-only PDF pages, backed by tesseract.js.
+ * Language data is read from local traineddata files (OCR_LANG_PATH); nothing is downloaded.
+ *
+ * Env:
+ *   OCR_ENABLED=true          turn the fallback on (default: off)
+ *   OCR_LANGS=tur+eng         tesseract language codes
+ *   OCR_LANG_PATH=./ocr-data  directory holding <lang>.traineddata files
+ *   OCR_MIN_PAGE_CHARS=10     pages with less extracted text are treated as scanned
+ *   OCR_RENDER_SCALE=2        page render scale (higher = slower, more accurate)
+ */
+const fs = require('fs');
+const path = require('path');
+
+function getOcrConfig() {
+  const langs = (process.env.OCR_LANGS || 'tur+eng')
+    .split('+')
+    .map((l) => l.trim())
+    .filter(Boolean);
+
+  return {
+    enabled: String(process.env.OCR_ENABLED || '').toLowerCase() === 'true',
+    langs,
+    langPath: process.env.OCR_LANG_PATH || path.join(process.cwd(), 'ocr-data'),
+    minPageChars: Math.max(0, parseInt(process.env.OCR_MIN_PAGE_CHARS, 10) || 10),
+    renderScale: Math.min(Math.max(parseFloat(process.env.OCR_RENDER_SCALE) || 2, 1), 4)
+  };
+}
+
+function loadEngine() {
+  try {
+    return require('tesseract.js');
+  } catch (_) {
+    return null;
+  }
+}
+
+function missingLanguageFiles(config) {
+  return config.langs.filter((lang) => {
+    const plain = path.join(config.langPath, `${lang}.traineddata`);
+    return !fs.existsSync(plain) && !fs.existsSync(`${plain}.gz`);
+  });
+}
+
+/**
+ * Whether the OCR fallback can run (enabled, engine installed, language data present)
+ * @returns {boolean}
+ */
+function isOcrAvailable() {
+  const config = getOcrConfig();
+  if (!config.enabled) return false;
+
+  if (!loadEngine()) {
+    console.warn('OCR is enabled but tesseract.js is not installed; skipping OCR');
+    return false;
+  }
+
+  const missing = missingLanguageFiles(config);
+  if (missing.length > 0) {
+    console.warn(`OCR language data missing in ${config.langPath}: ${missing.join(', ')}; skipping OCR`);
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Render PDF pages to PNG buffers
+ * @param {Buffer} buffer - PDF bytes
+ * @param {Array<number>} pageNumbers - 1-based page numbers
+ * @param {number} scale
+ * @returns {Promise<Array<{ page: number, image: Buffer }>>}
+ */
+async function renderPdfPages(buffer, pageNumbers, scale) {
+  const { PDFParse } = require('pdf-parse');
+  const parser = new PDFParse({ data: buffer });
+  try {
+    const result = await parser.getScreenshot({
+      partial: pageNumbers,
+      scale,
+      imageBuffer: true,
+      imageDataUrl: false
+    });
+    return (result.pages || []).map((p) => ({ page: p.pageNumber, image: Buffer.from(p.data) }));
+  } finally {
+    await parser.destroy();
+  }
+}
+
+/**
+ * OCR the given PDF pages
+ * @param {Buffer} buffer - PDF bytes
+ * @param {Array<number>} pageNumbers - 1-based page numbers
+ * @returns {Promise<Array<{ page: number, text: string, confidence: number }>>}
+ */
+async function recognizePdfPages(buffer, pageNumbers) {
+  if (!Array.isArray(pageNumbers) || pageNumbers.length === 0) return [];
+
+  const config = getOcrConfig();
+  const tesseract = loadEngine();
+  if (!tesseract) {
+    throw new Error('tesseract.js is not installed');
+  }
+
+  const images = await renderPdfPages(buffer, pageNumbers, config.renderScale);
+
+  const worker = await tesseract.createWorker(config.langs.join('+'), undefined, {
+    langPath: config.langPath,
+    cacheMethod: 'none',
+    gzip: config.langs.every((lang) => fs.existsSync(path.join(config.langPath, `${lang}.traineddata.gz`)))
+  });
+
+  try {
+    const results = [];
+    for (const { page, image } of images) {
+      const { data } = await worker.recognize(image);
+      results.push({
+        page,
+        text: (data && data.text) || '',
+        // tesseract reports 0-100
+        confidence: data && Number.isFinite(data.confidence) ? Math.round(data.confidence * 10) / 10 : 0
+      });
+    }
+    return results;
+  } finally {
+    await worker.terminate();
+  }
+}
+
+module.exports = { getOcrConfig, isOcrAvailable, recognizePdfPages };
@@ -0,0 +1,442 @@
+/**
+ * Resumable upload service
+ * init -> append parts (at the current offset) -> complete, for files above the multipart limit.
+ * Parts are streamed straight to a part file; the SHA-256 is updated as bytes arrive and rebuilt
+ * from the part file when the in-memory state is lost (restart, interrupted part).
+ * On complete the file is moved into the uploads directory and handed to the ingestion service,
+ * which queues its ingest job.
+ *
+ * Env:
+ *   RESUMABLE_UPLOAD_MAX_MB_<FORMAT>    per-format limit, e.g. RESUMABLE_UPLOAD_MAX_MB_PDF=500
+ *   RESUMABLE_UPLOAD_MAX_MB             limit for formats without their own (replaces the built-in
+ *                                       limits: PDF 500, others 50)
+ *   RESUMABLE_UPLOAD_TTL_HOURS=24       sessions idle for longer are discarded
+ *   RESUMABLE_UPLOAD_DIR                part files (default: <uploads dir>-partial)
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { updateHashFromFile } = require('../utils/hashFile');
+const uploadSessionsRepo = require('../repositories/uploadSessionsRepo');
+const documentsRepo = require('../repositories/documentsRepo');
+const extractors = require('./extractors');
+const ingestionService = require('./ingestionService');
+const { UPLOAD_DIR, buildStoredName } = require('../middleware/upload');
+const AppError = require('../errors/AppError');
+
+const MB = 1024 * 1024;
+
+// Built-in per-format limits (MB); large PDF manuals are the main use case
+const DEFAULT_MAX_MB = 50;
+const DEFAULT_MAX_MB_BY_FORMAT = {
+  pdf: 500
+};
+
+// Part files live next to (not inside) the uploads directory, which only holds finished uploads
+const PARTS_DIR = process.env.RESUMABLE_UPLOAD_DIR || `${UPLOAD_DIR}-partial`;
+
+// Incremental hash per session: { hash, bytes } (bytes = how much of the part file it covers)
+const hashStates = new Map();
+
+// Sessions with a part being written right now
+const activeAppends = new Set();
+
+function readPositiveNumber(value) {
+  const n = parseFloat(value);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+/**
+ * Maximum resumable upload size for a format
+ * @param {string} formatId
+ * @returns {number} bytes
+ */
+function getMaxUploadBytes(formatId) {
+  const id = String(formatId || '').toUpperCase();
+  // Configured limits win over the built-in ones; a per-format one over the general one
+  const mb = readPositiveNumber(process.env[`RESUMABLE_UPLOAD_MAX_MB_${id}`])
+    || readPositiveNumber(process.env.RESUMABLE_UPLOAD_MAX_MB)
+    || DEFAULT_MAX_MB_BY_FORMAT[formatId]
+    || DEFAULT_MAX_MB;
+  return Math.floor(mb * MB);
+}
+
+function nextExpiry() {
+  const hours = readPositiveNumber(process.env.RESUMABLE_UPLOAD_TTL_HOURS) || 24;
+  return new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+}
+
+function removeFile(filePath) {
+  try { fs.unlinkSync(filePath); } catch (_) {}
+}
+
+function moveFile(from, to) {
+  try {
+    fs.renameSync(from, to);
+  } catch (err) {
+    // Part directory on another filesystem
+    if (err.code !== 'EXDEV') throw err;
+    fs.copyFileSync(from, to);
+    removeFile(from);
+  }
+}
+
+function notFound() {
+  return new AppError({ statusCode: 404, code: 'NOT_FOUND', message: 'Upload session not found' });
+}
+
+/**
+ * Public view of a session
+ * @param {Object} session
+ * @returns {{ uploadId: string, fileName: string, mimeType: string, size: number, offset: number, expiresAt: string }}
+ */
+function toPublicSession(session) {
+  return {
+    uploadId: session.id,
+    fileName: session.originalName,
+    mimeType: session.mimeType,
+    size: session.size,
+    offset: session.receivedBytes,
+    expiresAt: session.expiresAt
+  };
+}
+
+/**
+ * Drop sessions past their expiry together with their part files
+ * @returns {number} number of purged sessions
+ */
+function purgeExpiredSessions() {
+  const expired = uploadSessionsRepo.listExpiredSessions(new Date().toISOString());
+  for (const session of expired) {
+    if (activeAppends.has(session.id) || session.status === 'completing') continue;
+    removeFile(session.tempPath);
+    hashStates.delete(session.id);
+    uploadSessionsRepo.deleteSession(session.id);
+  }
+  return expired.length;
+}
+
+function uploadLocked() {
+  return new AppError({ statusCode: 409, code: 'UPLOAD_LOCKED', message: 'Another part is being written to this upload' });
+}
+
+function uploadCompleting() {
+  return new AppError({ statusCode: 409, code: 'UPLOAD_COMPLETING', message: 'This upload is being completed already' });
+}
+
+function uploadCorrupted() {
+  return new AppError({ statusCode: 410, code: 'UPLOAD_CORRUPTED', message: 'Upload data was lost; start a new upload' });
+}
+
+function getLiveSession(uploadId) {
+  const session = uploadSessionsRepo.getSessionById(uploadId);
+  if (!session) throw notFound();
+  const busy = activeAppends.has(session.id) || session.status === 'completing';
+  if (session.expiresAt < new Date().toISOString() && !busy) {
+    removeFile(session.tempPath);
+    hashStates.delete(session.id);
+    uploadSessionsRepo.deleteSession(session.id);
+    throw notFound();
+  }
+  return session;
+}
+
+/**
+ * Start a resumable upload
+ * @param {{ fileName: string, mimeType: string, size: number }} params
+ * @returns {Object} - Public session
+ */
+function initUpload({ fileName, mimeType, size }) {
+  if (!fileName || typeof fileName !== 'string') {
+    throw new AppError({ statusCode: 400, code: 'BAD_REQUEST', message: 'fileName is required' });
+  }
+  const totalSize = Number(size);
+  if (!Number.isInteger(totalSize) || totalSize <= 0) {
+    throw new AppError({ statusCode: 400, code: 'BAD_REQUEST', message: 'size must be a positive integer' });
+  }
+
+  const format = extractors.resolveFormat({ mimeType: mimeType || '', fileName });
+  if (!format) {
+    throw new AppError({
+      statusCode: 415,
+      code: 'UNSUPPORTED_MEDIA_TYPE',
+      message: `Unsupported file type. Only ${extractors.describeSupportedFormats()} are allowed.`
+    });
+  }
+
+  const maxBytes = getMaxUploadBytes(format.id);
+  if (totalSize > maxBytes) {
+    throw new AppError({
+      statusCode: 413,
+      code: 'FILE_TOO_LARGE',
+      message: `File size too large. Max ${Math.floor(maxBytes / MB)}MB for ${format.label}.`
+    });
+  }
+
+  purgeExpiredSessions();
+  fs.mkdirSync(PARTS_DIR, { recursive: true });
+
+  const session = uploadSessionsRepo.createSession({
+    originalName: fileName,
+    mimeType: String(mimeType || '').toLowerCase(),
+    formatId: format.id,
+    size: totalSize,
+    tempPathFor: (id) => path.join(PARTS_DIR, `${id}.part`),
+    expiresAt: nextExpiry()
+  });
+  fs.writeFileSync(session.tempPath, Buffer.alloc(0));
+  hashStates.set(session.id, { hash: crypto.createHash('sha256'), bytes: 0 });
+
+  return toPublicSession(session);
+}
+
+/**
+ * Current state of an upload (the offset to resume from)
+ * @param {string} uploadId
+ * @returns {Object} - Public session
+ */
+function getUploadStatus(uploadId) {
+  return toPublicSession(getLiveSession(uploadId));
+}
+
+/**
+ * Hash state covering exactly the first `bytes` bytes of the part file
+ * @param {Object} session
+ * @returns {Promise<{ hash: crypto.Hash, bytes: number }>}
+ */
+async function ensureHashState(session) {
+  const state = hashStates.get(session.id);
+  if (state && state.bytes === session.receivedBytes) return state;
+
+  const rebuilt = {
+    hash: await updateHashFromFile(crypto.createHash('sha256'), session.tempPath),
+    bytes: session.receivedBytes
+  };
+  hashStates.set(session.id, rebuilt);
+  return rebuilt;
+}
+
+/**
+ * Append a part read from a stream at the given offset
+ * Bytes that reached the disk before an interruption are kept, so the client can resume
+ * from the offset reported by getUploadStatus().
+ * @param {string} uploadId
+ * @param {number} offset - Must equal the number of bytes received so far
+ * @param {stream.Readable} input
+ * @returns {Promise<Object>} - Public session
+ */
+async function appendPart(uploadId, offset, input) {
+  const session = getLiveSession(uploadId);
+
+  if (activeAppends.has(session.id)) throw uploadLocked();
+  if (session.status === 'completing') throw uploadCompleting();
+  if (!Number.isInteger(offset) || offset !== session.receivedBytes) {
+    throw new AppError({
+      statusCode: 409,
+      code: 'OFFSET_MISMATCH',
+      message: `Upload-Offset must be ${session.receivedBytes}`
+    });
+  }
+
+  activeAppends.add(session.id);
+  let written = 0;
+  let failure = null;
+  try {
+    // A part file shorter than recorded (crash mid-write) cannot be resumed
+    const onDisk = fs.statSync(session.tempPath).size;
+    if (onDisk < session.receivedBytes) throw uploadCorrupted();
+    if (onDisk > session.receivedBytes) {
+      fs.truncateSync(session.tempPath, session.receivedBytes);
+    }
+
+    const state = await ensureHashState(session);
+    const remaining = session.size - session.receivedBytes;
+
+    // Bytes beyond the declared size are drained but not written
+    // (erroring mid-stream would reset the connection before the 413 reaches the client)
+    let overflow = false;
+    const counter = new Transform({
+      transform(chunk, _encoding, callback) {
+        if (overflow || written + chunk.length > remaining) {
+          overflow = true;
+          callback();
+          return;
+        }
+        written += chunk.length;
+        state.hash.update(chunk);
+        callback(null, chunk);
+      }
+    });
+
+    try {
+      await pipeline(input, counter, fs.createWriteStream(session.tempPath, { flags: 'a' }));
+    } catch (err) {
+      failure = err;
+    }
+    if (!failure && overflow) {
+      failure = new AppError({
+        statusCode: 413,
+        code: 'UPLOAD_EXCEEDS_SIZE',
+        message: `Part exceeds the declared upload size of ${session.size} bytes`
+      });
+    }
+
+    // Trust the disk, not the stream: keep whatever was written, drop the hash if it disagrees
+    const receivedBytes = fs.statSync(session.tempPath).size;
+    state.bytes = session.receivedBytes + written;
+    if (state.bytes !== receivedBytes) hashStates.delete(session.id);
+
+    uploadSessionsRepo.updateProgress(session.id, { receivedBytes, expiresAt: nextExpiry() });
+  } finally {
+    activeAppends.delete(session.id);
+  }
+
+  if (failure) {
+    if (failure.statusCode && failure.code) throw failure;
+    throw new AppError({ statusCode: 400, code: 'UPLOAD_INTERRUPTED', message: 'Upload part was interrupted', cause: failure });
+  }
+
+  return getUploadStatus(session.id);
+}
+
+/**
+ * Finish an upload: move the assembled file into place and queue its ingestion
+ * @param {string} uploadId
+ * @returns {Promise<{ document: Object, job: Object }>}
+ */
+async function completeUpload(uploadId) {
+  const session = getLiveSession(uploadId);
+
+  if (activeAppends.has(session.id)) throw uploadLocked();
+  if (session.receivedBytes !== session.size) {
+    throw new AppError({
+      statusCode: 409,
+      code: 'UPLOAD_INCOMPLETE',
+      message: `Upload incomplete: ${session.receivedBytes} of ${session.size} bytes received`
+    });
+  }
+
+  // Part file gone (deleted by hand, or a session released by an older version after a crash)
+  if (session.status !== 'completing' && !fs.existsSync(session.tempPath)) {
+    hashStates.delete(session.id);
+    uploadSessionsRepo.deleteSession(session.id);
+    throw uploadCorrupted();
+  }
+
+  // Concurrent complete requests: the first one to claim the session moves the file, the others get 409.
+  // The stored name is recorded with the claim so that a restart can finish an interrupted completion.
+  const storedName = buildStoredName(session.originalName);
+  if (!uploadSessionsRepo.claimSession(session.id, storedName)) throw uploadCompleting();
+
+  const storedPath = path.join(UPLOAD_DIR, storedName);
+  let sha256;
+  try {
+    const state = await ensureHashState(session);
+    sha256 = state.hash.digest('hex');
+    hashStates.delete(session.id);
+    moveFile(session.tempPath, storedPath);
+  } catch (error) {
+    hashStates.delete(session.id);
+    if (error.code === 'ENOENT') {
+      uploadSessionsRepo.deleteSession(session.id);
+      throw uploadCorrupted();
+    }
+    uploadSessionsRepo.releaseSession(session.id);
+    throw error;
+  }
+
+  // The session goes only once the document exists (or the file was refused and removed)
+  try {
+    return await acceptStoredFile(session, storedPath, sha256);
+  } finally {
+    uploadSessionsRepo.deleteSession(session.id);
+  }
+}
+
+function acceptStoredFile(session, storedPath, sha256) {
+  return ingestionService.acceptUploadedFile({
+    filename: path.basename(storedPath),
+    originalname: session.originalName,
+    mimetype: session.mimeType,
+    size: session.size,
+    path: storedPath,
+    formatId: session.formatId,
+    sha256
+  });
+}
+
+/**
+ * Settle one completion interrupted by a restart
+ * @param {Object} session - Claimed session
+ * @returns {Promise<'released'|'completed'|'discarded'>}
+ */
+async function settleInterruptedCompletion(session) {
+  const storedPath = session.storedName ? path.join(UPLOAD_DIR, session.storedName) : null;
+
+  // Stopped before or while moving: the part file is still there, so the upload can be completed again
+  // (a partial copy into the uploads directory is dropped)
+  if (fs.existsSync(session.tempPath)) {
+    if (storedPath) removeFile(storedPath);
+    uploadSessionsRepo.releaseSession(session.id);
+    return 'released';
+  }
+
+  // Stopped after the move: finish the ingest from the moved file unless the document was created already
+  if (storedPath && fs.existsSync(storedPath) && !documentsRepo.getDocumentIdByStoredName(session.storedName)) {
+    try {
+      await acceptStoredFile(session, storedPath);
+      return 'completed';
+    } catch (error) {
+      // Refused (duplicate, wrong content): the ingestion service removed the file already
+      console.warn(`[UPLOAD] Could not finish upload ${session.id}: ${error.message}`);
+      removeFile(storedPath);
+      return 'discarded';
+    } finally {
+      uploadSessionsRepo.deleteSession(session.id);
+    }
+  }
+
+  uploadSessionsRepo.deleteSession(session.id);
+  return 'discarded';
+}
+
+/**
+ * Settle the completions a previous run left unfinished: uploads whose part file is still there
+ * are given back to be completed again, moved files are ingested, and sessions without data are dropped
+ * @returns {Promise<{ released: number, completed: number, discarded: number }>}
+ */
+async function releaseInterruptedCompletions() {
+  const result = { released: 0, completed: 0, discarded: 0 };
+  for (const session of uploadSessionsRepo.listClaimedSessions()) {
+    result[await settleInterruptedCompletion(session)] += 1;
+  }
+  return result;
+}
+
+/**
+ * Abort an upload and discard its data
+ * @param {string} uploadId
+ */
+function abortUpload(uploadId) {
+  const session = uploadSessionsRepo.getSessionById(uploadId);
+  if (!session) throw notFound();
+  if (activeAppends.has(session.id)) throw uploadLocked();
+  if (session.status === 'completing') throw uploadCompleting();
+
+  removeFile(session.tempPath);
+  hashStates.delete(session.id);
+  uploadSessionsRepo.deleteSession(session.id);
+}
+
+module.exports = {
+  getMaxUploadBytes,
+  initUpload,
+  getUploadStatus,
+  appendPart,
+  completeUpload,
+  abortUpload,
+  purgeExpiredSessions,
+  releaseInterruptedCompletions
+};
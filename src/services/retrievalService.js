@@ -3,9 +3,13 @@
  * Handles document selection, text extraction, chunking, and scoring
  */
 const documentsRepo = require('../repositories/documentsRepo');
+const AppError = require('../errors/AppError');
 const { extractTextFromFile } = require('./textExtractor');
+const blobStore = require('./blobStore');
 const { chunkText } = require('../utils/chunkText');
 const { extractKeywords } = require('../utils/normalize');
+const { findSectionAt } = require('../utils/sections');
+const { findPageAt } = require('../utils/pages');
 
 /**
  * Get text content for a document
@@ -20,10 +24,9 @@ async function getDocumentText(doc) {
 
   // Otherwise, extract from file
   try {
-    const extracted = await extractTextFromFile({
-      path: doc.storedPath,
-      mimeType: doc.mimeType
-    });
+    const extracted = await blobStore.withDocumentFile(doc, (filePath) => (
+      extractTextFromFile({ path: filePath, mimeType: doc.mimeType })
+    ));
     return extracted.text;
   } catch (error) {
     console.warn(`Failed to extract text from ${doc.storedPath}:`, error.message);
@@ -55,13 +58,41 @@ function scoreChunk(chunkText, questionKeywords) {
   return matchCount / questionKeywords.length;
 }
 
+/**
+ * Document offset a chunk is cited at: where the first question keyword appears in it,
+ * otherwise where the chunk starts
+ * @param {{ text: string, startChar: number }} chunk
+ * @param {Array<string>} questionKeywords
+ * @returns {number}
+ */
+function chunkHitOffset(chunk, questionKeywords) {
+  const chunkLower = chunk.text.toLowerCase();
+  for (const keyword of questionKeywords) {
+    const idx = chunkLower.indexOf(keyword.toLowerCase());
+    if (idx !== -1) return chunk.startChar + idx;
+  }
+  return chunk.startChar;
+}
+
+/**
+ * Section a chunk belongs to
+ * @param {Array<Object>} outline - Document heading outline
+ * @param {number} offset - See chunkHitOffset
+ * @returns {{ title: string, level: number, path: string[] }|null}
+ */
+function sectionForChunk(outline, offset) {
+  const section = findSectionAt(outline, offset);
+  return section ? { title: section.title, level: section.level, path: section.path } : null;
+}
+
 /**
  * Retrieve and score chunks for a question
  * @param {string} question - User question
  * @param {number} docLimit - Maximum number of documents to consider
  * @param {number} topK - Maximum number of chunks to return
  * @param {string} [docId] - Optional document ID to filter by
- * @returns {Promise<Array<Object>>} - Scored chunks with metadata
+ * @returns {Promise<Array<Object>>} - Scored chunks with metadata (only from documents with status 'ready')
+ * @throws {AppError} - 409 DOCUMENT_NOT_READY when docId is a document whose ingestion has not finished
  */
 async function retrieveChunks(question, docLimit = 5, topK = 5, docId = null) {
   // Extract keywords from question
@@ -72,18 +103,28 @@ async function retrieveChunks(question, docLimit = 5, topK = 5, docId = null) {
   
   if (docId) {
     const doc = documentsRepo.getDocumentById(docId);
-    if (doc) {
-      candidateDocs = [doc];
-    } else {
+    if (!doc) {
       // Document not found, return empty chunks
       return [];
     }
+    // Same rule as the summary endpoints: the text is only there once the ingest job has finished
+    if (doc.status !== 'ready') {
+      throw new AppError({
+        statusCode: 409,
+        code: 'DOCUMENT_NOT_READY',
+        message: `Document is not ready (status: ${doc.status})`
+      });
+    }
+    candidateDocs = [doc];
   } else {
     // Try to get documents via search first
     if (questionKeywords.length > 0) {
       try {
-        // Use first few keywords for search
-        const searchQuery = questionKeywords.slice(0, 3).join(' ');
+        // Use first few keywords for search (any of them; quoted so they are never query syntax)
+        const searchQuery = questionKeywords
+          .slice(0, 3)
+          .map((keyword) => `"${keyword.replace(/"/g, '')}"`)
+          .join(' OR ');
         const searchResult = documentsRepo.searchDocumentsByKeyword(searchQuery, {
           limit: docLimit,
           offset: 0,
@@ -104,7 +145,11 @@ async function retrieveChunks(question, docLimit = 5, topK = 5, docId = null) {
     // If no documents from search, get recent documents
     if (candidateDocs.length === 0) {
       const recentDocs = documentsRepo.listDocuments({ limit: docLimit, offset: 0 });
-      candidateDocs = recentDocs.results || recentDocs;
+      // Full records carry the outline and page offsets used for citations
+      candidateDocs = (recentDocs.results || recentDocs)
+        .filter((doc) => doc.status === 'ready')
+        .map((doc) => documentsRepo.getDocumentById(doc.id))
+        .filter((doc) => doc !== null);
     }
 
     // Limit to docLimit
@@ -129,6 +174,7 @@ async function retrieveChunks(question, docLimit = 5, topK = 5, docId = null) {
       for (let i = 0; i < chunks.length; i++) {
         const chunk = chunks[i];
         const chunkId = `${doc.id}_chunk_${i}`;
+        const hitOffset = chunkHitOffset(chunk, questionKeywords);
         
         allChunks.push({
           chunkId,
@@ -137,6 +183,10 @@ async function retrieveChunks(question, docLimit = 5, topK = 5, docId = null) {
           text: chunk.text,
           startChar: chunk.startChar,
           endChar: chunk.endChar,
+          section: sectionForChunk(doc.outline, hitOffset),
+          page: findPageAt(doc.pages, hitOffset),
+          // Citations within the chunk look up their own page (see src/utils/citations.js)
+          pages: doc.pages || null,
           score: scoreChunk(chunk.text, questionKeywords)
         });
       }
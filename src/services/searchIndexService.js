@@ -0,0 +1,80 @@
+/**
+ * Search index service
+ * The full-text index stores normalized words (see src/utils/searchText.js); what "normalized" means
+ * depends on the SEARCH_* settings. After changing them the index has to be rebuilt, otherwise queries
+ * (normalized with the new settings) miss what was indexed with the old ones.
+ */
+const db = require('../db');
+const AppError = require('../errors/AppError');
+const { getSearchTextSettings, settingsSignature } = require('../utils/searchText');
+const {
+  hasFts5,
+  registerSearchFunctions,
+  getIndexedSignature,
+  createSearchIndex,
+  createPassageIndex
+} = require('../db/searchIndex');
+
+function parseSignature(signature) {
+  if (!signature) return null;
+  try {
+    return JSON.parse(signature);
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Whether the index matches the current settings
+ * @returns {{ available: boolean, upToDate: boolean, settings: Object, indexedWith: Object|null, documents: number, passages: number }}
+ *   settings and indexedWith: { tokenize, turkishCase, stemmer }; available is false without FTS5
+ */
+function getSearchIndexStatus() {
+  const settings = getSearchTextSettings();
+  const current = settingsSignature(settings);
+  const indexed = getIndexedSignature(db);
+  const available = hasFts5(db);
+  return {
+    available,
+    upToDate: available && indexed === current,
+    settings: parseSignature(current),
+    indexedWith: parseSignature(indexed),
+    documents: available ? db.prepare('SELECT COUNT(*) FROM documents_fts').pluck().get() : 0,
+    passages: available ? db.prepare('SELECT COUNT(*) FROM document_passages').pluck().get() : 0
+  };
+}
+
+/**
+ * Recreate the document and passage indexes with the current settings and re-index every document
+ * @returns {{ documents: number, passages: number, settings: Object, previous: Object|null, durationMs: number }}
+ * @throws {AppError} - SEARCH_INDEX_UNAVAILABLE (409) without FTS5
+ */
+function rebuildSearchIndex() {
+  if (!hasFts5(db)) {
+    throw new AppError({
+      statusCode: 409,
+      code: 'SEARCH_INDEX_UNAVAILABLE',
+      message: 'This SQLite build has no FTS5; search uses the LIKE fallback'
+    });
+  }
+
+  const startedAt = Date.now();
+  const settings = getSearchTextSettings();
+  const previous = parseSignature(getIndexedSignature(db));
+  // The connection was set up with the settings of its start; use the current ones from here on
+  registerSearchFunctions(db, settings);
+  const { documents, passages } = db.transaction(() => ({
+    documents: createSearchIndex(db, settings),
+    passages: createPassageIndex(db, settings)
+  }))();
+
+  return {
+    documents,
+    passages,
+    settings: parseSignature(settingsSignature(settings)),
+    previous,
+    durationMs: Date.now() - startedAt
+  };
+}
+
+module.exports = { getSearchIndexStatus, rebuildSearchIndex };
@@ -0,0 +1,75 @@
+/**
+ * Storage backend
+ * Where original files live once ingested, selected by configuration. Every driver implements:
+ *   name                          'local' | 's3'
+ *   locate(key)                   human-readable location (file path, s3://bucket/key)
+ *   put(key, filePath, { sha256 }) store a file under key; the local file is gone afterwards
+ *   exists(key)                   -> Promise<boolean>
+ *   open(key)                     -> Promise<{ stream, size }|null> (streaming read, null if missing)
+ *   remove(key)                   -> Promise (missing objects are ignored)
+ *   withLocalFile(key, fn)        -> Promise<result of fn(path)>, fn gets a file on local disk
+ *   list()                        -> Promise<string[]> keys of all objects, sorted
+ *
+ * Env:
+ *   STORAGE_DRIVER=local|s3   default local
+ *   BLOB_DIR                  local root (default: data/blobs, in tests uploads-test/blobs)
+ *   S3_ENDPOINT               e.g. http://localhost:9000 for MinIO (default: AWS S3)
+ *   S3_REGION                 default us-east-1
+ *   S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY
+ *   S3_PREFIX                 optional key prefix inside the bucket
+ *   S3_FORCE_PATH_STYLE       true|false, default true when S3_ENDPOINT is set
+ */
+const path = require('path');
+const { createLocalDriver } = require('./local');
+const { createS3Driver } = require('./s3');
+
+const isTest = process.env.NODE_ENV === 'test';
+const BLOB_DIR = process.env.BLOB_DIR
+  || (isTest ? path.join(process.cwd(), 'uploads-test', 'blobs') : path.join(process.cwd(), 'data', 'blobs'));
+
+function parseBoolean(value) {
+  if (value === undefined || value === '') return undefined;
+  return value === 'true' || value === '1';
+}
+
+const DRIVERS = {
+  local: () => createLocalDriver({ root: BLOB_DIR }),
+  s3: () => createS3Driver({
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    region: process.env.S3_REGION || 'us-east-1',
+    bucket: process.env.S3_BUCKET,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    prefix: process.env.S3_PREFIX || '',
+    forcePathStyle: parseBoolean(process.env.S3_FORCE_PATH_STYLE)
+  })
+};
+
+let current = null;
+
+/**
+ * The configured driver (created on first use)
+ * @returns {Object}
+ * @throws {Error} - Unknown STORAGE_DRIVER or incomplete driver configuration
+ */
+function getStorage() {
+  if (!current) {
+    const name = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+    const create = DRIVERS[name];
+    if (!create) {
+      throw new Error(`Unknown STORAGE_DRIVER "${name}" (expected ${Object.keys(DRIVERS).join(' or ')})`);
+    }
+    current = create();
+  }
+  return current;
+}
+
+/**
+ * Replace the driver (tests, tools)
+ * @param {Object|null} driver - null goes back to the configured driver
+ */
+function setStorage(driver) {
+  current = driver;
+}
+
+module.exports = { BLOB_DIR, getStorage, setStorage };
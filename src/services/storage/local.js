@@ -0,0 +1,118 @@
+/**
+ * Local-disk storage driver
+ * Objects are files under a root directory; the key is the relative path. Writes go to a temp
+ * file that is renamed into place, so an object either does not exist or is complete.
+ */
+const fs = require('fs');
+const path = require('path');
+
+function tempPathFor(target) {
+  return `${target}.${process.pid}-${Date.now()}-${Math.round(Math.random() * 1E9)}.tmp`;
+}
+
+/**
+ * Move a file to target atomically (copy + unlink across filesystems)
+ * @param {string} from
+ * @param {string} to
+ */
+function moveFileInto(from, to) {
+  fs.mkdirSync(path.dirname(to), { recursive: true });
+  const temp = tempPathFor(to);
+  try {
+    fs.renameSync(from, temp);
+  } catch (err) {
+    // Uploads directory on another filesystem
+    if (err.code !== 'EXDEV') throw err;
+    fs.copyFileSync(from, temp);
+    fs.unlinkSync(from);
+  }
+  fs.renameSync(temp, to);
+}
+
+/**
+ * Write bytes to target atomically
+ * @param {string} to
+ * @param {Buffer} buffer
+ */
+function writeFileInto(to, buffer) {
+  fs.mkdirSync(path.dirname(to), { recursive: true });
+  const temp = tempPathFor(to);
+  fs.writeFileSync(temp, buffer);
+  fs.renameSync(temp, to);
+}
+
+/**
+ * @param {{ root: string }} options
+ * @returns {Object} storage driver (see ./index.js)
+ */
+function createLocalDriver({ root }) {
+  const resolve = (key) => {
+    const target = path.resolve(root, key);
+    if (!target.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return target;
+  };
+
+  return {
+    name: 'local',
+
+    locate(key) {
+      return resolve(key);
+    },
+
+    async put(key, filePath) {
+      moveFileInto(filePath, resolve(key));
+    },
+
+    async exists(key) {
+      return fs.existsSync(resolve(key));
+    },
+
+    async open(key) {
+      const target = resolve(key);
+      let size;
+      try {
+        size = fs.statSync(target).size;
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+      return { stream: fs.createReadStream(target), size };
+    },
+
+    async remove(key) {
+      try {
+        fs.unlinkSync(resolve(key));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+    },
+
+    async withLocalFile(key, fn) {
+      return fn(resolve(key));
+    },
+
+    // Keys of all objects (temp files of writes in progress are skipped)
+    async list() {
+      const keys = [];
+      const walk = (dir, prefix) => {
+        let entries;
+        try {
+          entries = fs.readdirSync(dir, { withFileTypes: true });
+        } catch (err) {
+          if (err.code === 'ENOENT') return;
+          throw err;
+        }
+        for (const entry of entries) {
+          if (entry.isDirectory()) walk(path.join(dir, entry.name), `${prefix}${entry.name}/`);
+          else if (entry.isFile() && !entry.name.endsWith('.tmp')) keys.push(`${prefix}${entry.name}`);
+        }
+      };
+      walk(path.resolve(root), '');
+      return keys.sort();
+    }
+  };
+}
+
+module.exports = { createLocalDriver, moveFileInto, writeFileInto };
@@ -0,0 +1,270 @@
+/**
+ * S3-compatible storage driver (AWS S3, MinIO, ...)
+ * Talks to the S3 REST API with fetch and AWS Signature Version 4, so no SDK is needed.
+ * Objects are uploaded in one PUT with the payload hash signed, and read as streams.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const AppError = require('../../errors/AppError');
+
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+function sha256Hex(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function hmac(key, value) {
+  return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+// RFC 3986 encoding as S3 expects it (slashes of the object key kept when encodeSlash is false)
+function uriEncode(value, encodeSlash = true) {
+  return String(value).replace(/[^A-Za-z0-9\-._~/]/gu, (ch) => (
+    Buffer.from(ch).toString('hex').toUpperCase().replace(/(..)/g, '%$1')
+  )).replace(/\//g, encodeSlash ? '%2F' : '/');
+}
+
+function toAmzDate(date) {
+  return date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+}
+
+/**
+ * Sign a request with AWS Signature Version 4
+ * @param {Object} request
+ * @param {string} request.method
+ * @param {URL} request.url
+ * @param {Object<string, string>} [request.headers] - Extra headers to sign (x-amz-date, host and
+ *   x-amz-content-sha256 are added)
+ * @param {string} [request.payloadHash] - Hex SHA-256 of the body (default: empty body)
+ * @param {{ accessKeyId: string, secretAccessKey: string, region: string }} credentials
+ * @param {Date} [date]
+ * @returns {Object<string, string>} headers to send (lowercase names, including authorization)
+ */
+function signRequest({ method, url, headers = {}, payloadHash = EMPTY_PAYLOAD_HASH }, credentials, date = new Date()) {
+  const amzDate = toAmzDate(date);
+  const day = amzDate.slice(0, 8);
+  const scope = `${day}/${credentials.region}/s3/aws4_request`;
+
+  const signed = {
+    ...Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), String(v).trim()])),
+    host: url.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate
+  };
+  const names = Object.keys(signed).sort();
+
+  const query = [...url.searchParams.entries()]
+    .map(([k, v]) => [uriEncode(k), uriEncode(v)])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([k, v]) => `${k}=${v}`)
+    .join('&');
+
+  const canonicalRequest = [
+    method,
+    uriEncode(decodeURIComponent(url.pathname), false),
+    query,
+    names.map((name) => `${name}:${signed[name]}\n`).join(''),
+    names.join(';'),
+    payloadHash
+  ].join('\n');
+
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${credentials.secretAccessKey}`, day), credentials.region)
+  );
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  const { host, ...toSend } = signed;
+  return {
+    ...toSend,
+    authorization: `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, `
+      + `SignedHeaders=${names.join(';')}, Signature=${signature}`
+  };
+}
+
+function decodeXml(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+async function storageError(response, method, key) {
+  let detail = '';
+  try {
+    const body = await response.text();
+    const code = body.match(/<Code>([^<]*)<\/Code>/);
+    if (code) detail = ` (${code[1]})`;
+  } catch (_) {}
+  return new AppError({
+    statusCode: 502,
+    code: 'STORAGE_ERROR',
+    message: `S3 ${method} ${key} failed with HTTP ${response.status}${detail}`
+  });
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.bucket
+ * @param {string} options.accessKeyId
+ * @param {string} options.secretAccessKey
+ * @param {string} [options.region='us-east-1']
+ * @param {string} [options.endpoint] - e.g. http://localhost:9000 for MinIO (default: AWS)
+ * @param {boolean} [options.forcePathStyle] - endpoint/bucket/key URLs (default when an endpoint is set)
+ * @param {string} [options.prefix] - Key prefix inside the bucket
+ * @returns {Object} storage driver (see ./index.js)
+ */
+function createS3Driver({
+  bucket,
+  accessKeyId,
+  secretAccessKey,
+  region = 'us-east-1',
+  endpoint,
+  forcePathStyle,
+  prefix = ''
+}) {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+
+  const base = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+  const pathStyle = forcePathStyle ?? Boolean(endpoint);
+  const credentials = { accessKeyId, secretAccessKey, region };
+  const keyPrefix = prefix ? `${prefix.replace(/\/+$/, '')}/` : '';
+
+  const objectUrl = (key) => {
+    const objectPath = uriEncode(keyPrefix + key, false);
+    if (pathStyle) {
+      return new URL(`${base.pathname.replace(/\/+$/, '')}/${bucket}/${objectPath}`, base);
+    }
+    return new URL(`${base.protocol}//${bucket}.${base.host}/${objectPath}`);
+  };
+
+  const bucketUrl = () => (pathStyle
+    ? new URL(`${base.pathname.replace(/\/+$/, '')}/${bucket}`, base)
+    : new URL(`${base.protocol}//${bucket}.${base.host}/`));
+
+  const send = async (method, key, { headers = {}, payloadHash, body, url = objectUrl(key) } = {}) => {
+    const signedHeaders = signRequest({ method, url, headers, payloadHash }, credentials);
+    const init = { method, headers: signedHeaders };
+    if (body) {
+      init.body = body;
+      init.duplex = 'half';
+    }
+    try {
+      return await fetch(url, init);
+    } catch (cause) {
+      // Network failures (DNS, refused connection, timeout) reject instead of answering with a status
+      throw new AppError({
+        statusCode: 502,
+        code: 'STORAGE_ERROR',
+        message: `S3 ${method} ${key || '/'} failed: ${cause.message}`,
+        cause
+      });
+    }
+  };
+
+  return {
+    name: 's3',
+
+    locate(key) {
+      return `s3://${bucket}/${keyPrefix}${key}`;
+    },
+
+    /**
+     * Upload a file (removed locally once the object is stored)
+     * @param {string} key
+     * @param {string} filePath
+     * @param {{ sha256?: string }} [options] - Hash of the file, signed as the payload hash
+     */
+    async put(key, filePath, { sha256 } = {}) {
+      const { size } = fs.statSync(filePath);
+      const response = await send('PUT', key, {
+        headers: { 'content-length': String(size) },
+        payloadHash: sha256 || 'UNSIGNED-PAYLOAD',
+        body: Readable.toWeb(fs.createReadStream(filePath))
+      });
+      if (!response.ok) throw await storageError(response, 'PUT', key);
+      await response.arrayBuffer();
+      fs.unlinkSync(filePath);
+    },
+
+    async exists(key) {
+      const response = await send('HEAD', key);
+      if (response.status === 404) return false;
+      if (!response.ok) throw await storageError(response, 'HEAD', key);
+      return true;
+    },
+
+    async open(key) {
+      const response = await send('GET', key);
+      if (response.status === 404) {
+        await response.arrayBuffer();
+        return null;
+      }
+      if (!response.ok) throw await storageError(response, 'GET', key);
+      const length = response.headers.get('content-length');
+      return {
+        stream: Readable.fromWeb(response.body),
+        size: length !== null ? Number(length) : null
+      };
+    },
+
+    async remove(key) {
+      const response = await send('DELETE', key);
+      // Deleting a missing object succeeds in S3 as well
+      if (!response.ok && response.status !== 404) throw await storageError(response, 'DELETE', key);
+      await response.arrayBuffer();
+    },
+
+    // Keys of all objects under the prefix (ListObjectsV2, page by page)
+    async list() {
+      const keys = [];
+      let token = null;
+      do {
+        const url = bucketUrl();
+        url.searchParams.set('list-type', '2');
+        if (keyPrefix) url.searchParams.set('prefix', keyPrefix);
+        if (token) url.searchParams.set('continuation-token', token);
+
+        const response = await send('GET', '', { url });
+        if (!response.ok) throw await storageError(response, 'LIST', keyPrefix || '/');
+        const xml = await response.text();
+        for (const match of xml.matchAll(/<Key>([^<]*)<\/Key>/g)) {
+          keys.push(decodeXml(match[1]).slice(keyPrefix.length));
+        }
+        const truncated = /<IsTruncated>true<\/IsTruncated>/.test(xml);
+        const next = xml.match(/<NextContinuationToken>([^<]*)<\/NextContinuationToken>/);
+        token = truncated && next ? decodeXml(next[1]) : null;
+      } while (token);
+      return keys.sort();
+    },
+
+    // Extractors read from disk: download to a temp file for the duration of fn
+    async withLocalFile(key, fn) {
+      const object = await this.open(key);
+      if (!object) {
+        const error = new Error(`Object not found: ${key}`);
+        error.code = 'ENOENT';
+        throw error;
+      }
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sds-s3-'));
+      const tempPath = path.join(dir, path.basename(key));
+      try {
+        await pipeline(object.stream, fs.createWriteStream(tempPath));
+        return await fn(tempPath);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    }
+  };
+}
+
+module.exports = { createS3Driver, signRequest };
@@ -0,0 +1,269 @@
+/**
+ * Storage consistency check (fsck)
+ * Compares the documents table with the files it references and with the full-text index:
+ *   orphan_upload   file in the uploads directory that no document points at
+ *   orphan_blob     object in the blob store that no document references
+ *   missing_file    document whose upload or blob is gone (failed documents have none by design)
+ *   hash_mismatch   blob whose bytes do not hash to its key
+ *   index_orphan    documents_fts row without a document
+ *   index_missing   document without an index row
+ *   index_stale     document whose index rows are duplicated or out of date
+ * Every issue names the repair that fixes it: relink (a file with the document's hash was found;
+ * it is moved into the blob store and referenced), quarantine (moved aside to QUARANTINE_DIR, never
+ * deleted), reindex, delete_index, or null when nothing can be done automatically. Nothing is
+ * changed unless repair is requested (dry run by default).
+ *
+ * Env:
+ *   QUARANTINE_DIR   default data/quarantine (in tests uploads-test/quarantine)
+ */
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const documentsRepo = require('../repositories/documentsRepo');
+const blobStore = require('./blobStore');
+const { getStorage } = require('./storage');
+const { moveFileInto } = require('./storage/local');
+const hashFile = require('../utils/hashFile');
+const { UPLOAD_DIR } = require('../middleware/upload');
+
+const isTest = process.env.NODE_ENV === 'test';
+const QUARANTINE_DIR = process.env.QUARANTINE_DIR
+  || (isTest ? path.join(process.cwd(), 'uploads-test', 'quarantine') : path.join(process.cwd(), 'data', 'quarantine'));
+
+// Uploads younger than this may belong to a request that has not inserted its document yet
+const DEFAULT_MIN_UPLOAD_AGE_MINUTES = 60;
+
+const ISSUE_TYPES = [
+  'orphan_upload',
+  'orphan_blob',
+  'missing_file',
+  'hash_mismatch',
+  'index_orphan',
+  'index_missing',
+  'index_stale'
+];
+
+/**
+ * Files directly in the uploads directory, old enough to judge
+ * @param {number} minAgeMinutes
+ * @returns {Array<{ path: string, size: number }>}
+ */
+function listUploads(minAgeMinutes) {
+  let names;
+  try {
+    names = fs.readdirSync(UPLOAD_DIR);
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  const cutoff = Date.now() - minAgeMinutes * 60 * 1000;
+  return names
+    .map((name) => path.join(UPLOAD_DIR, name))
+    .map((filePath) => ({ path: filePath, stat: fs.statSync(filePath) }))
+    .filter(({ stat }) => stat.isFile() && stat.mtimeMs <= cutoff)
+    .map(({ path: filePath, stat }) => ({ path: filePath, size: stat.size }))
+    .sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Find every inconsistency (see module comment)
+ * @param {{ verifyHashes: boolean, minUploadAgeMinutes: number }} options
+ * @returns {Promise<{ issues: Array<Object>, checked: Object }>} issues in repair order
+ */
+async function findIssues({ verifyHashes, minUploadAgeMinutes }) {
+  const documents = documentsRepo.listDocumentFiles();
+  const blobs = await blobStore.listBlobs();
+  const storedHashes = new Set(blobs.filter((b) => b.sha256).map((b) => b.sha256));
+  const referencedHashes = new Set(documents.filter((d) => d.blobSha256).map((d) => d.blobSha256));
+  const stagingPaths = new Set(documents.filter((d) => !d.blobSha256).map((d) => path.resolve(d.storedPath)));
+
+  // Unreferenced uploads may still be the lost file of a document: index them by hash
+  const uploads = listUploads(minUploadAgeMinutes).filter((u) => !stagingPaths.has(path.resolve(u.path)));
+  const uploadsByHash = new Map();
+  for (const upload of uploads) {
+    upload.sha256 = await hashFile(upload.path);
+    if (!uploadsByHash.has(upload.sha256)) uploadsByHash.set(upload.sha256, upload.path);
+  }
+
+  const fileIssues = [];
+  const claimedUploads = new Set();
+  const claimedBlobs = new Set();
+
+  const missingFile = (document, location) => {
+    const issue = {
+      type: 'missing_file',
+      docId: document.id,
+      originalName: document.originalName,
+      location,
+      repair: null
+    };
+    if (!document.blobSha256 && storedHashes.has(document.sha256)) {
+      // Ingestion moved the upload but did not get to record it
+      claimedBlobs.add(document.sha256);
+      return { ...issue, repair: 'relink', source: { blob: document.sha256 } };
+    }
+    const uploadPath = uploadsByHash.get(document.sha256);
+    if (uploadPath && !claimedUploads.has(uploadPath)) {
+      claimedUploads.add(uploadPath);
+      return { ...issue, repair: 'relink', source: { upload: uploadPath } };
+    }
+    return issue;
+  };
+
+  for (const document of documents) {
+    if (document.status === 'failed') continue;
+
+    if (!document.blobSha256) {
+      if (!fs.existsSync(document.storedPath)) fileIssues.push(missingFile(document, document.storedPath));
+      continue;
+    }
+
+    const location = blobStore.blobLocation(document.blobSha256);
+    let present = storedHashes.has(document.blobSha256);
+    if (present && verifyHashes) {
+      const actualSha256 = await blobStore.hashBlob(document.blobSha256);
+      if (actualSha256 !== document.blobSha256) {
+        fileIssues.push({
+          type: 'hash_mismatch',
+          docId: document.id,
+          originalName: document.originalName,
+          location,
+          sha256: document.blobSha256,
+          actualSha256,
+          repair: 'quarantine',
+          source: { key: blobStore.blobKey(document.blobSha256) }
+        });
+        present = false;
+      }
+    }
+    if (!present) fileIssues.push(missingFile(document, location));
+  }
+
+  const orphanBlobs = blobs
+    .filter((b) => !b.sha256 || (!referencedHashes.has(b.sha256) && !claimedBlobs.has(b.sha256)))
+    .map((b) => ({
+      type: 'orphan_blob',
+      location: getStorage().locate(b.key),
+      sha256: b.sha256,
+      repair: 'quarantine',
+      source: { key: b.key }
+    }));
+
+  const orphanUploads = uploads
+    .filter((u) => !claimedUploads.has(u.path))
+    .map((u) => ({
+      type: 'orphan_upload',
+      location: u.path,
+      size: u.size,
+      sha256: u.sha256,
+      repair: 'quarantine',
+      source: { upload: u.path }
+    }));
+
+  const drift = documentsRepo.getIndexDrift();
+  const indexIssues = drift
+    ? [
+      ...drift.orphans.map((docId) => ({ type: 'index_orphan', docId, repair: 'delete_index' })),
+      ...drift.missing.map((docId) => ({ type: 'index_missing', docId, repair: 'reindex' })),
+      ...drift.stale.map((docId) => ({ type: 'index_stale', docId, repair: 'reindex' }))
+    ]
+    : [];
+
+  return {
+    issues: [...fileIssues, ...orphanBlobs, ...orphanUploads, ...indexIssues],
+    checked: {
+      documents: documents.length,
+      blobs: blobs.length,
+      uploads: uploads.length,
+      index: Boolean(drift)
+    }
+  };
+}
+
+// Move a storage object aside (downloaded first when the storage is remote)
+async function quarantineObject(key, quarantineDir) {
+  const storage = getStorage();
+  const target = path.join(quarantineDir, 'blobs', key);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  await storage.withLocalFile(key, async (filePath) => {
+    await pipeline(fs.createReadStream(filePath), fs.createWriteStream(target));
+  });
+  await storage.remove(key);
+  return target;
+}
+
+/**
+ * Apply the repair of one issue
+ * @param {Object} issue
+ * @param {string} quarantineDir - Quarantine directory of this run
+ * @returns {Promise<Object>} fields to add to the issue (quarantinedTo, location)
+ */
+async function repairIssue(issue, quarantineDir) {
+  switch (issue.repair) {
+    case 'quarantine': {
+      if (issue.source.key) return { quarantinedTo: await quarantineObject(issue.source.key, quarantineDir) };
+      const target = path.join(quarantineDir, 'uploads', path.basename(issue.source.upload));
+      moveFileInto(issue.source.upload, target);
+      return { quarantinedTo: target };
+    }
+    case 'relink': {
+      const document = documentsRepo.getDocumentById(issue.docId, { includeTrashed: true });
+      if (!document) throw new Error('Document no longer exists');
+      const location = issue.source.blob
+        ? blobStore.blobLocation(issue.source.blob)
+        : await blobStore.putFile(issue.source.upload, document.sha256);
+      documentsRepo.saveDocumentBlob(document.id, { blobSha256: document.sha256, storedPath: location });
+      return { location };
+    }
+    case 'reindex':
+      documentsRepo.reindexDocument(issue.docId);
+      return {};
+    case 'delete_index':
+      documentsRepo.deleteIndexRows(issue.docId);
+      return {};
+    default:
+      return {};
+  }
+}
+
+/**
+ * Check storage consistency and optionally repair what can be repaired
+ * @param {Object} [options]
+ * @param {boolean} [options.repair=false] - Apply the repairs (default: dry run, report only)
+ * @param {boolean} [options.verifyHashes=true] - Hash every blob (reads all stored bytes)
+ * @param {number} [options.minUploadAgeMinutes=60] - Ignore newer files in the uploads directory
+ * @returns {Promise<Object>} report: { dryRun, checkedAt, verifyHashes, checked, summary, issues }
+ *   issues carry repaired (and error) once repairs ran
+ */
+async function checkStorage({
+  repair = false,
+  verifyHashes = true,
+  minUploadAgeMinutes = DEFAULT_MIN_UPLOAD_AGE_MINUTES
+} = {}) {
+  const checkedAt = new Date().toISOString();
+  const { issues, checked } = await findIssues({ verifyHashes, minUploadAgeMinutes });
+
+  const quarantineDir = path.join(QUARANTINE_DIR, checkedAt.replace(/[:.]/g, '-'));
+  const reported = [];
+  for (const issue of issues) {
+    const { source, ...publicIssue } = issue;
+    if (!repair || !issue.repair) {
+      reported.push(publicIssue);
+      continue;
+    }
+    try {
+      reported.push({ ...publicIssue, ...(await repairIssue(issue, quarantineDir)), repaired: true });
+    } catch (error) {
+      reported.push({ ...publicIssue, repaired: false, error: error.message });
+    }
+  }
+
+  const summary = Object.fromEntries(ISSUE_TYPES.map((type) => [type, 0]));
+  for (const issue of reported) summary[issue.type] += 1;
+  if (repair) summary.repaired = reported.filter((i) => i.repaired).length;
+
+  return { dryRun: !repair, checkedAt, verifyHashes, checked, summary, issues: reported };
+}
+
+module.exports = { checkStorage, ISSUE_TYPES, QUARANTINE_DIR };
@@ -3,9 +3,19 @@
  * Generates document summaries using Gemini AI
  */
 const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { splitForSummary } = require('../utils/summarySections');
 
 let genAI = null;
 
+// Bump when a summary prompt changes; stored with every summary
+const SHORT_SUMMARY_PROMPT_VERSION = 'short-v1';
+const LONG_SUMMARY_PROMPT_VERSION = 'long-v1';
+const SECTION_SUMMARY_PROMPT_VERSION = 'sections-v1';
+
+// Documents longer than a variant's single-pass input are summarized section by section
+const SECTION_MAX_CHARS = 12000;
+const LONG_MAX_INPUT_CHARS = 60000;
+
 function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
@@ -149,12 +159,40 @@ function getRetryAfterSeconds(err) {
   return null;
 }
 
+const EMPTY_USAGE = { inputTokens: null, outputTokens: null, totalTokens: null };
+
+function addCount(a, b) {
+  return Number.isFinite(b) ? (a || 0) + b : a;
+}
+
+// Token counts from response.usageMetadata, added up across the calls of one summary
+function addUsage(total, usageMetadata) {
+  if (!usageMetadata) return total;
+  return {
+    inputTokens: addCount(total.inputTokens, usageMetadata.promptTokenCount),
+    outputTokens: addCount(total.outputTokens, usageMetadata.candidatesTokenCount),
+    totalTokens: addCount(total.totalTokens, usageMetadata.totalTokenCount)
+  };
+}
+
+function sumUsage(a, b) {
+  return {
+    inputTokens: addCount(a.inputTokens, b && b.inputTokens),
+    outputTokens: addCount(a.outputTokens, b && b.outputTokens),
+    totalTokens: addCount(a.totalTokens, b && b.totalTokens)
+  };
+}
+
 function countSentenceEndings(text) {
   if (!text) return 0;
   const m = String(text).match(/[.!?]/g);
   return m ? m.length : 0;
 }
 
+function countLines(text, pattern) {
+  return String(text || '').split('\n').filter((line) => pattern.test(line)).length;
+}
+
 function isAcceptableSummary(text) {
   const s = (text || '').toString().trim();
   if (s.length < 140) return false; // too short for 3-4 explanatory sentences (TR)
@@ -163,6 +201,170 @@ function isAcceptableSummary(text) {
   return true;
 }
 
+// Map-reduce: the final prompt gets the section summaries instead of the document text
+function sourceNote({ fromSections }) {
+  return fromSections
+    ? 'Not: Metin, dokümanın sırayla verilmiş bölüm özetlerinden oluşur; özet tüm dokümanı kapsamalı.\n\n'
+    : '';
+}
+
+const SYSTEM_INSTRUCTION =
+  'Sen bir doküman özetleme asistanısın. Sadece verilen metne dayan. Metinde olmayan bilgileri uydurma. Çıktı olarak SADECE özet metnini yaz.';
+
+// Length levels of the long summary
+const LONG_SUMMARY_LEVELS = {
+  medium: {
+    instruction: 'Toplam 1200-2500 karakter aralığında hedefle.',
+    minChars: 600,
+    maxSummaryChars: 4000,
+    maxOutputTokens: 1500
+  },
+  long: {
+    instruction: 'Toplam 3000-6000 karakter aralığında hedefle; dokümandaki tüm ana konuları kapsa.',
+    minChars: 1500,
+    maxSummaryChars: 9000,
+    maxOutputTokens: 3500
+  }
+};
+
+// Output formats of the long summary
+const LONG_SUMMARY_FORMATS = {
+  structured: {
+    instruction: `Özeti markdown başlıklarıyla bölümlere ayır:
+- Her bölüm "## " ile başlayan kısa bir başlık ve altında 2-4 cümlelik bir paragraf içersin.
+- En az 3 bölüm olsun; ilk bölüm dokümanın amacını, son bölüm sonuç veya öne çıkan noktaları anlatsın.`,
+    isWellFormed: (text) => countLines(text, /^#{1,3}\s+\S/) >= 2
+  },
+  bullets: {
+    instruction: `Özeti madde işaretleriyle yaz:
+- Her madde "- " ile başlasın ve tek bir tam cümle ya da kısa bir cümle grubu olsun.
+- En az 6 madde yaz; maddeleri dokümandaki sırayla ver.
+- Başlık, giriş veya kapanış cümlesi ekleme.`,
+    isWellFormed: (text) => countLines(text, /^\s*[-*•]\s+\S/) >= 4
+  }
+};
+
+// Short summary: one 3-4 sentence paragraph
+const SHORT_VARIANT = {
+  kind: 'short',
+  level: null,
+  format: 'paragraph',
+  promptVersion: SHORT_SUMMARY_PROMPT_VERSION,
+  maxInputChars: 20000,
+  maxOutputTokens: 700,
+  maxSummaryChars: 1200,
+  prompt: (input) => `Aşağıdaki dokümanı Türkçe 3-4 cümle ile, açıklayıcı biçimde özetle.
+- En az 3 cümle olmalı.
+- Toplam 300-900 karakter aralığında hedefle.
+- Her cümle tam olsun ve özet nokta ile bitsin.
+- Sadece özet metnini yaz; JSON, markdown, başlık ya da madde işareti ekleme.
+
+${sourceNote(input)}Doküman Adı: ${input.docName}
+
+Metin:
+${input.text}
+`,
+  strictPrompt: (input) => `Aşağıdaki dokümanı Türkçe 4 cümle ile, açıklayıcı biçimde özetle. Her cümle tamamlanmış olmalı ve nokta ile bitmeli. Sadece özet metnini yaz.
+
+${sourceNote(input)}Doküman Adı: ${input.docName}
+
+Metin:
+${input.text}
+`,
+  isAcceptable: isAcceptableSummary
+};
+
+function longVariant(levelName, formatName) {
+  const level = LONG_SUMMARY_LEVELS[levelName];
+  const format = LONG_SUMMARY_FORMATS[formatName];
+  if (!level) throw new Error(`Unknown long summary level: ${levelName}`);
+  if (!format) throw new Error(`Unknown long summary format: ${formatName}`);
+
+  const prompt = (input, strict) => `Aşağıdaki dokümanın Türkçe, ayrıntılı bir özetini çıkar.
+${level.instruction}
+${format.instruction}
+- Sadece dokümandaki bilgileri kullan; yorum veya tavsiye ekleme.
+- Sadece özeti yaz; JSON veya kod bloğu kullanma.${strict ? '\n- Önceki deneme çok kısa ya da biçimsizdi: uzunluk ve biçim kurallarına tam olarak uy.' : ''}
+
+${sourceNote(input)}Doküman Adı: ${input.docName}
+
+Metin:
+${input.text}
+`;
+
+  return {
+    kind: 'long',
+    level: levelName,
+    format: formatName,
+    promptVersion: LONG_SUMMARY_PROMPT_VERSION,
+    maxInputChars: LONG_MAX_INPUT_CHARS,
+    maxOutputTokens: level.maxOutputTokens,
+    maxSummaryChars: level.maxSummaryChars,
+    prompt: (input) => prompt(input, false),
+    strictPrompt: (input) => prompt(input, true),
+    isAcceptable: (text) => {
+      const s = (text || '').toString().trim();
+      return s.length >= level.minChars && format.isWellFormed(s);
+    }
+  };
+}
+
+// Map step: one paragraph per section
+const SECTION_VARIANT = {
+  kind: 'section',
+  level: null,
+  format: 'paragraph',
+  promptVersion: SECTION_SUMMARY_PROMPT_VERSION,
+  maxInputChars: SECTION_MAX_CHARS,
+  maxOutputTokens: 600,
+  maxSummaryChars: 1500,
+  prompt: ({ docName, title, text }) => `Aşağıda bir dokümanın bir bölümü var. Bu bölümü Türkçe 3-5 cümle ile özetle.
+- Bölümdeki ana fikirleri, önemli sayıları, tarihleri ve adları koru.
+- Sadece özet metnini yaz; başlık veya madde işareti ekleme.
+
+Doküman Adı: ${docName}${title ? `\nBölüm: ${title}` : ''}
+
+Metin:
+${text}
+`,
+  strictPrompt: ({ docName, title, text }) => `Aşağıdaki doküman bölümünü Türkçe en az 3 tam cümle ile özetle. Sadece özet metnini yaz.
+
+Doküman Adı: ${docName}${title ? `\nBölüm: ${title}` : ''}
+
+Metin:
+${text}
+`,
+  isAcceptable: (text) => (text || '').toString().trim().length >= 80
+};
+
+// Reduce step for documents whose section summaries do not fit one prompt
+const GROUP_VARIANT = {
+  kind: 'section',
+  level: null,
+  format: 'paragraph',
+  promptVersion: SECTION_SUMMARY_PROMPT_VERSION,
+  maxInputChars: 60000,
+  maxOutputTokens: 1000,
+  maxSummaryChars: 2500,
+  prompt: ({ docName, text }) => `Aşağıda bir dokümanın ardışık bölümlerinin özetleri var. Bunları Türkçe 5-8 cümlelik tek bir ara özet halinde birleştir.
+- Bölümlerin sırasını koru; tekrarları çıkar.
+- Sadece özet metnini yaz.
+
+Doküman Adı: ${docName}
+
+Bölüm özetleri:
+${text}
+`,
+  strictPrompt: ({ docName, text }) => `Aşağıdaki bölüm özetlerini Türkçe en az 5 tam cümlelik tek bir özet halinde birleştir. Sadece özet metnini yaz.
+
+Doküman Adı: ${docName}
+
+Bölüm özetleri:
+${text}
+`,
+  isAcceptable: (text) => (text || '').toString().trim().length >= 200
+};
+
 /**
  * Initialize Gemini client for summary generation
  */
@@ -181,11 +383,15 @@ function initializeGemini() {
 }
 
 /**
- * Generate summary for a document (3-4 sentences)
- * @param {{ docId: string, text: string, docName: string }} params
- * @returns {Promise<{ summary: string, model: string }>}
+ * Run one summary variant against the model candidates
+ * Tries the configured/best model first; an unacceptable answer gets one stricter retry on the
+ * same model before moving on to the next candidate.
+ * @param {Object} variant - SHORT_VARIANT, longVariant(level, format), SECTION_VARIANT or GROUP_VARIANT
+ * @param {{ text: string, docName: string }} input - Passed to the variant's prompt (with extra fields it uses)
+ * @returns {Promise<Object>} see generateSummary
  */
-async function generateSummary({ docId, text, docName }) {
+async function runSummary(variant, input) {
+  const { text } = input;
   try {
     const apiKey = process.env.GEMINI_API_KEY;
     const api = initializeGemini();
@@ -193,71 +399,63 @@ async function generateSummary({ docId, text, docName }) {
     const candidates = await getModelCandidates(configuredModel, apiKey);
 
     // Limit text length to reduce LLM cost
-    const maxChars = 20000;
-    const truncatedText = text.length > maxChars ? text.slice(0, maxChars) : text;
+    const truncatedText = text.length > variant.maxInputChars ? text.slice(0, variant.maxInputChars) : text;
+    const promptInput = { ...input, text: truncatedText };
+    let usage = EMPTY_USAGE;
 
-    async function runWithModel(modelName, { promptOverride } = {}) {
+    async function runWithModel(modelName, { strict = false } = {}) {
       const model = api.getGenerativeModel({
         model: modelName,
-        systemInstruction:
-          'Sen bir doküman özetleme asistanısın. Sadece verilen metne dayan. Metinde olmayan bilgileri uydurma. Çıktı olarak SADECE özet metnini yaz.',
+        systemInstruction: SYSTEM_INSTRUCTION,
         generationConfig: {
           temperature: 0.2,
-          maxOutputTokens: 700
+          maxOutputTokens: variant.maxOutputTokens
         }
       });
 
-      const prompt = promptOverride || `Aşağıdaki dokümanı Türkçe 3-4 cümle ile, açıklayıcı biçimde özetle.
-- En az 3 cümle olmalı.
-- Toplam 300-900 karakter aralığında hedefle.
-- Her cümle tam olsun ve özet nokta ile bitsin.
-- Sadece özet metnini yaz; JSON, markdown, başlık ya da madde işareti ekleme.
-
-Doküman Adı: ${docName}
-
-Metin:
-${truncatedText}
-`;
+      const prompt = strict ? variant.strictPrompt(promptInput) : variant.prompt(promptInput);
 
       const result = await model.generateContent(prompt);
       const response = result.response;
+      usage = addUsage(usage, response && response.usageMetadata);
       const textResponse = (response && typeof response.text === 'function') ? response.text() : '';
 
       const summary = (textResponse || '').toString().trim();
       if (!summary) throw new Error('Empty response from LLM');
 
       // Soft limit to avoid extremely long outputs
-      const maxSummaryChars = 1200;
-      const clipped = summary.length > maxSummaryChars ? summary.slice(0, maxSummaryChars) : summary;
+      const clipped = summary.length > variant.maxSummaryChars ? summary.slice(0, variant.maxSummaryChars) : summary;
 
       return { summary: clipped, model: modelName };
     }
 
+    const withMetadata = (result) => ({
+      kind: variant.kind,
+      level: variant.level,
+      format: variant.format,
+      language: 'tr',
+      ...result,
+      promptVersion: variant.promptVersion,
+      usage
+    });
+
     let lastErr = null;
     for (const modelName of candidates) {
       try {
         let result = await runWithModel(modelName);
 
-        if (!isAcceptableSummary(result.summary)) {
+        if (!variant.isAcceptable(result.summary)) {
           // one stricter retry on the same model (cheap; avoids switching models too often)
-          result = await runWithModel(modelName, {
-            promptOverride: `Aşağıdaki dokümanı Türkçe 4 cümle ile, açıklayıcı biçimde özetle. Her cümle tamamlanmış olmalı ve nokta ile bitmeli. Sadece özet metnini yaz.
-
-Doküman Adı: ${docName}
-
-Metin:
-${truncatedText}
-`
-          });
+          result = await runWithModel(modelName, { strict: true });
         }
 
         // If still too short, try next model
-        if (!isAcceptableSummary(result.summary)) {
+        if (!variant.isAcceptable(result.summary)) {
           lastErr = new Error('Summary too short');
           continue;
         }
 
-        return result;
+        return withMetadata(result);
       } catch (err) {
         lastErr = err;
         const status = getStatus(err);
@@ -271,7 +469,7 @@ ${truncatedText}
           if (retryAfterSec != null && retryAfterSec > 0 && retryAfterSec <= 5) {
             await sleep(retryAfterSec * 1000);
             try {
-              return await runWithModel(modelName);
+              return withMetadata(await runWithModel(modelName));
             } catch (e2) {
               lastErr = e2;
             }
@@ -297,5 +495,130 @@ ${truncatedText}
   }
 }
 
-module.exports = { generateSummary };
+// Pack section digests into groups that fit one prompt
+function groupDigests(digests, maxChars) {
+  const groups = [];
+  let current = [];
+  let length = 0;
+  for (const digest of digests) {
+    if (current.length > 0 && length + digest.length + 2 > maxChars) {
+      groups.push(current);
+      current = [];
+      length = 0;
+    }
+    current.push(digest);
+    length += digest.length + 2;
+  }
+  if (current.length > 0) groups.push(current);
+  return groups;
+}
+
+/**
+ * Summarize a document with a variant; map-reduce when the text does not fit one prompt
+ * Map: every section (see splitForSummary) gets its own summary. Reduce: the section summaries are
+ * combined (in groups first, when they do not fit one prompt either) and summarized with the variant.
+ * @param {Object} variant
+ * @param {Object} input
+ * @param {string} input.text
+ * @param {string} input.docName
+ * @param {Array<Object>} [input.outline]
+ * @param {Array<Object>} [input.pages]
+ * @param {Function} [input.onProgress] - ({ step: 'map'|'reduce', done, total }) during map-reduce
+ * @returns {Promise<Object>} see generateSummary
+ */
+async function summarize(variant, { text, docName, outline, pages, onProgress }) {
+  if (text.length <= variant.maxInputChars) {
+    return { ...(await runSummary(variant, { text, docName })), sections: [] };
+  }
+
+  const report = typeof onProgress === 'function' ? onProgress : () => {};
+  const parts = splitForSummary(text, { outline, pages, maxChars: SECTION_MAX_CHARS });
+  let usage = EMPTY_USAGE;
+
+  const sections = [];
+  for (let i = 0; i < parts.length; i++) {
+    report({ step: 'map', done: i, total: parts.length });
+    const part = parts[i];
+    const result = await runSummary(SECTION_VARIANT, {
+      docName,
+      title: part.title,
+      text: text.slice(part.startChar, part.endChar)
+    });
+    usage = sumUsage(usage, result.usage);
+    sections.push({ position: i, ...part, content: result.summary });
+  }
+
+  report({ step: 'reduce', done: 0, total: 1 });
+  let digests = sections.map((section, i) => `### ${section.title || `Bölüm ${i + 1}`}\n${section.content}`);
+  while (digests.join('\n\n').length > variant.maxInputChars) {
+    const groups = groupDigests(digests, GROUP_VARIANT.maxInputChars);
+    if (groups.length === digests.length) break; // nothing left to merge; the final prompt truncates
+    const merged = [];
+    for (const group of groups) {
+      const result = await runSummary(GROUP_VARIANT, { docName, text: group.join('\n\n') });
+      usage = sumUsage(usage, result.usage);
+      merged.push(result.summary);
+    }
+    digests = merged;
+  }
+
+  const final = await runSummary(variant, { docName, text: digests.join('\n\n'), fromSections: true });
+  report({ step: 'reduce', done: 1, total: 1 });
+  return {
+    ...final,
+    promptVersion: `${variant.promptVersion}+${SECTION_SUMMARY_PROMPT_VERSION}`,
+    usage: sumUsage(usage, final.usage),
+    sections
+  };
+}
+
+/**
+ * Whether a summary of this text runs map-reduce (one model call per section) instead of one call
+ * @param {{ text: string, kind?: 'short'|'long' }} params
+ * @returns {boolean}
+ */
+function needsMapReduce({ text, kind = 'short' }) {
+  const limit = kind === 'long' ? LONG_MAX_INPUT_CHARS : SHORT_VARIANT.maxInputChars;
+  return String(text || '').length > limit;
+}
+
+/**
+ * Generate summary for a document (3-4 sentences)
+ * @param {Object} params
+ * @param {string} params.docId
+ * @param {string} params.text
+ * @param {string} params.docName
+ * @param {Array<Object>} [params.outline] - Heading outline, used to split long documents
+ * @param {Array<Object>} [params.pages] - Page offsets, used to split long documents
+ * @param {Function} [params.onProgress] - Map-reduce progress, see summarize()
+ * @returns {Promise<{ kind: 'short', level: null, format: string, language: string, summary: string, model: string,
+ *   promptVersion: string, usage: { inputTokens: number|null, outputTokens: number|null, totalTokens: number|null },
+ *   sections: Array<{ position: number, title: string|null, startChar: number, endChar: number,
+ *   pageStart: number|null, pageEnd: number|null, content: string }> }>}
+ *   usage covers every model call made for this summary, retries included; sections is empty
+ *   unless the document was summarized section by section
+ */
+async function generateSummary({ docId, text, docName, outline, pages, onProgress }) {
+  return summarize(SHORT_VARIANT, { text, docName, outline, pages, onProgress });
+}
+
+/**
+ * Generate a long summary for a document
+ * @param {Object} params - Same as generateSummary, plus:
+ * @param {string} [params.level='medium'] - Key of LONG_SUMMARY_LEVELS
+ * @param {string} [params.format='structured'] - Key of LONG_SUMMARY_FORMATS ('structured' = markdown headings)
+ * @returns {Promise<Object>} Same shape as generateSummary with kind 'long', level and format set
+ */
+async function generateLongSummary({ docId, text, docName, outline, pages, onProgress, level = 'medium', format = 'structured' }) {
+  return summarize(longVariant(level, format), { text, docName, outline, pages, onProgress });
+}
 
+module.exports = {
+  SHORT_SUMMARY_PROMPT_VERSION,
+  LONG_SUMMARY_PROMPT_VERSION,
+  LONG_SUMMARY_LEVELS,
+  LONG_SUMMARY_FORMATS,
+  needsMapReduce,
+  generateSummary,
+  generateLongSummary
+};
@@ -1,58 +1,41 @@
-const fs = require('fs');
 const AppError = require('../errors/AppError');
 const { normalizeText } = require('../utils/textNormalize');
+const { buildTextWithOutline } = require('../utils/sections');
+const { buildTextWithPages } = require('../utils/pages');
+const extractors = require('./extractors');
 
 const MIN_TEXT_LENGTH = 20;
-const SUPPORTED_MIME_TYPES = new Set(['application/pdf', 'text/plain']);
-
-async function readTextFileUtf8Stream(filePath) {
-  return new Promise((resolve, reject) => {
-    let text = '';
-    const stream = fs.createReadStream(filePath, { encoding: 'utf8' });
-
-    stream.on('data', (chunk) => {
-      text += chunk;
-    });
-    stream.on('end', () => resolve(text));
-    stream.on('error', (err) => reject(err));
-  });
-}
 
 /**
  * Extract text from file based on MIME type
+ * The format is looked up in the extractor registry (src/services/extractors).
  * @param {{ path: string, mimeType: string }} params
- * @returns {Promise<{ text: string, charCount: number }>}
+ * @returns {Promise<{ text: string, charCount: number, outline: Array<Object>, pages: Array<Object>, extractionMethod: string, ocrPages: Array<Object>, textEncoding: string|null }>}
  */
 async function extractTextFromFile({ path, mimeType }) {
   if (!path) {
     throw new AppError({ statusCode: 400, code: 'NO_FILE', message: 'No file uploaded' });
   }
 
-  if (!SUPPORTED_MIME_TYPES.has(mimeType)) {
+  const format = extractors.findFormatByMimeType(mimeType);
+  if (!format) {
     throw new AppError({ statusCode: 415, code: 'UNSUPPORTED_MEDIA_TYPE', message: 'Unsupported file type' });
   }
 
-  let rawText = '';
-
-  if (mimeType === 'text/plain') {
-    try {
-      rawText = await readTextFileUtf8Stream(path);
-    } catch (cause) {
-      throw new AppError({ statusCode: 422, code: 'UNPROCESSABLE', message: 'TXT could not be processed', cause });
-    }
-  } else if (mimeType === 'application/pdf') {
-    const pdfParseModule = require('pdf-parse');
-    const pdfParse = pdfParseModule && pdfParseModule.default ? pdfParseModule.default : pdfParseModule;
-    try {
-      const buffer = await fs.promises.readFile(path);
-      const result = await pdfParse(buffer);
-      rawText = result && typeof result.text === 'string' ? result.text : '';
-    } catch (cause) {
-      throw new AppError({ statusCode: 422, code: 'UNPROCESSABLE', message: 'PDF could not be parsed', cause });
-    }
+  const extracted = (await format.extract(path)) || {};
+
+  // Structured formats hand over blocks; headings become the document outline.
+  // Paged formats hand over pages; their boundaries become page offsets.
+  let text = '';
+  let outline = [];
+  let pages = [];
+  if (Array.isArray(extracted.blocks)) {
+    ({ text, outline } = buildTextWithOutline(extracted.blocks));
+  } else if (Array.isArray(extracted.pages)) {
+    ({ text, pages } = buildTextWithPages(extracted.pages));
+  } else {
+    text = normalizeText(typeof extracted.text === 'string' ? extracted.text : '');
   }
-
-  const text = normalizeText(rawText);
   const charCount = text.length;
 
   if (charCount < MIN_TEXT_LENGTH) {
@@ -63,9 +46,13 @@ async function extractTextFromFile({ path, mimeType }) {
     });
   }
 
-  return { text, charCount };
-}
+  // 'text' = text layer only, 'ocr' / 'mixed' = some or all pages came from OCR
+  const extractionMethod = extracted.ocr && extracted.ocr.method ? extracted.ocr.method : 'text';
+  const ocrPages = extracted.ocr && Array.isArray(extracted.ocr.pages) ? extracted.ocr.pages : [];
 
-module.exports = { extractTextFromFile };
+  const textEncoding = typeof extracted.encoding === 'string' ? extracted.encoding : null;
 
+  return { text, charCount, outline, pages, extractionMethod, ocrPages, textEncoding };
+}
 
+module.exports = { extractTextFromFile };
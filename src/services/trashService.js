@@ -0,0 +1,177 @@
+/**
+ * Trash service
+ * Deleting a document moves it to the trash: it keeps its file, summaries and index rows but is
+ * hidden from listing, search and Q&A retrieval until it is restored. Purging removes it for good.
+ * Documents older than the retention period are purged automatically by a timer started with
+ * the server.
+ *
+ * Env:
+ *   TRASH_RETENTION_DAYS=30             days before a trashed document is purged (0: never)
+ *   TRASH_PURGE_INTERVAL_MS=3600000     how often the automatic purge runs
+ */
+const db = require('../db');
+const AppError = require('../errors/AppError');
+const documentsRepo = require('../repositories/documentsRepo');
+const summariesRepo = require('../repositories/summariesRepo');
+const ingestionService = require('./ingestionService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const autoPurge = {
+  timer: null
+};
+
+/**
+ * Days a trashed document is kept
+ * @returns {number} 0 when automatic purge is disabled
+ */
+function getRetentionDays() {
+  const value = process.env.TRASH_RETENTION_DAYS;
+  if (value === undefined || value === '') return 30;
+  const days = Number(value);
+  return Number.isFinite(days) && days > 0 ? days : 0;
+}
+
+function getPurgeIntervalMs() {
+  const ms = parseInt(process.env.TRASH_PURGE_INTERVAL_MS, 10);
+  return Number.isInteger(ms) && ms > 0 ? ms : 60 * 60 * 1000;
+}
+
+/**
+ * When a document trashed at deletedAt will be purged
+ * @param {string} deletedAt - ISO timestamp
+ * @returns {string|null} ISO timestamp, null when automatic purge is disabled
+ */
+function purgeAtFor(deletedAt) {
+  const days = getRetentionDays();
+  if (!days) return null;
+  return new Date(Date.parse(deletedAt) + days * DAY_MS).toISOString();
+}
+
+function notInTrash() {
+  return new AppError({ statusCode: 404, code: 'NOT_FOUND', message: 'Document not found in trash' });
+}
+
+/**
+ * Move a document to the trash
+ * @param {string} id
+ * @returns {{ docId: string, deletedAt: string, purgeAt: string|null }}
+ * @throws {AppError} - NOT_FOUND (404) when the document does not exist or is trashed already
+ */
+function trashDocument(id) {
+  const deletedAt = new Date().toISOString();
+  if (!documentsRepo.trashDocumentById(id, deletedAt)) {
+    throw new AppError({ statusCode: 404, code: 'NOT_FOUND', message: 'Document not found' });
+  }
+  return { docId: id, deletedAt, purgeAt: purgeAtFor(deletedAt) };
+}
+
+/**
+ * Take a document out of the trash
+ * @param {string} id
+ * @returns {Object} the restored document
+ * @throws {AppError} - NOT_FOUND (404) when the document is not in the trash
+ */
+function restoreDocument(id) {
+  if (!documentsRepo.restoreDocumentById(id)) throw notInTrash();
+  return documentsRepo.getDocumentById(id);
+}
+
+/**
+ * Trashed documents, most recently deleted first
+ * @param {{ limit: number, offset: number }} options
+ * @returns {{ total: number, retentionDays: number, results: Array<Object> }} results carry purgeAt
+ */
+function listTrash({ limit, offset }) {
+  const { total, results } = documentsRepo.listTrashedDocuments({ limit, offset });
+  return {
+    total,
+    retentionDays: getRetentionDays(),
+    results: results.map((doc) => ({ ...doc, purgeAt: purgeAtFor(doc.deletedAt) }))
+  };
+}
+
+/**
+ * Delete a document for good: its file (best effort), summaries, index rows and the row itself
+ * @param {string} id
+ * @returns {Promise<void>}
+ * @throws {AppError} - NOT_FOUND (404) when the document is not in the trash
+ */
+async function purgeDocument(id) {
+  const document = documentsRepo.getDocumentFileById(id, { includeTrashed: true });
+  if (!document || !document.deletedAt) throw notInTrash();
+
+  await ingestionService.removeDocumentFile(document);
+
+  db.transaction(() => {
+    summariesRepo.deleteSummariesByDocId(document.id);
+    documentsRepo.deleteIndexRows(document.id);
+    documentsRepo.deleteDocumentById(document.id);
+  })();
+}
+
+/**
+ * Purge every document in the trash, or those trashed at or before a point in time
+ * @param {string|null} [before] - ISO timestamp
+ * @returns {Promise<string[]>} ids of the purged documents
+ */
+async function purgeTrash(before = null) {
+  const purged = [];
+  for (const id of documentsRepo.listTrashedDocumentIds(before)) {
+    try {
+      await purgeDocument(id);
+      purged.push(id);
+    } catch (error) {
+      // Restored or purged meanwhile
+      if (error.code !== 'NOT_FOUND') throw error;
+    }
+  }
+  return purged;
+}
+
+/**
+ * Purge documents that have been in the trash longer than the retention period
+ * @param {Date} [now]
+ * @returns {Promise<string[]>} ids of the purged documents (none when retention is disabled)
+ */
+async function purgeExpired(now = new Date()) {
+  const days = getRetentionDays();
+  if (!days) return [];
+  return purgeTrash(new Date(now.getTime() - days * DAY_MS).toISOString());
+}
+
+async function runAutoPurge() {
+  try {
+    const purged = await purgeExpired();
+    if (purged.length > 0) console.log(`Purged ${purged.length} document(s) from the trash`);
+  } catch (error) {
+    console.error('Trash purge failed:', error.message);
+  }
+}
+
+/**
+ * Purge expired documents now and then periodically (no-op when retention is disabled)
+ */
+function startAutoPurge() {
+  if (autoPurge.timer || !getRetentionDays()) return;
+  runAutoPurge();
+  autoPurge.timer = setInterval(runAutoPurge, getPurgeIntervalMs());
+  autoPurge.timer.unref();
+}
+
+function stopAutoPurge() {
+  clearInterval(autoPurge.timer);
+  autoPurge.timer = null;
+}
+
+module.exports = {
+  getRetentionDays,
+  trashDocument,
+  restoreDocument,
+  listTrash,
+  purgeDocument,
+  purgeTrash,
+  purgeExpired,
+  startAutoPurge,
+  stopAutoPurge
+};
@@ -4,6 +4,7 @@
  * NOTE: We explicitly DISCARD any LLM-provided citations that do not match
  * retrieved chunks (docId/chunkId). This prevents hallucinated sources.
  */
+const { findPageAt } = require('./pages');
 
 /**
  * Sanitize quote text:
@@ -25,6 +26,35 @@ function isFiniteNumber(n) {
   return typeof n === 'number' && Number.isFinite(n);
 }
 
+/**
+ * Document offsets of a quote within a chunk (case-insensitive when lowercasing keeps the length)
+ * @param {{ text: string, startChar: number }} chunk
+ * @param {string} quote
+ * @returns {{ startChar: number, endChar: number }|null} null when the quote is not in the chunk
+ */
+function locateQuote(chunk, quote) {
+  if (!quote || typeof chunk.text !== 'string') return null;
+  let idx = chunk.text.indexOf(quote);
+  if (idx === -1) {
+    const lower = chunk.text.toLowerCase();
+    if (lower.length === chunk.text.length) idx = lower.indexOf(quote.toLowerCase());
+  }
+  if (idx === -1) return null;
+  return { startChar: chunk.startChar + idx, endChar: chunk.startChar + idx + quote.length };
+}
+
+/**
+ * Page of a cited offset: from the page offsets of the document when the chunk carries them,
+ * otherwise the page of the chunk
+ * @param {Object} chunk
+ * @param {number} offset
+ * @returns {number|null}
+ */
+function citedPage(chunk, offset) {
+  if (Array.isArray(chunk.pages)) return findPageAt(chunk.pages, offset);
+  return chunk.page || null;
+}
+
 function findMatchingChunk(c, retrievedChunks) {
   if (!Array.isArray(retrievedChunks) || retrievedChunks.length === 0) return null;
 
@@ -71,13 +101,19 @@ function validateCitation(c, retrievedChunks) {
     return null;
   }
 
-  const startChar = isFiniteNumber(c.startChar)
+  let startChar = isFiniteNumber(c.startChar)
     ? Math.max(chunk.startChar, c.startChar)
     : chunk.startChar;
-  const endChar = isFiniteNumber(c.endChar)
+  let endChar = isFiniteNumber(c.endChar)
     ? Math.min(chunk.endChar, c.endChar)
     : chunk.endChar;
 
+  // Without offsets the quote tells where in the chunk the citation is
+  if (!isFiniteNumber(c.startChar) || !isFiniteNumber(c.endChar)) {
+    const located = locateQuote(chunk, sanitizeQuote(c.quote || ''));
+    if (located) ({ startChar, endChar } = located);
+  }
+
   // Build quote preference order:
   // 1) LLM quote
   // 2) slice from chunk text using start/end if valid
@@ -101,6 +137,8 @@ function validateCitation(c, retrievedChunks) {
     chunkId: chunk.chunkId,
     startChar: startChar,
     endChar: Math.max(startChar, endChar),
+    section: chunk.section || null,
+    page: citedPage(chunk, startChar),
     quote
   };
 }
@@ -146,6 +184,8 @@ function buildBasedOnDocs({ llmCitations, retrievedChunks, maxCitations = 3 }) {
       chunkId: ch.chunkId,
       startChar: ch.startChar,
       endChar: ch.endChar,
+      section: ch.section || null,
+      page: ch.page || null,
       quote: sanitizeQuote(typeof ch.text === 'string' ? ch.text.slice(0, 200) : '')
     }));
   } catch (_) {
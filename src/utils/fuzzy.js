@@ -0,0 +1,65 @@
+/**
+ * Near-match helpers of the typo-tolerant search
+ */
+
+// Words shorter than this are never corrected: one edit makes them a different word
+const MIN_FUZZY_LENGTH = 3;
+
+/**
+ * Edits a word of this length may be away from the vocabulary term it stands for
+ * @param {string} word - normalized
+ * @returns {number} 0 for words too short to correct
+ */
+function maxEditsFor(word) {
+  if (word.length < MIN_FUZZY_LENGTH) return 0;
+  return word.length <= 5 ? 1 : 2;
+}
+
+/**
+ * Trigrams of a word (what the trigram index of the vocabulary matches on)
+ * @param {string} word
+ * @returns {Array<string>} distinct, in order
+ */
+function trigrams(word) {
+  const chars = Array.from(word);
+  const grams = new Set();
+  for (let i = 0; i + 3 <= chars.length; i++) grams.add(chars.slice(i, i + 3).join(''));
+  return [...grams];
+}
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and swaps of neighbours
+ * (optimal string alignment), cut off above max
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max
+ * @returns {number} distance, or max + 1 when it is larger than max
+ */
+function editDistance(a, b, max) {
+  const s = Array.from(a);
+  const t = Array.from(b);
+  if (Math.abs(s.length - t.length) > max) return max + 1;
+
+  let before = null;
+  let previous = t.map((_, j) => j + 1);
+  previous.unshift(0);
+  for (let i = 1; i <= s.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= t.length; j++) {
+      const cost = s[i - 1] === t[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (before && i > 1 && j > 1 && s[i - 1] === t[j - 2] && s[i - 2] === t[j - 1]) {
+        value = Math.min(value, before[j - 2] + 1);
+      }
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    before = previous;
+    previous = current;
+  }
+  return Math.min(previous[t.length], max + 1);
+}
+
+module.exports = { MIN_FUZZY_LENGTH, maxEditsFor, trigrams, editDistance };
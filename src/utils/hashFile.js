@@ -3,18 +3,18 @@
  */
 const crypto = require('crypto');
 const fs = require('fs');
-const { promisify } = require('util');
 
 const createHash = crypto.createHash;
 
 /**
- * Calculate SHA256 hash of a file
+ * Feed a file's bytes into an existing hash
+ * (lets resumable uploads rebuild their incremental hash from the bytes already on disk)
+ * @param {crypto.Hash} hash
  * @param {string} filePath - Path to the file
- * @returns {Promise<string>} - Hex string of SHA256 hash
+ * @returns {Promise<crypto.Hash>} - The same hash, updated
  */
-async function hashFile(filePath) {
+async function updateHashFromFile(hash, filePath) {
   return new Promise((resolve, reject) => {
-    const hash = createHash('sha256');
     const stream = fs.createReadStream(filePath);
 
     stream.on('data', (data) => {
@@ -22,7 +22,7 @@ async function hashFile(filePath) {
     });
 
     stream.on('end', () => {
-      resolve(hash.digest('hex'));
+      resolve(hash);
     });
 
     stream.on('error', (error) => {
@@ -31,5 +31,15 @@ async function hashFile(filePath) {
   });
 }
 
-module.exports = hashFile;
+/**
+ * Calculate SHA256 hash of a file
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<string>} - Hex string of SHA256 hash
+ */
+async function hashFile(filePath) {
+  const hash = await updateHashFromFile(createHash('sha256'), filePath);
+  return hash.digest('hex');
+}
 
+module.exports = hashFile;
+module.exports.updateHashFromFile = updateHashFromFile;
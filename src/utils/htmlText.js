@@ -0,0 +1,81 @@
+/**
+ * HTML -> text blocks
+ * Walks HTML with htmlparser2 and collects block-level text. Content of script/style
+ * (and other non-text containers) is dropped; h1-h6 become heading blocks.
+ */
+const { Parser } = require('htmlparser2');
+
+// Elements whose content is never document text
+const SKIPPED_ELEMENTS = new Set([
+  'script', 'style', 'noscript', 'template', 'head', 'svg', 'math',
+  'iframe', 'object', 'embed', 'canvas', 'select', 'button'
+]);
+
+// Elements that start/end a text block
+const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'body', 'br', 'caption', 'dd', 'details',
+  'div', 'dl', 'dt', 'figcaption', 'figure', 'footer', 'form', 'header', 'hr', 'li',
+  'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'tbody', 'td', 'tfoot',
+  'th', 'thead', 'tr', 'ul'
+]);
+
+const HEADING_RE = /^h([1-6])$/;
+
+/**
+ * @param {string} html
+ * @returns {Array<{ text: string, level: number|null }>}
+ */
+function htmlToBlocks(html) {
+  const blocks = [];
+  let current = { text: '', level: null };
+  let skipDepth = 0;
+
+  function flush() {
+    if (current.text.trim()) blocks.push(current);
+    current = { text: '', level: null };
+  }
+
+  const parser = new Parser(
+    {
+      onopentag(name) {
+        if (SKIPPED_ELEMENTS.has(name)) {
+          skipDepth++;
+          return;
+        }
+        if (skipDepth > 0) return;
+
+        const heading = name.match(HEADING_RE);
+        if (heading) {
+          flush();
+          current.level = parseInt(heading[1], 10);
+        } else if (BLOCK_ELEMENTS.has(name)) {
+          flush();
+        }
+      },
+      ontext(text) {
+        if (skipDepth > 0) return;
+        current.text += text;
+      },
+      onclosetag(name) {
+        if (SKIPPED_ELEMENTS.has(name)) {
+          skipDepth = Math.max(0, skipDepth - 1);
+          return;
+        }
+        if (skipDepth > 0) return;
+
+        if (HEADING_RE.test(name) || BLOCK_ELEMENTS.has(name)) {
+          flush();
+        }
+      }
+    },
+    { decodeEntities: true, lowerCaseTags: true, recognizeSelfClosing: true }
+  );
+
+  parser.write(html || '');
+  parser.end();
+  flush();
+
+  return blocks;
+}
+
+module.exports = { htmlToBlocks };
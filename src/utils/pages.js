@@ -0,0 +1,48 @@
+/**
+ * Document pages
+ * Paged formats (PDF) return one text per page. We build the normalized document text
+ * from the pages and record where each page starts and ends in that text, so character
+ * offsets (search hits, chunks, citations) can be reported as page numbers.
+ */
+const { normalizeText } = require('./textNormalize');
+
+/**
+ * Build normalized text and page offsets from page texts
+ * @param {Array<{ page: number, text: string }>} pages
+ * @returns {{ text: string, pages: Array<{ page: number, startChar: number, endChar: number }> }}
+ */
+function buildTextWithPages(pages) {
+  let text = '';
+  const offsets = [];
+
+  for (const p of Array.isArray(pages) ? pages : []) {
+    const pageText = normalizeText(p && p.text);
+    if (!pageText) continue;
+
+    if (text) text += ' ';
+    const startChar = text.length;
+    text += pageText;
+    offsets.push({ page: p.page, startChar, endChar: text.length });
+  }
+
+  return { text, pages: offsets };
+}
+
+/**
+ * Page number containing a character offset
+ * (offsets on the separator between two pages count towards the following page)
+ * @param {Array<{ page: number, startChar: number, endChar: number }>|null} pages
+ * @param {number} offset
+ * @returns {number|null}
+ */
+function findPageAt(pages, offset) {
+  if (!Array.isArray(pages) || pages.length === 0) return null;
+  if (typeof offset !== 'number' || !Number.isFinite(offset) || offset < 0) return null;
+
+  for (const p of pages) {
+    if (offset < p.endChar) return p.page;
+  }
+  return null;
+}
+
+module.exports = { buildTextWithPages, findPageAt };
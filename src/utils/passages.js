@@ -0,0 +1,35 @@
+/**
+ * Passages of a document text (units of the passage search)
+ * A passage is a run of words ending at a sentence or paragraph end once it has MIN_PASSAGE_WORDS
+ * words, and after MAX_PASSAGE_WORDS words at the latest. Passages do not overlap.
+ */
+const { tokenizeText } = require('./searchText');
+
+const MIN_PASSAGE_WORDS = 40;
+const MAX_PASSAGE_WORDS = 80;
+
+// Text between two words that ends a sentence or a paragraph
+const BREAK_PATTERN = /[.!?…]|\n\s*\n/;
+
+/**
+ * Split a text into passages
+ * @param {string|null} text
+ * @returns {Array<{ startChar: number, endChar: number }>} from the first word's start to the last word's end
+ */
+function splitPassages(text) {
+  const tokens = tokenizeText(text || '');
+  const passages = [];
+  let first = 0;
+  for (let i = 0; i < tokens.length; i++) {
+    const words = i - first + 1;
+    const next = tokens[i + 1];
+    const atBreak = !next || BREAK_PATTERN.test(text.slice(tokens[i].end, next.start));
+    if (!next || words >= MAX_PASSAGE_WORDS || (words >= MIN_PASSAGE_WORDS && atBreak)) {
+      passages.push({ startChar: tokens[first].start, endChar: tokens[i].end });
+      first = i + 1;
+    }
+  }
+  return passages;
+}
+
+module.exports = { splitPassages, MIN_PASSAGE_WORDS, MAX_PASSAGE_WORDS };
@@ -0,0 +1,119 @@
+/**
+ * Search hit highlighting
+ * The full-text index holds normalized words (src/utils/searchText.js), so FTS5's snippet() would show
+ * "sozlesm" instead of "Sözleşmelerin". Hits are found here instead: the text is tokenized and normalized
+ * the way the index was, matched against the positive terms of the query, and the snippet is cut from
+ * the original text.
+ */
+const { getSearchTextSettings, normalizeWord, normalizeWords, tokenizeText } = require('./searchText');
+const { positiveLeaves } = require('./searchQuery');
+
+const CONTEXT_TOKENS = 4;
+
+/**
+ * What to look for: the positive terms and phrases of a query, normalized
+ * @param {Object} parsed - from parseSearchQuery
+ * @param {Object} [settings]
+ * @returns {Array<{ words: string[], prefix: boolean }>}
+ */
+function buildMatchers(parsed, settings = getSearchTextSettings()) {
+  return positiveLeaves(parsed)
+    .map((leaf) => ({ words: leaf.normalized ? [leaf.value] : normalizeWords(leaf.value, settings), prefix: leaf.prefix }))
+    .filter((matcher) => matcher.words.length > 0);
+}
+
+function matchesAt(normalized, index, matcher) {
+  const { words, prefix } = matcher;
+  if (index + words.length > normalized.length) return false;
+  return words.every((word, i) => (prefix && i === words.length - 1
+    ? normalized[index + i].startsWith(word)
+    : normalized[index + i] === word));
+}
+
+/**
+ * Find the hits of a query in a text
+ * @param {string|null} text
+ * @param {Array<Object>} matchers - from buildMatchers
+ * @param {Object} [settings]
+ * @returns {{ tokens: Array<{ word: string, start: number, end: number }>, hits: Array<{ start: number, end: number, first: number, last: number }> }}
+ *   hits in text order without overlaps; start/end are char offsets, first/last token indexes
+ */
+function analyzeText(text, matchers, settings = getSearchTextSettings()) {
+  const tokens = tokenizeText(text || '');
+  const cache = new Map();
+  const normalized = tokens.map(({ word }) => {
+    if (!cache.has(word)) cache.set(word, normalizeWord(word, settings));
+    return cache.get(word);
+  });
+
+  const hits = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const matcher = matchers.find((m) => matchesAt(normalized, i, m));
+    if (!matcher) continue;
+    const last = i + matcher.words.length - 1;
+    hits.push({ start: tokens[i].start, end: tokens[last].end, first: i, last });
+    i = last;
+  }
+  return { tokens, hits };
+}
+
+/**
+ * Snippet around the densest group of hits
+ * @param {string} text
+ * @param {Object} analysis - from analyzeText
+ * @param {number} [maxTokens=32] - words in the snippet
+ * @param {{ cutBefore?: boolean, cutAfter?: boolean }} [excerpt] - text is an excerpt of a longer text
+ *   with more before / after it
+ * @returns {{ text: string, ranges: Array<{ startChar: number, endChar: number }> }|null} null without hits;
+ *   ranges are the hits as offsets into the snippet text; "..." marks cut text
+ */
+function snippetRanges(text, analysis, maxTokens = 32, { cutBefore = false, cutAfter = false } = {}) {
+  const { tokens, hits } = analysis;
+  if (hits.length === 0) return null;
+
+  let from = 0;
+  let best = -1;
+  for (const hit of hits) {
+    const candidate = Math.max(0, hit.first - CONTEXT_TOKENS);
+    const count = hits.filter((h) => h.first >= candidate && h.last < candidate + maxTokens).length;
+    if (count > best) {
+      best = count;
+      from = candidate;
+    }
+  }
+  const to = Math.min(tokens.length, from + maxTokens);
+
+  // Text before the first and after the last word is kept when the snippet reaches that end
+  const lead = from > 0 || cutBefore ? '...' : '';
+  const start = from > 0 ? tokens[from].start : 0;
+  const end = to < tokens.length ? tokens[to - 1].end : text.length;
+  const shift = lead.length - start;
+  const ranges = hits
+    .filter((hit) => hit.first >= from && hit.last < to)
+    .map((hit) => ({ startChar: hit.start + shift, endChar: hit.end + shift }));
+  return { text: `${lead}${text.slice(start, end)}${to < tokens.length || cutAfter ? '...' : ''}`, ranges };
+}
+
+/**
+ * Snippet around the densest group of hits, hits wrapped in <mark>...</mark>
+ * (the highlight string form of the search API, see snippetRanges)
+ * @param {string} text
+ * @param {Object} analysis - from analyzeText
+ * @param {number} [maxTokens=32] - words in the snippet
+ * @param {Object} [excerpt] - see snippetRanges
+ * @returns {string|null} null without hits; "..." marks cut text
+ */
+function snippetOf(text, analysis, maxTokens = 32, excerpt = {}) {
+  const snippet = snippetRanges(text, analysis, maxTokens, excerpt);
+  if (!snippet) return null;
+
+  let out = '';
+  let cursor = 0;
+  for (const range of snippet.ranges) {
+    out += `${snippet.text.slice(cursor, range.startChar)}<mark>${snippet.text.slice(range.startChar, range.endChar)}</mark>`;
+    cursor = range.endChar;
+  }
+  return out + snippet.text.slice(cursor);
+}
+
+module.exports = { buildMatchers, analyzeText, snippetRanges, snippetOf };
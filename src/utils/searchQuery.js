@@ -0,0 +1,276 @@
+/**
+ * Search query syntax
+ *   word            documents containing the word
+ *   word*           prefix: words starting with "word"
+ *   "exact phrase"  the words next to each other, in this order ("exact phr"* for a prefix on the last word)
+ *   a b             both (same as a AND b)
+ *   a OR b          either
+ *   NOT a, -a       without a (only next to a positive term: a -b, a AND NOT b)
+ *   ( ... )         grouping
+ * Operators are upper case; lower case and, or, not are plain words. NOT binds tighter than AND,
+ * AND tighter than OR. Words of punctuation only are ignored, like the index does.
+ *
+ * The query is parsed into a tree ({ type: 'term'|'phrase', value, prefix } leaves, 'and'/'or' nodes with
+ * children, 'not' nodes with a child) and rendered to FTS5 MATCH syntax with every word quoted, so no
+ * user input reaches FTS5 as syntax (column filters, NEAR, ^ ...).
+ */
+const AppError = require('../errors/AppError');
+
+const MAX_QUERY_LENGTH = 1000;
+const MAX_DEPTH = 20;
+
+function badQuery(message, position) {
+  const at = typeof position === 'number' ? ` (at position ${position + 1})` : '';
+  return new AppError({ statusCode: 400, code: 'BAD_QUERY', message: `Invalid search query: ${message}${at}` });
+}
+
+// Punctuation alone is not indexed (a lone "-" or "&" would match nothing and empty an AND)
+function hasWordCharacters(value) {
+  return /[\p{L}\p{N}]/u.test(value);
+}
+
+/**
+ * Split a query into tokens
+ * @param {string} q
+ * @returns {Array<{ type: string, value?: string, prefix?: boolean, position: number }>}
+ *   types: word, phrase, and, or, not, minus, open, close
+ */
+function tokenize(q) {
+  const tokens = [];
+  let i = 0;
+  while (i < q.length) {
+    const ch = q[i];
+    if (/\s/.test(ch)) {
+      i += 1;
+      continue;
+    }
+    const position = i;
+
+    if (ch === '(' || ch === ')') {
+      tokens.push({ type: ch === '(' ? 'open' : 'close', position });
+      i += 1;
+      continue;
+    }
+
+    if (ch === '"') {
+      const end = q.indexOf('"', i + 1);
+      if (end === -1) throw badQuery('unterminated quote', position);
+      const value = q.slice(i + 1, end).trim().replace(/\s+/g, ' ');
+      i = end + 1;
+      const prefix = q[i] === '*';
+      if (prefix) i += 1;
+      if (hasWordCharacters(value)) tokens.push({ type: 'phrase', value, prefix, position });
+      continue;
+    }
+
+    // "-" starting a word negates it (a hyphen inside a word is part of the word)
+    if (ch === '-' && i + 1 < q.length && !/\s/.test(q[i + 1])) {
+      tokens.push({ type: 'minus', position });
+      i += 1;
+      continue;
+    }
+
+    let end = i;
+    while (end < q.length && !/[\s()"]/.test(q[end])) end += 1;
+    let word = q.slice(i, end);
+    i = end;
+
+    if (word === 'AND' || word === 'OR' || word === 'NOT') {
+      tokens.push({ type: word.toLowerCase(), position });
+      continue;
+    }
+    const prefix = word.endsWith('*');
+    if (prefix) word = word.slice(0, -1);
+    if (word.includes('*')) throw badQuery('"*" is only allowed at the end of a word', position);
+    if (!word) throw badQuery('"*" needs a word before it', position);
+    if (hasWordCharacters(word)) tokens.push({ type: 'word', value: word, prefix, position });
+  }
+  return tokens;
+}
+
+/**
+ * Parse a search query
+ * @param {string} q
+ * @returns {Object} query tree
+ * @throws {AppError} - BAD_QUERY (400)
+ */
+function parseSearchQuery(q) {
+  const text = typeof q === 'string' ? q : '';
+  if (text.length > MAX_QUERY_LENGTH) throw badQuery(`longer than ${MAX_QUERY_LENGTH} characters`);
+  const tokens = tokenize(text);
+  if (tokens.length === 0) throw badQuery('no words to search for');
+
+  let index = 0;
+  const peek = () => tokens[index];
+  const endPosition = () => text.length;
+
+  function expectOperand(token, what) {
+    if (!token) throw badQuery(`${what} needs a term after it`, endPosition());
+    if (token.type === 'close' || token.type === 'and' || token.type === 'or') {
+      throw badQuery(`unexpected ${describe(token)}`, token.position);
+    }
+  }
+
+  function parseOr(depth) {
+    const children = [parseAnd(depth)];
+    while (peek() && peek().type === 'or') {
+      index += 1;
+      expectOperand(peek(), 'OR');
+      children.push(parseAnd(depth));
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+
+  function parseAnd(depth) {
+    const children = [parseUnary(depth)];
+    for (;;) {
+      const token = peek();
+      if (!token || token.type === 'or' || token.type === 'close') break;
+      if (token.type === 'and') {
+        index += 1;
+        expectOperand(peek(), 'AND');
+      }
+      children.push(parseUnary(depth));
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+
+  function parseUnary(depth) {
+    const token = peek();
+    if (token && (token.type === 'not' || token.type === 'minus')) {
+      index += 1;
+      expectOperand(peek(), token.type === 'not' ? 'NOT' : '"-"');
+      const child = parseUnary(depth);
+      // NOT NOT a is a
+      return child.type === 'not' ? child.child : { type: 'not', child };
+    }
+    return parsePrimary(depth);
+  }
+
+  function parsePrimary(depth) {
+    const token = tokens[index++];
+    if (!token) throw badQuery('unexpected end of query', endPosition());
+    if (token.type === 'word') return { type: 'term', value: token.value, prefix: token.prefix };
+    if (token.type === 'phrase') return { type: 'phrase', value: token.value, prefix: token.prefix };
+    if (token.type === 'open') {
+      if (depth >= MAX_DEPTH) throw badQuery('too many nested groups', token.position);
+      if (peek() && peek().type === 'close') throw badQuery('empty group', token.position);
+      const node = parseOr(depth + 1);
+      const close = tokens[index++];
+      if (!close || close.type !== 'close') throw badQuery('missing ")"', token.position);
+      return node;
+    }
+    throw badQuery(`unexpected ${describe(token)}`, token.position);
+  }
+
+  const tree = parseOr(0);
+  if (index < tokens.length) throw badQuery(`unexpected ${describe(tokens[index])}`, tokens[index].position);
+  checkNegations(tree);
+  return tree;
+}
+
+function describe(token) {
+  if (token.type === 'close') return '")"';
+  if (token.type === 'open') return '"("';
+  if (token.type === 'minus') return '"-"';
+  return token.type.toUpperCase();
+}
+
+/**
+ * FTS5 can only subtract (a NOT b): every NOT has to sit in an AND next to a positive term
+ * @throws {AppError} - BAD_QUERY
+ */
+function checkNegations(node) {
+  if (node.type === 'term' || node.type === 'phrase') return;
+  if (node.type === 'not') throw badQuery('NOT needs a positive term next to it (a -b, a AND NOT b)');
+  if (node.type === 'or') {
+    node.children.forEach(checkNegations);
+    return;
+  }
+  if (node.children.every((child) => child.type === 'not')) {
+    throw badQuery('NOT needs a positive term next to it (a -b, a AND NOT b)');
+  }
+  for (const child of node.children) checkNegations(child.type === 'not' ? child.child : child);
+}
+
+function quote(value) {
+  return `"${value.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Render a query tree as an FTS5 MATCH expression
+ * @param {Object} node - from parseSearchQuery
+ * @param {Function} [normalizeTerm] - value => words as the index stores them (src/utils/searchText.js);
+ *   leaves marked normalized (near matches of the typo-tolerant search) are index terms already
+ * @returns {string}
+ */
+function toFtsQuery(node, normalizeTerm = (value) => [value]) {
+  const render = (child) => toFtsQuery(child, normalizeTerm);
+  switch (node.type) {
+    case 'term':
+    case 'phrase':
+      return `${quote(node.normalized ? node.value : normalizeTerm(node.value).join(' '))}${node.prefix ? '*' : ''}`;
+    case 'or':
+      return node.children.map((child) => `(${render(child)})`).join(' OR ');
+    case 'and': {
+      const kept = node.children.filter((child) => child.type !== 'not');
+      const removed = node.children.filter((child) => child.type === 'not');
+      const expr = kept.map((child) => `(${render(child)})`).join(' AND ');
+      return removed.reduce((acc, child) => `${acc} NOT (${render(child.child)})`, expr);
+    }
+    default:
+      throw new Error(`Unexpected query node: ${node.type}`);
+  }
+}
+
+/**
+ * Render a query tree back as a query in the syntax above (e.g. a corrected "did you mean" query)
+ * @param {Object} node - from parseSearchQuery
+ * @returns {string}
+ */
+function toQueryString(node) {
+  switch (node.type) {
+    case 'term':
+      return `${node.value}${node.prefix ? '*' : ''}`;
+    case 'phrase':
+      return `"${node.value}"${node.prefix ? '*' : ''}`;
+    case 'not':
+      return node.child.type === 'term' || node.child.type === 'phrase'
+        ? `-${toQueryString(node.child)}`
+        : `NOT (${toQueryString(node.child)})`;
+    case 'and':
+      return node.children.map((child) => (child.type === 'or' ? `(${toQueryString(child)})` : toQueryString(child))).join(' ');
+    case 'or':
+      return node.children.map((child) => (child.type === 'and' ? `(${toQueryString(child)})` : toQueryString(child))).join(' OR ');
+    default:
+      throw new Error(`Unexpected query node: ${node.type}`);
+  }
+}
+
+/**
+ * Words and phrases a matching document contains (not the negated ones), e.g. to find the hit
+ * @param {Object} node - from parseSearchQuery
+ * @returns {Array<string>}
+ */
+function positiveTerms(node) {
+  return positiveLeaves(node).map((leaf) => leaf.value);
+}
+
+/**
+ * Term and phrase nodes of positiveTerms, with their prefix flag
+ * @param {Object} node - from parseSearchQuery
+ * @returns {Array<{ type: string, value: string, prefix: boolean }>}
+ */
+function positiveLeaves(node) {
+  switch (node.type) {
+    case 'term':
+    case 'phrase':
+      return [node];
+    case 'not':
+      return [];
+    default:
+      return node.children.flatMap(positiveLeaves);
+  }
+}
+
+module.exports = { parseSearchQuery, toFtsQuery, toQueryString, positiveTerms, positiveLeaves, MAX_QUERY_LENGTH };
@@ -0,0 +1,178 @@
+/**
+ * Search text normalization (the tokenizer of the full-text index)
+ * FTS5 tokenizers cannot be written in JavaScript, so words are normalized here and the index stores
+ * the normalized words separated by spaces: one index token per word of the text, in order.
+ * Queries go through the same normalization, so "İstanbul", "ISTANBUL" and "istanbul" or
+ * "Şirketler" and "sirket" meet in the index. Settings (environment):
+ *   SEARCH_FOLD_DIACRITICS  ş→s, ç→c, ğ→g, ö→o, ü→u, â→a ... (default true)
+ *   SEARCH_TURKISH_CASE     Turkish case folding: I, İ, ı and i are one letter (default true)
+ *   SEARCH_STEMMER          'turkish' strips common inflectional suffixes (sözleşmeler, sözleşmenin →
+ *                           sözleşme), 'none' keeps words whole (default none: the suffixes also
+ *                           match the endings of words in other languages)
+ * Changing a setting changes what the index must contain: rebuild it (npm run reindex).
+ */
+
+// Letters, digits and combining marks form words; everything else separates them
+const WORD_PATTERN = /[\p{L}\p{N}\p{M}]+/gu;
+
+// Written in Turkish letters, longest first; the stemmer sees words after case and diacritic folding,
+// so it uses these folded the same way (see stemSuffixes). Stripped from the end while at least
+// MIN_STEM_LENGTH letters remain: shorter stems would join unrelated words (garden, kitten → gar, kit).
+const TURKISH_SUFFIXES = [
+  'leri', 'ları', 'ndan', 'nden',
+  'nın', 'nin', 'nun', 'nün', 'dan', 'den', 'tan', 'ten', 'nda', 'nde', 'yla', 'yle', 'lar', 'ler',
+  'sı', 'si', 'su', 'sü', 'ın', 'in', 'un', 'ün', 'da', 'de', 'ta', 'te', 'ya', 'ye', 'yı', 'yi', 'yu', 'yü',
+  'la', 'le'
+];
+const TURKISH_VOWELS = new Set(['a', 'e', 'ı', 'i', 'o', 'ö', 'u', 'ü']);
+const MIN_STEM_LENGTH = 4;
+const MAX_SUFFIXES = 3;
+// Bumped when the stemmer maps words differently: indexes built by an older one are out of date
+const STEMMER_VERSION = 3;
+
+function envFlag(name, defaultValue) {
+  const value = process.env[name];
+  if (value === undefined || value === '') return defaultValue;
+  return value === 'true' || value === '1';
+}
+
+/**
+ * Normalization settings from the environment
+ * @returns {{ foldDiacritics: boolean, turkishCase: boolean, stemmer: 'turkish'|'none' }}
+ */
+function getSearchTextSettings() {
+  const stemmer = (process.env.SEARCH_STEMMER || 'none').toLowerCase();
+  return {
+    foldDiacritics: envFlag('SEARCH_FOLD_DIACRITICS', true),
+    turkishCase: envFlag('SEARCH_TURKISH_CASE', true),
+    stemmer: stemmer === 'turkish' ? 'turkish' : 'none'
+  };
+}
+
+/**
+ * FTS5 tokenize option matching the settings (the index only splits the normalized words)
+ * @param {Object} settings
+ * @returns {string}
+ */
+function ftsTokenizeOption(settings) {
+  return `unicode61 remove_diacritics ${settings.foldDiacritics ? 2 : 0}`;
+}
+
+/**
+ * Identifies what an index built with these settings contains (stored next to the index)
+ * @param {Object} settings
+ * @returns {string}
+ */
+function settingsSignature(settings) {
+  return JSON.stringify({
+    tokenize: ftsTokenizeOption(settings),
+    turkishCase: settings.turkishCase,
+    stemmer: settings.stemmer,
+    ...(settings.stemmer === 'turkish' ? { stemmerVersion: STEMMER_VERSION } : {})
+  });
+}
+
+// Case and diacritic folding of a word (everything normalizeWord does before stemming)
+function foldWord(word, settings) {
+  let text = word;
+  if (settings.turkishCase) {
+    text = text.replace(/[Iİ]/g, 'i').toLowerCase().replace(/ı/g, 'i');
+  } else {
+    text = text.toLowerCase();
+  }
+  return settings.foldDiacritics
+    ? text.normalize('NFD').replace(/\p{M}/gu, '')
+    : text.normalize('NFC');
+}
+
+const suffixCache = new Map();
+
+// TURKISH_SUFFIXES as they appear in folded words ("ları" → "lari", "nün" → "nun"), longest first
+function stemSuffixes(settings) {
+  const key = `${settings.turkishCase}/${settings.foldDiacritics}`;
+  if (!suffixCache.has(key)) {
+    const folded = [...new Set(TURKISH_SUFFIXES.map((suffix) => foldWord(suffix, settings)))];
+    suffixCache.set(key, folded.sort((a, b) => b.length - a.length));
+  }
+  return suffixCache.get(key);
+}
+
+/**
+ * Light Turkish stemmer: strips up to three inflectional suffixes, then a final vowel
+ * (sözleşme, sözleşmeler, sözleşmenin, sözleşmesi → sözleşm); stems keep at least four letters. Not a morphological analyzer: it only
+ * has to map the forms of a word to the same stem, at index and query time alike.
+ * @param {string} word - folded with the same settings (see normalizeWord)
+ * @param {Object} [settings]
+ * @returns {string}
+ */
+function stemTurkish(word, settings = getSearchTextSettings()) {
+  const suffixes = stemSuffixes(settings);
+  let stem = word;
+  for (let pass = 0; pass < MAX_SUFFIXES; pass++) {
+    const suffix = suffixes.find((s) => stem.endsWith(s) && stem.length - s.length >= MIN_STEM_LENGTH);
+    if (!suffix) break;
+    stem = stem.slice(0, -suffix.length);
+  }
+  // Not from stems of MIN_STEM_LENGTH letters: data and date would meet
+  if (stem.length > MIN_STEM_LENGTH && TURKISH_VOWELS.has(stem[stem.length - 1])) {
+    stem = stem.slice(0, -1);
+  }
+  return stem;
+}
+
+/**
+ * Normalize one word
+ * @param {string} word
+ * @param {Object} [settings]
+ * @returns {string}
+ */
+function normalizeWord(word, settings = getSearchTextSettings()) {
+  const text = foldWord(word, settings);
+  if (!text) return text;
+  return settings.stemmer === 'turkish' ? stemTurkish(text, settings) : text;
+}
+
+/**
+ * Words of a text with their position
+ * @param {string} text
+ * @returns {Array<{ word: string, start: number, end: number }>} start/end are char offsets into text
+ */
+function tokenizeText(text) {
+  const tokens = [];
+  if (!text) return tokens;
+  for (const match of text.matchAll(WORD_PATTERN)) {
+    tokens.push({ word: match[0], start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+/**
+ * Normalized words of a text (query terms, highlight matching)
+ * @param {string} text
+ * @param {Object} [settings]
+ * @returns {Array<string>}
+ */
+function normalizeWords(text, settings = getSearchTextSettings()) {
+  return tokenizeText(text).map((token) => normalizeWord(token.word, settings)).filter(Boolean);
+}
+
+/**
+ * What the index stores for a text: its normalized words separated by spaces
+ * @param {string|null} text
+ * @param {Object} [settings]
+ * @returns {string}
+ */
+function indexText(text, settings = getSearchTextSettings()) {
+  return normalizeWords(text || '', settings).join(' ');
+}
+
+module.exports = {
+  getSearchTextSettings,
+  ftsTokenizeOption,
+  settingsSignature,
+  stemTurkish,
+  normalizeWord,
+  normalizeWords,
+  tokenizeText,
+  indexText
+};
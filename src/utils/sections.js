@@ -0,0 +1,88 @@
+/**
+ * Document sections (heading outline)
+ * Extractors that understand structure return blocks ({ text, level }); headings have a level.
+ * We build the normalized document text from those blocks and record where each
+ * heading's section starts and ends in that text.
+ */
+const { normalizeText } = require('./textNormalize');
+
+const MAX_TITLE_LENGTH = 200;
+
+/**
+ * Build normalized text and heading outline from blocks
+ * @param {Array<{ text: string, level?: number|null }>} blocks
+ * @returns {{ text: string, outline: Array<{ level: number, title: string, startChar: number, endChar: number }> }}
+ */
+function buildTextWithOutline(blocks) {
+  let text = '';
+  const outline = [];
+
+  for (const block of Array.isArray(blocks) ? blocks : []) {
+    const blockText = normalizeText(block && block.text);
+    if (!blockText) continue;
+
+    if (text) text += ' ';
+    const startChar = text.length;
+    text += blockText;
+
+    const level = block.level ? parseInt(block.level, 10) : null;
+    if (level && level >= 1 && level <= 9) {
+      outline.push({ level, title: blockText.slice(0, MAX_TITLE_LENGTH), startChar, endChar: text.length });
+    }
+  }
+
+  // A section runs until the next heading of the same or a higher level
+  for (let i = 0; i < outline.length; i++) {
+    let endChar = text.length;
+    for (let j = i + 1; j < outline.length; j++) {
+      if (outline[j].level <= outline[i].level) {
+        endChar = outline[j].startChar;
+        break;
+      }
+    }
+    outline[i].endChar = endChar;
+  }
+
+  return { text, outline };
+}
+
+/**
+ * Find the innermost section containing a character offset
+ * @param {Array<Object>|null} outline
+ * @param {number} offset
+ * @returns {{ title: string, level: number, path: string[], startChar: number, endChar: number }|null}
+ */
+function findSectionAt(outline, offset) {
+  if (!Array.isArray(outline) || outline.length === 0) return null;
+  if (typeof offset !== 'number' || !Number.isFinite(offset) || offset < 0) return null;
+
+  const containing = outline.filter((s) => s.startChar <= offset && offset < s.endChar);
+  if (containing.length === 0) return null;
+
+  // Outline is in document order, so containing sections are ancestors first
+  const innermost = containing[containing.length - 1];
+  return {
+    title: innermost.title,
+    level: innermost.level,
+    path: containing.map((s) => s.title),
+    startChar: innermost.startChar,
+    endChar: innermost.endChar
+  };
+}
+
+/**
+ * Parse an outline stored as JSON
+ * @param {string|null} json
+ * @returns {Array<Object>}
+ */
+function parseOutline(json) {
+  if (!json) return [];
+  try {
+    const parsed = JSON.parse(json);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+module.exports = { buildTextWithOutline, findSectionAt, parseOutline };
@@ -0,0 +1,111 @@
+/**
+ * Summary sections
+ * Long documents are summarized section by section (map) before the section summaries are
+ * combined (reduce). Sections follow the top-level headings of the outline when the document
+ * has one, otherwise page boundaries, and are merged or split to stay near a character budget.
+ */
+const { findPageAt } = require('./pages');
+
+const MAX_TITLE_LENGTH = 200;
+
+// Headings of the highest level that occurs at least twice (a lone title heading is not a structure)
+function topLevelHeadings(outline) {
+  if (!Array.isArray(outline) || outline.length === 0) return [];
+  const levels = [...new Set(outline.map((s) => s.level))].sort((a, b) => a - b);
+  for (const level of levels) {
+    const headings = outline.filter((s) => s.level === level);
+    if (headings.length >= 2) return headings;
+  }
+  return [];
+}
+
+function baseUnits(text, outline, pages) {
+  const headings = topLevelHeadings(outline);
+  if (headings.length > 0) {
+    const units = [];
+    if (headings[0].startChar > 0) {
+      units.push({ titles: [], startChar: 0, endChar: headings[0].startChar });
+    }
+    headings.forEach((h, i) => {
+      const endChar = i + 1 < headings.length ? headings[i + 1].startChar : text.length;
+      units.push({ titles: [h.title], startChar: h.startChar, endChar });
+    });
+    return units;
+  }
+
+  if (Array.isArray(pages) && pages.length > 0) {
+    return pages.map((p, i) => ({
+      titles: [],
+      startChar: p.startChar,
+      endChar: i + 1 < pages.length ? pages[i + 1].startChar : text.length
+    }));
+  }
+
+  return [{ titles: [], startChar: 0, endChar: text.length }];
+}
+
+// Cut an oversized unit into pieces of at most maxChars, preferring whitespace
+function splitUnit(text, unit, maxChars) {
+  const pieces = [];
+  let start = unit.startChar;
+  while (unit.endChar - start > maxChars) {
+    let end = start + maxChars;
+    const space = text.lastIndexOf(' ', end);
+    if (space > start + maxChars * 0.8) end = space;
+    pieces.push({ titles: unit.titles, startChar: start, endChar: end });
+    start = end;
+  }
+  pieces.push({ titles: unit.titles, startChar: start, endChar: unit.endChar });
+  return pieces;
+}
+
+// Last non-space character of a unit (a page separator belongs to the following page)
+function lastTextOffset(text, unit) {
+  let offset = unit.endChar - 1;
+  while (offset > unit.startChar && /\s/.test(text[offset])) offset--;
+  return offset;
+}
+
+/**
+ * Split document text into sections for map-reduce summarization
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {Array<{ level: number, title: string, startChar: number }>} [options.outline]
+ * @param {Array<{ page: number, startChar: number, endChar: number }>} [options.pages]
+ * @param {number} [options.maxChars=12000] - Section size budget
+ * @returns {Array<{ title: string|null, startChar: number, endChar: number, pageStart: number|null, pageEnd: number|null }>}
+ *   in document order, covering the whole text; title is null for sections without a heading
+ */
+function splitForSummary(text, { outline = [], pages = [], maxChars = 12000 } = {}) {
+  const source = String(text || '');
+  if (!source.trim()) return [];
+
+  const units = baseUnits(source, outline, pages)
+    .flatMap((unit) => splitUnit(source, unit, maxChars));
+
+  // Merge small neighbours while they fit the budget
+  const merged = [];
+  for (const unit of units) {
+    const last = merged[merged.length - 1];
+    if (last && unit.endChar - last.startChar <= maxChars) {
+      last.endChar = unit.endChar;
+      for (const title of unit.titles) {
+        if (!last.titles.includes(title)) last.titles.push(title);
+      }
+    } else {
+      merged.push({ ...unit, titles: [...unit.titles] });
+    }
+  }
+
+  return merged
+    .filter((unit) => source.slice(unit.startChar, unit.endChar).trim())
+    .map((unit) => ({
+      title: unit.titles.length > 0 ? unit.titles.join(' / ').slice(0, MAX_TITLE_LENGTH) : null,
+      startChar: unit.startChar,
+      endChar: unit.endChar,
+      pageStart: findPageAt(pages, unit.startChar),
+      pageEnd: findPageAt(pages, lastTextOffset(source, unit))
+    }));
+}
+
+module.exports = { splitForSummary };
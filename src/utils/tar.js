@@ -0,0 +1,197 @@
+/**
+ * Minimal ustar archive writer and reader
+ * Only regular files with relative names up to 100 bytes, which is all backup archives contain.
+ * Both sides stream: file contents are never held in memory as a whole.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+
+const BLOCK = 512;
+
+function writeString(header, value, offset, length) {
+  header.write(value, offset, Math.min(Buffer.byteLength(value), length), 'utf8');
+}
+
+function writeOctal(header, value, offset, length) {
+  writeString(header, value.toString(8).padStart(length - 1, '0'), offset, length - 1);
+}
+
+/**
+ * Header block of a regular file
+ * @param {string} name
+ * @param {number} size
+ * @param {Date} mtime
+ * @returns {Buffer}
+ */
+function fileHeader(name, size, mtime) {
+  if (Buffer.byteLength(name) > 100) throw new Error(`Archive entry name too long: ${name}`);
+  const header = Buffer.alloc(BLOCK);
+  writeString(header, name, 0, 100);
+  writeOctal(header, 0o644, 100, 8);
+  writeOctal(header, 0, 108, 8);
+  writeOctal(header, 0, 116, 8);
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, Math.floor(mtime.getTime() / 1000), 136, 12);
+  header.fill(' ', 148, 156);
+  header.write('0', 156);
+  header.write('ustar\u000000', 257, 'latin1');
+
+  let checksum = 0;
+  for (const byte of header) checksum += byte;
+  writeString(header, `${checksum.toString(8).padStart(6, '0')}\u0000 `, 148, 8);
+  return header;
+}
+
+function padding(size) {
+  return Buffer.alloc((BLOCK - (size % BLOCK)) % BLOCK);
+}
+
+/**
+ * Tar writer on top of a writable stream (respects backpressure)
+ * @param {import('stream').Writable} output
+ * @returns {{ addBuffer: Function, addStream: Function, finish: Function }}
+ */
+function createTarWriter(output) {
+  async function write(chunk) {
+    if (!output.write(chunk)) await once(output, 'drain');
+  }
+
+  return {
+    /**
+     * @param {string} name
+     * @param {Buffer} buffer
+     */
+    async addBuffer(name, buffer) {
+      await write(fileHeader(name, buffer.length, new Date()));
+      await write(buffer);
+      await write(padding(buffer.length));
+    },
+
+    /**
+     * Copy exactly size bytes from a readable stream
+     * @param {string} name
+     * @param {import('stream').Readable} stream
+     * @param {number} size
+     * @returns {Promise<string>} SHA-256 of the written bytes
+     */
+    async addStream(name, stream, size) {
+      await write(fileHeader(name, size, new Date()));
+      const hash = crypto.createHash('sha256');
+      let written = 0;
+      for await (const chunk of stream) {
+        written += chunk.length;
+        if (written > size) throw new Error(`${name} is larger than announced (${size} bytes)`);
+        hash.update(chunk);
+        await write(chunk);
+      }
+      if (written !== size) throw new Error(`${name} ended after ${written} of ${size} bytes`);
+      await write(padding(size));
+      return hash.digest('hex');
+    },
+
+    // End-of-archive marker (two zero blocks); does not end the output stream
+    async finish() {
+      await write(Buffer.alloc(BLOCK * 2));
+    }
+  };
+}
+
+function readString(header, offset, length) {
+  const raw = header.subarray(offset, offset + length);
+  const end = raw.indexOf(0);
+  return raw.subarray(0, end === -1 ? length : end).toString('utf8');
+}
+
+function readOctal(header, offset, length) {
+  const text = readString(header, offset, length).trim();
+  return text ? parseInt(text, 8) : 0;
+}
+
+function checksumMatches(header) {
+  let sum = 0;
+  for (let i = 0; i < BLOCK; i++) sum += i >= 148 && i < 156 ? 32 : header[i];
+  return sum === readOctal(header, 148, 8);
+}
+
+/**
+ * Extract the regular files of a tar stream into a directory
+ * @param {import('stream').Readable} input - Uncompressed tar bytes
+ * @param {string} destDir
+ * @returns {Promise<Array<{ name: string, path: string, size: number, sha256: string }>>} extracted files
+ * @throws {Error} - Corrupt archive or entry names escaping destDir
+ */
+async function extractTar(input, destDir) {
+  const root = path.resolve(destDir);
+  const entries = [];
+  let buffered = Buffer.alloc(0);
+  let current = null; // { entry, fd, hash, remaining, skip }
+  let ended = false;
+
+  const finishEntry = () => {
+    fs.closeSync(current.fd);
+    current.entry.sha256 = current.hash.digest('hex');
+    entries.push(current.entry);
+    current = null;
+  };
+
+  for await (const chunk of input) {
+    buffered = buffered.length ? Buffer.concat([buffered, chunk]) : chunk;
+
+    while (!ended) {
+      if (current) {
+        // Entry data, then padding up to the next block
+        if (current.remaining > 0) {
+          if (buffered.length === 0) break;
+          const part = buffered.subarray(0, Math.min(current.remaining, buffered.length));
+          fs.writeSync(current.fd, part);
+          current.hash.update(part);
+          current.remaining -= part.length;
+          buffered = buffered.subarray(part.length);
+          continue;
+        }
+        if (buffered.length < current.skip) break;
+        buffered = buffered.subarray(current.skip);
+        finishEntry();
+        continue;
+      }
+
+      if (buffered.length < BLOCK) break;
+      const header = buffered.subarray(0, BLOCK);
+      buffered = buffered.subarray(BLOCK);
+      if (header.every((byte) => byte === 0)) {
+        ended = true;
+        break;
+      }
+      if (!checksumMatches(header)) throw new Error('Corrupt archive: bad header checksum');
+
+      const name = readString(header, 0, 100);
+      const size = readOctal(header, 124, 12);
+      const type = String.fromCharCode(header[156] || 48);
+      if (type !== '0') {
+        throw new Error(`Unsupported archive entry type "${type}" (${name})`);
+      }
+      const target = path.resolve(root, name);
+      if (!target.startsWith(root + path.sep)) throw new Error(`Invalid archive entry name: ${name}`);
+
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      current = {
+        entry: { name, path: target, size },
+        fd: fs.openSync(target, 'w'),
+        hash: crypto.createHash('sha256'),
+        remaining: size,
+        skip: padding(size).length
+      };
+    }
+  }
+
+  if (current) {
+    fs.closeSync(current.fd);
+    throw new Error('Corrupt archive: truncated entry');
+  }
+  if (!ended) throw new Error('Corrupt archive: missing end marker');
+  return entries;
+}
+
+module.exports = { createTarWriter, extractTar };
@@ -0,0 +1,111 @@
+/**
+ * Text encoding detection
+ * Decodes plain-text uploads that are not UTF-8: BOM-marked UTF-8/UTF-16 first, then a
+ * byte-level guess between UTF-16 (no BOM), UTF-8 and the Turkish/Western single-byte code pages.
+ */
+
+const BOMS = [
+  { encoding: 'utf-8', bytes: [0xef, 0xbb, 0xbf] },
+  { encoding: 'utf-16le', bytes: [0xff, 0xfe] },
+  { encoding: 'utf-16be', bytes: [0xfe, 0xff] }
+];
+
+// Bytes whose meaning differs between Windows-1254 (Ğ İ Ş ğ ı ş) and Windows-1252 (Ð Ý Þ ð ý þ)
+const TURKISH_BYTES = new Set([0xd0, 0xdd, 0xde, 0xf0, 0xfd, 0xfe]);
+
+// Bytes in 0x80-0x9F that are printable in Windows-1252 but unassigned in Windows-1254
+const WESTERN_ONLY_BYTES = new Set([0x8e, 0x9e]);
+
+/**
+ * @param {Buffer} buffer
+ * @returns {{ encoding: string, bomLength: number }|null}
+ */
+function detectBom(buffer) {
+  for (const bom of BOMS) {
+    if (buffer.length >= bom.bytes.length && bom.bytes.every((b, i) => buffer[i] === b)) {
+      return { encoding: bom.encoding, bomLength: bom.bytes.length };
+    }
+  }
+  return null;
+}
+
+/**
+ * UTF-16 without BOM: mostly-ASCII text leaves every other byte zero
+ * @param {Buffer} buffer
+ * @returns {string|null} - 'utf-16le', 'utf-16be' or null
+ */
+function detectUtf16WithoutBom(buffer) {
+  const sample = buffer.subarray(0, Math.min(buffer.length, 4096) & ~1);
+  if (sample.length < 4) return null;
+
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < sample.length; i += 2) {
+    if (sample[i] === 0) evenZeros++;
+    if (sample[i + 1] === 0) oddZeros++;
+  }
+
+  const pairs = sample.length / 2;
+  if (oddZeros / pairs > 0.3 && evenZeros / pairs < 0.05) return 'utf-16le';
+  if (evenZeros / pairs > 0.3 && oddZeros / pairs < 0.05) return 'utf-16be';
+  return null;
+}
+
+function isValidUtf8(buffer) {
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Pick a single-byte code page for text that is not valid UTF-8
+ * @param {Buffer} buffer
+ * @returns {string} - 'windows-1254', 'iso-8859-9' or 'windows-1252'
+ */
+function detectSingleByteEncoding(buffer) {
+  let turkish = 0;
+  let westernOnly = 0;
+  let c1 = 0;
+  for (const byte of buffer) {
+    if (TURKISH_BYTES.has(byte)) turkish++;
+    if (WESTERN_ONLY_BYTES.has(byte)) westernOnly++;
+    if (byte >= 0x80 && byte <= 0x9f) c1++;
+  }
+
+  if (turkish === 0 || westernOnly > 0) return 'windows-1252';
+  // ISO-8859-9 only differs from Windows-1254 by leaving 0x80-0x9F to control characters
+  return c1 > 0 ? 'windows-1254' : 'iso-8859-9';
+}
+
+/**
+ * Detect the encoding of a text buffer
+ * @param {Buffer} buffer
+ * @returns {{ encoding: string, bomLength: number }}
+ */
+function detectEncoding(buffer) {
+  const bom = detectBom(buffer);
+  if (bom) return bom;
+
+  const utf16 = detectUtf16WithoutBom(buffer);
+  if (utf16) return { encoding: utf16, bomLength: 0 };
+
+  if (isValidUtf8(buffer)) return { encoding: 'utf-8', bomLength: 0 };
+
+  return { encoding: detectSingleByteEncoding(buffer), bomLength: 0 };
+}
+
+/**
+ * Decode a text buffer with its detected encoding (BOM stripped)
+ * @param {Buffer} buffer
+ * @returns {{ text: string, encoding: string }}
+ */
+function decodeText(buffer) {
+  const { encoding, bomLength } = detectEncoding(buffer);
+  const text = new TextDecoder(encoding).decode(buffer.subarray(bomLength));
+  return { text, encoding };
+}
+
+module.exports = { detectEncoding, decodeText };
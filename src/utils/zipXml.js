@@ -0,0 +1,91 @@
+/**
+ * ZIP + XML helpers for container-based document formats (DOCX, ODT, ...)
+ *
+ * Env:
+ *   ZIP_ENTRY_MAX_MB=100   largest entry that is inflated (guards against ZIP bombs)
+ */
+const AdmZip = require('adm-zip');
+const { Parser } = require('htmlparser2');
+const AppError = require('../errors/AppError');
+
+const DEFAULT_ZIP_ENTRY_MAX_MB = 100;
+
+/**
+ * Largest uncompressed entry size readZipEntry accepts
+ * @returns {number} bytes
+ */
+function getMaxZipEntryBytes() {
+  const mb = parseFloat(process.env.ZIP_ENTRY_MAX_MB);
+  return Math.floor((Number.isFinite(mb) && mb > 0 ? mb : DEFAULT_ZIP_ENTRY_MAX_MB) * 1024 * 1024);
+}
+
+/**
+ * Open a ZIP archive from a buffer
+ * @param {Buffer} buffer
+ * @returns {AdmZip}
+ */
+function openZip(buffer) {
+  try {
+    return new AdmZip(buffer);
+  } catch (err) {
+    const e = new Error('Invalid ZIP container');
+    e.cause = err;
+    throw e;
+  }
+}
+
+/**
+ * Read a ZIP entry as UTF-8 text
+ * The declared size is checked before inflating; adm-zip stops inflating at the declared size, so
+ * an entry cannot grow beyond it.
+ * @param {AdmZip} zip
+ * @param {string} entryName
+ * @returns {string|null}
+ * @throws {AppError} - ZIP_ENTRY_TOO_LARGE (422)
+ */
+function readZipEntry(zip, entryName) {
+  const entry = zip.getEntry(entryName);
+  if (!entry) return null;
+  const { size } = entry.header;
+  // Without a declared size adm-zip would inflate without a limit
+  if (size === 0) return '';
+  const maxBytes = getMaxZipEntryBytes();
+  if (size > maxBytes) {
+    throw new AppError({
+      statusCode: 422,
+      code: 'ZIP_ENTRY_TOO_LARGE',
+      message: `${entryName} is too large when uncompressed (${size} bytes, max ${maxBytes})`
+    });
+  }
+  return entry.getData().toString('utf8');
+}
+
+/**
+ * Walk an XML string with SAX-style callbacks
+ * @param {string} xml
+ * @param {{ onOpen?: Function, onText?: Function, onClose?: Function }} handlers
+ */
+function walkXml(xml, { onOpen, onText, onClose }) {
+  const parser = new Parser(
+    {
+      onopentag: (name, attrs) => onOpen && onOpen(name, attrs || {}),
+      ontext: (text) => onText && onText(text),
+      onclosetag: (name) => onClose && onClose(name)
+    },
+    { xmlMode: true, decodeEntities: true }
+  );
+  parser.write(xml);
+  parser.end();
+}
+
+/**
+ * Check for the local file header signature ("PK\x03\x04")
+ * @param {Buffer} head
+ * @returns {boolean}
+ */
+function isZipSignature(head) {
+  return Buffer.isBuffer(head) && head.length >= 4 &&
+    head[0] === 0x50 && head[1] === 0x4b && head[2] === 0x03 && head[3] === 0x04;
+}
+
+module.exports = { openZip, readZipEntry, walkXml, isZipSignature, getMaxZipEntryBytes };
@@ -0,0 +1,273 @@
+/**
+ * Backup export (GET /api/admin/export) and import tests
+ */
+const request = require('supertest');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const zlib = require('zlib');
+const { once } = require('events');
+const { Readable } = require('stream');
+
+const app = require('../src/app');
+const db = require('../src/db');
+const backupService = require('../src/services/backupService');
+const blobStore = require('../src/services/blobStore');
+const documentsRepo = require('../src/repositories/documentsRepo');
+const jobQueue = require('../src/services/jobQueue');
+const summariesRepo = require('../src/repositories/summariesRepo');
+const { createTarWriter, extractTar } = require('../src/utils/tar');
+const { uploadAndIngest } = require('./helpers/ingest');
+
+const sampleTxtPath = path.join(__dirname, 'fixtures', 'sample.txt');
+const conflictTxtPath = path.join(__dirname, 'fixtures', 'conflict1.txt');
+
+function binaryParser(res, callback) {
+  const chunks = [];
+  res.on('data', (chunk) => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+function upload(filePath) {
+  return uploadAndIngest(request(app).post('/api/docs/upload').attach('file', filePath));
+}
+
+// Empty this instance the way a fresh install would be
+function wipeInstance() {
+  db.exec('DELETE FROM jobs; DELETE FROM summary_sections; DELETE FROM summaries; DELETE FROM documents; DELETE FROM documents_fts');
+  fs.rmSync(process.env.BLOB_DIR, { recursive: true, force: true });
+}
+
+describe('Backup', () => {
+  let workDir;
+
+  beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  async function exportToFile(name = 'backup.tar.gz') {
+    const archivePath = path.join(workDir, name);
+    const manifest = await backupService.exportBackup(fs.createWriteStream(archivePath));
+    return { archivePath, manifest };
+  }
+
+  test('should export a gzip archive whose entries match the manifest', async () => {
+    const { document } = await upload(sampleTxtPath);
+
+    const res = await request(app)
+      .get('/api/admin/export')
+      .buffer(true)
+      .parse(binaryParser)
+      .expect(200);
+
+    expect(res.headers['content-type']).toBe('application/gzip');
+    expect(res.headers['content-disposition']).toMatch(/attachment; filename="backup-.+\.tar\.gz"/);
+
+    const entries = await extractTar(Readable.from(zlib.gunzipSync(res.body)), path.join(workDir, 'out'));
+    const byName = new Map(entries.map((entry) => [entry.name, entry]));
+    const manifest = JSON.parse(fs.readFileSync(byName.get('manifest.json').path, 'utf8'));
+
+    expect(manifest).toMatchObject({
+      format: 'smart-document-search-backup',
+      version: 1,
+      documents: 1,
+      skipped: [],
+      complete: true
+    });
+    expect(manifest.schemaVersion).toBeGreaterThan(0);
+    expect(byName.get('database.sqlite').sha256).toBe(manifest.database.sha256);
+    expect(manifest.files).toHaveLength(1);
+    const [file] = manifest.files;
+    expect(file.docId).toBe(document.id);
+    expect(byName.get(file.path)).toMatchObject({ size: file.size, sha256: file.sha256 });
+    expect(fs.readFileSync(byName.get(file.path).path)).toEqual(fs.readFileSync(sampleTxtPath));
+  });
+
+  test('should restore documents, summaries and trash into an empty instance', async () => {
+    const { document: kept } = await upload(sampleTxtPath);
+    const { document: trashed } = await upload(conflictTxtPath);
+    const summary = summariesRepo.createSummary({
+      docId: kept.id, kind: 'short', format: 'paragraph', content: 'Özet.', model: 'm'
+    });
+    await request(app).put(`/api/docs/${kept.id}/summaries/${summary.id}/pin`).expect(200);
+    await request(app).delete(`/api/docs/${trashed.id}`).expect(200);
+
+    const { archivePath } = await exportToFile();
+    wipeInstance();
+    await request(app).get(`/api/docs/${kept.id}`).expect(404);
+
+    const report = await backupService.importBackup(archivePath);
+    expect(report).toMatchObject({ merge: false, imported: 2, summaries: 1, renamed: [], duplicates: [], skipped: [] });
+
+    const restored = await request(app).get(`/api/docs/${kept.id}`).expect(200);
+    expect(restored.body).toMatchObject({ originalName: kept.originalName, status: 'ready', sha256: kept.sha256 });
+
+    const download = await request(app).get(`/api/docs/${kept.id}/download`).buffer(true).parse(binaryParser).expect(200);
+    expect(download.body).toEqual(fs.readFileSync(sampleTxtPath));
+
+    const history = await request(app).get(`/api/docs/${kept.id}/summaries`).expect(200);
+    expect(history.body.total).toBe(1);
+    expect(history.body.results[0]).toMatchObject({ content: 'Özet.', pinned: true });
+
+    const search = await request(app).get('/api/docs/search?q=sample').expect(200);
+    expect(search.body.results.map((r) => r.id)).toContain(kept.id);
+
+    const trash = await request(app).get('/api/trash').expect(200);
+    expect(trash.body.results.map((d) => d.id)).toEqual([trashed.id]);
+  });
+
+  test('should refuse a non-empty instance unless merging', async () => {
+    const { document: existing } = await upload(sampleTxtPath);
+    const { archivePath } = await exportToFile();
+
+    await expect(backupService.importBackup(archivePath)).rejects.toMatchObject({ statusCode: 409, code: 'NOT_EMPTY' });
+
+    // Merge: the same file already here is a duplicate, a new one is imported
+    wipeInstance();
+    const { document: other } = await upload(conflictTxtPath);
+    const { archivePath: otherArchive } = await exportToFile('other.tar.gz');
+    wipeInstance();
+    const { document: again } = await upload(sampleTxtPath);
+
+    const merged = await backupService.importBackup(otherArchive, { merge: true });
+    expect(merged).toMatchObject({ merge: true, imported: 1, duplicates: [] });
+    await request(app).get(`/api/docs/${other.id}`).expect(200);
+
+    const duplicate = await backupService.importBackup(archivePath, { merge: true });
+    expect(duplicate.imported).toBe(0);
+    expect(duplicate.duplicates).toEqual([
+      expect.objectContaining({ docId: existing.id, existingDocumentId: again.id })
+    ]);
+
+    const list = await request(app).get('/api/docs').expect(200);
+    expect(list.body).toHaveLength(2);
+  });
+
+  test('should give an imported document a new id when its id is taken', async () => {
+    const { document } = await upload(sampleTxtPath);
+    const { archivePath } = await exportToFile();
+    // Same id, different content
+    db.prepare("UPDATE documents SET sha256 = 'other' WHERE id = ?").run(document.id);
+
+    const report = await backupService.importBackup(archivePath, { merge: true });
+
+    expect(report.imported).toBe(1);
+    expect(report.renamed).toEqual([{ docId: document.id, newDocId: expect.any(String) }]);
+    const renamed = await request(app).get(`/api/docs/${report.renamed[0].newDocId}`).expect(200);
+    expect(renamed.body.sha256).toBe(document.sha256);
+  });
+
+  test('should import nothing when a document fails, and succeed on retry', async () => {
+    const { document: first } = await upload(sampleTxtPath);
+    const { document: second } = await upload(conflictTxtPath);
+    summariesRepo.createSummary({ docId: first.id, kind: 'short', format: 'paragraph', content: 'Özet.', model: 'm' });
+    const { archivePath } = await exportToFile();
+
+    // A failed copy of the first file is here already and keeps its blob
+    wipeInstance();
+    const { document: failedCopy } = await upload(sampleTxtPath);
+    db.prepare("UPDATE documents SET status = 'failed' WHERE id = ?").run(failedCopy.id);
+
+    // The second document cannot be written, after the first one (and its summary) was
+    const { insertDocumentRow } = documentsRepo;
+    const insert = jest.spyOn(documentsRepo, 'insertDocumentRow')
+      .mockImplementationOnce(insertDocumentRow)
+      .mockImplementationOnce(() => { throw new Error('disk full'); });
+    try {
+      await expect(backupService.importBackup(archivePath, { merge: true })).rejects.toThrow('disk full');
+    } finally {
+      insert.mockRestore();
+    }
+
+    const list = await request(app).get('/api/docs').expect(200);
+    expect(list.body.map((d) => d.id)).toEqual([failedCopy.id]);
+    expect(await blobStore.hasBlob(first.sha256)).toBe(true);
+    expect(await blobStore.hasBlob(second.sha256)).toBe(false);
+
+    const report = await backupService.importBackup(archivePath, { merge: true });
+    expect(report).toMatchObject({ imported: 2, summaries: 1, renamed: [], duplicates: [], skipped: [] });
+    await request(app).get(`/api/docs/${failedCopy.id}`).expect(404);
+    const restored = await request(app).get(`/api/docs/${first.id}`).expect(200);
+    expect(restored.body.status).toBe('ready');
+    await request(app).get(`/api/docs/${second.id}`).expect(200);
+  });
+
+  test('should archive the uploads of unfinished documents and queue them again', async () => {
+    const { document: unfinished } = await upload(sampleTxtPath);
+    db.prepare("UPDATE documents SET status = 'processing' WHERE id = ?").run(unfinished.id);
+    // Accepted but not ingested: its file is still the upload, not in the blob store yet
+    const accepted = await request(app).post('/api/docs/upload').attach('file', conflictTxtPath).expect(202);
+    const { archivePath, manifest } = await exportToFile();
+    expect(manifest).toMatchObject({ skipped: [], complete: true });
+    expect(manifest.files.map((f) => f.docId).sort()).toEqual([unfinished.id, accepted.body.document.id].sort());
+    wipeInstance();
+
+    const report = await backupService.importBackup(archivePath);
+    expect(report.imported).toBe(2);
+    expect(report.skipped).toEqual([]);
+    expect(report.queued.map((q) => q.docId).sort()).toEqual([unfinished.id, accepted.body.document.id].sort());
+
+    const pending = await request(app).get(`/api/docs/${unfinished.id}`).expect(200);
+    expect(pending.body.status).toBe('pending');
+
+    await jobQueue.runPendingJobs();
+    for (const { docId, jobId } of report.queued) {
+      const job = await request(app).get(`/api/jobs/${jobId}`).expect(200);
+      expect(job.body.status).toBe('succeeded');
+      const ready = await request(app).get(`/api/docs/${docId}`).expect(200);
+      expect(ready.body.status).toBe('ready');
+    }
+    const download = await request(app).get(`/api/docs/${accepted.body.document.id}/download`).expect(200);
+    expect(Buffer.from(download.text || download.body)).toEqual(fs.readFileSync(conflictTxtPath));
+  });
+
+  test('should mark the export incomplete when an upload is missing', async () => {
+    const accepted = await request(app).post('/api/docs/upload').attach('file', conflictTxtPath).expect(202);
+    fs.unlinkSync(accepted.body.document.storedPath);
+
+    const { manifest } = await exportToFile();
+    expect(manifest.files).toEqual([]);
+    expect(manifest.skipped).toEqual([
+      { docId: accepted.body.document.id, originalName: accepted.body.document.originalName, reason: 'missing_file' }
+    ]);
+    expect(manifest.complete).toBe(false);
+  });
+
+  test('should reject a tampered archive without changing anything', async () => {
+    await upload(sampleTxtPath);
+    const { archivePath, manifest } = await exportToFile();
+    wipeInstance();
+
+    // Rewrite the archive with a different file content under the same name
+    const extractDir = path.join(workDir, 'x');
+    const entries = await extractTar(Readable.from(zlib.gunzipSync(fs.readFileSync(archivePath))), extractDir);
+    const fileEntry = entries.find((entry) => entry.name === manifest.files[0].path);
+    fs.writeFileSync(fileEntry.path, 'değiştirilmiş içerik');
+
+    const tamperedPath = path.join(workDir, 'tampered.tar.gz');
+    const gzip = zlib.createGzip();
+    const out = fs.createWriteStream(tamperedPath);
+    gzip.pipe(out);
+    const writer = createTarWriter(gzip);
+    for (const entry of entries) await writer.addBuffer(entry.name, fs.readFileSync(entry.path));
+    await writer.finish();
+    gzip.end();
+    await once(out, 'finish');
+
+    await expect(backupService.importBackup(tamperedPath)).rejects.toMatchObject({
+      statusCode: 400,
+      code: 'INVALID_BACKUP'
+    });
+    fs.writeFileSync(path.join(workDir, 'garbage.tar.gz'), 'not a backup');
+    await expect(backupService.importBackup(path.join(workDir, 'garbage.tar.gz'))).rejects.toMatchObject({
+      code: 'INVALID_BACKUP'
+    });
+
+    const list = await request(app).get('/api/docs').expect(200);
+    expect(list.body).toEqual([]);
+  });
+});
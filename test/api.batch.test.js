@@ -0,0 +1,119 @@
+/**
+ * Batch upload endpoint tests
+ */
+const request = require('supertest');
+const app = require('../src/app');
+const path = require('path');
+const fs = require('fs');
+const jobQueue = require('../src/services/jobQueue');
+const { MAX_FILE_SIZE_BYTES, UPLOAD_DIR } = require('../src/middleware/upload');
+const { uploadAndIngest } = require('./helpers/ingest');
+
+const sampleTxtPath = path.join(__dirname, 'fixtures', 'sample.txt');
+
+function txt(content) {
+  return Buffer.from(content, 'utf8');
+}
+
+describe('POST /api/docs/upload/batch', () => {
+  test('should return a result per file in upload order', async () => {
+    const { document: existing } = await uploadAndIngest(request(app)
+      .post('/api/docs/upload')
+      .attach('file', sampleTxtPath));
+
+    const res = await request(app)
+      .post('/api/docs/upload/batch')
+      .attach('files', txt('Quarterly report one with enough text to index.'), { filename: 'q1.txt', contentType: 'text/plain' })
+      .attach('files', sampleTxtPath)
+      .attach('files', Buffer.from('MZ binary'), { filename: 'tool.exe', contentType: 'application/octet-stream' })
+      .attach('files', txt('short'), { filename: 'short.txt', contentType: 'text/plain' })
+      .attach('files', txt('Quarterly report two with enough text to index.'), { filename: 'q2.txt', contentType: 'text/plain' })
+      .expect(200);
+
+    expect(res.body).toMatchObject({ total: 5, queued: 3, duplicates: 1, unsupported: 1, failed: 0 });
+    expect(res.body.results.map((r) => [r.fileName, r.status])).toEqual([
+      ['q1.txt', 'queued'],
+      ['sample.txt', 'duplicate'],
+      ['tool.exe', 'unsupported'],
+      ['short.txt', 'queued'],
+      ['q2.txt', 'queued']
+    ]);
+
+    const [q1, dup, unsupported, short] = res.body.results;
+    expect(q1.document).toMatchObject({ status: 'pending' });
+    expect(q1).toHaveProperty('jobId');
+    expect(dup.existingDocumentId).toBe(existing.id);
+    expect(dup.error.code).toBe('DUPLICATE_DOC');
+    expect(unsupported.error.code).toBe('UNSUPPORTED_MEDIA_TYPE');
+
+    // Extraction problems surface in the job of each file
+    await jobQueue.runPendingJobs();
+    const q1Job = await request(app).get(`/api/jobs/${q1.jobId}`).expect(200);
+    expect(q1Job.body.status).toBe('succeeded');
+    expect(q1Job.body.result.charCount).toBeGreaterThan(0);
+    const shortJob = await request(app).get(`/api/jobs/${short.jobId}`).expect(200);
+    expect(shortJob.body.status).toBe('failed');
+    expect(shortJob.body.error.code).toBe('EMPTY_OR_TOO_SHORT');
+
+    const list = await request(app).get('/api/docs').expect(200);
+    expect(list.body).toHaveLength(4);
+    expect(list.body.filter((d) => d.status === 'ready')).toHaveLength(3);
+    expect(list.body.find((d) => d.id === short.document.id)).toHaveProperty('status', 'failed');
+  });
+
+  test('should report a repeated file within the batch as duplicate', async () => {
+    const content = txt('Identical meeting notes uploaded twice in one batch.');
+
+    const res = await request(app)
+      .post('/api/docs/upload/batch')
+      .attach('files', content, { filename: 'notes.txt', contentType: 'text/plain' })
+      .attach('files', content, { filename: 'notes-copy.txt', contentType: 'text/plain' })
+      .expect(200);
+
+    const [first, second] = res.body.results;
+    expect(first.status).toBe('queued');
+    expect(second.status).toBe('duplicate');
+    expect(second.existingDocumentId).toBe(first.document.id);
+  });
+
+  test('should report content that does not match its format as unsupported', async () => {
+    const res = await request(app)
+      .post('/api/docs/upload/batch')
+      .attach('files', txt('not really a pdf file at all'), { filename: 'fake.pdf', contentType: 'application/pdf' })
+      .expect(200);
+
+    expect(res.body.results[0]).toMatchObject({ status: 'unsupported', error: { code: 'UNSUPPORTED_MEDIA_TYPE' } });
+  });
+
+  test('should reject an oversized file on its own and accept the rest of the batch', async () => {
+    const big = Buffer.alloc(MAX_FILE_SIZE_BYTES + 1, 'a');
+
+    const res = await request(app)
+      .post('/api/docs/upload/batch')
+      .attach('files', big, { filename: 'big.txt', contentType: 'text/plain' })
+      .attach('files', txt('Budget notes uploaded after an oversized file.'), { filename: 'after.txt', contentType: 'text/plain' })
+      .expect(200);
+
+    expect(res.body).toMatchObject({ total: 2, queued: 1, rejected: 1, failed: 0 });
+    const [rejected, after] = res.body.results;
+    expect(rejected).toMatchObject({
+      fileName: 'big.txt',
+      status: 'rejected',
+      error: { code: 'FILE_TOO_LARGE', message: 'File size too large. Max 10MB.' }
+    });
+    expect(after).toMatchObject({ fileName: 'after.txt', status: 'queued' });
+
+    // Nothing of the oversized file is left in the uploads directory
+    const stored = fs.readdirSync(UPLOAD_DIR).filter((name) => name.endsWith('-big.txt'));
+    expect(stored).toEqual([]);
+  });
+
+  test('should return 400 when no files are sent', async () => {
+    const res = await request(app)
+      .post('/api/docs/upload/batch')
+      .field('note', 'nothing attached')
+      .expect(400);
+
+    expect(res.body.error).toHaveProperty('code', 'NO_FILE');
+  });
+});
@@ -5,36 +5,45 @@ const request = require('supertest');
 const path = require('path');
 
 const app = require('../src/app');
+const { uploadAndIngest } = require('./helpers/ingest');
+const blobStore = require('../src/services/blobStore');
+const retrievalService = require('../src/services/retrievalService');
 const db = require('../src/db');
 
 describe('DELETE /api/docs/:id', () => {
   const sampleTxtPath = path.join(__dirname, 'fixtures', 'sample.txt');
 
-  test('should delete document and related summaries', async () => {
-    const uploadRes = await request(app).post('/api/docs/upload').attach('file', sampleTxtPath);
-    expect(uploadRes.status).toBe(201);
+  test('should move the document to the trash and hide it', async () => {
+    const { document } = await uploadAndIngest(request(app).post('/api/docs/upload').attach('file', sampleTxtPath));
 
-    const docId = uploadRes.body.id;
+    const docId = document.id;
 
-    // Insert a fake summary history row to ensure cascade deletion works
     db.prepare(
-      `INSERT INTO document_summaries (doc_id, summary, model, created_at) VALUES (?, ?, ?, ?)`
+      `INSERT INTO summaries (doc_id, kind, content, model, created_at) VALUES (?, 'short', ?, ?, ?)`
     ).run(docId, 'test summary', 'test-model', new Date().toISOString());
 
     const delRes = await request(app).delete(`/api/docs/${docId}`).expect(200);
     expect(delRes.body).toHaveProperty('ok', true);
     expect(delRes.body).toHaveProperty('docId', docId);
+    expect(typeof delRes.body.deletedAt).toBe('string');
+    expect(Date.parse(delRes.body.purgeAt) - Date.parse(delRes.body.deletedAt)).toBe(30 * 24 * 60 * 60 * 1000);
 
-    // Document should be gone
+    // Hidden from the document endpoints, listing, search and Q&A retrieval
     await request(app).get(`/api/docs/${docId}`).expect(404);
-
-    // Download should be 404
     await request(app).get(`/api/docs/${docId}/download`).expect(404);
-
-    // Summary history should be gone
-    const cnt = db.prepare(`SELECT COUNT(*) as c FROM document_summaries WHERE doc_id = ?`).get(docId);
-    expect(cnt.c).toBe(0);
+    const list = await request(app).get('/api/docs').expect(200);
+    expect(list.body.map((d) => d.id)).not.toContain(docId);
+    const search = await request(app).get('/api/docs/search?q=sample').expect(200);
+    expect(search.body.total).toBe(0);
+    expect(await retrievalService.retrieveChunks('sample text document', 5, 5)).toEqual([]);
+    expect(await retrievalService.retrieveChunks('sample', 5, 5, docId)).toEqual([]);
+
+    // ...but nothing is gone yet
+    const cnt = db.prepare(`SELECT COUNT(*) as c FROM summaries WHERE doc_id = ?`).get(docId);
+    expect(cnt.c).toBe(1);
+    expect(await blobStore.hasBlob(document.sha256)).toBe(true);
+
+    // Deleting again finds nothing
+    await request(app).delete(`/api/docs/${docId}`).expect(404);
   });
 });
-
-
@@ -6,38 +6,54 @@ const path = require('path');
 const fs = require('fs');
 
 const app = require('../src/app');
+const { uploadAndIngest } = require('./helpers/ingest');
+const blobStore = require('../src/services/blobStore');
+
+function binaryParser(res, cb) {
+  const chunks = [];
+  res.on('data', (c) => chunks.push(c));
+  res.on('end', () => cb(null, Buffer.concat(chunks)));
+}
 
 describe('GET /api/docs/:id/download', () => {
   const sampleTxtPath = path.join(__dirname, 'fixtures', 'sample.txt');
 
-  test('should download from DB blob even if file is missing on disk', async () => {
-    // Upload a txt doc
-    const uploadRes = await request(app).post('/api/docs/upload').attach('file', sampleTxtPath);
-    expect(uploadRes.status).toBe(201);
-
-    const docId = uploadRes.body.id;
-    const storedPath = uploadRes.body.storedPath;
-    expect(typeof storedPath).toBe('string');
+  test('should download an ingested document from the blob store', async () => {
+    const { accepted, document } = await uploadAndIngest(request(app).post('/api/docs/upload').attach('file', sampleTxtPath));
 
-    // Delete the stored file to simulate missing uploads folder
-    try {
-      fs.unlinkSync(storedPath);
-    } catch (_) {}
+    // The upload is moved into the store, not copied
+    expect(document.blobSha256).toBe(document.sha256);
+    expect(document.storedPath).toBe(blobStore.blobLocation(document.sha256));
+    expect(fs.existsSync(accepted.document.storedPath)).toBe(false);
+    expect(fs.readdirSync(process.env.UPLOADS_DIR)).toHaveLength(0);
 
     const downloadRes = await request(app)
-      .get(`/api/docs/${docId}/download`)
+      .get(`/api/docs/${document.id}/download`)
       .buffer(true)
-      .parse((res, cb) => {
-        const chunks = [];
-        res.on('data', (c) => chunks.push(c));
-        res.on('end', () => cb(null, Buffer.concat(chunks)));
-      })
+      .parse(binaryParser)
       .expect(200);
 
-    const expected = fs.readFileSync(sampleTxtPath);
-    expect(Buffer.isBuffer(downloadRes.body)).toBe(true);
-    expect(downloadRes.body.equals(expected)).toBe(true);
+    expect(downloadRes.headers['content-type']).toMatch(/^text\/plain/);
+    expect(downloadRes.headers['content-disposition']).toContain('sample.txt');
+    expect(downloadRes.body.equals(fs.readFileSync(sampleTxtPath))).toBe(true);
   });
-});
 
+  test('should return 404 when the blob is missing', async () => {
+    const { document } = await uploadAndIngest(request(app).post('/api/docs/upload').attach('file', sampleTxtPath));
+    await blobStore.removeBlob(document.sha256);
+
+    const res = await request(app).get(`/api/docs/${document.id}/download`).expect(404);
+    expect(res.body.error).toHaveProperty('code', 'NOT_FOUND');
+  });
 
+  test('should remove the blob when the document is purged', async () => {
+    const { document } = await uploadAndIngest(request(app).post('/api/docs/upload').attach('file', sampleTxtPath));
+    expect(await blobStore.hasBlob(document.sha256)).toBe(true);
+
+    await request(app).delete(`/api/docs/${document.id}`).expect(200);
+    expect(await blobStore.hasBlob(document.sha256)).toBe(true);
+
+    await request(app).delete(`/api/trash/${document.id}`).expect(200);
+    expect(await blobStore.hasBlob(document.sha256)).toBe(false);
+  });
+});
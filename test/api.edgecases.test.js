@@ -11,21 +11,27 @@ jest.mock('../src/services/geminiService', () => ({
 
 const geminiService = require('../src/services/geminiService');
 const app = require('../src/app');
+const { finishIngestion, uploadAndIngest } = require('./helpers/ingest');
 
 describe('Edge-cases', () => {
   describe('A) Upload edge-cases', () => {
-    test('1) empty file upload -> 422/400 with EXTRACTION_FAILED or EMPTY_OR_TOO_SHORT', async () => {
+    test('1) empty file upload -> ingest job fails with EMPTY_OR_TOO_SHORT', async () => {
       const emptyPath = path.join(__dirname, 'fixtures', 'empty.txt');
 
-      const res = await request(app)
+      const accepted = await request(app)
         .post('/api/docs/upload')
-        .attach('file', emptyPath);
-
-      expect([400, 422]).toContain(res.status);
-      expect(res.body).toHaveProperty('error');
-      expect(res.body.error).toHaveProperty('message');
-      expect(res.body.error).toHaveProperty('code');
-      expect(['EXTRACTION_FAILED', 'EMPTY_OR_TOO_SHORT', 'UNPROCESSABLE']).toContain(res.body.error.code);
+        .attach('file', emptyPath)
+        .expect(202);
+
+      const { job, document } = await finishIngestion(accepted);
+      expect(job).toHaveProperty('status', 'failed');
+      expect(job.error).toHaveProperty('message');
+      expect(job.error).toHaveProperty('code');
+      expect(['EXTRACTION_FAILED', 'EMPTY_OR_TOO_SHORT', 'UNPROCESSABLE']).toContain(job.error.code);
+      // Client errors are not retried
+      expect(job).toHaveProperty('attempts', 1);
+      expect(document).toHaveProperty('status', 'failed');
+      expect(document.statusError).toBe(job.error.message);
     });
 
     test('2) oversized file (>10MB) -> 413', async () => {
@@ -48,7 +54,7 @@ describe('Edge-cases', () => {
   describe('B) Search edge-cases', () => {
     test('3) no search result -> 200 and results: [] total: 0', async () => {
       const sampleTxtPath = path.join(__dirname, 'fixtures', 'sample.txt');
-      await request(app).post('/api/docs/upload').attach('file', sampleTxtPath).expect(201);
+      await uploadAndIngest(request(app).post('/api/docs/upload').attach('file', sampleTxtPath));
 
       const res = await request(app)
         .get('/api/docs/search?q=nonexistentkeyword123&limit=20&offset=0')
@@ -71,7 +77,7 @@ describe('Edge-cases', () => {
 
     test('4b) weird query: single character -> 200 (normalized query)', async () => {
       const sampleTxtPath = path.join(__dirname, 'fixtures', 'sample.txt');
-      await request(app).post('/api/docs/upload').attach('file', sampleTxtPath).expect(201);
+      await uploadAndIngest(request(app).post('/api/docs/upload').attach('file', sampleTxtPath));
 
       const res = await request(app)
         .get('/api/docs/search?q=a&limit=20&offset=0')
@@ -105,8 +111,8 @@ describe('Edge-cases', () => {
       const conflict1 = path.join(__dirname, 'fixtures', 'conflict1.txt');
       const conflict2 = path.join(__dirname, 'fixtures', 'conflict2.txt');
 
-      await request(app).post('/api/docs/upload').attach('file', conflict1).expect(201);
-      await request(app).post('/api/docs/upload').attach('file', conflict2).expect(201);
+      await uploadAndIngest(request(app).post('/api/docs/upload').attach('file', conflict1));
+      await uploadAndIngest(request(app).post('/api/docs/upload').attach('file', conflict2));
 
       geminiService.generateAnswer.mockImplementation(async (_question, chunks) => {
         const seen = new Map();
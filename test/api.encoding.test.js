@@ -0,0 +1,108 @@
+/**
+ * Plain-text encoding detection tests
+ */
+const request = require('supertest');
+const app = require('../src/app');
+const { uploadAndIngest } = require('./helpers/ingest');
+const { detectEncoding, decodeText } = require('../src/utils/textEncoding');
+
+// Windows-1254 / ISO-8859-9 code points of the Turkish letters (plus € for Windows-1254 only)
+const CP1254 = {
+  'ç': 0xe7, 'Ç': 0xc7, 'ğ': 0xf0, 'Ğ': 0xd0, 'ı': 0xfd, 'İ': 0xdd,
+  'ö': 0xf6, 'Ö': 0xd6, 'ş': 0xfe, 'Ş': 0xde, 'ü': 0xfc, 'Ü': 0xdc, '€': 0x80
+};
+
+function encodeCp1254(text) {
+  return Buffer.from(Array.from(text, (ch) => (CP1254[ch] !== undefined ? CP1254[ch] : ch.charCodeAt(0))));
+}
+
+function encodeUtf16be(text) {
+  const le = Buffer.from(text, 'utf16le');
+  for (let i = 0; i < le.length; i += 2) {
+    const b = le[i];
+    le[i] = le[i + 1];
+    le[i + 1] = b;
+  }
+  return le;
+}
+
+function uploadTxt(buffer, filename) {
+  return request(app)
+    .post('/api/docs/upload')
+    .attach('file', buffer, { filename, contentType: 'text/plain' });
+}
+
+const TURKISH = 'Şartname gereği ödeme süresi ışık hızında uzatılmıştır. İhale komisyonu onayladı.';
+
+describe('TXT encoding detection', () => {
+  test('should decode Windows-1254 and store the detected encoding', async () => {
+    const { document: uploaded } = await uploadAndIngest(uploadTxt(encodeCp1254(`${TURKISH} Bedel: 100 €`), 'eski.txt'));
+
+    expect(uploaded.contentText).toContain('Şartname gereği ödeme süresi');
+    expect(uploaded.contentText).toContain('100 €');
+    expect(uploaded.textEncoding).toBe('windows-1254');
+
+    const doc = await request(app).get(`/api/docs/${uploaded.id}`).expect(200);
+    expect(doc.body.textEncoding).toBe('windows-1254');
+
+    const search = await request(app).get(`/api/docs/search?q=${encodeURIComponent('şartname')}`).expect(200);
+    expect(search.body.results.map((r) => r.id)).toContain(uploaded.id);
+  });
+
+  test('should detect ISO-8859-9 when no Windows-only bytes are used', async () => {
+    const { document: uploaded } = await uploadAndIngest(uploadTxt(encodeCp1254(TURKISH), 'iso.txt'));
+
+    expect(uploaded.contentText).toContain('İhale komisyonu onayladı');
+    expect(uploaded.textEncoding).toBe('iso-8859-9');
+  });
+
+  test('should detect Windows-1252 for Western text', async () => {
+    const text = 'Le café du coin propose un menu très raffiné à prix réduit.';
+    const { document: uploaded } = await uploadAndIngest(uploadTxt(Buffer.from(text, 'latin1'), 'cafe.txt'));
+
+    expect(uploaded.contentText).toContain('café du coin propose un menu très raffiné');
+    expect(uploaded.textEncoding).toBe('windows-1252');
+  });
+
+  test('should decode UTF-16 LE and BE with BOM', async () => {
+    const { document: le } = await uploadAndIngest(uploadTxt(
+      Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(`${TURKISH} (LE)`, 'utf16le')]),
+      'utf16le.txt'
+    ));
+    expect(le.contentText).toContain('ışık hızında');
+    expect(le.contentText.charCodeAt(0)).not.toBe(0xfeff);
+    expect(le.textEncoding).toBe('utf-16le');
+
+    const { document: be } = await uploadAndIngest(uploadTxt(
+      Buffer.concat([Buffer.from([0xfe, 0xff]), encodeUtf16be(`${TURKISH} (BE)`)]),
+      'utf16be.txt'
+    ));
+    expect(be.contentText).toContain('ışık hızında');
+    expect(be.textEncoding).toBe('utf-16be');
+  });
+
+  test('should strip the UTF-8 BOM', async () => {
+    const { document: uploaded } = await uploadAndIngest(uploadTxt(
+      Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from(TURKISH, 'utf8')]),
+      'bom.txt'
+    ));
+
+    expect(uploaded.contentText.startsWith('Şartname')).toBe(true);
+    expect(uploaded.textEncoding).toBe('utf-8');
+  });
+
+  test('should keep rejecting binary files with NUL bytes', async () => {
+    const res = await uploadTxt(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x00, 0x01, 0x02, 0x00, 0xff]), 'image.txt');
+    expect(res.status).toBe(415);
+  });
+});
+
+describe('detectEncoding', () => {
+  test('recognizes UTF-16 LE without BOM', () => {
+    expect(detectEncoding(Buffer.from('plain ascii text', 'utf16le')).encoding).toBe('utf-16le');
+  });
+
+  test('prefers UTF-8 when the bytes are valid UTF-8', () => {
+    expect(decodeText(Buffer.from(TURKISH, 'utf8'))).toEqual({ text: TURKISH, encoding: 'utf-8' });
+  });
+});
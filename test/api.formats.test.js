@@ -0,0 +1,123 @@
+/**
+ * Supported formats / extractor registry tests
+ */
+const request = require('supertest');
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+
+const app = require('../src/app');
+const extractors = require('../src/services/extractors');
+const { uploadAndIngest } = require('./helpers/ingest');
+
+function buildDocx(text) {
+  const zip = new AdmZip();
+  zip.addFile('[Content_Types].xml', Buffer.from('<?xml version="1.0"?><Types/>'));
+  zip.addFile('word/document.xml', Buffer.from(
+    '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>' +
+    `<w:p><w:r><w:t>${text}</w:t></w:r></w:p>` +
+    '</w:body></w:document>'
+  ));
+  return zip.toBuffer();
+}
+
+describe('GET /api/formats', () => {
+  test('should list built-in formats and an accept string', async () => {
+    const res = await request(app).get('/api/formats').expect(200);
+
+    const ids = res.body.formats.map((f) => f.id);
+    expect(ids).toEqual(expect.arrayContaining(['pdf', 'txt', 'docx', 'odt']));
+    for (const f of res.body.formats) {
+      expect(Array.isArray(f.mimeTypes)).toBe(true);
+      expect(Array.isArray(f.extensions)).toBe(true);
+      expect(f).not.toHaveProperty('extract');
+    }
+    expect(res.body.accept.split(',')).toEqual(expect.arrayContaining(['.pdf', '.txt', '.docx', '.odt']));
+    expect(res.body).toHaveProperty('maxFileSizeBytes', 10 * 1024 * 1024);
+  });
+});
+
+describe('Extractor registry on upload', () => {
+  test('should resolve a generic MIME type by extension and store the canonical type', async () => {
+    const res = await request(app)
+      .post('/api/docs/upload')
+      .attach('file', buildDocx('Quarterly maintenance schedule for the plant.'), {
+        filename: 'schedule.docx',
+        contentType: 'application/octet-stream'
+      })
+      .expect(202);
+
+    expect(res.body.document.mimeType).toBe('application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+  });
+
+  test('should return 415 when content does not match the declared format', async () => {
+    const res = await request(app)
+      .post('/api/docs/upload')
+      .attach('file', Buffer.from('plain text pretending to be a PDF document'), {
+        filename: 'fake.pdf',
+        contentType: 'application/pdf'
+      })
+      .expect(415);
+
+    expect(res.body.error).toHaveProperty('code', 'UNSUPPORTED_MEDIA_TYPE');
+    // Rejected file must not stay in uploads
+    expect(fs.readdirSync(process.env.UPLOADS_DIR)).toHaveLength(0);
+  });
+
+  test('should return 415 when MIME type and extension belong to different formats', async () => {
+    const sampleTxtPath = path.join(__dirname, 'fixtures', 'sample.txt');
+    const res = await request(app)
+      .post('/api/docs/upload')
+      .attach('file', sampleTxtPath, { filename: 'sample.txt', contentType: 'application/pdf' })
+      .expect(415);
+
+    expect(res.body.error).toHaveProperty('code', 'UNSUPPORTED_MEDIA_TYPE');
+  });
+
+  test('should fail ingestion of a DOCX whose entry inflates beyond the limit', async () => {
+    process.env.ZIP_ENTRY_MAX_MB = '0.01';
+    try {
+      // Compresses to a few hundred bytes, inflates to about 20KB
+      const { job, document } = await uploadAndIngest(request(app)
+        .post('/api/docs/upload')
+        .attach('file', buildDocx('inflated '.repeat(2500)), {
+          filename: 'inflated.docx',
+          contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+        }));
+
+      expect(job.status).toBe('failed');
+      expect(job.error.code).toBe('ZIP_ENTRY_TOO_LARGE');
+      // Client errors are not retried
+      expect(job.attempts).toBe(1);
+      expect(document.status).toBe('failed');
+    } finally {
+      delete process.env.ZIP_ENTRY_MAX_MB;
+    }
+  });
+
+  test('should accept a newly registered format module', async () => {
+    extractors.registerFormat({
+      id: 'log',
+      label: 'LOG',
+      mimeTypes: ['text/x-log'],
+      extensions: ['.log'],
+      sniff: (head) => head.indexOf(0x00) === -1,
+      extract: async (filePath) => ({ text: fs.readFileSync(filePath, 'utf8') })
+    });
+
+    const formats = await request(app).get('/api/formats').expect(200);
+    expect(formats.body.formats.map((f) => f.id)).toContain('log');
+
+    const { document } = await uploadAndIngest(request(app)
+      .post('/api/docs/upload')
+      .attach('file', Buffer.from('2024-01-01 service started on port 3000'), {
+        filename: 'service.log',
+        contentType: 'text/x-log'
+      }));
+    expect(document).toHaveProperty('status', 'ready');
+  });
+
+  test('should reject registering a format twice', () => {
+    expect(() => extractors.registerFormat(extractors.getFormatById('pdf'))).toThrow(/already registered/);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Storage consistency check (fsck) endpoint tests
+ */
+const request = require('supertest');
+const path = require('path');
+const fs = require('fs');
+
+const app = require('../src/app');
+const db = require('../src/db');
+const blobStore = require('../src/services/blobStore');
+const { uploadAndIngest } = require('./helpers/ingest');
+
+const sampleTxtPath = path.join(__dirname, 'fixtures', 'sample.txt');
+
+function check(body = {}) {
+  return request(app).post('/api/admin/fsck').send({ minUploadAgeMinutes: 0, ...body }).expect(200);
+}
+
+function writeUpload(name, content) {
+  const filePath = path.join(process.env.UPLOADS_DIR, name);
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+describe('Storage consistency check', () => {
+  test('should report nothing for a consistent store', async () => {
+    await uploadAndIngest(request(app).post('/api/docs/upload').attach('file', sampleTxtPath));
+
+    const res = await request(app).get('/api/admin/fsck?minUploadAgeMinutes=0').expect(200);
+
+    expect(res.body).toMatchObject({ dryRun: true, verifyHashes: true, issues: [] });
+    expect(res.body.checked).toMatchObject({ documents: 1, blobs: 1, uploads: 0 });
+  });
+
+  test('should report orphans in a dry run and quarantine them on repair', async () => {
+    const stray = writeUpload('stray.txt', 'kimsenin dosyası');
+    const orphanLocation = await blobStore.putFile(writeUpload('blob.txt', 'sahipsiz blob'),
+      require('crypto').createHash('sha256').update('sahipsiz blob').digest('hex'));
+    db.prepare("INSERT INTO documents_fts (doc_id, original_name, content_text) VALUES ('gone', 'gone.txt', '')").run();
+
+    const dry = await check();
+    expect(dry.body.dryRun).toBe(true);
+    expect(dry.body.summary).toMatchObject({ orphan_upload: 1, orphan_blob: 1, index_orphan: 1 });
+    expect(dry.body.issues).toEqual(expect.arrayContaining([
+      expect.objectContaining({ type: 'orphan_upload', location: stray, repair: 'quarantine' }),
+      expect.objectContaining({ type: 'orphan_blob', location: orphanLocation, repair: 'quarantine' }),
+      expect.objectContaining({ type: 'index_orphan', docId: 'gone', repair: 'delete_index' })
+    ]));
+    // Dry run changes nothing
+    expect(fs.existsSync(stray)).toBe(true);
+    expect(fs.existsSync(orphanLocation)).toBe(true);
+
+    const repaired = await check({ repair: true });
+    expect(repaired.body.summary.repaired).toBe(3);
+    const quarantined = repaired.body.issues.find((i) => i.type === 'orphan_upload').quarantinedTo;
+    expect(fs.readFileSync(quarantined, 'utf8')).toBe('kimsenin dosyası');
+    expect(quarantined.startsWith(process.env.QUARANTINE_DIR)).toBe(true);
+    expect(fs.existsSync(stray)).toBe(false);
+    expect(fs.existsSync(orphanLocation)).toBe(false);
+
+    const after = await check();
+    expect(after.body.issues).toEqual([]);
+  });
+
+  test('should relink a missing blob from an upload with the same bytes', async () => {
+    const { document } = await uploadAndIngest(request(app).post('/api/docs/upload').attach('file', sampleTxtPath));
+    await blobStore.removeBlob(document.sha256);
+    fs.copyFileSync(sampleTxtPath, path.join(process.env.UPLOADS_DIR, 'copy-of-sample.txt'));
+
+    const dry = await check();
+    expect(dry.body.issues).toEqual([
+      expect.objectContaining({ type: 'missing_file', docId: document.id, repair: 'relink' })
+    ]);
+
+    await check({ repair: true });
+    expect(await blobStore.hasBlob(document.sha256)).toBe(true);
+    await request(app).get(`/api/docs/${document.id}/download`).expect(200);
+    expect((await check()).body.issues).toEqual([]);
+  });
+
+  test('should quarantine a blob whose bytes do not match its hash', async () => {
+    const { document } = await uploadAndIngest(request(app).post('/api/docs/upload').attach('file', sampleTxtPath));
+    fs.writeFileSync(blobStore.blobLocation(document.sha256), 'bozuk içerik');
+
+    const dry = await check();
+    expect(dry.body.issues.map((i) => [i.type, i.repair])).toEqual([
+      ['hash_mismatch', 'quarantine'],
+      ['missing_file', null]
+    ]);
+
+    const skipped = await check({ verifyHashes: false });
+    expect(skipped.body.issues).toEqual([]);
+
+    const repaired = await check({ repair: true });
+    expect(repaired.body.issues[0]).toMatchObject({ type: 'hash_mismatch', repaired: true });
+    expect(await blobStore.hasBlob(document.sha256)).toBe(false);
+  });
+
+  test('should reindex documents missing from or stale in the full-text index', async () => {
+    const { document } = await uploadAndIngest(request(app).post('/api/docs/upload').attach('file', sampleTxtPath));
+    db.prepare("UPDATE documents_fts SET content_text = 'eski' WHERE doc_id = ?").run(document.id);
+
+    const dry = await check();
+    expect(dry.body.issues).toEqual([{ type: 'index_stale', docId: document.id, repair: 'reindex' }]);
+
+    await check({ repair: true });
+    expect((await check()).body.issues).toEqual([]);
+  });
+
+  test('should never repair through GET and validate options', async () => {
+    writeUpload('stray.txt', 'x');
+    const res = await request(app).get('/api/admin/fsck?repair=true&minUploadAgeMinutes=0').expect(200);
+    expect(res.body.dryRun).toBe(true);
+
+    const bad = await request(app).post('/api/admin/fsck').send({ repair: 'yes' }).expect(400);
+    expect(bad.body.error).toHaveProperty('code', 'BAD_REQUEST');
+  });
+});
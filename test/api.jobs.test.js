@@ -0,0 +1,163 @@
+/**
+ * Background ingestion jobs (GET /api/jobs/:id)
+ */
+const fs = require('fs');
+const request = require('supertest');
+const app = require('../src/app');
+const db = require('../src/db');
+const jobQueue = require('../src/services/jobQueue');
+const textExtractor = require('../src/services/textExtractor');
+const { setStorage } = require('../src/services/storage');
+const { createS3Driver } = require('../src/services/storage/s3');
+const { finishIngestion } = require('./helpers/ingest');
+
+const CONTENT = Buffer.from('Procurement guidelines for framework contracts and tender evaluation.');
+
+function uploadTxt(buffer = CONTENT, filename = 'guidelines.txt') {
+  return request(app)
+    .post('/api/docs/upload')
+    .attach('file', buffer, { filename, contentType: 'text/plain' });
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+describe('Ingestion jobs', () => {
+  const saved = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...saved };
+    jest.restoreAllMocks();
+  });
+
+  test('should return 404 for an unknown job', async () => {
+    const res = await request(app).get('/api/jobs/does-not-exist').expect(404);
+    expect(res.body.error).toHaveProperty('code', 'NOT_FOUND');
+  });
+
+  test('should keep pending documents out of search until the job ran', async () => {
+    const accepted = await uploadTxt().expect(202);
+
+    const job = await request(app).get(`/api/jobs/${accepted.body.jobId}`).expect(200);
+    expect(job.body).toMatchObject({ status: 'queued', progress: 0, attempts: 0, documentId: accepted.body.document.id });
+
+    const list = await request(app).get('/api/docs').expect(200);
+    expect(list.body[0]).toHaveProperty('status', 'pending');
+
+    const before = await request(app).get('/api/docs/search?q=guidelines').expect(200);
+    expect(before.body.results).toHaveLength(0);
+
+    await finishIngestion(accepted);
+
+    const after = await request(app).get('/api/docs/search?q=guidelines').expect(200);
+    expect(after.body.results.map((r) => r.id)).toEqual([accepted.body.document.id]);
+  });
+
+  test('should retry a transient failure with backoff', async () => {
+    process.env.JOB_RETRY_DELAY_MS = '5';
+    jest.spyOn(textExtractor, 'extractTextFromFile').mockRejectedValueOnce(new Error('disk hiccup'));
+
+    const accepted = await uploadTxt().expect(202);
+    await jobQueue.runPendingJobs();
+
+    const retrying = await request(app).get(`/api/jobs/${accepted.body.jobId}`).expect(200);
+    expect(retrying.body).toMatchObject({ status: 'queued', attempts: 1, error: { code: 'JOB_FAILED', message: 'disk hiccup' } });
+    expect(retrying.body.nextAttemptAt).toEqual(expect.any(String));
+    expect(retrying.body.failures).toEqual([expect.objectContaining({ attempt: 1, message: 'disk hiccup' })]);
+
+    const doc = await request(app).get(`/api/docs/${accepted.body.document.id}`).expect(200);
+    expect(doc.body.status).toBe('pending');
+
+    await sleep(20);
+    const { job, document } = await finishIngestion(accepted);
+    expect(job).toMatchObject({ status: 'succeeded', attempts: 2, error: null, nextAttemptAt: null });
+    expect(job.failures).toHaveLength(1);
+    expect(document.status).toBe('ready');
+  });
+
+  test('should retry when remote storage cannot be reached', async () => {
+    process.env.JOB_RETRY_DELAY_MS = '5';
+    setStorage(createS3Driver({ endpoint: 'http://s3.invalid', bucket: 'docs', accessKeyId: 'k', secretAccessKey: 's' }));
+    jest.spyOn(global, 'fetch').mockRejectedValue(new TypeError('fetch failed'));
+    try {
+      const accepted = await uploadTxt().expect(202);
+      await jobQueue.runPendingJobs();
+
+      const retrying = await request(app).get(`/api/jobs/${accepted.body.jobId}`).expect(200);
+      expect(retrying.body).toMatchObject({ status: 'queued', attempts: 1, error: { code: 'STORAGE_ERROR' } });
+      expect(retrying.body.nextAttemptAt).toEqual(expect.any(String));
+      const doc = await request(app).get(`/api/docs/${accepted.body.document.id}`).expect(200);
+      expect(doc.body.status).toBe('pending');
+      expect(fs.existsSync(accepted.body.document.storedPath)).toBe(true);
+    } finally {
+      setStorage(null);
+    }
+  });
+
+  test('should fail the document after the last attempt and remove its file', async () => {
+    process.env.JOB_MAX_ATTEMPTS = '2';
+    process.env.JOB_RETRY_DELAY_MS = '1';
+    jest.spyOn(textExtractor, 'extractTextFromFile').mockRejectedValue(new Error('parser crashed'));
+
+    const accepted = await uploadTxt().expect(202);
+    await jobQueue.runPendingJobs();
+    await sleep(10);
+    const { job, document } = await finishIngestion(accepted);
+
+    expect(job).toMatchObject({ status: 'failed', attempts: 2, maxAttempts: 2 });
+    expect(job.failures.map((f) => f.attempt)).toEqual([1, 2]);
+    expect(document).toMatchObject({ status: 'failed', statusError: 'parser crashed' });
+    expect(fs.existsSync(accepted.body.document.storedPath)).toBe(false);
+  });
+
+  test('should replace a failed document when the same file is uploaded again', async () => {
+    jest.spyOn(textExtractor, 'extractTextFromFile').mockRejectedValueOnce(
+      Object.assign(new Error('No extractable text'), { statusCode: 422, code: 'EMPTY_OR_TOO_SHORT' })
+    );
+    const failed = await uploadTxt().expect(202);
+    await jobQueue.runPendingJobs();
+
+    const retried = await uploadTxt().expect(202);
+    const { document } = await finishIngestion(retried);
+    expect(document.status).toBe('ready');
+    await request(app).get(`/api/docs/${failed.body.document.id}`).expect(404);
+  });
+
+  test('should requeue jobs left running by a previous process on start', async () => {
+    const accepted = await uploadTxt().expect(202);
+    db.prepare("UPDATE jobs SET status = 'running', attempts = 1 WHERE id = ?").run(accepted.body.jobId);
+
+    jobQueue.start();
+    await jobQueue.stop();
+
+    const requeued = await request(app).get(`/api/jobs/${accepted.body.jobId}`).expect(200);
+    expect(requeued.body.status).toBe('queued');
+
+    const { job } = await finishIngestion(accepted);
+    expect(job).toMatchObject({ status: 'succeeded', attempts: 2 });
+  });
+
+  test('should fail the job of a document deleted before it ran', async () => {
+    const accepted = await uploadTxt().expect(202);
+    await request(app).delete(`/api/docs/${accepted.body.document.id}`).expect(200);
+    await request(app).delete(`/api/trash/${accepted.body.document.id}`).expect(200);
+
+    await jobQueue.runPendingJobs();
+    const job = await request(app).get(`/api/jobs/${accepted.body.jobId}`).expect(200);
+    expect(job.body).toMatchObject({ status: 'failed', attempts: 1, error: { code: 'DOCUMENT_DELETED' } });
+  });
+
+  test('should still ingest a document moved to the trash before its job ran', async () => {
+    const accepted = await uploadTxt().expect(202);
+    const docId = accepted.body.document.id;
+    await request(app).delete(`/api/docs/${docId}`).expect(200);
+
+    await jobQueue.runPendingJobs();
+    const job = await request(app).get(`/api/jobs/${accepted.body.jobId}`).expect(200);
+    expect(job.body.status).toBe('succeeded');
+
+    const restored = await request(app).post(`/api/trash/${docId}/restore`).expect(200);
+    expect(restored.body).toMatchObject({ status: 'ready', deletedAt: null });
+  });
+});
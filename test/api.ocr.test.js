@@ -0,0 +1,119 @@
+/**
+ * PDF extraction with OCR fallback for scanned pages
+ */
+const request = require('supertest');
+
+// Mock OCR engine (no tesseract / language data in tests)
+jest.mock('../src/services/ocrService', () => ({
+  getOcrConfig: () => ({ minPageChars: 10 }),
+  isOcrAvailable: jest.fn(() => true),
+  recognizePdfPages: jest.fn()
+}));
+
+const ocrService = require('../src/services/ocrService');
+const app = require('../src/app');
+const { buildPdf } = require('./fixtures/buildPdf');
+const { uploadAndIngest } = require('./helpers/ingest');
+
+function uploadPdf(buffer, filename = 'doc.pdf') {
+  return request(app)
+    .post('/api/docs/upload')
+    .attach('file', buffer, { filename, contentType: 'application/pdf' });
+}
+
+describe('PDF extraction and OCR fallback', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ocrService.isOcrAvailable.mockReturnValue(true);
+  });
+
+  test('should extract the text layer without OCR', async () => {
+    const { document } = await uploadAndIngest(uploadPdf(buildPdf(['Annual report for the fiscal year 2023'])));
+
+    expect(document.contentText).toContain('Annual report for the fiscal year 2023');
+    expect(document.extractionMethod).toBe('text');
+    expect(document.ocrPages).toEqual([]);
+    expect(ocrService.recognizePdfPages).not.toHaveBeenCalled();
+  });
+
+  test('should OCR a fully scanned PDF and store per-page confidence', async () => {
+    ocrService.recognizePdfPages.mockResolvedValue([
+      { page: 1, text: 'Tapu senedi örneği birinci sayfa', confidence: 91.5 },
+      { page: 2, text: 'İkinci sayfa imza ve mühür bölümü', confidence: 78.5 }
+    ]);
+
+    const { document } = await uploadAndIngest(uploadPdf(buildPdf(['', '']), 'scan.pdf'));
+
+    expect(ocrService.recognizePdfPages).toHaveBeenCalledWith(expect.any(Buffer), [1, 2]);
+    expect(document.contentText).toContain('Tapu senedi örneği birinci sayfa');
+    expect(document.extractionMethod).toBe('ocr');
+    expect(document.ocrPages).toEqual([
+      { page: 1, confidence: 91.5 },
+      { page: 2, confidence: 78.5 }
+    ]);
+
+    const doc = await request(app).get(`/api/docs/${document.id}`).expect(200);
+    expect(doc.body.extractionMethod).toBe('ocr');
+    expect(doc.body.ocrConfidence).toBe(85);
+
+    const list = await request(app).get('/api/docs').expect(200);
+    expect(list.body[0]).toHaveProperty('extractionMethod', 'ocr');
+  });
+
+  test('should only OCR image-only pages of a mixed PDF', async () => {
+    ocrService.recognizePdfPages.mockResolvedValue([
+      { page: 2, text: 'Scanned appendix with signatures', confidence: 66 }
+    ]);
+
+    const { document } = await uploadAndIngest(uploadPdf(buildPdf(['Typed cover letter for the contract', ''])));
+
+    expect(ocrService.recognizePdfPages).toHaveBeenCalledWith(expect.any(Buffer), [2]);
+    expect(document.extractionMethod).toBe('mixed');
+    expect(document.contentText).toContain('Typed cover letter for the contract');
+    expect(document.contentText).toContain('Scanned appendix with signatures');
+  });
+
+  test('should keep EMPTY_OR_TOO_SHORT when OCR is unavailable', async () => {
+    ocrService.isOcrAvailable.mockReturnValue(false);
+
+    const { job, document } = await uploadAndIngest(uploadPdf(buildPdf(['']), 'scan-only.pdf'));
+
+    expect(job.error).toHaveProperty('code', 'EMPTY_OR_TOO_SHORT');
+    expect(document).toHaveProperty('status', 'failed');
+    expect(ocrService.recognizePdfPages).not.toHaveBeenCalled();
+  });
+
+  test('should treat OCR failures as non-fatal', async () => {
+    ocrService.recognizePdfPages.mockRejectedValue(new Error('engine crashed'));
+
+    const { job } = await uploadAndIngest(uploadPdf(buildPdf(['']), 'broken-scan.pdf'));
+    expect(job.error).toHaveProperty('code', 'EMPTY_OR_TOO_SHORT');
+  });
+});
+
+describe('ocrService availability', () => {
+  const actual = jest.requireActual('../src/services/ocrService');
+  const saved = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...saved };
+  });
+
+  test('is off unless OCR_ENABLED=true', () => {
+    delete process.env.OCR_ENABLED;
+    expect(actual.isOcrAvailable()).toBe(false);
+  });
+
+  test('is off when language data is missing', () => {
+    process.env.OCR_ENABLED = 'true';
+    process.env.OCR_LANG_PATH = '/nonexistent/ocr-data';
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(actual.isOcrAvailable()).toBe(false);
+    warn.mockRestore();
+  });
+
+  test('reads languages from OCR_LANGS', () => {
+    process.env.OCR_LANGS = 'tur+eng';
+    expect(actual.getOcrConfig().langs).toEqual(['tur', 'eng']);
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Page-aware PDF extraction: page offsets, page numbers in search hits and citations
+ */
+const request = require('supertest');
+
+// Mock Gemini for Q&A (no real API calls)
+jest.mock('../src/services/geminiService', () => ({
+  generateAnswer: jest.fn()
+}));
+
+const geminiService = require('../src/services/geminiService');
+const app = require('../src/app');
+const { buildPdf } = require('./fixtures/buildPdf');
+const { uploadAndIngest } = require('./helpers/ingest');
+const { buildTextWithPages, findPageAt } = require('../src/utils/pages');
+
+const CONTRACT = buildPdf([
+  'Master services agreement between the parties',
+  '',
+  'Payment terms are net thirty days',
+  'Indemnity obligations survive termination'
+]);
+
+async function uploadContract() {
+  const { document } = await uploadAndIngest(request(app)
+    .post('/api/docs/upload')
+    .attach('file', CONTRACT, { filename: 'contract.pdf', contentType: 'application/pdf' }));
+  return document;
+}
+
+describe('PDF page offsets', () => {
+  test('should store page offsets (skipping empty pages)', async () => {
+    const uploaded = await uploadContract();
+
+    const res = await request(app).get(`/api/docs/${uploaded.id}`).expect(200);
+    expect(res.body.pages.map((p) => p.page)).toEqual([1, 3, 4]);
+
+    const page4 = res.body.pages[2];
+    expect(res.body.contentText.slice(page4.startChar, page4.endChar))
+      .toBe('Indemnity obligations survive termination');
+  });
+
+  test('should report the page of a search hit', async () => {
+    await uploadContract();
+
+    const res = await request(app).get('/api/docs/search?q=indemnity').expect(200);
+    expect(res.body.results).toHaveLength(1);
+    expect(res.body.results[0].page).toBe(4);
+  });
+
+  test('should report the page of a passage', async () => {
+    const uploaded = await uploadContract();
+    const res = await request(app).get('/api/docs/search/passages?q=indemnity').expect(200);
+    expect(res.body.results).toHaveLength(1);
+    expect(res.body.results[0]).toMatchObject({ docId: uploaded.id, page: 4 });
+  });
+
+  test('should not report pages for unpaged formats', async () => {
+    await uploadAndIngest(request(app)
+      .post('/api/docs/upload')
+      .attach('file', Buffer.from('Indemnity clauses for the plain text contract.'), {
+        filename: 'plain.txt',
+        contentType: 'text/plain'
+      }));
+
+    const res = await request(app).get('/api/docs/search?q=indemnity').expect(200);
+    expect(res.body.results[0].page).toBeUndefined();
+  });
+
+  test('should cite page numbers in Q&A answers', async () => {
+    await uploadContract();
+
+    geminiService.generateAnswer.mockImplementation(async (_question, chunks) => ({
+      answer: 'Payment is due in thirty days.',
+      citations: [{ docId: chunks[0].docId, chunkId: chunks[0].chunkId, quote: 'net thirty days' }],
+      confidence: 'high'
+    }));
+
+    const res = await request(app)
+      .post('/api/qa')
+      .send({ question: 'What are the payment terms?' })
+      .expect(200);
+
+    expect(res.body.based_on_docs).toHaveLength(1);
+    expect(res.body.based_on_docs[0].page).toBe(3);
+  });
+
+  test('should cite the page of the quoted text, not of the keyword hit', async () => {
+    await uploadContract();
+
+    // The whole contract is one chunk: "agreement" is on page 1, the quote on page 4
+    geminiService.generateAnswer.mockImplementation(async (_question, chunks) => ({
+      answer: 'Indemnity obligations survive termination.',
+      citations: [{ docId: chunks[0].docId, chunkId: chunks[0].chunkId, quote: 'survive termination' }],
+      confidence: 'high'
+    }));
+
+    const res = await request(app)
+      .post('/api/qa')
+      .send({ question: 'What survives the agreement?' })
+      .expect(200);
+
+    expect(res.body.based_on_docs).toHaveLength(1);
+    expect(res.body.based_on_docs[0].page).toBe(4);
+  });
+
+  test('should cite the page of the cited offsets', async () => {
+    const uploaded = await uploadContract();
+    const doc = (await request(app).get(`/api/docs/${uploaded.id}`).expect(200)).body;
+    const startChar = doc.contentText.indexOf('Indemnity');
+
+    geminiService.generateAnswer.mockImplementation(async (_question, chunks) => ({
+      answer: 'Indemnity obligations survive termination.',
+      citations: [{
+        docId: chunks[0].docId,
+        chunkId: chunks[0].chunkId,
+        startChar,
+        endChar: startChar + 'Indemnity obligations'.length
+      }],
+      confidence: 'high'
+    }));
+
+    const res = await request(app)
+      .post('/api/qa')
+      .send({ question: 'Who are the parties to the agreement?' })
+      .expect(200);
+
+    expect(res.body.based_on_docs[0]).toMatchObject({
+      startChar,
+      page: 4,
+      quote: 'Indemnity obligations'
+    });
+  });
+});
+
+describe('pages utils', () => {
+  test('findPageAt maps offsets to pages', () => {
+    const { text, pages } = buildTextWithPages([
+      { page: 1, text: '  First\npage ' },
+      { page: 2, text: 'Second page' }
+    ]);
+
+    expect(text).toBe('First page Second page');
+    expect(findPageAt(pages, 0)).toBe(1);
+    expect(findPageAt(pages, text.indexOf('Second'))).toBe(2);
+    expect(findPageAt(pages, text.length)).toBeNull();
+    expect(findPageAt([], 3)).toBeNull();
+  });
+});
@@ -10,7 +10,9 @@ jest.mock('../src/services/geminiService', () => ({
 }));
 
 const geminiService = require('../src/services/geminiService');
+const retrievalService = require('../src/services/retrievalService');
 const app = require('../src/app');
+const { uploadAndIngest } = require('./helpers/ingest');
 
 describe('POST /api/qa', () => {
   const sampleTxtPath = path.join(__dirname, 'fixtures', 'sample.txt');
@@ -42,7 +44,7 @@ describe('POST /api/qa', () => {
 
   test('should answer question successfully', async () => {
     // Ensure at least 1 doc exists so retrieval returns chunks and Gemini is called
-    await request(app).post('/api/docs/upload').attach('file', sampleTxtPath).expect(201);
+    await uploadAndIngest(request(app).post('/api/docs/upload').attach('file', sampleTxtPath));
 
     // Mock Gemini response
     geminiService.generateAnswer.mockResolvedValue({
@@ -79,7 +81,7 @@ describe('POST /api/qa', () => {
   });
 
   test('should return 502 when Gemini service fails', async () => {
-    await request(app).post('/api/docs/upload').attach('file', sampleTxtPath).expect(201);
+    await uploadAndIngest(request(app).post('/api/docs/upload').attach('file', sampleTxtPath));
 
     // Mock Gemini error
     geminiService.generateAnswer.mockRejectedValue(new Error('LLM API error'));
@@ -113,7 +115,7 @@ describe('POST /api/qa', () => {
   });
 
   test('should respect topK and docLimit parameters', async () => {
-    await request(app).post('/api/docs/upload').attach('file', sampleTxtPath).expect(201);
+    await uploadAndIngest(request(app).post('/api/docs/upload').attach('file', sampleTxtPath));
 
     geminiService.generateAnswer.mockResolvedValue({
       answer: 'Test answer',
@@ -135,7 +137,7 @@ describe('POST /api/qa', () => {
   });
 
   test('should ignore docId and still answer using all documents', async () => {
-    await request(app).post('/api/docs/upload').attach('file', sampleTxtPath).expect(201);
+    await uploadAndIngest(request(app).post('/api/docs/upload').attach('file', sampleTxtPath));
 
     geminiService.generateAnswer.mockResolvedValue({
       answer: 'Test answer',
@@ -156,3 +158,21 @@ describe('POST /api/qa', () => {
   });
 });
 
+
+describe('Q&A retrieval of documents that are not ready', () => {
+  const sampleTxtPath = path.join(__dirname, 'fixtures', 'sample.txt');
+
+  test('should reject a document whose ingestion has not finished', async () => {
+    // Accepted, but the ingest job has not run
+    const accepted = await request(app).post('/api/docs/upload').attach('file', sampleTxtPath).expect(202);
+
+    await expect(retrievalService.retrieveChunks('sample', 5, 5, accepted.body.document.id))
+      .rejects.toMatchObject({ statusCode: 409, code: 'DOCUMENT_NOT_READY' });
+  });
+
+  test('should leave pending documents out of the recent documents fallback', async () => {
+    await request(app).post('/api/docs/upload').attach('file', sampleTxtPath).expect(202);
+
+    expect(await retrievalService.retrieveChunks('xyzabc123nonexistent', 5, 5)).toEqual([]);
+  });
+});
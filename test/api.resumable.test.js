@@ -0,0 +1,208 @@
+/**
+ * Resumable upload tests
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const app = require('../src/app');
+const resumableUploadService = require('../src/services/resumableUploadService');
+const uploadSessionsRepo = require('../src/repositories/uploadSessionsRepo');
+const jobQueue = require('../src/services/jobQueue');
+const { UPLOAD_DIR, buildStoredName } = require('../src/middleware/upload');
+const { uploadAndIngest } = require('./helpers/ingest');
+
+const CONTENT = Buffer.from(
+  'Maintenance manual for the hydraulic press. ' +
+  'Chapter one covers daily inspection, chapter two covers seal replacement and torque values.'
+);
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function initUpload(body) {
+  return request(app).post('/api/uploads').send(body);
+}
+
+function appendPart(uploadId, offset, part) {
+  return request(app)
+    .patch(`/api/uploads/${uploadId}`)
+    .set('Content-Type', 'application/offset+octet-stream')
+    .set('Upload-Offset', String(offset))
+    .send(part);
+}
+
+describe('Resumable uploads (/api/uploads)', () => {
+  afterEach(() => {
+    delete process.env.RESUMABLE_UPLOAD_MAX_MB_TXT;
+    delete process.env.RESUMABLE_UPLOAD_MAX_MB;
+  });
+
+  test('should assemble parts and ingest the document', async () => {
+    const init = await initUpload({ fileName: 'manual.txt', mimeType: 'text/plain', size: CONTENT.length }).expect(201);
+    expect(init.body).toMatchObject({ fileName: 'manual.txt', size: CONTENT.length, offset: 0 });
+    const { uploadId } = init.body;
+
+    const split = 50;
+    const first = await appendPart(uploadId, 0, CONTENT.subarray(0, split)).expect(200);
+    expect(first.body.offset).toBe(split);
+    expect(first.headers['upload-offset']).toBe(String(split));
+
+    // A client that lost track asks where to resume
+    const status = await request(app).get(`/api/uploads/${uploadId}`).expect(200);
+    expect(status.body.offset).toBe(split);
+
+    await appendPart(uploadId, split, CONTENT.subarray(split)).expect(200);
+
+    const { accepted, job, document } = await uploadAndIngest(request(app).post(`/api/uploads/${uploadId}/complete`));
+    expect(accepted.document).toMatchObject({ originalName: 'manual.txt', status: 'pending' });
+    expect(document.sha256).toBe(sha256(CONTENT));
+    expect(document.contentText).toContain('seal replacement and torque values');
+    expect(job.result.charCount).toBeGreaterThan(0);
+
+    const download = await request(app).get(`/api/docs/${document.id}/download`).expect(200);
+    expect(Buffer.from(download.text || download.body).toString()).toBe(CONTENT.toString());
+
+    // The session is gone once completed
+    await request(app).get(`/api/uploads/${uploadId}`).expect(404);
+  });
+
+  test('should reject a part at the wrong offset', async () => {
+    const { body } = await initUpload({ fileName: 'manual.txt', mimeType: 'text/plain', size: CONTENT.length }).expect(201);
+    await appendPart(body.uploadId, 0, CONTENT.subarray(0, 10)).expect(200);
+
+    const res = await appendPart(body.uploadId, 0, CONTENT.subarray(0, 10)).expect(409);
+    expect(res.body.error.code).toBe('OFFSET_MISMATCH');
+  });
+
+  test('should reject parts beyond the declared size', async () => {
+    const { body } = await initUpload({ fileName: 'manual.txt', mimeType: 'text/plain', size: 10 }).expect(201);
+
+    const res = await appendPart(body.uploadId, 0, CONTENT.subarray(0, 20)).expect(413);
+    expect(res.body.error.code).toBe('UPLOAD_EXCEEDS_SIZE');
+
+    const status = await request(app).get(`/api/uploads/${body.uploadId}`).expect(200);
+    expect(status.body.offset).toBeLessThanOrEqual(10);
+  });
+
+  test('should not complete an unfinished upload', async () => {
+    const { body } = await initUpload({ fileName: 'manual.txt', mimeType: 'text/plain', size: CONTENT.length }).expect(201);
+    await appendPart(body.uploadId, 0, CONTENT.subarray(0, 10)).expect(200);
+
+    const res = await request(app).post(`/api/uploads/${body.uploadId}/complete`).expect(409);
+    expect(res.body.error.code).toBe('UPLOAD_INCOMPLETE');
+  });
+
+  test('should validate type and per-format size limit on init', async () => {
+    const unsupported = await initUpload({ fileName: 'setup.exe', mimeType: 'application/octet-stream', size: 100 }).expect(415);
+    expect(unsupported.body.error.code).toBe('UNSUPPORTED_MEDIA_TYPE');
+
+    process.env.RESUMABLE_UPLOAD_MAX_MB_TXT = '0.001';
+    const tooLarge = await initUpload({ fileName: 'big.txt', mimeType: 'text/plain', size: 5000 }).expect(413);
+    expect(tooLarge.body.error.code).toBe('FILE_TOO_LARGE');
+
+    const invalid = await initUpload({ fileName: 'manual.txt', mimeType: 'text/plain', size: -1 }).expect(400);
+    expect(invalid.body.error.code).toBe('BAD_REQUEST');
+  });
+
+  test('should apply the general size limit to formats with a built-in limit', async () => {
+    process.env.RESUMABLE_UPLOAD_MAX_MB = '0.001';
+    const pdf = await initUpload({ fileName: 'manual.pdf', mimeType: 'application/pdf', size: 5000 }).expect(413);
+    expect(pdf.body.error.code).toBe('FILE_TOO_LARGE');
+    await initUpload({ fileName: 'big.txt', mimeType: 'text/plain', size: 5000 }).expect(413);
+
+    // A per-format limit still wins over the general one
+    process.env.RESUMABLE_UPLOAD_MAX_MB_TXT = '1';
+    await initUpload({ fileName: 'big.txt', mimeType: 'text/plain', size: 5000 }).expect(201);
+  });
+
+  test('should report duplicates on complete', async () => {
+    for (const expected of [202, 409]) {
+      const { body } = await initUpload({ fileName: 'manual.txt', mimeType: 'text/plain', size: CONTENT.length }).expect(201);
+      await appendPart(body.uploadId, 0, CONTENT).expect(200);
+      const res = await request(app).post(`/api/uploads/${body.uploadId}/complete`).expect(expected);
+      if (expected === 409) expect(res.body.error.code).toBe('DUPLICATE_DOC');
+    }
+  });
+
+  test('should complete an upload only once when completed concurrently', async () => {
+    const content = Buffer.from('Operating manual for the conveyor belt, completed by two requests at once.');
+    const { body } = await initUpload({ fileName: 'conveyor.txt', mimeType: 'text/plain', size: content.length }).expect(201);
+    await appendPart(body.uploadId, 0, content).expect(200);
+
+    // Started together, so both pass the checks before either has moved the file
+    const [first, second] = await Promise.allSettled([
+      resumableUploadService.completeUpload(body.uploadId),
+      resumableUploadService.completeUpload(body.uploadId)
+    ]);
+    expect(first.status).toBe('fulfilled');
+    expect(second.reason).toMatchObject({ statusCode: 409, code: 'UPLOAD_COMPLETING' });
+
+    const list = await request(app).get('/api/docs').expect(200);
+    expect(list.body.filter((d) => d.originalName === 'conveyor.txt')).toHaveLength(1);
+  });
+
+  test('should finish a completion interrupted after the file was moved', async () => {
+    const content = Buffer.from('Service manual for the lathe, moved into place just before a crash.');
+    const { body } = await initUpload({ fileName: 'lathe.txt', mimeType: 'text/plain', size: content.length }).expect(201);
+    await appendPart(body.uploadId, 0, content).expect(200);
+
+    // Crash between the move and the end of the completion
+    const storedName = buildStoredName('lathe.txt');
+    const session = uploadSessionsRepo.claimSession(body.uploadId, storedName);
+    fs.renameSync(session.tempPath, path.join(UPLOAD_DIR, storedName));
+
+    const result = await resumableUploadService.releaseInterruptedCompletions();
+    expect(result).toEqual({ released: 0, completed: 1, discarded: 0 });
+    await jobQueue.runPendingJobs();
+
+    const list = await request(app).get('/api/docs').expect(200);
+    const doc = list.body.find((d) => d.originalName === 'lathe.txt');
+    expect(doc).toMatchObject({ status: 'ready', sha256: sha256(content) });
+
+    // A client retrying the completion learns that the session is gone
+    await request(app).post(`/api/uploads/${body.uploadId}/complete`).expect(404);
+  });
+
+  test('should give back a completion interrupted before the file was moved', async () => {
+    const content = Buffer.from('Service manual for the drill press, claimed just before a crash.');
+    const { body } = await initUpload({ fileName: 'drill.txt', mimeType: 'text/plain', size: content.length }).expect(201);
+    await appendPart(body.uploadId, 0, content).expect(200);
+    uploadSessionsRepo.claimSession(body.uploadId, buildStoredName('drill.txt'));
+
+    const result = await resumableUploadService.releaseInterruptedCompletions();
+    expect(result).toEqual({ released: 1, completed: 0, discarded: 0 });
+
+    const { document } = await uploadAndIngest(request(app).post(`/api/uploads/${body.uploadId}/complete`));
+    expect(document.sha256).toBe(sha256(content));
+  });
+
+  test('should answer 410 when the part file is gone', async () => {
+    const { body } = await initUpload({ fileName: 'manual.txt', mimeType: 'text/plain', size: CONTENT.length }).expect(201);
+    await appendPart(body.uploadId, 0, CONTENT).expect(200);
+    fs.unlinkSync(uploadSessionsRepo.getSessionById(body.uploadId).tempPath);
+
+    const res = await request(app).post(`/api/uploads/${body.uploadId}/complete`).expect(410);
+    expect(res.body.error.code).toBe('UPLOAD_CORRUPTED');
+    await request(app).get(`/api/uploads/${body.uploadId}`).expect(404);
+  });
+
+  test('should abort an upload', async () => {
+    const { body } = await initUpload({ fileName: 'manual.txt', mimeType: 'text/plain', size: CONTENT.length }).expect(201);
+
+    await request(app).delete(`/api/uploads/${body.uploadId}`).expect(200);
+    const res = await request(app).get(`/api/uploads/${body.uploadId}`).expect(404);
+    expect(res.body.error.code).toBe('NOT_FOUND');
+  });
+
+  test('should require the raw part content type', async () => {
+    const { body } = await initUpload({ fileName: 'manual.txt', mimeType: 'text/plain', size: CONTENT.length }).expect(201);
+
+    await request(app)
+      .patch(`/api/uploads/${body.uploadId}`)
+      .set('Upload-Offset', '0')
+      .send({ not: 'bytes' })
+      .expect(415);
+  });
+});
@@ -3,12 +3,14 @@
  */
 const request = require('supertest');
 const app = require('../src/app');
+const db = require('../src/db');
+const { uploadAndIngest } = require('./helpers/ingest');
 const path = require('path');
 
 describe('GET /api/docs/search', () => {
   const sampleTxtPath = path.join(__dirname, 'fixtures', 'sample.txt');
   async function ensureDoc() {
-    await request(app).post('/api/docs/upload').attach('file', sampleTxtPath).expect(201);
+    await uploadAndIngest(request(app).post('/api/docs/upload').attach('file', sampleTxtPath));
   }
 
   test('should return 400 when query is missing', async () => {
@@ -73,3 +75,368 @@ describe('GET /api/docs/search', () => {
   });
 });
 
+
+describe('GET /api/docs/search query syntax', () => {
+  let lease;
+  let invoice;
+
+  async function uploadText(name, text) {
+    const { document } = await uploadAndIngest(request(app)
+      .post('/api/docs/upload')
+      .attach('file', Buffer.from(text), { filename: name, contentType: 'text/plain' }));
+    return document;
+  }
+
+  function search(q) {
+    return request(app).get('/api/docs/search').query({ q });
+  }
+
+  beforeEach(async () => {
+    lease = await uploadText('lease.txt', 'The tenant pays the rent within net thirty days of the invoice date.');
+    invoice = await uploadText('invoice.txt', 'Invoice payment is due in thirty net days, late fees apply.');
+  });
+
+  function ids(res) {
+    return res.body.results.map((r) => r.id).sort();
+  }
+
+  test('should require all words by default', async () => {
+    const res = await search('tenant invoice').expect(200);
+    expect(ids(res)).toEqual([lease.id]);
+  });
+
+  test('should match an exact phrase only', async () => {
+    expect(ids(await search('"net thirty days"').expect(200))).toEqual([lease.id]);
+    expect(ids(await search('net thirty days').expect(200))).toEqual([lease.id, invoice.id].sort());
+  });
+
+  test('should support OR, NOT, -term, prefixes and grouping', async () => {
+    expect(ids(await search('tenant OR late').expect(200))).toEqual([lease.id, invoice.id].sort());
+    expect(ids(await search('thirty -tenant').expect(200))).toEqual([invoice.id]);
+    expect(ids(await search('thirty AND NOT fees').expect(200))).toEqual([lease.id]);
+    expect(ids(await search('ten*').expect(200))).toEqual([lease.id]);
+    expect(ids(await search('(tenant OR late) -rent').expect(200))).toEqual([invoice.id]);
+  });
+
+  test('should treat FTS5 syntax in words as plain text', async () => {
+    const res = await search('original_name:lease').expect(200);
+    expect(res.body.mode).toBe('fts5');
+    expect(res.body.results).toEqual([]);
+  });
+
+  test('should return 400 BAD_QUERY for an invalid query', async () => {
+    for (const q of ['"net thirty', '(tenant OR late', 'tenant OR', '-tenant', 'ten*ant']) {
+      const res = await search(q).expect(400);
+      expect(res.body.error.code).toBe('BAD_QUERY');
+    }
+  });
+
+  describe('when the full-text query fails', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    function failFullText(message, code) {
+      const prepare = db.prepare.bind(db);
+      jest.spyOn(db, 'prepare').mockImplementation((sql) => {
+        if (sql.includes('documents_fts MATCH')) throw Object.assign(new Error(message), { code });
+        return prepare(sql);
+      });
+    }
+
+    test('should fall back to LIKE only without the index', async () => {
+      failFullText('no such table: documents_fts', 'SQLITE_ERROR');
+      const res = await search('tenant').expect(200);
+      expect(res.body.mode).toBe('like');
+      expect(ids(res)).toEqual([lease.id]);
+    });
+
+    test('should report a query FTS5 refuses as BAD_QUERY', async () => {
+      failFullText('fts5: syntax error near "."', 'SQLITE_ERROR');
+      const res = await search('tenant').expect(400);
+      expect(res.body.error.code).toBe('BAD_QUERY');
+    });
+
+    test('should not hide other database errors behind the LIKE scan', async () => {
+      failFullText('database disk image is malformed', 'SQLITE_CORRUPT');
+      const res = await search('tenant').expect(500);
+      expect(res.body.error.code).not.toBe('BAD_QUERY');
+    });
+  });
+});
+
+describe('GET /api/docs/search filters and facets', () => {
+  let notes;
+  let handbook;
+  let report;
+
+  async function uploadFile(name, contentType, text, createdAt) {
+    const { document } = await uploadAndIngest(request(app)
+      .post('/api/docs/upload')
+      .attach('file', Buffer.from(text), { filename: name, contentType }));
+    db.prepare('UPDATE documents SET created_at = ? WHERE id = ?').run(createdAt, document.id);
+    return document;
+  }
+
+  function search(query) {
+    return request(app).get('/api/docs/search').query({ q: 'budget', ...query });
+  }
+
+  function ids(res) {
+    return res.body.results.map((r) => r.id).sort();
+  }
+
+  beforeEach(async () => {
+    notes = await uploadFile('notes.txt', 'text/plain', 'Budget notes for the first quarter.', '2024-01-15T10:00:00.000Z');
+    handbook = await uploadFile('handbook.md', 'text/markdown', '# Budget\n\nThe budget handbook explains every approval step in detail.', '2024-02-01T00:00:00.000Z');
+    report = await uploadFile('report.txt', 'text/plain', 'Annual budget report with all the figures of the year.', '2024-02-29T23:30:00.000Z');
+  });
+
+  test('should return facet counts per type and month', async () => {
+    const res = await search().expect(200);
+
+    expect(res.body.total).toBe(3);
+    expect(res.body.facets).toEqual({
+      mimeType: [{ value: 'text/plain', count: 2 }, { value: 'text/markdown', count: 1 }],
+      month: [{ value: '2024-02', count: 2 }, { value: '2024-01', count: 1 }]
+    });
+  });
+
+  test('should filter by type and keep the other types in the type facet', async () => {
+    const res = await search({ mimeType: 'text/markdown' }).expect(200);
+
+    expect(ids(res)).toEqual([handbook.id]);
+    expect(res.body.filters.mimeTypes).toEqual(['text/markdown']);
+    expect(res.body.facets.mimeType).toHaveLength(2);
+    expect(res.body.facets.month).toEqual([{ value: '2024-02', count: 1 }]);
+
+    const both = await request(app).get('/api/docs/search?q=budget&mimeType=text/markdown&mimeType=text/plain').expect(200);
+    expect(both.body.total).toBe(3);
+  });
+
+  test('should filter by upload date, whole days included', async () => {
+    const february = await search({ createdFrom: '2024-02-01', createdTo: '2024-02-29' }).expect(200);
+    expect(ids(february)).toEqual([handbook.id, report.id].sort());
+    expect(february.body.facets.month).toHaveLength(2);
+
+    const before = await search({ createdTo: '2024-01-31T23:59:59Z' }).expect(200);
+    expect(ids(before)).toEqual([notes.id]);
+  });
+
+  test('should filter by size', async () => {
+    const sizes = [notes, handbook, report].map((d) => d.size).sort((a, b) => a - b);
+    const res = await search({ minSize: sizes[1], maxSize: sizes[1] }).expect(200);
+    expect(res.body.total).toBe(1);
+    expect(res.body.results[0].size).toBe(sizes[1]);
+  });
+
+  test('should return 400 for invalid filters', async () => {
+    for (const query of [
+      { createdFrom: 'yesterday' },
+      { createdFrom: '2024-03-01', createdTo: '2024-02-01' },
+      { minSize: '-1' },
+      { maxSize: '1.5' },
+      { minSize: '10', maxSize: '5' }
+    ]) {
+      const res = await search(query).expect(400);
+      expect(res.body.error.code).toBe('BAD_REQUEST');
+    }
+  });
+});
+
+describe('GET /api/docs/search Turkish text', () => {
+  const stemmer = process.env.SEARCH_STEMMER;
+  let contract;
+  let memo;
+
+  // Suffixes are matched with the Turkish stemmer only, which is off by default
+  beforeAll(async () => {
+    process.env.SEARCH_STEMMER = 'turkish';
+    await request(app).post('/api/admin/search-index/rebuild').expect(200);
+  });
+
+  afterAll(async () => {
+    if (stemmer === undefined) delete process.env.SEARCH_STEMMER;
+    else process.env.SEARCH_STEMMER = stemmer;
+    await request(app).post('/api/admin/search-index/rebuild').expect(200);
+  });
+
+  async function uploadText(name, text) {
+    const { document } = await uploadAndIngest(request(app)
+      .post('/api/docs/upload')
+      .attach('file', Buffer.from(text), { filename: name, contentType: 'text/plain' }));
+    return document;
+  }
+
+  function search(q, params = {}) {
+    return request(app).get('/api/docs/search').query({ q, ...params });
+  }
+
+  function ids(res) {
+    return res.body.results.map((r) => r.id).sort();
+  }
+
+  beforeEach(async () => {
+    contract = await uploadText('kira.txt', 'İstanbul ofisinin kira sözleşmelerinden biri. Şirketler imzaladı.');
+    memo = await uploadText('not.txt', 'ISPARTA deposunun sözleşmesi yenilendi.');
+  });
+
+  test('should match across Turkish case, diacritics and suffixes', async () => {
+    expect(ids(await search('istanbul').expect(200))).toEqual([contract.id]);
+    expect(ids(await search('ISTANBUL').expect(200))).toEqual([contract.id]);
+    expect(ids(await search('sirket').expect(200))).toEqual([contract.id]);
+    expect(ids(await search('sözleşme').expect(200))).toEqual([contract.id, memo.id].sort());
+    expect(ids(await search('ısparta').expect(200))).toEqual([memo.id]);
+    expect(ids(await search('"kira sözleşmesi"').expect(200))).toEqual([contract.id]);
+  });
+
+  test('should highlight the original words', async () => {
+    const res = await search('istanbul sozlesme').expect(200);
+    expect(res.body.results[0].highlights).toEqual([{
+      field: 'contentText',
+      text: 'İstanbul ofisinin kira sözleşmelerinden biri. Şirketler imzaladı.',
+      ranges: [{ startChar: 0, endChar: 8 }, { startChar: 23, endChar: 39 }]
+    }]);
+  });
+
+  test('should return the highlights as <mark> strings with highlightFormat=html', async () => {
+    const res = await search('istanbul sozlesme', { highlightFormat: 'html' }).expect(200);
+    expect(res.body.results[0].highlights).toEqual([
+      '<mark>İstanbul</mark> ofisinin kira <mark>sözleşmelerinden</mark> biri. Şirketler imzaladı.'
+    ]);
+
+    const invalid = await search('istanbul', { highlightFormat: 'markdown' }).expect(400);
+    expect(invalid.body.error.code).toBe('BAD_REQUEST');
+  });
+});
+
+describe('GET /api/docs/search typo tolerance', () => {
+  let contract;
+
+  async function uploadText(name, text) {
+    const { document } = await uploadAndIngest(request(app)
+      .post('/api/docs/upload')
+      .attach('file', Buffer.from(text), { filename: name, contentType: 'text/plain' }));
+    return document;
+  }
+
+  function search(q, params = {}) {
+    return request(app).get('/api/docs/search').query({ q, ...params });
+  }
+
+  beforeEach(async () => {
+    contract = await uploadText('kira.txt', 'İstanbul ofisinin kira sözleşmesi imzalandı. Fatura ödemesi gecikti.');
+  });
+
+  test('should find near matches of misspelled words and suggest the corrected query', async () => {
+    const res = await search('faturra istnbul').expect(200);
+    expect(res.body).toMatchObject({
+      mode: 'fuzzy',
+      total: 1,
+      didYouMean: 'fatura istanbul',
+      suggestions: [{ term: 'faturra', words: ['fatura'] }, { term: 'istnbul', words: ['istanbul'] }]
+    });
+    expect(res.body.results[0].id).toBe(contract.id);
+    const [highlight] = res.body.results[0].highlights;
+    expect(highlight.ranges.map((r) => highlight.text.slice(r.startChar, r.endChar))).toEqual(['İstanbul', 'Fatura']);
+  });
+
+  test('should only use near matches when nothing matches exactly', async () => {
+    const exact = await search('fatura').expect(200);
+    expect(exact.body).toMatchObject({ mode: 'fts5', total: 1, didYouMean: null, suggestions: [] });
+
+    const unknown = await search('zzzyx').expect(200);
+    expect(unknown.body).toMatchObject({ mode: 'fts5', total: 0, didYouMean: null, suggestions: [] });
+  });
+
+  test('should keep negated words and phrases as written', async () => {
+    const res = await search('kria -fatura').expect(200);
+    expect(res.body).toMatchObject({ mode: 'fuzzy', total: 0, didYouMean: 'kira -fatura' });
+  });
+
+  test('should only suggest with fuzzy=false', async () => {
+    const res = await search('faturra', { fuzzy: 'false' }).expect(200);
+    expect(res.body).toMatchObject({ mode: 'fts5', total: 0, didYouMean: 'fatura' });
+    await search('faturra', { fuzzy: 'maybe' }).expect(400);
+  });
+
+  test('should not suggest words of trashed documents', async () => {
+    await uploadText('depo.txt', 'Depo kiralama sözleşmesi, aylık ödeme yapılır.');
+    expect((await search('kiralamma').expect(200)).body.didYouMean).toBe('kiralama');
+
+    await request(app).delete(`/api/docs/${contract.id}`).expect(200);
+    const res = await search('faturra').expect(200);
+    expect(res.body).toMatchObject({ total: 0, didYouMean: null, suggestions: [] });
+  });
+});
+
+describe('GET /api/docs/search/passages', () => {
+  const filler = (n, prefix) => Array.from({ length: n }, (_, i) => `${prefix}${i}`).join(' ');
+  let manual;
+
+  async function uploadText(name, text) {
+    const { document } = await uploadAndIngest(request(app)
+      .post('/api/docs/upload')
+      .attach('file', Buffer.from(text), { filename: name, contentType: 'text/plain' }));
+    return document;
+  }
+
+  function search(q, params = {}) {
+    return request(app).get('/api/docs/search/passages').query({ q, ...params });
+  }
+
+  beforeEach(async () => {
+    manual = await uploadText('manual.txt', [
+      `Giriş. ${filler(45, 'a')}.`,
+      `Kira bedeli her ay ödenir. ${filler(45, 'b')}.`,
+      `Depozito iade edilir. ${filler(45, 'c')}.`,
+      `Kira artışı yılda bir kez yapılır ve kira bedeli güncellenir. ${filler(45, 'd')}.`
+    ].join('\n\n'));
+    await uploadText('other.txt', 'Kira sözleşmesi tek sayfadan oluşur ve başka bir şey içermez.');
+  });
+
+  test('should return every matching passage with offsets and highlight ranges, best first', async () => {
+    const res = await search('kira').expect(200);
+    expect(res.body).toMatchObject({ mode: 'fts5', total: 3 });
+    expect(res.body.results.filter((r) => r.docId === manual.id)).toHaveLength(2);
+
+    const doc = await request(app).get(`/api/docs/${manual.id}`).expect(200);
+    const best = res.body.results.find((r) => r.docId === manual.id);
+    expect(best.text).toMatch(/^Kira artışı/);
+    expect(doc.body.contentText.slice(best.startChar, best.endChar)).toBe(best.text);
+    expect(best.highlights).toHaveLength(2);
+    for (const range of best.highlights) {
+      expect(doc.body.contentText.slice(range.startChar, range.endChar).toLowerCase()).toBe('kira');
+    }
+  });
+
+  test('should apply the query syntax, filters and paging', async () => {
+    expect((await search('kira -artışı').expect(200)).body.total).toBe(2);
+    expect((await search('kira', { docId: manual.id }).expect(200)).body.total).toBe(2);
+    const page = await search('kira', { limit: 1, offset: 1 }).expect(200);
+    expect(page.body).toMatchObject({ limit: 1, offset: 1, total: 3 });
+    expect(page.body.results).toHaveLength(1);
+  });
+
+  test('should fall back to near matches of misspelled words', async () => {
+    const res = await search('depozto').expect(200);
+    expect(res.body).toMatchObject({ mode: 'fuzzy', total: 1, didYouMean: 'depozito' });
+    expect(res.body.results[0].text).toMatch(/^Depozito iade edilir/);
+  });
+
+  test('should cut the highlights of /search from the matching passage', async () => {
+    const res = await request(app).get('/api/docs/search').query({ q: 'depozito', docId: manual.id }).expect(200);
+    const [highlight] = res.body.results[0].highlights;
+    expect(highlight.text).toMatch(/^\.\.\.Depozito iade edilir\. c0 c1/);
+    expect(highlight.text).toMatch(/\.\.\.$/);
+    expect(highlight.ranges).toEqual([{ startChar: 3, endChar: 11 }]);
+  });
+
+  test('should validate the request like /search', async () => {
+    await search('').expect(400);
+    expect((await search('"kira').expect(400)).body.error.code).toBe('BAD_QUERY');
+  });
+
+  test('should leave out trashed documents', async () => {
+    await request(app).delete(`/api/docs/${manual.id}`).expect(200);
+    expect((await search('kira').expect(200)).body.total).toBe(1);
+  });
+});
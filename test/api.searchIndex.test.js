@@ -0,0 +1,66 @@
+/**
+ * Full-text index status and rebuild (admin endpoints)
+ */
+const request = require('supertest');
+const app = require('../src/app');
+const { uploadAndIngest } = require('./helpers/ingest');
+
+describe('Search index admin', () => {
+  const stemmer = process.env.SEARCH_STEMMER;
+
+  async function uploadText(name, text) {
+    const { document } = await uploadAndIngest(request(app)
+      .post('/api/docs/upload')
+      .attach('file', Buffer.from(text), { filename: name, contentType: 'text/plain' }));
+    return document;
+  }
+
+  function search(q) {
+    return request(app).get('/api/docs/search').query({ q });
+  }
+
+  afterEach(async () => {
+    if (stemmer === undefined) delete process.env.SEARCH_STEMMER;
+    else process.env.SEARCH_STEMMER = stemmer;
+    await request(app).post('/api/admin/search-index/rebuild').expect(200);
+  });
+
+  test('should report an index built with the current settings', async () => {
+    await uploadText('a.txt', 'Kira sözleşmesi');
+    const res = await request(app).get('/api/admin/search-index').expect(200);
+    expect(res.body).toMatchObject({
+      available: true,
+      upToDate: true,
+      documents: 1,
+      settings: { tokenize: 'unicode61 remove_diacritics 2', turkishCase: true, stemmer: 'none' }
+    });
+    expect(res.body.indexedWith).toEqual(res.body.settings);
+  });
+
+  test('should detect changed settings and rebuild the index with them', async () => {
+    const doc = await uploadText('a.txt', 'Kira sözleşmelerinden biri');
+    // Whole words by default
+    expect((await search('sözleşme').expect(200)).body.results).toEqual([]);
+    expect((await search('sözleşmelerinden').expect(200)).body.results.map((r) => r.id)).toEqual([doc.id]);
+
+    process.env.SEARCH_STEMMER = 'turkish';
+    const stale = await request(app).get('/api/admin/search-index').expect(200);
+    expect(stale.body).toMatchObject({ upToDate: false, settings: { stemmer: 'turkish' }, indexedWith: { stemmer: 'none' } });
+
+    const rebuilt = await request(app).post('/api/admin/search-index/rebuild').expect(200);
+    expect(rebuilt.body).toMatchObject({ documents: 1, settings: { stemmer: 'turkish' }, previous: { stemmer: 'none' } });
+    expect((await request(app).get('/api/admin/search-index').expect(200)).body.upToDate).toBe(true);
+
+    // Suffixes are stripped now; new documents are indexed with the new settings too
+    expect((await search('sözleşme').expect(200)).body.results.map((r) => r.id)).toEqual([doc.id]);
+    const other = await uploadText('b.txt', 'Depo için yeni sözleşmeler hazırlandı');
+    expect((await search('depolar').expect(200)).body.results.map((r) => r.id)).toEqual([other.id]);
+  });
+
+  test('should keep the storage check consistent after a rebuild', async () => {
+    await uploadText('a.txt', 'Şirket İstanbul');
+    await request(app).post('/api/admin/search-index/rebuild').expect(200);
+    const res = await request(app).get('/api/admin/fsck').expect(200);
+    expect(res.body.issues).toEqual([]);
+  });
+});
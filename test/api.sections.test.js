@@ -0,0 +1,111 @@
+/**
+ * Markdown / HTML ingestion and section-aware results
+ */
+const request = require('supertest');
+
+// Mock Gemini for Q&A (no real API calls)
+jest.mock('../src/services/geminiService', () => ({
+  generateAnswer: jest.fn()
+}));
+
+const geminiService = require('../src/services/geminiService');
+const app = require('../src/app');
+const { uploadAndIngest } = require('./helpers/ingest');
+
+const MARKDOWN = [
+  '# Operations Handbook',
+  '',
+  'General rules for the operations team.',
+  '',
+  '## Backups',
+  '',
+  'Nightly snapshots are copied to the **offsite** vault.',
+  '',
+  '<script>alert("xss")</script>',
+  '',
+  '## Incidents',
+  '',
+  'Escalate outages to the [on-call engineer](https://example.com/oncall).',
+  ''
+].join('\n');
+
+const HTML = `<!DOCTYPE html>
+<html>
+  <head><title>Wiki</title><style>.x { color: red; }</style></head>
+  <body>
+    <h1>Network Guide</h1>
+    <p>Office network overview &amp; policies.</p>
+    <h2>Firewall</h2>
+    <p>Only port 443 is exposed to the internet.</p>
+    <script>document.write('tracking pixel');</script>
+    <h2>VPN</h2>
+    <p>Remote staff connect through the WireGuard gateway.</p>
+  </body>
+</html>`;
+
+describe('Markdown and HTML ingestion', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should extract Markdown text without markup and store the heading outline', async () => {
+    const { document } = await uploadAndIngest(request(app)
+      .post('/api/docs/upload')
+      .attach('file', Buffer.from(MARKDOWN), { filename: 'handbook.md', contentType: 'text/markdown' }));
+
+    expect(document.contentText).toContain('Nightly snapshots are copied to the offsite vault.');
+    expect(document.contentText).toContain('Escalate outages to the on-call engineer.');
+    expect(document.contentText).not.toMatch(/alert|\*\*|<script|https:\/\//);
+
+    const doc = await request(app).get(`/api/docs/${document.id}`).expect(200);
+    expect(doc.body.outline.map((s) => [s.level, s.title])).toEqual([
+      [1, 'Operations Handbook'],
+      [2, 'Backups'],
+      [2, 'Incidents']
+    ]);
+  });
+
+  test('should strip script/style content from HTML and keep heading hierarchy', async () => {
+    const { document } = await uploadAndIngest(request(app)
+      .post('/api/docs/upload')
+      .attach('file', Buffer.from(HTML), { filename: 'network.html', contentType: 'text/html' }));
+
+    expect(document.contentText).toContain('Office network overview & policies.');
+    expect(document.contentText).not.toMatch(/tracking pixel|color: red|Wiki/);
+    expect(document.outline.map((s) => s.title)).toEqual(['Network Guide', 'Firewall', 'VPN']);
+  });
+
+  test('should report the section of a search hit', async () => {
+    await uploadAndIngest(request(app)
+      .post('/api/docs/upload')
+      .attach('file', Buffer.from(HTML), { filename: 'network.html', contentType: 'text/html' }));
+
+    const res = await request(app).get('/api/docs/search?q=WireGuard').expect(200);
+    expect(res.body.results).toHaveLength(1);
+    expect(res.body.results[0].section).toEqual({
+      title: 'VPN',
+      level: 2,
+      path: ['Network Guide', 'VPN']
+    });
+  });
+
+  test('should include the section in Q&A citations', async () => {
+    await uploadAndIngest(request(app)
+      .post('/api/docs/upload')
+      .attach('file', Buffer.from(MARKDOWN), { filename: 'handbook.md', contentType: 'text/markdown' }));
+
+    geminiService.generateAnswer.mockImplementation(async (_question, chunks) => ({
+      answer: 'Snapshots go to the offsite vault.',
+      citations: [{ docId: chunks[0].docId, chunkId: chunks[0].chunkId, quote: 'Nightly snapshots' }],
+      confidence: 'high'
+    }));
+
+    const res = await request(app)
+      .post('/api/qa')
+      .send({ question: 'Where are nightly snapshots copied?' })
+      .expect(200);
+
+    expect(res.body.based_on_docs).toHaveLength(1);
+    expect(res.body.based_on_docs[0].section).toMatchObject({ title: 'Backups', path: ['Operations Handbook', 'Backups'] });
+  });
+});
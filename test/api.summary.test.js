@@ -6,18 +6,22 @@ const path = require('path');
 
 // Mock summary service
 jest.mock('../src/services/summaryService', () => ({
-  generateSummary: jest.fn()
+  ...jest.requireActual('../src/services/summaryService'),
+  generateSummary: jest.fn(),
+  generateLongSummary: jest.fn()
 }));
 
 const summaryService = require('../src/services/summaryService');
 const app = require('../src/app');
+const summariesRepo = require('../src/repositories/summariesRepo');
+const jobQueue = require('../src/services/jobQueue');
+const { uploadAndIngest } = require('./helpers/ingest');
 
 describe('POST /api/docs/:id/summary', () => {
   const sampleTxtPath = path.join(__dirname, 'fixtures', 'sample.txt');
   async function uploadDoc() {
-    const uploadResponse = await request(app).post('/api/docs/upload').attach('file', sampleTxtPath);
-    expect(uploadResponse.status).toBe(201);
-    return uploadResponse.body.id;
+    const { document } = await uploadAndIngest(request(app).post('/api/docs/upload').attach('file', sampleTxtPath));
+    return document.id;
   }
 
   beforeEach(() => {
@@ -53,6 +57,37 @@ describe('POST /api/docs/:id/summary', () => {
     expect(summaryService.generateSummary).toHaveBeenCalled();
   });
 
+  test('should store the summary as a typed history record', async () => {
+    const uploadedDocId = await uploadDoc();
+    summaryService.generateSummary.mockResolvedValue({
+      kind: 'short',
+      format: 'paragraph',
+      language: 'tr',
+      summary: 'Dokümanın kısa özeti.',
+      model: 'gemini-2.5-flash',
+      promptVersion: 'short-v1',
+      usage: { inputTokens: 120, outputTokens: 30, totalTokens: 150 }
+    });
+
+    await request(app).post(`/api/docs/${uploadedDocId}/summary`).expect(200);
+
+    const { results: history } = summariesRepo.listSummariesByDocId(uploadedDocId);
+    expect(history).toEqual([
+      expect.objectContaining({
+        kind: 'short',
+        format: 'paragraph',
+        language: 'tr',
+        content: 'Dokümanın kısa özeti.',
+        promptVersion: 'short-v1',
+        usage: { inputTokens: 120, outputTokens: 30, totalTokens: 150 }
+      })
+    ]);
+
+    const doc = await request(app).get(`/api/docs/${uploadedDocId}`).expect(200);
+    expect(doc.body).toHaveProperty('summary', 'Dokümanın kısa özeti.');
+    expect(doc.body.summaries.short).toMatchObject({ id: history[0].id, model: 'gemini-2.5-flash' });
+  });
+
   test('should return 502 when Gemini service fails', async () => {
     const uploadedDocId = await uploadDoc();
     // Mock Gemini error
@@ -90,3 +125,153 @@ describe('POST /api/docs/:id/summary', () => {
   });
 });
 
+describe('POST /api/docs/:id/summary/short and /summary/long', () => {
+  const sampleTxtPath = path.join(__dirname, 'fixtures', 'sample.txt');
+  async function uploadDoc() {
+    const { document } = await uploadAndIngest(request(app).post('/api/docs/upload').attach('file', sampleTxtPath));
+    return document.id;
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should serve the short summary on /summary/short', async () => {
+    const docId = await uploadDoc();
+    summaryService.generateSummary.mockResolvedValue({ summary: 'Kısa özet.', model: 'gemini-2.5-flash' });
+
+    const response = await request(app).post(`/api/docs/${docId}/summary/short`).expect(200);
+
+    expect(response.body).toMatchObject({ docId, kind: 'short', level: null, format: 'paragraph', summary: 'Kısa özet.' });
+  });
+
+  test('should generate a long summary with the requested level and format', async () => {
+    const docId = await uploadDoc();
+    summaryService.generateLongSummary.mockResolvedValue({
+      kind: 'long',
+      level: 'long',
+      format: 'bullets',
+      language: 'tr',
+      summary: '- Birinci madde.\n- İkinci madde.',
+      model: 'gemini-2.5-flash',
+      promptVersion: 'long-v1',
+      usage: { inputTokens: 900, outputTokens: 200, totalTokens: 1100 }
+    });
+
+    const response = await request(app)
+      .post(`/api/docs/${docId}/summary/long`)
+      .send({ level: 'long', format: 'bullets' })
+      .expect(200);
+
+    expect(response.body).toMatchObject({ docId, kind: 'long', level: 'long', format: 'bullets', promptVersion: 'long-v1' });
+    expect(summaryService.generateLongSummary).toHaveBeenCalledWith(
+      expect.objectContaining({ docId, level: 'long', format: 'bullets' })
+    );
+    expect(summariesRepo.getLatestSummary(docId, { kind: 'long', level: 'long' })).toMatchObject({
+      format: 'bullets',
+      content: '- Birinci madde.\n- İkinci madde.'
+    });
+  });
+
+  test('should default to a medium structured long summary', async () => {
+    const docId = await uploadDoc();
+    summaryService.generateLongSummary.mockResolvedValue({ summary: '## Amaç\nMetin.', model: 'gemini-2.5-flash' });
+
+    const response = await request(app).post(`/api/docs/${docId}/summary/long`).expect(200);
+
+    expect(response.body).toMatchObject({ kind: 'long', level: 'medium', format: 'structured' });
+  });
+
+  test('should keep short and long summaries apart', async () => {
+    const docId = await uploadDoc();
+    summaryService.generateSummary.mockResolvedValue({ summary: 'Kısa özet.', model: 'm' });
+    summaryService.generateLongSummary.mockResolvedValue({ summary: '## Amaç\nUzun özet.', model: 'm' });
+
+    await request(app).post(`/api/docs/${docId}/summary/short`).expect(200);
+    await request(app).post(`/api/docs/${docId}/summary/long`).send({ format: 'structured' }).expect(200);
+
+    const doc = await request(app).get(`/api/docs/${docId}`).expect(200);
+    expect(doc.body.summary).toBe('Kısa özet.');
+    expect(doc.body.summaries.long).toMatchObject({ content: '## Amaç\nUzun özet.', level: 'medium', format: 'structured' });
+  });
+
+  test('should reject an unknown level or format', async () => {
+    const docId = await uploadDoc();
+
+    const badLevel = await request(app).post(`/api/docs/${docId}/summary/long`).send({ level: 'huge' }).expect(400);
+    expect(badLevel.body.error).toHaveProperty('code', 'BAD_REQUEST');
+
+    await request(app).post(`/api/docs/${docId}/summary/long`).send({ format: 'table' }).expect(400);
+    expect(summaryService.generateLongSummary).not.toHaveBeenCalled();
+  });
+});
+
+describe('Map-reduce summaries of long documents', () => {
+  // Longer than one short-summary prompt takes (20,000 characters)
+  const LONG_TEXT = 'Çerçeve sözleşmeler ve ihale değerlendirme kuralları. '.repeat(500);
+
+  async function uploadLongDoc() {
+    const { document } = await uploadAndIngest(
+      request(app)
+        .post('/api/docs/upload')
+        .attach('file', Buffer.from(LONG_TEXT), { filename: 'uzun-rapor.txt', contentType: 'text/plain' })
+    );
+    return document.id;
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should run as a job and store the section summaries', async () => {
+    const docId = await uploadLongDoc();
+    summaryService.generateSummary.mockImplementation(async ({ text, onProgress }) => {
+      onProgress({ step: 'map', done: 0, total: 2 });
+      onProgress({ step: 'map', done: 1, total: 2 });
+      onProgress({ step: 'reduce', done: 1, total: 1 });
+      return {
+        summary: 'Raporun genel özeti.',
+        model: 'gemini-2.5-flash',
+        promptVersion: 'short-v1+sections-v1',
+        sections: [
+          { position: 0, title: null, startChar: 0, endChar: 12000, pageStart: null, pageEnd: null, content: 'Birinci bölüm.' },
+          { position: 1, title: null, startChar: 12000, endChar: text.length, pageStart: null, pageEnd: null, content: 'İkinci bölüm.' }
+        ]
+      };
+    });
+
+    const accepted = await request(app).post(`/api/docs/${docId}/summary/short`).expect(202);
+    expect(accepted.headers.location).toBe(`/api/jobs/${accepted.body.jobId}`);
+    expect(accepted.body.job).toMatchObject({ type: 'summary', status: 'queued', documentId: docId });
+    expect(summaryService.generateSummary).not.toHaveBeenCalled();
+
+    await jobQueue.runPendingJobs();
+
+    const job = await request(app).get(`/api/jobs/${accepted.body.jobId}`).expect(200);
+    expect(job.body).toMatchObject({
+      status: 'succeeded',
+      progress: 100,
+      result: { documentId: docId, kind: 'short', sectionCount: 2, summaryId: expect.any(Number) }
+    });
+
+    const doc = await request(app).get(`/api/docs/${docId}`).expect(200);
+    expect(doc.body.summary).toBe('Raporun genel özeti.');
+    expect(doc.body.summaries.short.id).toBe(job.body.result.summaryId);
+    expect(doc.body.summaries.short.sections.map((s) => s.content)).toEqual(['Birinci bölüm.', 'İkinci bölüm.']);
+  });
+
+  test('should record a failed summary job', async () => {
+    process.env.JOB_MAX_ATTEMPTS = '1';
+    const docId = await uploadLongDoc();
+    summaryService.generateSummary.mockRejectedValue(new Error('LLM API error'));
+
+    const accepted = await request(app).post(`/api/docs/${docId}/summary`).expect(202);
+    await jobQueue.runPendingJobs();
+    delete process.env.JOB_MAX_ATTEMPTS;
+
+    const job = await request(app).get(`/api/jobs/${accepted.body.jobId}`).expect(200);
+    expect(job.body).toMatchObject({ status: 'failed', error: { message: 'LLM API error' } });
+    const doc = await request(app).get(`/api/docs/${docId}`).expect(200);
+    expect(doc.body.summaries).toEqual({});
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Summary history endpoints (list, get, pin, delete)
+ */
+const request = require('supertest');
+const path = require('path');
+const app = require('../src/app');
+const db = require('../src/db');
+const summariesRepo = require('../src/repositories/summariesRepo');
+const { uploadAndIngest } = require('./helpers/ingest');
+
+describe('Summary history', () => {
+  const sampleTxtPath = path.join(__dirname, 'fixtures', 'sample.txt');
+  let docId;
+
+  function addSummary(content, createdAt, extra = {}) {
+    return summariesRepo.createSummary({ docId, kind: 'short', format: 'paragraph', content, model: 'm', createdAt, ...extra });
+  }
+
+  beforeEach(async () => {
+    const { document } = await uploadAndIngest(request(app).post('/api/docs/upload').attach('file', sampleTxtPath));
+    docId = document.id;
+  });
+
+  test('should list summaries newest first with pagination and kind filter', async () => {
+    addSummary('Birinci.', '2024-01-01T00:00:00.000Z');
+    addSummary('İkinci.', '2024-01-02T00:00:00.000Z');
+    addSummary('Uzun.', '2024-01-03T00:00:00.000Z', { kind: 'long', level: 'medium', format: 'structured' });
+
+    const page = await request(app).get(`/api/docs/${docId}/summaries?limit=2&offset=0`).expect(200);
+    expect(page.body).toMatchObject({ docId, total: 3, limit: 2, offset: 0 });
+    expect(page.body.results.map((s) => s.content)).toEqual(['Uzun.', 'İkinci.']);
+
+    const next = await request(app).get(`/api/docs/${docId}/summaries?limit=2&offset=2`).expect(200);
+    expect(next.body.results.map((s) => s.content)).toEqual(['Birinci.']);
+
+    const shortOnly = await request(app).get(`/api/docs/${docId}/summaries?kind=short`).expect(200);
+    expect(shortOnly.body.total).toBe(2);
+    expect(shortOnly.body.results.every((s) => s.kind === 'short')).toBe(true);
+  });
+
+  test('should validate the document and the kind', async () => {
+    await request(app).get('/api/docs/missing/summaries').expect(404);
+    const res = await request(app).get(`/api/docs/${docId}/summaries?kind=poem`).expect(400);
+    expect(res.body.error).toHaveProperty('code', 'BAD_REQUEST');
+  });
+
+  test('should return one summary with its sections', async () => {
+    const created = addSummary('Genel.', '2024-01-01T00:00:00.000Z', {
+      sections: [{ title: 'Giriş', startChar: 0, endChar: 10, content: 'Giriş özeti.' }]
+    });
+
+    const res = await request(app).get(`/api/docs/${docId}/summaries/${created.id}`).expect(200);
+    expect(res.body).toMatchObject({ id: created.id, content: 'Genel.', pinned: false });
+    expect(res.body.sections).toEqual([expect.objectContaining({ position: 0, title: 'Giriş', content: 'Giriş özeti.' })]);
+
+    await request(app).get(`/api/docs/${docId}/summaries/abc`).expect(404);
+    await request(app).get(`/api/docs/${docId}/summaries/${created.id + 1000}`).expect(404);
+  });
+
+  test('should show the pinned summary instead of the latest one', async () => {
+    const older = addSummary('Eski ama tercih edilen.', '2024-01-01T00:00:00.000Z');
+    const other = addSummary('Orta.', '2024-01-02T00:00:00.000Z');
+    addSummary('En yeni.', '2024-01-03T00:00:00.000Z');
+
+    const pinned = await request(app).put(`/api/docs/${docId}/summaries/${older.id}/pin`).expect(200);
+    expect(pinned.body).toMatchObject({ id: older.id, pinned: true, pinnedAt: expect.any(String) });
+
+    let doc = await request(app).get(`/api/docs/${docId}`).expect(200);
+    expect(doc.body.summary).toBe('Eski ama tercih edilen.');
+    expect(doc.body.summaries.short.id).toBe(older.id);
+
+    // One pin per kind: pinning another summary moves the pin
+    await request(app).put(`/api/docs/${docId}/summaries/${other.id}/pin`).expect(200);
+    expect(summariesRepo.getSummaryById(docId, older.id).pinned).toBe(false);
+
+    await request(app).delete(`/api/docs/${docId}/summaries/${other.id}/pin`).expect(200);
+    doc = await request(app).get(`/api/docs/${docId}`).expect(200);
+    expect(doc.body.summary).toBe('En yeni.');
+  });
+
+  test('should delete a single summary with its sections', async () => {
+    const keep = addSummary('Kalan.', '2024-01-01T00:00:00.000Z');
+    const drop = addSummary('Silinen.', '2024-01-02T00:00:00.000Z', {
+      sections: [{ startChar: 0, endChar: 5, content: 'Bölüm.' }]
+    });
+
+    const res = await request(app).delete(`/api/docs/${docId}/summaries/${drop.id}`).expect(200);
+    expect(res.body).toEqual({ ok: true, docId, summaryId: drop.id });
+    await request(app).delete(`/api/docs/${docId}/summaries/${drop.id}`).expect(404);
+
+    const list = await request(app).get(`/api/docs/${docId}/summaries`).expect(200);
+    expect(list.body.results.map((s) => s.id)).toEqual([keep.id]);
+    const sections = db.prepare('SELECT COUNT(*) AS c FROM summary_sections WHERE summary_id = ?').get(drop.id);
+    expect(sections.c).toBe(0);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Trash endpoint tests (restore, purge, automatic purge)
+ */
+const request = require('supertest');
+const path = require('path');
+
+const app = require('../src/app');
+const db = require('../src/db');
+const blobStore = require('../src/services/blobStore');
+const trashService = require('../src/services/trashService');
+const { uploadAndIngest } = require('./helpers/ingest');
+
+const sampleTxtPath = path.join(__dirname, 'fixtures', 'sample.txt');
+const conflictPath = path.join(__dirname, 'fixtures', 'conflict1.txt');
+
+async function uploadAndTrash(filePath) {
+  const { document } = await uploadAndIngest(request(app).post('/api/docs/upload').attach('file', filePath));
+  await request(app).delete(`/api/docs/${document.id}`).expect(200);
+  return document;
+}
+
+function countRows(table, docId) {
+  return db.prepare(`SELECT COUNT(*) FROM ${table} WHERE doc_id = ?`).pluck().get(docId);
+}
+
+describe('Trash', () => {
+  afterEach(() => {
+    delete process.env.TRASH_RETENTION_DAYS;
+  });
+
+  test('should list trashed documents with their purge date', async () => {
+    const first = await uploadAndTrash(sampleTxtPath);
+    const second = await uploadAndTrash(conflictPath);
+
+    const res = await request(app).get('/api/trash').expect(200);
+
+    expect(res.body).toMatchObject({ total: 2, limit: 50, offset: 0, retentionDays: 30 });
+    expect(res.body.results.map((d) => d.id)).toEqual([second.id, first.id]);
+    expect(res.body.results[0]).toMatchObject({ originalName: 'conflict1.txt', status: 'ready' });
+    expect(res.body.results[0].purgeAt > res.body.results[0].deletedAt).toBe(true);
+  });
+
+  test('should restore a document into listing and search', async () => {
+    const document = await uploadAndTrash(sampleTxtPath);
+
+    const restored = await request(app).post(`/api/trash/${document.id}/restore`).expect(200);
+    expect(restored.body).toMatchObject({ id: document.id, deletedAt: null, status: 'ready' });
+
+    await request(app).get(`/api/docs/${document.id}`).expect(200);
+    await request(app).get(`/api/docs/${document.id}/download`).expect(200);
+    const search = await request(app).get('/api/docs/search?q=sample').expect(200);
+    expect(search.body.results.map((r) => r.id)).toEqual([document.id]);
+    expect((await request(app).get('/api/trash').expect(200)).body.total).toBe(0);
+
+    // Only trashed documents can be restored
+    await request(app).post(`/api/trash/${document.id}/restore`).expect(404);
+  });
+
+  test('should purge a trashed document for good', async () => {
+    const document = await uploadAndTrash(sampleTxtPath);
+    db.prepare(
+      `INSERT INTO summaries (doc_id, kind, content, model, created_at) VALUES (?, 'short', 's', 'm', ?)`
+    ).run(document.id, new Date().toISOString());
+
+    const res = await request(app).delete(`/api/trash/${document.id}`).expect(200);
+    expect(res.body).toEqual({ ok: true, docId: document.id });
+
+    expect(db.prepare('SELECT COUNT(*) FROM documents WHERE id = ?').pluck().get(document.id)).toBe(0);
+    expect(countRows('summaries', document.id)).toBe(0);
+    expect(countRows('documents_fts', document.id)).toBe(0);
+    expect(await blobStore.hasBlob(document.sha256)).toBe(false);
+    await request(app).post(`/api/trash/${document.id}/restore`).expect(404);
+  });
+
+  test('should not purge documents that are not in the trash', async () => {
+    const { document } = await uploadAndIngest(request(app).post('/api/docs/upload').attach('file', sampleTxtPath));
+
+    await request(app).delete(`/api/trash/${document.id}`).expect(404);
+    await request(app).get(`/api/docs/${document.id}`).expect(200);
+  });
+
+  test('should empty the trash', async () => {
+    const trashed = await uploadAndTrash(sampleTxtPath);
+    const { document: kept } = await uploadAndIngest(request(app).post('/api/docs/upload').attach('file', conflictPath));
+
+    const res = await request(app).delete('/api/trash').expect(200);
+    expect(res.body).toEqual({ ok: true, purged: 1, docIds: [trashed.id] });
+    await request(app).get(`/api/docs/${kept.id}`).expect(200);
+  });
+
+  test('should point re-uploads of a trashed file at the trash', async () => {
+    const document = await uploadAndTrash(sampleTxtPath);
+
+    const res = await request(app).post('/api/docs/upload').attach('file', sampleTxtPath).expect(409);
+    expect(res.body.error).toMatchObject({ code: 'DUPLICATE_DOC', message: expect.stringMatching(/in trash/) });
+
+    const batch = await request(app).post('/api/docs/upload/batch').attach('files', sampleTxtPath).expect(200);
+    expect(batch.body.results[0]).toMatchObject({ status: 'duplicate', existingDocumentId: document.id, inTrash: true });
+  });
+
+  test('should purge documents older than the retention period', async () => {
+    const old = await uploadAndTrash(sampleTxtPath);
+    const recent = await uploadAndTrash(conflictPath);
+    const longAgo = new Date(Date.now() - 31 * 24 * 60 * 60 * 1000).toISOString();
+    db.prepare('UPDATE documents SET deleted_at = ? WHERE id = ?').run(longAgo, old.id);
+
+    process.env.TRASH_RETENTION_DAYS = '0';
+    expect(await trashService.purgeExpired()).toEqual([]);
+
+    process.env.TRASH_RETENTION_DAYS = '30';
+    expect(await trashService.purgeExpired()).toEqual([old.id]);
+
+    const trash = await request(app).get('/api/trash').expect(200);
+    expect(trash.body.results.map((d) => d.id)).toEqual([recent.id]);
+  });
+});
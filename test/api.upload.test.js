@@ -5,25 +5,113 @@ const request = require('supertest');
 const app = require('../src/app');
 const path = require('path');
 const fs = require('fs');
+const AdmZip = require('adm-zip');
+const { finishIngestion, uploadAndIngest } = require('./helpers/ingest');
+
+function buildDocx() {
+  const zip = new AdmZip();
+  zip.addFile('word/document.xml', Buffer.from(
+    '<?xml version="1.0" encoding="UTF-8"?>' +
+    '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>' +
+    '<w:p><w:pPr><w:pStyle w:val="Heading1"/></w:pPr><w:r><w:t>Service Agreement</w:t></w:r></w:p>' +
+    '<w:p><w:r><w:t xml:space="preserve">The supplier delivers </w:t></w:r><w:r><w:t>monthly reports.</w:t></w:r></w:p>' +
+    '<w:tbl><w:tr><w:tc><w:p><w:r><w:t>Penalty</w:t></w:r></w:p></w:tc>' +
+    '<w:tc><w:p><w:r><w:t>Five percent</w:t></w:r></w:p></w:tc></w:tr></w:tbl>' +
+    '</w:body></w:document>'
+  ));
+  zip.addFile('word/footnotes.xml', Buffer.from(
+    '<?xml version="1.0" encoding="UTF-8"?>' +
+    '<w:footnotes xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+    '<w:footnote w:type="separator" w:id="-1"><w:p><w:r><w:separator/></w:r></w:p></w:footnote>' +
+    '<w:footnote w:id="1"><w:p><w:r><w:t>Governed by arbitration rules.</w:t></w:r></w:p></w:footnote>' +
+    '</w:footnotes>'
+  ));
+  return zip.toBuffer();
+}
+
+function buildOdt() {
+  const zip = new AdmZip();
+  zip.addFile('mimetype', Buffer.from('application/vnd.oasis.opendocument.text'));
+  zip.addFile('content.xml', Buffer.from(
+    '<?xml version="1.0" encoding="UTF-8"?>' +
+    '<office:document-content xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0" ' +
+    'xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0" ' +
+    'xmlns:table="urn:oasis:names:tc:opendocument:xmlns:table:1.0"><office:body><office:text>' +
+    '<text:h text:outline-level="1">Project Charter</text:h>' +
+    '<text:p>Scope covers<text:s/>the migration<text:note text:note-class="footnote">' +
+    '<text:note-citation>1</text:note-citation><text:note-body><text:p>Excluding legacy archives.</text:p>' +
+    '</text:note-body></text:note> of billing.</text:p>' +
+    '<table:table><table:table-row><table:table-cell><text:p>Budget</text:p></table:table-cell>' +
+    '<table:table-cell><text:p>Approved</text:p></table:table-cell></table:table-row></table:table>' +
+    '</office:text></office:body></office:document-content>'
+  ));
+  return zip.toBuffer();
+}
 
 describe('POST /api/docs/upload', () => {
   const sampleTxtPath = path.join(__dirname, 'fixtures', 'sample.txt');
 
-  test('should upload a valid text file successfully', async () => {
+  test('should accept a valid text file and ingest it in the background', async () => {
     const response = await request(app)
       .post('/api/docs/upload')
       .attach('file', sampleTxtPath)
-      .expect(201);
-
-    expect(response.body).toHaveProperty('id');
-    expect(response.body).toHaveProperty('originalName');
-    expect(response.body).toHaveProperty('mimeType', 'text/plain');
-    expect(response.body).toHaveProperty('size');
-    expect(response.body).toHaveProperty('storedPath');
-    expect(response.body).toHaveProperty('createdAt');
-    expect(response.body).toHaveProperty('extractedText');
-    expect(response.body.extractedText).toHaveProperty('charCount');
-    expect(response.body.extractedText).toHaveProperty('preview');
+      .expect(202);
+
+    expect(response.body).toHaveProperty('jobId');
+    expect(response.headers.location).toBe(`/api/jobs/${response.body.jobId}`);
+    expect(response.body.job).toMatchObject({ id: response.body.jobId, type: 'ingest', status: 'queued' });
+    expect(response.body.document).toHaveProperty('id');
+    expect(response.body.document).toHaveProperty('originalName');
+    expect(response.body.document).toHaveProperty('mimeType', 'text/plain');
+    expect(response.body.document).toHaveProperty('size');
+    expect(response.body.document).toHaveProperty('storedPath');
+    expect(response.body.document).toHaveProperty('createdAt');
+    expect(response.body.document).toHaveProperty('status', 'pending');
+    expect(response.body.document.contentText).toBeNull();
+
+    const { job, document } = await finishIngestion(response);
+    expect(job).toMatchObject({ status: 'succeeded', progress: 100, attempts: 1, error: null });
+    expect(job.result).toHaveProperty('charCount');
+    expect(job.result).toHaveProperty('preview');
+    expect(document).toHaveProperty('status', 'ready');
+    expect(document.contentText.length).toBe(job.result.charCount);
+  });
+
+  test('should upload a DOCX file and index body, table and footnote text', async () => {
+    const { document } = await uploadAndIngest(request(app)
+      .post('/api/docs/upload')
+      .attach('file', buildDocx(), { filename: 'agreement.docx' }));
+
+    expect(document).toHaveProperty('mimeType', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+    expect(document.contentText).toContain('Service Agreement');
+    expect(document.contentText).toContain('The supplier delivers monthly reports.');
+    expect(document.contentText).toContain('Penalty');
+    expect(document.contentText).toContain('Governed by arbitration rules.');
+
+    const search = await request(app).get('/api/docs/search?q=arbitration').expect(200);
+    expect(search.body.results.map((r) => r.id)).toContain(document.id);
+  });
+
+  test('should upload an ODT file and index headings, tables and notes', async () => {
+    const { document } = await uploadAndIngest(request(app)
+      .post('/api/docs/upload')
+      .attach('file', buildOdt(), { filename: 'charter.odt' }));
+
+    expect(document).toHaveProperty('mimeType', 'application/vnd.oasis.opendocument.text');
+    expect(document.contentText).toContain('Project Charter');
+    expect(document.contentText).toContain('Scope covers the migration of billing.');
+    expect(document.contentText).toContain('Budget');
+    expect(document.contentText).toContain('Excluding legacy archives.');
+    expect(document.contentText).not.toContain('migration1');
+  });
+
+  test('should return 415 for a DOCX file that is not a ZIP container', async () => {
+    const response = await request(app)
+      .post('/api/docs/upload')
+      .attach('file', Buffer.from('this is not a zip container'), { filename: 'broken.docx' })
+      .expect(415);
+
+    expect(response.body.error).toHaveProperty('code', 'UNSUPPORTED_MEDIA_TYPE');
   });
 
   test('should return 400 when no file is uploaded', async () => {
@@ -60,9 +148,9 @@ describe('POST /api/docs/upload', () => {
     const firstResponse = await request(app)
       .post('/api/docs/upload')
       .attach('file', sampleTxtPath)
-      .expect(201);
+      .expect(202);
 
-    const firstDocId = firstResponse.body.id;
+    const firstDocId = firstResponse.body.document.id;
 
     // Try to upload the same file again
     const secondResponse = await request(app)
@@ -75,3 +163,24 @@ describe('POST /api/docs/upload', () => {
   });
 });
 
+
+describe('GET /api/docs', () => {
+  test('should list metadata without the document text', async () => {
+    const { document } = await uploadAndIngest(request(app)
+      .post('/api/docs/upload')
+      .attach('file', path.join(__dirname, 'fixtures', 'sample.txt')));
+
+    const list = await request(app).get('/api/docs').expect(200);
+    expect(list.body).toHaveLength(1);
+    expect(list.body[0]).toMatchObject({
+      id: document.id,
+      originalName: document.originalName,
+      mimeType: 'text/plain',
+      size: document.size,
+      sha256: document.sha256,
+      status: 'ready',
+      extractionMethod: 'text'
+    });
+    expect(list.body[0]).not.toHaveProperty('contentText');
+  });
+});
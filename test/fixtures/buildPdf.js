@@ -0,0 +1,44 @@
+/**
+ * Minimal PDF writer for tests (one Helvetica text line per page)
+ */
+
+/**
+ * Build a minimal PDF; empty strings produce pages without a text layer (like scans)
+ * @param {Array<string>} pageTexts
+ * @returns {Buffer}
+ */
+function buildPdf(pageTexts) {
+  const objects = [];
+  const add = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const fontId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>');
+  const pagesId = objects.length + 1 + pageTexts.length * 2;
+  const pageIds = [];
+  for (const t of pageTexts) {
+    const stream = t ? `BT /F1 12 Tf 72 720 Td (${t}) Tj ET` : '';
+    const contentId = add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+    pageIds.push(add(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 612 792] ` +
+      `/Resources << /Font << /F1 ${fontId} 0 R >> >> /Contents ${contentId} 0 R >>`
+    ));
+  }
+  add(`<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`);
+  const catalogId = add(`<< /Type /Catalog /Pages ${pagesId} 0 R >>`);
+
+  let out = '%PDF-1.4\n';
+  const offsets = [];
+  objects.forEach((body, i) => {
+    offsets.push(out.length);
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+  });
+  const xrefOffset = out.length;
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  for (const o of offsets) out += `${String(o).padStart(10, '0')} 00000 n \n`;
+  out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+  return Buffer.from(out, 'latin1');
+}
+
+module.exports = { buildPdf };
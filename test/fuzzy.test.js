@@ -0,0 +1,29 @@
+const { maxEditsFor, trigrams, editDistance } = require('../src/utils/fuzzy');
+
+describe('near-match helpers', () => {
+  test('counts insertions, deletions, substitutions and swapped neighbours as one edit', () => {
+    expect(editDistance('fatura', 'fatura', 2)).toBe(0);
+    expect(editDistance('fatura', 'faturra', 2)).toBe(1);
+    expect(editDistance('fatura', 'fatra', 2)).toBe(1);
+    expect(editDistance('fatura', 'fatora', 2)).toBe(1);
+    expect(editDistance('kira', 'kria', 2)).toBe(1);
+    expect(editDistance('sozlesm', 'szolsem', 2)).toBe(2);
+  });
+
+  test('stops counting above the maximum', () => {
+    expect(editDistance('abc', 'xyz', 1)).toBe(2);
+    expect(editDistance('a', 'abcdef', 2)).toBe(3);
+  });
+
+  test('allows more edits for longer words and none for very short ones', () => {
+    expect(maxEditsFor('ev')).toBe(0);
+    expect(maxEditsFor('kira')).toBe(1);
+    expect(maxEditsFor('sozlesm')).toBe(2);
+  });
+
+  test('splits a word into distinct trigrams', () => {
+    expect(trigrams('sozlesm')).toEqual(['soz', 'ozl', 'zle', 'les', 'esm']);
+    expect(trigrams('aaaa')).toEqual(['aaa']);
+    expect(trigrams('ab')).toEqual([]);
+  });
+});
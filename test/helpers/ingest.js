@@ -0,0 +1,32 @@
+/**
+ * Test helpers for the background ingestion pipeline
+ * Uploads answer 202 and queue a job; tests run the queue explicitly instead of starting the worker.
+ */
+const request = require('supertest');
+const app = require('../../src/app');
+const jobQueue = require('../../src/services/jobQueue');
+
+/**
+ * Run every due job, then return the job and the document of an accepted upload
+ * @param {Object} accepted - 202 response of an upload
+ * @returns {Promise<{ job: Object, document: Object }>} - GET /api/jobs/:id and GET /api/docs/:id bodies
+ */
+async function finishIngestion(accepted) {
+  await jobQueue.runPendingJobs();
+  const job = await request(app).get(`/api/jobs/${accepted.body.jobId}`).expect(200);
+  const document = await request(app).get(`/api/docs/${accepted.body.document.id}`).expect(200);
+  return { job: job.body, document: document.body };
+}
+
+/**
+ * Await an upload request, expect 202 and run its ingest job
+ * @param {Object} uploadRequest - supertest request (not yet awaited)
+ * @returns {Promise<{ accepted: Object, job: Object, document: Object }>}
+ */
+async function uploadAndIngest(uploadRequest) {
+  const accepted = await uploadRequest.expect(202);
+  const { job, document } = await finishIngestion(accepted);
+  return { accepted: accepted.body, job, document };
+}
+
+module.exports = { finishIngestion, uploadAndIngest };
@@ -0,0 +1,246 @@
+/**
+ * Migration runner tests (separate in-memory databases, not the shared test DB)
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { BLOB_DIR, setStorage } = require('../src/services/storage');
+const { blobKey } = require('../src/services/blobStore');
+const { loadMigrations, getMigrationStatus, migrate } = require('../src/db/migrate');
+const { moveLegacyBlobs } = require('../src/services/legacyBlobService');
+
+function tableNames(db) {
+  return db.prepare("SELECT name FROM sqlite_master WHERE type IN ('table', 'view')").all().map((r) => r.name);
+}
+
+function columnNames(db, table) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().map((r) => r.name);
+}
+
+describe('Migration runner', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  test('should let connections without the search functions write documents', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrate-test-'));
+    const file = path.join(dir, 'app.db');
+    try {
+      const migrated = new Database(file);
+      migrate(migrated);
+      migrated.close();
+
+      // Like the sqlite3 shell: search_text() and search_passages() are not registered here
+      const plain = new Database(file);
+      try {
+        plain.prepare(`
+          INSERT INTO documents (id, original_name, stored_name, stored_path, mime_type, size, sha256, created_at, content_text)
+          VALUES ('d1', 'a.txt', 'a.txt', '/tmp/a.txt', 'text/plain', 4, 'abc', '2024-01-01T00:00:00.000Z', 'Kira')
+        `).run();
+        plain.prepare("UPDATE documents SET original_name = 'b.txt', content_text = 'Depo' WHERE id = 'd1'").run();
+        plain.prepare("DELETE FROM documents WHERE id = 'd1'").run();
+      } finally {
+        plain.close();
+      }
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should load numbered migration files in order', () => {
+    const migrations = loadMigrations();
+    expect(migrations[0]).toMatchObject({ version: 1, name: 'baseline', file: '001_baseline.js' });
+    const versions = migrations.map((m) => m.version);
+    expect(versions).toEqual([...versions].sort((a, b) => a - b));
+  });
+
+  test('should apply all migrations to a fresh database once', () => {
+    const latest = loadMigrations().slice(-1)[0].version;
+
+    const first = migrate(db);
+    expect(first.applied[0]).toEqual({ version: 1, name: 'baseline' });
+    expect(first.currentVersion).toBe(latest);
+    expect(tableNames(db)).toEqual(expect.arrayContaining(['documents', 'documents_fts', 'jobs', 'schema_migrations']));
+
+    const second = migrate(db);
+    expect(second.applied).toEqual([]);
+
+    const status = getMigrationStatus(db);
+    expect(status.pending).toEqual([]);
+    expect(status.applied.map((m) => m.version)).toContain(1);
+  });
+
+  test('should change nothing in dry-run mode', () => {
+    const result = migrate(db, { dryRun: true });
+
+    expect(result.dryRun).toBe(true);
+    expect(result.applied.length).toBeGreaterThan(0);
+    expect(result.currentVersion).toBe(0);
+    expect(tableNames(db)).not.toContain('documents');
+    expect(getMigrationStatus(db).applied).toEqual([]);
+  });
+
+  test('should roll back a failing migration and keep the earlier ones', () => {
+    const migrations = [
+      { version: 1, name: 'create_notes', up: (d) => d.exec('CREATE TABLE notes (id INTEGER PRIMARY KEY)') },
+      {
+        version: 2,
+        name: 'broken',
+        up: (d) => {
+          d.exec('ALTER TABLE notes ADD COLUMN body TEXT');
+          d.exec('ALTER TABLE missing_table ADD COLUMN x TEXT');
+        }
+      }
+    ];
+
+    expect(() => migrate(db, { migrations })).toThrow(/Migration 2 \(broken\) failed/);
+
+    expect(getMigrationStatus(db, { migrations }).currentVersion).toBe(1);
+    expect(columnNames(db, 'notes')).toEqual(['id']);
+  });
+
+  test('should stop at the requested version', () => {
+    const migrations = [
+      { version: 1, name: 'one', up: (d) => d.exec('CREATE TABLE one (id INTEGER)') },
+      { version: 2, name: 'two', up: (d) => d.exec('CREATE TABLE two (id INTEGER)') }
+    ];
+
+    expect(migrate(db, { migrations, to: 1 }).currentVersion).toBe(1);
+    expect(getMigrationStatus(db, { migrations }).pending).toEqual([{ version: 2, name: 'two' }]);
+  });
+
+  test('should refuse to run against a database with unknown versions', () => {
+    migrate(db, { migrations: [{ version: 1, name: 'one', up: () => {} }] });
+    db.prepare("INSERT INTO schema_migrations (version, name, applied_at) VALUES (99, 'future', 'x')").run();
+
+    expect(() => migrate(db, { migrations: [{ version: 1, name: 'one', up: () => {} }] })).toThrow(/does not know/);
+  });
+
+  test('should bring a pre-migration database up to the baseline', () => {
+    // documents as created by the first release, with one row
+    db.exec(`
+      CREATE TABLE documents (
+        id TEXT PRIMARY KEY, original_name TEXT NOT NULL, stored_name TEXT NOT NULL,
+        stored_path TEXT NOT NULL, mime_type TEXT NOT NULL, size INTEGER NOT NULL,
+        sha256 TEXT NOT NULL, created_at TEXT NOT NULL
+      )
+    `);
+    db.prepare(`
+      INSERT INTO documents VALUES ('d1', 'old.txt', 'old.txt', '/tmp/old.txt', 'text/plain', 10, 'abc', '2024-01-01')
+    `).run();
+
+    migrate(db);
+
+    expect(columnNames(db, 'documents')).toEqual(expect.arrayContaining(['content_text', 'pages_json', 'status']));
+    expect(db.prepare("SELECT status FROM documents WHERE id = 'd1'").get().status).toBe('ready');
+    expect(db.prepare("SELECT doc_id FROM documents_fts WHERE documents_fts MATCH 'old'").all()).toEqual([{ doc_id: 'd1' }]);
+  });
+
+  test('should move summary columns and history into the typed summaries table', () => {
+    migrate(db, { to: 1 });
+    db.prepare(`
+      INSERT INTO documents (id, original_name, stored_name, stored_path, mime_type, size, sha256, created_at,
+        summary, summary_created_at, summary_model, summary_long, summary_long_created_at, summary_long_model,
+        summary_long_level)
+      VALUES ('d1', 'a.txt', 'a.txt', '/tmp/a.txt', 'text/plain', 1, 'h1', '2024-01-01',
+        'Kısa özet.', '2024-02-01', 'm1', 'Uzun özet.', '2024-03-01', 'm2', 'detailed')
+    `).run();
+    db.prepare(`
+      INSERT INTO document_summaries (doc_id, summary, model, created_at) VALUES
+        ('d1', 'Eski özet.', 'm0', '2024-01-15'), ('d1', 'Kısa özet.', 'm1', '2024-02-01')
+    `).run();
+
+    migrate(db);
+
+    const rows = db.prepare('SELECT kind, level, content, model, created_at FROM summaries ORDER BY created_at').all();
+    expect(rows).toEqual([
+      { kind: 'short', level: null, content: 'Eski özet.', model: 'm0', created_at: '2024-01-15' },
+      { kind: 'short', level: null, content: 'Kısa özet.', model: 'm1', created_at: '2024-02-01' },
+      { kind: 'long', level: 'detailed', content: 'Uzun özet.', model: 'm2', created_at: '2024-03-01' }
+    ]);
+    expect(tableNames(db)).not.toContain('document_summaries');
+    expect(columnNames(db, 'documents').filter((c) => c.startsWith('summary'))).toEqual([]);
+  });
+
+  function insertLegacyDocument(bytes) {
+    const sha256 = crypto.createHash('sha256').update(bytes).digest('hex');
+    const uploadPath = path.join(process.env.UPLOADS_DIR, 'legacy.txt');
+    fs.writeFileSync(uploadPath, bytes);
+    db.prepare(`
+      INSERT INTO documents (id, original_name, stored_name, stored_path, mime_type, size, sha256, created_at, content_blob)
+      VALUES ('d1', 'legacy.txt', 'legacy.txt', ?, 'text/plain', ?, ?, '2024-01-01', ?)
+    `).run(uploadPath, bytes.length, sha256, bytes);
+    return { sha256, uploadPath, blobPath: path.join(BLOB_DIR, blobKey(sha256)) };
+  }
+
+  test('should move content_blob bytes into the blob store and drop the column', async () => {
+    migrate(db, { to: 4 });
+    const bytes = Buffer.from('eski dosya içeriği');
+    const { sha256, uploadPath, blobPath } = insertLegacyDocument(bytes);
+
+    migrate(db);
+
+    const row = db.prepare("SELECT blob_sha256, stored_path FROM documents WHERE id = 'd1'").get();
+    expect(row).toEqual({ blob_sha256: sha256, stored_path: blobPath });
+    expect(columnNames(db, 'documents')).not.toContain('content_blob');
+    // Files are only touched after the commit
+    expect(fs.existsSync(blobPath)).toBe(false);
+    expect(fs.existsSync(uploadPath)).toBe(true);
+
+    expect(await moveLegacyBlobs(db)).toEqual({ moved: 1, removedUploads: 1 });
+    expect(fs.readFileSync(blobPath).equals(bytes)).toBe(true);
+    // The upload copy held the same bytes
+    expect(fs.existsSync(uploadPath)).toBe(false);
+    expect(db.prepare('SELECT COUNT(*) FROM legacy_blobs').pluck().get()).toBe(0);
+    expect(await moveLegacyBlobs(db)).toEqual({ moved: 0, removedUploads: 0 });
+  });
+
+  test('should store migrated blobs through the configured storage driver', async () => {
+    const stored = new Map();
+    setStorage({
+      name: 'memory',
+      locate: (key) => `memory://${key}`,
+      exists: async (key) => stored.has(key),
+      put: async (key, filePath) => {
+        stored.set(key, fs.readFileSync(filePath));
+        fs.unlinkSync(filePath);
+      }
+    });
+    try {
+      migrate(db, { to: 4 });
+      const bytes = Buffer.from('eski dosya içeriği');
+      const { sha256, uploadPath } = insertLegacyDocument(bytes);
+
+      migrate(db);
+      expect(db.prepare("SELECT stored_path FROM documents WHERE id = 'd1'").pluck().get())
+        .toBe(`memory://${blobKey(sha256)}`);
+
+      await moveLegacyBlobs(db);
+      expect(stored.get(blobKey(sha256)).equals(bytes)).toBe(true);
+      expect(fs.existsSync(path.join(BLOB_DIR, blobKey(sha256)))).toBe(false);
+      expect(fs.existsSync(uploadPath)).toBe(false);
+    } finally {
+      setStorage(null);
+    }
+  });
+
+  test('should leave the files alone in a dry run of the blob store migration', () => {
+    migrate(db, { to: 4 });
+    const { uploadPath, blobPath } = insertLegacyDocument(Buffer.from('eski dosya içeriği'));
+
+    migrate(db, { dryRun: true });
+
+    expect(fs.existsSync(uploadPath)).toBe(true);
+    expect(fs.existsSync(blobPath)).toBe(false);
+    expect(db.prepare("SELECT stored_path FROM documents WHERE id = 'd1'").pluck().get()).toBe(uploadPath);
+    expect(columnNames(db, 'documents')).toContain('content_blob');
+  });
+});
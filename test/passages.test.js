@@ -0,0 +1,28 @@
+const { splitPassages, MIN_PASSAGE_WORDS, MAX_PASSAGE_WORDS } = require('../src/utils/passages');
+
+function words(n, prefix = 'w') {
+  return Array.from({ length: n }, (_, i) => `${prefix}${i}`).join(' ');
+}
+
+describe('passages', () => {
+  test('keeps a short text in one passage without leading or trailing punctuation', () => {
+    expect(splitPassages('  "Kira sözleşmesi."  ')).toEqual([{ startChar: 3, endChar: 18 }]);
+    expect(splitPassages('')).toEqual([]);
+    expect(splitPassages(null)).toEqual([]);
+  });
+
+  test('ends passages at the first sentence end after the minimum length', () => {
+    const first = `${words(MIN_PASSAGE_WORDS - 1)} son.`;
+    const text = `${first} ${words(10, 'x')}. ${words(5, 'y')}`;
+    const passages = splitPassages(text);
+    expect(passages).toHaveLength(2);
+    expect(text.slice(passages[0].startChar, passages[0].endChar)).toBe(first.slice(0, -1));
+    expect(text.slice(passages[1].startChar, passages[1].endChar)).toBe(`${words(10, 'x')}. ${words(5, 'y')}`);
+  });
+
+  test('cuts passages without sentence ends at the maximum length', () => {
+    const passages = splitPassages(words(MAX_PASSAGE_WORDS * 2 + 1));
+    expect(passages).toHaveLength(3);
+    expect(passages[1].startChar).toBe(passages[0].endChar + 1);
+  });
+});
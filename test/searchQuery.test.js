@@ -0,0 +1,72 @@
+const { parseSearchQuery, toFtsQuery, toQueryString, positiveTerms } = require('../src/utils/searchQuery');
+
+function fts(q) {
+  return toFtsQuery(parseSearchQuery(q));
+}
+
+function parseError(q) {
+  try {
+    parseSearchQuery(q);
+  } catch (error) {
+    return error;
+  }
+  throw new Error(`"${q}" parsed`);
+}
+
+describe('search query syntax', () => {
+  test('requires all words by default and quotes every word', () => {
+    expect(fts('kira sözleşmesi')).toBe('("kira") AND ("sözleşmesi")');
+    expect(fts('kira AND sözleşmesi')).toBe('("kira") AND ("sözleşmesi")');
+    expect(fts('name:secret')).toBe('"name:secret"');
+    expect(fts('and or not')).toBe('("and") AND ("or") AND ("not")');
+  });
+
+  test('supports phrases, prefixes, OR, NOT and grouping', () => {
+    expect(fts('"net thirty days"')).toBe('"net thirty days"');
+    expect(fts('"net thir"*')).toBe('"net thir"*');
+    expect(fts('pay*')).toBe('"pay"*');
+    expect(fts('a OR b c')).toBe('("a") OR (("b") AND ("c"))');
+    expect(fts('(a OR b) -c')).toBe('(("a") OR ("b")) NOT ("c")');
+    expect(fts('a AND NOT "b c"')).toBe('("a") NOT ("b c")');
+    expect(fts('a -(b -c)')).toBe('("a") NOT (("b") NOT ("c"))');
+    expect(fts('a -(-b)')).toBe('("a") AND ("b")');
+  });
+
+  test('keeps hyphenated words and escapes quotes', () => {
+    expect(fts('e-posta')).toBe('"e-posta"');
+    expect(fts('a - b')).toBe('("a") AND ("b")');
+    expect(fts('it\'s')).toBe('"it\'s"');
+  });
+
+  test('lists the words a match contains', () => {
+    expect(positiveTerms(parseSearchQuery('"net thirty" OR pay* -late'))).toEqual(['net thirty', 'pay']);
+  });
+
+  test('renders a tree back as an equivalent query', () => {
+    for (const q of ['a b', 'a OR b c', '(a OR b) -c', 'a AND NOT (b OR c)', '"x y"* z*']) {
+      const parsed = parseSearchQuery(q);
+      expect(parseSearchQuery(toQueryString(parsed))).toEqual(parsed);
+    }
+    expect(toQueryString(parseSearchQuery('a AND (b OR c) NOT d'))).toBe('a (b OR c) -d');
+  });
+
+  test.each([
+    ['"unterminated', /unterminated quote/],
+    ['(a OR b', /missing "\)"/],
+    ['a)', /unexpected "\)"/],
+    ['a OR', /OR needs a term/],
+    ['AND a', /unexpected AND/],
+    ['()', /empty group/],
+    ['a*b', /only allowed at the end/],
+    ['*', /needs a word/],
+    ['-a', /NOT needs a positive term/],
+    ['NOT a', /NOT needs a positive term/],
+    ['a OR -b', /NOT needs a positive term/],
+    ['!!!', /no words/],
+    ['('.repeat(30) + 'a' + ')'.repeat(30), /too many nested groups/]
+  ])('rejects %s', (q, message) => {
+    const error = parseError(q);
+    expect(error).toMatchObject({ statusCode: 400, code: 'BAD_QUERY' });
+    expect(error.message).toMatch(message);
+  });
+});
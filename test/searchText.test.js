@@ -0,0 +1,119 @@
+const {
+  getSearchTextSettings, normalizeWord, normalizeWords, indexText, stemTurkish, settingsSignature
+} = require('../src/utils/searchText');
+const { parseSearchQuery, toFtsQuery } = require('../src/utils/searchQuery');
+const { buildMatchers, analyzeText, snippetRanges, snippetOf } = require('../src/utils/searchHighlight');
+
+const defaults = { foldDiacritics: true, turkishCase: true, stemmer: 'turkish' };
+
+describe('search text normalization', () => {
+  test('folds Turkish case: I, İ, ı and i are one letter', () => {
+    for (const word of ['İstanbul', 'ISTANBUL', 'istanbul', 'ıstanbul']) {
+      expect(normalizeWord(word, defaults)).toBe('istanbul');
+    }
+    expect(normalizeWord('IŞIK', { ...defaults, foldDiacritics: false, stemmer: 'none' })).toBe('işik');
+  });
+
+  test('folds diacritics unless turned off', () => {
+    expect(normalizeWord('Şirket', defaults)).toBe('sirket');
+    expect(normalizeWord('çağrı', { ...defaults, stemmer: 'none' })).toBe('cagri');
+    expect(normalizeWord('çağrı', { ...defaults, foldDiacritics: false, stemmer: 'none' })).toBe('çağri');
+  });
+
+  test('stems inflected forms of a word to the same stem', () => {
+    const forms = ['sözleşme', 'sözleşmeler', 'sözleşmenin', 'sözleşmesi', 'sözleşmelerinden'];
+    expect(new Set(forms.map((w) => normalizeWord(w, defaults)))).toEqual(new Set(['sozlesm']));
+    expect(normalizeWord('şirketler', defaults)).toBe(normalizeWord('şirket', defaults));
+    expect(normalizeWord('sözleşmeler', { ...defaults, stemmer: 'none' })).toBe('sozlesmeler');
+  });
+
+  test('strips suffixes written with ı and ü after folding', () => {
+    expect(normalizeWord('kitapları', defaults)).toBe('kitap');
+    expect(normalizeWord('kitaplari', defaults)).toBe('kitap');
+    expect(normalizeWord('kapısı', defaults)).toBe(normalizeWord('kapı', defaults));
+    expect(normalizeWord('sürücünün', defaults)).toBe(normalizeWord('sürücü', defaults));
+
+    // Unfolded letters are matched as written
+    const unfolded = { ...defaults, foldDiacritics: false };
+    expect(normalizeWord('sürücünün', unfolded)).toBe('sürüc');
+    const caseOnly = { ...defaults, turkishCase: false };
+    expect(normalizeWord('kitapları', caseOnly)).toBe('kitap');
+  });
+
+  test('keeps short words and stems of at least four letters', () => {
+    expect(stemTurkish('ev')).toBe('ev');
+    expect(stemTurkish('evler')).toBe('evler');
+    expect(stemTurkish('kitaplar')).toBe('kitap');
+    expect(stemTurkish('masalar')).toBe(stemTurkish('masa'));
+    expect(stemTurkish('de')).toBe('de');
+  });
+
+  test('does not join English words that end like Turkish suffixes', () => {
+    for (const [word, other] of [['garden', 'gar'], ['kitten', 'kit'], ['listen', 'lis'], ['data', 'date']]) {
+      expect(normalizeWord(word, defaults)).not.toBe(normalizeWord(other, defaults));
+    }
+    expect(normalizeWord('garden', defaults)).toBe('garden');
+  });
+
+  test('keeps words whole unless the stemmer is turned on', () => {
+    const stemmer = process.env.SEARCH_STEMMER;
+    delete process.env.SEARCH_STEMMER;
+    try {
+      expect(getSearchTextSettings().stemmer).toBe('none');
+      expect(normalizeWord('sözleşmeler')).toBe('sozlesmeler');
+      process.env.SEARCH_STEMMER = 'turkish';
+      expect(normalizeWord('sözleşmeler')).toBe('sozlesm');
+    } finally {
+      if (stemmer === undefined) delete process.env.SEARCH_STEMMER;
+      else process.env.SEARCH_STEMMER = stemmer;
+    }
+  });
+
+  test('indexes one normalized word per word of the text', () => {
+    expect(indexText('Kira sözleşmesi, İstanbul-2024!', defaults)).toBe('kira sozlesm istanbul 2024');
+    expect(indexText(null, defaults)).toBe('');
+    expect(normalizeWords('  ... ', defaults)).toEqual([]);
+  });
+
+  test('identifies the settings an index was built with', () => {
+    expect(settingsSignature(defaults)).not.toBe(settingsSignature({ ...defaults, stemmer: 'none' }));
+    expect(JSON.parse(settingsSignature(defaults)).tokenize).toBe('unicode61 remove_diacritics 2');
+  });
+
+  test('normalizes query terms like the index', () => {
+    const parsed = parseSearchQuery('"İstanbul şirketleri" sözleş* -Kira');
+    expect(toFtsQuery(parsed, (v) => normalizeWords(v, defaults)))
+      .toBe('("istanbul sirket") AND ("sozles"*) NOT ("kira")');
+  });
+});
+
+describe('search highlights', () => {
+  function highlight(q, text, maxTokens) {
+    const analysis = analyzeText(text, buildMatchers(parseSearchQuery(q), defaults), defaults);
+    return snippetOf(text, analysis, maxTokens);
+  }
+
+  test('marks the original words of normalized hits', () => {
+    expect(highlight('istanbul sözleşme', 'İstanbul ofisinin Sözleşmeleri hazır.'))
+      .toBe('<mark>İstanbul</mark> ofisinin <mark>Sözleşmeleri</mark> hazır.');
+    expect(highlight('"net thirty" -rent', 'Pay net thirty days, not net rent.'))
+      .toBe('Pay <mark>net thirty</mark> days, not net rent.');
+    expect(highlight('söz*', 'Bir sözleşme')).toBe('Bir <mark>sözleşme</mark>');
+  });
+
+  test('cuts a window around the densest hits', () => {
+    const text = `${'bir '.repeat(20)}kira ${'iki '.repeat(20)}kira kira son`;
+    expect(highlight('kira', text, 8)).toBe('...iki iki iki iki <mark>kira</mark> <mark>kira</mark> son');
+    expect(highlight('yok', text)).toBeNull();
+  });
+
+  test('returns the hits as ranges of the snippet text', () => {
+    const text = `${'bir '.repeat(20)}kira son.`;
+    const analysis = analyzeText(text, buildMatchers(parseSearchQuery('kira'), defaults), defaults);
+    expect(snippetRanges(text, analysis, 8)).toEqual({
+      text: '...bir bir bir bir kira son.',
+      ranges: [{ startChar: 19, endChar: 23 }]
+    });
+    expect(snippetRanges(text, { tokens: analysis.tokens, hits: [] })).toBeNull();
+  });
+});
@@ -0,0 +1,50 @@
+const { buildTextWithOutline, findSectionAt, parseOutline } = require('../src/utils/sections');
+
+function makeBlocks() {
+  return [
+    { text: 'Guide', level: 1 },
+    { text: '  Intro   text. ', level: null },
+    { text: 'Install', level: 2 },
+    { text: 'Run npm install.', level: null },
+    { text: 'Usage', level: 2 },
+    { text: 'Run npm start.', level: null },
+    { text: 'Appendix', level: 1 },
+    { text: 'Extra notes.', level: null }
+  ];
+}
+
+test('buildTextWithOutline: joins normalized blocks and records heading offsets', () => {
+  const { text, outline } = buildTextWithOutline(makeBlocks());
+  expect(text).toBe('Guide Intro text. Install Run npm install. Usage Run npm start. Appendix Extra notes.');
+  expect(outline.map((s) => s.title)).toEqual(['Guide', 'Install', 'Usage', 'Appendix']);
+  for (const s of outline) {
+    expect(text.slice(s.startChar, s.startChar + s.title.length)).toBe(s.title);
+  }
+});
+
+test('buildTextWithOutline: a section ends at the next heading of same or higher level', () => {
+  const { text, outline } = buildTextWithOutline(makeBlocks());
+  const [guide, install, usage, appendix] = outline;
+  expect(guide.endChar).toBe(appendix.startChar);
+  expect(install.endChar).toBe(usage.startChar);
+  expect(usage.endChar).toBe(appendix.startChar);
+  expect(appendix.endChar).toBe(text.length);
+});
+
+test('findSectionAt: returns innermost section with its heading path', () => {
+  const { text, outline } = buildTextWithOutline(makeBlocks());
+  const section = findSectionAt(outline, text.indexOf('npm start'));
+  expect(section.title).toBe('Usage');
+  expect(section.level).toBe(2);
+  expect(section.path).toEqual(['Guide', 'Usage']);
+
+  expect(findSectionAt(outline, text.indexOf('Extra')).path).toEqual(['Appendix']);
+  expect(findSectionAt(outline, -1)).toBeNull();
+  expect(findSectionAt([], 0)).toBeNull();
+});
+
+test('parseOutline: tolerates missing or invalid JSON', () => {
+  expect(parseOutline(null)).toEqual([]);
+  expect(parseOutline('not json')).toEqual([]);
+  expect(parseOutline('[{"level":1,"title":"A","startChar":0,"endChar":5}]')).toHaveLength(1);
+});
@@ -25,6 +25,17 @@ if (!fs.existsSync(testUploadsDir)) {
 // Set test uploads directory in environment
 process.env.UPLOADS_DIR = testUploadsDir;
 
+// Part files of resumable uploads (next to the uploads directory, see resumableUploadService)
+const testPartsDir = `${testUploadsDir}-partial`;
+
+// Blob store of ingested files (worker-specific as well)
+const testBlobDir = path.join(process.cwd(), 'uploads-test', `blobs-worker-${workerId}`);
+process.env.BLOB_DIR = testBlobDir;
+
+// Storage check quarantine (worker-specific as well)
+const testQuarantineDir = path.join(process.cwd(), 'uploads-test', `quarantine-worker-${workerId}`);
+process.env.QUARANTINE_DIR = testQuarantineDir;
+
 // IMPORTANT: require DB modules AFTER env vars are set
 const { initSchema } = require('../src/db/init');
 const db = require('../src/db');
@@ -39,18 +50,29 @@ beforeAll(() => {
   }
 });
 
+// Every table holding data a test can leave behind, children first
+// (the search index tables are optional: SQLite without FTS5 has none)
+const DATA_TABLES = [
+  'summary_sections',
+  'summaries',
+  'jobs',
+  'upload_sessions',
+  'legacy_blobs',
+  'documents',
+  'document_passages',
+  'documents_fts',
+  'search_terms'
+];
+
 function resetDb() {
-  // Clear documents table
-  try {
-    db.exec('DELETE FROM documents');
-    // Also clear FTS5 table if it exists
+  for (const table of DATA_TABLES) {
+    const exists = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?").get(table);
+    if (!exists) continue;
     try {
-      db.exec('DELETE FROM documents_fts');
-    } catch (_) {
-      // FTS5 table might not exist, ignore
+      db.exec(`DELETE FROM ${table}`);
+    } catch (error) {
+      console.warn(`Failed to clean ${table}:`, error);
     }
-  } catch (error) {
-    console.warn('Failed to clean database:', error);
   }
 }
 
@@ -69,12 +91,19 @@ function cleanUploadsDir() {
   } catch (error) {
     // Directory might not exist, ignore
   }
+  fs.rmSync(testPartsDir, { recursive: true, force: true });
+}
+
+function cleanBlobDir() {
+  fs.rmSync(testBlobDir, { recursive: true, force: true });
+  fs.rmSync(testQuarantineDir, { recursive: true, force: true });
 }
 
 // Clean up BEFORE each test to keep tests independent/deterministic
 beforeEach(() => {
   resetDb();
   cleanUploadsDir();
+  cleanBlobDir();
 });
 
 // Clean up after all tests
@@ -107,5 +136,7 @@ afterAll(() => {
   } catch (error) {
     // Ignore
   }
-});
 
+  fs.rmSync(testPartsDir, { recursive: true, force: true });
+  cleanBlobDir();
+});
@@ -0,0 +1,64 @@
+const { splitForSummary } = require('../src/utils/summarySections');
+
+function words(count, word = 'lorem') {
+  return Array.from({ length: count }, () => word).join(' ');
+}
+
+test('splitForSummary: short text is one untitled section', () => {
+  const text = 'A short document.';
+  expect(splitForSummary(text, { maxChars: 100 })).toEqual([
+    { title: null, startChar: 0, endChar: text.length, pageStart: null, pageEnd: null }
+  ]);
+});
+
+test('splitForSummary: follows top-level headings and merges small neighbours', () => {
+  const intro = `Intro ${words(20)}`;
+  const methods = `Methods ${words(20)}`;
+  const results = `Results ${words(40)}`;
+  const text = [intro, methods, results].join(' ');
+  const outline = [
+    { level: 1, title: 'Intro', startChar: 0 },
+    { level: 2, title: 'Detail', startChar: 6 },
+    { level: 1, title: 'Methods', startChar: intro.length + 1 },
+    { level: 1, title: 'Results', startChar: intro.length + methods.length + 2 }
+  ];
+
+  const sections = splitForSummary(text, { outline, maxChars: 300 });
+
+  expect(sections.map((s) => s.title)).toEqual(['Intro / Methods', 'Results']);
+  expect(sections[0].startChar).toBe(0);
+  expect(sections[1].startChar).toBe(outline[3].startChar);
+  expect(sections[1].endChar).toBe(text.length);
+});
+
+test('splitForSummary: splits oversized sections at whitespace', () => {
+  const text = words(100);
+  const sections = splitForSummary(text, { maxChars: 120 });
+
+  expect(sections.length).toBeGreaterThan(4);
+  for (const s of sections) {
+    expect(s.endChar - s.startChar).toBeLessThanOrEqual(120);
+  }
+  expect(sections[0].startChar).toBe(0);
+  expect(sections[sections.length - 1].endChar).toBe(text.length);
+  for (let i = 1; i < sections.length; i++) {
+    expect(sections[i].startChar).toBe(sections[i - 1].endChar);
+    expect(text[sections[i].startChar]).toBe(' ');
+  }
+});
+
+test('splitForSummary: groups pages and reports their page range', () => {
+  const pageText = words(10);
+  const pages = [];
+  let text = '';
+  for (let page = 1; page <= 6; page++) {
+    if (text) text += ' ';
+    pages.push({ page, startChar: text.length, endChar: text.length + pageText.length });
+    text += pageText;
+  }
+
+  const sections = splitForSummary(text, { pages, maxChars: 130 });
+
+  expect(sections.map((s) => [s.pageStart, s.pageEnd])).toEqual([[1, 2], [3, 4], [5, 6]]);
+  expect(sections.every((s) => s.title === null)).toBe(true);
+});
@@ -0,0 +1,104 @@
+/**
+ * Summary service: single-pass and map-reduce summarization (Gemini client mocked)
+ */
+jest.mock('@google/generative-ai', () => {
+  const generateContent = jest.fn();
+  return {
+    GoogleGenerativeAI: jest.fn(() => ({ getGenerativeModel: () => ({ generateContent }) })),
+    mockGenerateContent: generateContent
+  };
+});
+
+const { mockGenerateContent } = require('@google/generative-ai');
+const summaryService = require('../src/services/summaryService');
+
+const FINAL_SUMMARY = 'Doküman bir tedarik sürecini anlatıyor. Süreçteki adımlar ve sorumlular açıklanıyor. '
+  + 'Değerlendirme ölçütleri ayrıntılı biçimde veriliyor. Sonuç bölümünde öneriler sıralanıyor.';
+
+function respond(text) {
+  return {
+    response: {
+      text: () => text,
+      usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 2, totalTokenCount: 12 }
+    }
+  };
+}
+
+function words(chars) {
+  return 'ihale '.repeat(Math.ceil(chars / 6)).slice(0, chars);
+}
+
+describe('summaryService', () => {
+  let sectionSummary;
+
+  beforeEach(() => {
+    sectionSummary = 'Bu bölüm ihale sürecinin bir kısmını anlatır. Adımlar ve tarihler verilir. Sorumlular belirtilir.';
+    jest.spyOn(global, 'fetch').mockRejectedValue(new Error('offline'));
+    mockGenerateContent.mockReset();
+    mockGenerateContent.mockImplementation(async (prompt) => {
+      if (prompt.includes('bir dokümanın bir bölümü')) return respond(sectionSummary);
+      if (prompt.includes('ardışık bölümlerinin özetleri')) return respond(`Ara özet. ${'Birleştirilmiş bölümler. '.repeat(12)}`);
+      return respond(FINAL_SUMMARY);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should summarize a short document in one call', async () => {
+    const result = await summaryService.generateSummary({ docId: 'd1', text: words(5000), docName: 'kisa.txt' });
+
+    expect(mockGenerateContent).toHaveBeenCalledTimes(1);
+    expect(result).toMatchObject({
+      kind: 'short',
+      summary: FINAL_SUMMARY,
+      promptVersion: 'short-v1',
+      usage: { inputTokens: 10, outputTokens: 2, totalTokens: 12 },
+      sections: []
+    });
+  });
+
+  test('should summarize a long document section by section', async () => {
+    const onProgress = jest.fn();
+    const text = words(30000);
+
+    const result = await summaryService.generateSummary({ docId: 'd1', text, docName: 'rapor.txt', onProgress });
+
+    expect(result.sections).toHaveLength(3);
+    expect(result.sections[0]).toMatchObject({ position: 0, title: null, startChar: 0, content: sectionSummary });
+    expect(result.sections[2].endChar).toBe(text.length);
+    expect(mockGenerateContent).toHaveBeenCalledTimes(4);
+
+    const finalPrompt = mockGenerateContent.mock.calls[3][0];
+    expect(finalPrompt).toContain('bölüm özetlerinden oluşur');
+    expect(finalPrompt).toContain(sectionSummary);
+    expect(finalPrompt).not.toContain(text.slice(0, 100));
+
+    expect(result).toMatchObject({
+      summary: FINAL_SUMMARY,
+      promptVersion: 'short-v1+sections-v1',
+      usage: { inputTokens: 40, outputTokens: 8, totalTokens: 48 }
+    });
+    expect(onProgress.mock.calls.map(([p]) => `${p.step}:${p.done}/${p.total}`)).toEqual([
+      'map:0/3', 'map:1/3', 'map:2/3', 'reduce:0/1', 'reduce:1/1'
+    ]);
+  });
+
+  test('should merge section summaries in groups when they do not fit one prompt', async () => {
+    sectionSummary = `${'Bölümde anlatılan ayrıntılar. '.repeat(48)}`.trim();
+
+    const result = await summaryService.generateSummary({ docId: 'd1', text: words(12000 * 16), docName: 'buyuk.txt' });
+
+    const prompts = mockGenerateContent.mock.calls.map(([prompt]) => prompt);
+    expect(result.sections).toHaveLength(16);
+    expect(prompts.filter((p) => p.includes('ardışık bölümlerinin özetleri')).length).toBeGreaterThan(0);
+    expect(prompts[prompts.length - 1]).toContain('Ara özet.');
+    expect(result.summary).toBe(FINAL_SUMMARY);
+  });
+
+  test('should reject an unknown long summary level', async () => {
+    await expect(summaryService.generateLongSummary({ docId: 'd1', text: 'x', docName: 'a', level: 'huge' }))
+      .rejects.toThrow(/Unknown long summary level/);
+  });
+});